@@ -9,5 +9,6 @@ module.exports = {
     'no-unused-vars': 'warn',
     'no-console': 'off',
   },
+  overrides: [{ files: ['**/*.test.js'], excludedFiles: ['src/db/db.routes.test.js'], env: { jest: true } }],
   ignorePatterns: ['frontend/**', 'node_modules/', 'dist/', 'coverage/'],
 };
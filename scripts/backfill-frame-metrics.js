@@ -0,0 +1,39 @@
+// log_rtureceivelog → frame_metrics 백필 (배포 직후 기존 로그 해석용)
+//   node scripts/backfill-frame-metrics.js           : 워터마크 이후 미해석 행을 끝까지 해석
+//   node scripts/backfill-frame-metrics.js --reset   : 워터마크를 0 으로 되돌린 뒤 전체 재검사
+//                                                      (이미 해석된 행은 건너뜀)
+// 서버의 frameDecoder 와 같은 advisory lock 을 쓰므로 동시에 돌면 한쪽은 건너뛴다.
+require('dotenv').config();
+
+const { pool } = require('../src/db/db.pg');
+const { decodeOnce } = require('../src/jobs/frameDecoder');
+
+(async () => {
+  try {
+    if (process.argv.includes('--reset')) {
+      await pool.query('UPDATE public.frame_decoder_state SET last_id = 0, updated_at = NOW()');
+      console.log('워터마크 초기화');
+    }
+
+    let total = 0;
+    for (;;) {
+      const r = await decodeOnce({ budgetMs: 60 * 1000, forceRefresh: true });
+      if (r.skipped) {
+        console.log('다른 디코더가 실행 중입니다. 잠시 후 다시 시도하세요.');
+        process.exitCode = 1;
+        break;
+      }
+      total += r.inserted;
+      console.log(`해석 ${r.decoded}건, 저장 ${r.inserted}건 (누적 ${total})`);
+      if (!r.decoded) break;
+    }
+
+    await pool.query('REFRESH MATERIALIZED VIEW public.mv_energy_recent');
+    console.log(`완료: frame_metrics ${total}건 추가, 집계 갱신`);
+  } catch (e) {
+    console.error('백필 실패:', e.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end().catch(() => {});
+  }
+})();
@@ -0,0 +1,82 @@
+// 파서 성능 비교: 태양광 단상 1분 주기 프레임 1년치(525,600건)
+//   node scripts/bench-parser.js [--frames N] [--rounds N]
+//   split/parseInt(기존 방식) vs parseFrame(hex→Buffer) vs parseFrameBuffer vs parseFrames(일괄)
+const { parseFrame, parseFrameBuffer, parseFrames } = require('../src/energy/parser');
+const { buildFrame } = require('../src/energy/encoder');
+
+const argValue = (name, def) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? Number(process.argv[i + 1]) : def;
+};
+
+const FRAMES = argValue('--frames', 365 * 24 * 60);
+const ROUNDS = argValue('--rounds', 3);
+
+// 기존 parseFrame 의 바이트 변환(공백 split + parseInt)
+const legacyBytes = (s) => s.replace(/\s+/g, ' ').trim().split(' ').map((h) => parseInt(h, 16));
+
+function makeRows(n) {
+  const rows = new Array(n);
+  const t0 = Date.UTC(2025, 0, 1);
+  let wh = 1000000n;
+  for (let i = 0; i < n; i++) {
+    const minuteOfDay = i % 1440;
+    const sun = minuteOfDay >= 360 && minuteOfDay < 1080;
+    const w = sun ? 1500 + (i % 300) : 0;
+    wh += BigInt(Math.round(w / 60));
+    rows[i] = {
+      time: new Date(t0 + i * 60000),
+      body: buildFrame({
+        energy: 1,
+        type: 1,
+        metrics: {
+          pvVoltage: sun ? 350 : 0,
+          pvCurrent: sun ? 5 : 0,
+          pvOutputW: w,
+          systemVoltage: 220,
+          systemCurrent: sun ? 7 : 0,
+          currentOutputW: w,
+          powerFactor: 99.5,
+          frequencyHz: 60,
+          cumulativeWh: wh,
+          statusFlags: 0,
+        },
+      }),
+    };
+  }
+  return rows;
+}
+
+function run(name, fn) {
+  let best = Infinity;
+  let sink = 0;
+  for (let r = 0; r < ROUNDS; r++) {
+    const t = process.hrtime.bigint();
+    sink += fn();
+    const ms = Number(process.hrtime.bigint() - t) / 1e6;
+    best = Math.min(best, ms);
+  }
+  return { name, ms: best, sink };
+}
+
+const rows = makeRows(FRAMES);
+const buffers = rows.map((r) => Buffer.from(r.body.replace(/ /g, ''), 'hex'));
+console.log(`frames=${FRAMES} rounds=${ROUNDS} (최소 시간 기준)`);
+
+// 호출부처럼 결과를 배열로 모은 뒤 ok 건수를 센다 (결과 보관 비용을 같은 조건으로)
+const countOk = (list) => list.reduce((n, p) => n + (p.ok ? 1 : 0), 0);
+
+const results = [
+  run('split+parseInt → 배열', () => countOk(rows.map((r) => parseFrameBuffer(legacyBytes(r.body))))),
+  run('parseFrame(hex)', () => countOk(rows.map((r) => parseFrame(r.body)))),
+  run('parseFrameBuffer(Buffer)', () => countOk(buffers.map((b) => parseFrameBuffer(b)))),
+  run('parseFrames(rows)', () => countOk(parseFrames(rows))),
+];
+
+const base = results[0].ms;
+for (const r of results) {
+  const perFrameUs = (r.ms * 1000) / FRAMES;
+  console.log(
+    `${r.name.padEnd(26)} ${r.ms.toFixed(0).padStart(7)} ms  ${perFrameUs.toFixed(2).padStart(6)} µs/frame  x${(base / r.ms).toFixed(2)}  ok=${r.sink / ROUNDS}`
+  );
+}
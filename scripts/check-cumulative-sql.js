@@ -0,0 +1,135 @@
+// 누적 Wh: SQL 함수(rems_cumulative_wh) ↔ JS(parseFrame → frame_metrics.cumulative_wh) 일치 검사
+//   node scripts/check-cumulative-sql.js               : 현재 코드로 pg_temp 에 함수를 만들어 표본 프레임 비교
+//   node scripts/check-cumulative-sql.js --installed   : DB 에 설치된 public.rems_cumulative_wh 로 비교
+//                                                        (레이아웃 변경 후 init 을 다시 돌렸는지 확인)
+//   --samples N  레이아웃·길이별 무작위 프레임 수 (기본 20)
+//   --rows N     frame_metrics 최근 N행도 원본 body 와 대조 (기본 0)
+require('dotenv').config();
+
+const { parseFrame } = require('../src/energy/parser');
+const { listLayouts, fieldIndex } = require('../src/energy/registry');
+const { toMetricRow } = require('../src/energy/frameMetrics');
+const { CUMULATIVE_WH_FN, cumulativeWhFunctionSql } = require('../src/energy/units');
+
+const argVal = (name, def) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+};
+const SAMPLES = Number(argVal('--samples', '20'));
+const ROWS = Number(argVal('--rows', '0'));
+const INSTALLED = process.argv.includes('--installed');
+const FN = INSTALLED ? CUMULATIVE_WH_FN : 'pg_temp.rems_cumulative_wh';
+
+// 재현 가능한 표본 (mulberry32)
+let seed = 20261019;
+function rand() {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const hex2 = (n) => n.toString(16).padStart(2, '0');
+
+// 레이아웃별 길이: minLength, maxLength, 가변 길이면 몇 바이트 더 긴 프레임, 한 바이트 짧은 프레임
+function lengthsFor(l) {
+  const set = new Set([l.minLength, l.minLength - 1]);
+  if (l.maxLength != null) set.add(l.maxLength).add(l.maxLength + 1);
+  else set.add(l.minLength + 3);
+  return [...set].filter((n) => n > 5);
+}
+
+function randomFrame(l, len, err = 0x00) {
+  const b = Array.from({ length: len }, () => Math.floor(rand() * 256));
+  b[0] = 0x14;
+  b[1] = l.energy;
+  b[2] = l.type;
+  b[3] = Math.floor(rand() * 4);
+  b[4] = err;
+  // u64 카운터 상위 바이트는 0 (bigint 범위 안의 현실적인 값). 길이로 같은 타입의 다른 버전이 골라질 수 있다
+  const siblings = listLayouts().filter((x) => x.energy === l.energy && x.type === l.type);
+  for (const f of siblings.flatMap((x) => x.fields)) {
+    if (f.kind !== 'u64') continue;
+    const i = fieldIndex(f, len);
+    for (let k = 0; k < 3 && i + k < len && i >= 5; k++) b[i + k] = 0;
+  }
+  return b.map(hex2).join(' ');
+}
+
+function buildCases() {
+  const cases = [];
+  for (const l of listLayouts().filter((x) => !x.firmwareOnly)) {
+    const name = `${hex2(l.energy)}:${hex2(l.type)}@${l.version}`;
+    for (const len of lengthsFor(l)) {
+      for (let i = 0; i < SAMPLES; i++) cases.push({ name: `${name} len=${len}`, body: randomFrame(l, len) });
+    }
+    // 장비 에러 프레임은 누적값 없음 (집계는 err 00 만)
+    cases.push({ name: `${name} err=39`, body: randomFrame(l, l.minLength, 0x39) });
+  }
+  cases.push({ name: 'header only', body: '14 01 01 00 00' });
+  cases.push({ name: 'command frame', body: '15 01 02 03' });
+  return cases;
+}
+
+// frame_metrics 에 저장되는 값과 같은 경로
+function jsWh(body) {
+  const row = toMetricRow({ id: 0, time: null, rtuImei: null, body }, parseFrame(body));
+  return row?.cumulative_wh ?? null;
+}
+
+// 반올림 경계(kcal·kWh 환산)에서 numeric 과 double 이 1 Wh 다를 수 있다
+const same = (a, b) => (a == null || b == null ? a == null && b == null : BigInt(a) - BigInt(b) <= 1n && BigInt(b) - BigInt(a) <= 1n);
+
+(async () => {
+  const { pool } = require('../src/db/db.pg');
+  const client = await pool.connect();
+  let failed = 0;
+
+  try {
+    if (!INSTALLED) await client.query(cumulativeWhFunctionSql(FN));
+
+    const cases = buildCases();
+    const { rows } = await client.query(
+      `SELECT ${FN}(b)::text AS wh FROM unnest($1::text[]) WITH ORDINALITY AS t(b, n) ORDER BY n`,
+      [cases.map((c) => c.body)]
+    );
+
+    const byName = new Map();
+    cases.forEach((c, i) => {
+      const js = jsWh(c.body);
+      const sql = rows[i].wh;
+      const s = byName.get(c.name) || { n: 0, bad: [] };
+      s.n++;
+      if (!same(js, sql)) s.bad.push({ body: c.body, js, sql });
+      byName.set(c.name, s);
+    });
+
+    for (const [name, s] of byName) {
+      if (s.bad.length) failed += s.bad.length;
+      console.log(`${s.bad.length ? 'FAIL' : 'OK  '} ${name.padEnd(24)} ${s.n - s.bad.length}/${s.n}`);
+      for (const b of s.bad.slice(0, 3)) console.log(`       js=${b.js} sql=${b.sql}  ${b.body}`);
+    }
+
+    if (ROWS > 0) {
+      const { rows: stored } = await client.query(
+        `SELECT f.log_id, f.cumulative_wh::text AS stored, ${FN}(l.body)::text AS sql
+           FROM (SELECT log_id, time, cumulative_wh FROM public.frame_metrics ORDER BY time DESC LIMIT $1) f
+           JOIN public.log_rtureceivelog l ON l.id = f.log_id AND l.time = f.time`,
+        [ROWS]
+      );
+      // 펌웨어 전용 레이아웃으로 해석된 행은 SQL 과 다를 수 있어 개수만 보고한다
+      const diff = stored.filter((r) => !same(r.stored, r.sql));
+      console.log(`frame_metrics 최근 ${stored.length}행 중 불일치 ${diff.length}행`);
+      for (const r of diff.slice(0, 5)) console.log(`       log_id=${r.log_id} stored=${r.stored} sql=${r.sql}`);
+    }
+  } catch (e) {
+    console.error('실패:', e.message);
+    failed++;
+  } finally {
+    client.release();
+    await pool.end().catch(() => {});
+  }
+
+  console.log(failed ? `불일치 ${failed}건` : '모두 일치');
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,57 @@
+// 과거 frame_metrics 전체에서 누적 카운터 불연속(롤오버·리셋·교체) 구간 찾기 — counterSegments 작업과 같은 처리
+//   node scripts/detect-counter-segments.js [--from 2025-01-01] [--to 2026-10-21] [--imei a,b] [--chunk-days 7]
+// 이미 있는 구간은 건너뛰므로 여러 번 돌려도 된다. 끝나면 mv_energy_recent 를 새로 고친다.
+require('dotenv').config();
+
+const { DateTime } = require('luxon');
+const { TZ } = require('../src/energy/timeutil');
+const { detectSegments } = require('../src/energy/counterSegments');
+
+const argVal = (name, def) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+};
+const CHUNK_DAYS = Number(argVal('--chunk-days', '7'));
+// 조각 끝에서 확인 프레임이 모자라 미뤄진 불연속을 다음 조각에서 보도록 겹쳐 읽는다
+const OVERLAP_MS = 24 * 3600 * 1000;
+
+(async () => {
+  const { pool } = require('../src/db/db.pg');
+  try {
+    const imeis = argVal('--imei', null)?.split(',').map((s) => s.trim()).filter(Boolean) || null;
+    let from = argVal('--from', null) ? DateTime.fromISO(argVal('--from'), { zone: TZ }) : null;
+    const to = argVal('--to', null) ? DateTime.fromISO(argVal('--to'), { zone: TZ }) : DateTime.now().setZone(TZ);
+    if (!from) {
+      const { rows } = await pool.query('SELECT MIN("time") AS t FROM public.frame_metrics WHERE cumulative_wh IS NOT NULL');
+      if (!rows[0]?.t) {
+        console.log('frame_metrics 에 누적값이 없습니다.');
+        return;
+      }
+      from = DateTime.fromJSDate(rows[0].t).setZone(TZ).startOf('day');
+    }
+    if (!from.isValid || !to.isValid || from >= to) throw new Error('--from/--to 는 YYYY-MM-DD 이고 from 이 to 보다 앞서야 합니다.');
+
+    const found = {};
+    for (let s = from; s < to; s = s.plus({ days: CHUNK_DAYS })) {
+      const e = DateTime.min(s.plus({ days: CHUNK_DAYS }), to);
+      const added = await detectSegments(pool, {
+        from: new Date(Math.max(s.toMillis() - OVERLAP_MS, from.toMillis())),
+        to: e.toJSDate(),
+        imeis,
+      });
+      for (const a of added) {
+        found[a.kind] = (found[a.kind] || 0) + 1;
+        console.log(`${a.imei}/${a.multi} ${a.kind} @ ${new Date(a.time).toISOString()}: ${a.prevWh} → ${a.startWh} Wh`);
+      }
+      console.log(`${s.toISODate()} ~ ${e.toISODate()}: 새 구간 ${added.length}개`);
+    }
+    console.log('합계:', JSON.stringify(found));
+
+    await pool.query('REFRESH MATERIALIZED VIEW public.mv_energy_recent');
+  } catch (e) {
+    console.error('구간 탐지 실패:', e.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end().catch(() => {});
+  }
+})();
@@ -0,0 +1,54 @@
+// 과거 RTU 로그(CSV/NDJSON) 일괄 가져오기 — POST /api/import/rtu-logs 와 같은 처리, 업로드 크기 제한 없음
+//   node scripts/import-rtu-logs.js <file> [옵션]
+//   --format csv|ndjson   생략 시 확장자 (.ndjson/.jsonl/.json → ndjson, 그 외 csv)
+//   --dry-run             검증·중복 확인만 (저장하지 않음)
+//   --strict              해석 실패 프레임(장비 에러 등)도 거부
+//   --no-refresh          집계 갱신 생략 (여러 파일을 잇달아 넣고 마지막에만 갱신할 때)
+//   --rejects out.ndjson  거부 행 전체를 NDJSON 으로 기록
+// CSV 열: rtuImei(imei), time(timestamp), body(hex) 필수. deviceModel, msgType, seqSendTime, opMode, multiId, bodyOptionId 선택
+require('dotenv').config();
+
+const fs = require('fs');
+const { resolveFormat, importLogs } = require('../src/energy/importLogs');
+
+const argVal = (name, def) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+};
+const file = process.argv[2];
+const REJECTS = argVal('--rejects', null);
+
+(async () => {
+  const { pool } = require('../src/db/db.pg');
+  let rejects = null;
+  try {
+    if (!file || file.startsWith('--') || !fs.existsSync(file)) {
+      console.error('사용법: node scripts/import-rtu-logs.js <file> [--format csv|ndjson] [--dry-run] [--strict] [--no-refresh] [--rejects out.ndjson]');
+      process.exitCode = 1;
+      return;
+    }
+    const format = resolveFormat(argVal('--format', null), file);
+    if (!format) throw new Error('--format 은 csv 또는 ndjson 이어야 합니다.');
+
+    if (REJECTS) rejects = fs.createWriteStream(REJECTS);
+    const report = await importLogs(fs.createReadStream(file), {
+      format,
+      dryRun: process.argv.includes('--dry-run'),
+      strict: process.argv.includes('--strict'),
+      refresh: !process.argv.includes('--no-refresh'),
+      onReject: rejects ? (r) => rejects.write(`${JSON.stringify(r)}\n`) : null,
+    });
+
+    console.log(`전체 ${report.total}행: ${report.dryRun ? '추가 예정' : '추가'} ${report.dryRun ? report.accepted : report.inserted}, 중복 ${report.duplicates.inFile}(파일) + ${report.duplicates.existing}(DB), 거부 ${report.rejected}`);
+    if (report.range) console.log(`범위: ${report.range.from} ~ ${report.range.to}${report.refreshed ? ' (집계 갱신)' : ''}`);
+    const reasons = {};
+    for (const r of report.rejections) reasons[r.reason] = (reasons[r.reason] || 0) + 1;
+    for (const [reason, n] of Object.entries(reasons)) console.log(`  거부 ${reason}: ${n}${report.rejectionsTruncated ? '+' : ''}`);
+  } catch (e) {
+    console.error('가져오기 실패:', e.message);
+    process.exitCode = 1;
+  } finally {
+    if (rejects) rejects.end();
+    await pool.end().catch(() => {});
+  }
+})();
@@ -0,0 +1,58 @@
+// 로컬 REMS 수신 스텁 (재전송 작업 확인용)
+//   node scripts/rems-stub.js [--port 4010] [--fail-rate 0.3] [--delay-ms 0]
+//   서버 .env: REMS_ENDPOINT=http://127.0.0.1:4010/rems
+// 받은 프레임(Body 구조 바이트, 헤더 cid·authKey)을 한 줄씩 출력하고, fail-rate 확률로 500 또는 { result: '0' } 으로 실패를 돌려준다.
+const http = require('http');
+
+const argVal = (name, def) => {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : def;
+};
+const PORT = Number(argVal('--port', '4010'));
+const FAIL_RATE = Number(argVal('--fail-rate', '0'));
+const DELAY_MS = Number(argVal('--delay-ms', '0'));
+
+let received = 0;
+
+const reply = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+  const chunks = [];
+  req.on('data', (c) => chunks.push(c));
+  req.on('end', () => {
+    received++;
+    const b = Buffer.concat(chunks);
+    const cid = req.headers.cid;
+    if (!cid || !req.headers.authkey) {
+      reply(res, 401, { result: '0', error: 'missing cid/authKey header' });
+      return;
+    }
+    if (b.length < 5 || b[0] !== 0x14) {
+      reply(res, 400, { result: '0', error: 'invalid frame' });
+      return;
+    }
+
+    const desc = `cid=${cid} energy=${b[1].toString(16).padStart(2, '0')} type=${b[2].toString(16).padStart(2, '0')} len=${b.length}`;
+    const roll = Math.random();
+    setTimeout(() => {
+      if (roll < FAIL_RATE / 2) {
+        console.log(`#${received} 500 ${desc}`);
+        reply(res, 500, { error: 'stub failure' });
+      } else if (roll < FAIL_RATE) {
+        console.log(`#${received} result=0 ${desc}`);
+        reply(res, 200, { result: '0', error: 'stub rejected' });
+      } else {
+        console.log(`#${received} ok ${desc}`);
+        reply(res, 200, { result: '1' });
+      }
+    }, DELAY_MS);
+  });
+});
+
+server.listen(PORT, () => console.log(`REMS 스텁 http://127.0.0.1:${PORT}/rems (fail-rate ${FAIL_RATE})`));
@@ -0,0 +1,655 @@
+// RTU 시뮬레이터: 에너지원별 가상 RTU 가 실제와 비슷한 0x14 프레임을 만든다
+//   node scripts/simulate-rtu.js [옵션]
+//
+//   --types LIST        pv1,pv3,thermal,thermal-natural,geo-hp,geo-load,wind,fuelcell,ess (기본: 전체)
+//   --count N           타입별 장비 수 (기본 1)
+//   --from ISO --to ISO 백필 구간 (기본: 최근 24시간)
+//   --live --duration M 지금부터 M분 동안 interval 마다 실시간 송신 (기본 10분)
+//   --interval SEC      송신 주기 (기본 60)
+//   --seed N            난수 시드 (같은 시드·옵션이면 같은 데이터)
+//
+//   이상 주입 (프레임당 확률)
+//   --fault-rate P      고장 비트 발생 (기본 0.001), --fault-min 분 지속 (기본 30)
+//   --drop-rate P       프레임 유실 (기본 0.01)
+//   --outage-rate P     통신 두절 시작 (기본 0.0005), --outage-min 분 지속 (기본 180)
+//   --reset-rate P      누적 카운터 0 리셋 (기본 0)
+//   --err39-rate P      인버터 통신 실패(errCode 0x39) 프레임 (기본 0.002)
+//   --opmode-rate P     opMode 이상('1') (기본 0)
+//
+//   출력
+//   --out stdout|db|http  stdout: JSON lines (기본), db: log_rtureceivelog 직접 INSERT,
+//                         http: POST /api/ingest/rtu (--url, --api-key 또는 INGEST_API_KEY)
+//   --imei-prefix STR   (기본 SIM) → SIM-0101-001
+//   --batch N           INSERT/POST 묶음 크기 (기본 200)
+//   --meta              db: imei_meta 에 energy_hex/type_hex 등록
+//   --clean             db: 같은 prefix 의 기존 로그 삭제 후 시작
+//   --refresh           db: 종료 후 일/시간 집계와 mv_energy_recent 갱신
+const path = require('path');
+// stdout 이 데이터 출력이므로 dotenv 안내 문구는 끈다
+require('dotenv').config({ path: path.join(__dirname, '../.env'), quiet: true });
+
+const { buildFrame } = require('../src/energy/encoder');
+const { faultMapFor } = require('../src/energy/faults');
+
+const args = process.argv.slice(2);
+const argValue = (name, def) => {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] != null ? args[i + 1] : def;
+};
+const argNum = (name, def) => Number(argValue(name, def));
+const hasFlag = (name) => args.includes(name);
+
+const OPT = {
+  types: argValue('--types', ''),
+  count: argNum('--count', 1),
+  interval: argNum('--interval', 60),
+  live: hasFlag('--live'),
+  duration: argNum('--duration', 10),
+  seed: argNum('--seed', Date.now() % 2147483647),
+  faultRate: argNum('--fault-rate', 0.001),
+  faultMin: argNum('--fault-min', 30),
+  dropRate: argNum('--drop-rate', 0.01),
+  outageRate: argNum('--outage-rate', 0.0005),
+  outageMin: argNum('--outage-min', 180),
+  resetRate: argNum('--reset-rate', 0),
+  err39Rate: argNum('--err39-rate', 0.002),
+  opModeRate: argNum('--opmode-rate', 0),
+  out: argValue('--out', 'stdout'),
+  url: argValue('--url', 'http://127.0.0.1:3000/api/ingest/rtu'),
+  apiKey: argValue('--api-key', process.env.INGEST_API_KEY || ''),
+  prefix: argValue('--imei-prefix', 'SIM'),
+  batch: argNum('--batch', 200),
+  meta: hasFlag('--meta'),
+  clean: hasFlag('--clean'),
+  refresh: hasFlag('--refresh'),
+};
+
+/* ───────── 난수 (mulberry32, 시드 고정 재현용) ───────── */
+function makeRng(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.range = (lo, hi) => lo + (hi - lo) * next();
+  next.gauss = (sd = 1) => Math.sqrt(-2 * Math.log(next() || 1e-12)) * Math.cos(2 * Math.PI * next()) * sd;
+  next.chance = (p) => p > 0 && next() < p;
+  next.pick = (list) => list[Math.floor(next() * list.length)];
+  return next;
+}
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/* ───────── 시간/일사 ───────── */
+const KST_OFFSET_MS = 9 * 3600 * 1000;
+
+function kstParts(t) {
+  const d = new Date(t.getTime() + KST_OFFSET_MS);
+  const start = Date.UTC(d.getUTCFullYear(), 0, 1);
+  return {
+    hour: d.getUTCHours() + d.getUTCMinutes() / 60,
+    month: d.getUTCMonth() + 1,
+    doy: Math.floor((d.getTime() - start) / 86400000) + 1,
+    hms: d.toISOString().slice(11, 19),
+  };
+}
+
+// 계절: 하지 +1, 동지 -1
+const season = (doy) => Math.sin((2 * Math.PI * (doy - 80)) / 365);
+
+// 맑은 날 일사 비율(0~1). 낮 길이·남중 고도를 계절에 따라 바꾼다
+function clearSky(k) {
+  const s = season(k.doy);
+  const dayLen = 12 + 2.4 * s;
+  const x = (k.hour - (12.5 - dayLen / 2)) / dayLen;
+  if (x <= 0 || x >= 1) return 0;
+  return Math.pow(Math.sin(Math.PI * x), 1.5) * (0.75 + 0.25 * s);
+}
+
+const ambientC = (k) => 13 + 12 * season(k.doy) + 4 * Math.sin((2 * Math.PI * (k.hour - 9)) / 24);
+
+// 급탕 사용: 아침 6~8시, 저녁 19~22시
+const tapDemand = (k) => (k.hour >= 6 && k.hour < 8) || (k.hour >= 19 && k.hour < 22);
+
+/* ───────── 설비 모델 ─────────
+   init(rng)       : 장비별 상태(용량·온도·누적값)
+   step(s, c)      : c = { k(KST), dt(초), sun(0~1), rng, stopped(미작동 고장) } → metrics
+   counters        : 리셋 주입 시 0 으로 돌릴 상태 키
+   faultField      : 고장 비트를 싣는 필드 */
+const whStep = (w, dt) => (Math.max(0, w) * dt) / 3600;
+
+const MODELS = {
+  pv1: {
+    energy: 0x01, type: 0x01, faultField: 'statusFlags', counters: ['wh'],
+    init: (rng) => ({ capW: rng.range(3000, 5000), wh: rng.range(1e6, 2e7) }),
+    step(s, c) {
+      const w = c.stopped ? 0 : s.capW * c.sun * 0.92;
+      const out = w * 0.96;
+      const pvV = w > 0 ? 320 + 40 * c.sun : 0;
+      s.wh += whStep(out, c.dt);
+      return {
+        pvVoltage: pvV,
+        pvCurrent: pvV ? w / pvV : 0,
+        pvOutputW: w,
+        systemVoltage: 220 + c.rng.gauss(1.5),
+        systemCurrent: out / 220,
+        currentOutputW: out,
+        powerFactor: w > 0 ? 99 + c.rng.range(0, 0.9) : 0,
+        frequencyHz: 60 + c.rng.gauss(0.02),
+        cumulativeWh: BigInt(Math.floor(s.wh)),
+      };
+    },
+  },
+
+  pv3: {
+    energy: 0x01, type: 0x02, faultField: 'statusFlags', counters: ['wh'],
+    init: (rng) => ({ capW: rng.range(20000, 50000), wh: rng.range(1e7, 2e8) }),
+    step(s, c) {
+      const w = c.stopped ? 0 : s.capW * c.sun * 0.92;
+      const out = w * 0.97;
+      const pvV = w > 0 ? 600 + 80 * c.sun : 0;
+      const phaseI = out / (3 * 220);
+      s.wh += whStep(out, c.dt);
+      return {
+        pvVoltage: pvV,
+        pvCurrent: pvV ? w / pvV : 0,
+        pvOutputW: w,
+        systemR_V: 380 + c.rng.gauss(2),
+        systemS_V: 380 + c.rng.gauss(2),
+        systemT_V: 380 + c.rng.gauss(2),
+        systemR_I: phaseI,
+        systemS_I: phaseI,
+        systemT_I: phaseI,
+        currentOutputW: out,
+        powerFactor: w > 0 ? 99 + c.rng.range(0, 0.9) : 0,
+        frequencyHz: 60 + c.rng.gauss(0.02),
+        cumulativeWh: BigInt(Math.floor(s.wh)),
+      };
+    },
+  },
+
+  // 강제순환: 집열기-축열조 온도차로 펌프 기동, 급탕 사용 시 축열조 냉각 (물 1L·1℃ = 1kcal)
+  thermal: {
+    energy: 0x02, type: 0x01, faultField: 'faultCode', counters: ['producedKcal', 'usedKcal'],
+    init: (rng) => ({ areaM2: rng.range(8, 16), tankL: 300, tankTop: 45, tankBottom: 35, producedKcal: rng.range(1e5, 5e6), usedKcal: rng.range(1e5, 4e6) }),
+    step(s, c) {
+      const amb = ambientC(c.k);
+      const collector = amb + 70 * c.sun;
+      const pumpOn = !c.stopped && collector - s.tankBottom > 5;
+      const flow = pumpOn ? 8 + c.rng.gauss(0.3) : 0;
+      const gainKcal = pumpOn ? (c.sun * 700 * s.areaM2 * 0.5 * c.dt) / 4186 : 0;
+      const dT = flow > 0 ? gainKcal / ((flow * c.dt) / 60) : 0;
+      const inlet = s.tankBottom;
+
+      const cold = 15 + 6 * season(c.k.doy);
+      const tapFlow = tapDemand(c.k) && c.rng.chance(0.6) ? c.rng.range(4, 9) : 0;
+      const usedL = (tapFlow * c.dt) / 60;
+      const usedKcal = usedL * Math.max(0, s.tankTop - cold);
+
+      s.producedKcal += gainKcal;
+      s.usedKcal += usedKcal;
+      s.tankTop = clamp(s.tankTop + (gainKcal - usedKcal) / s.tankL - ((s.tankTop - amb) * c.dt) / 86400, cold, 90);
+      s.tankBottom = clamp(s.tankTop - 8 - (usedL / s.tankL) * 10, cold, s.tankTop);
+
+      return {
+        inletTempC: round1(inlet),
+        outletTempC: round1(inlet + dT),
+        tankTopTempC: round1(s.tankTop),
+        tankBottomTempC: round1(s.tankBottom),
+        flowLpm: flow,
+        producedKcal: s.producedKcal,
+        coldTempC: round1(cold),
+        hotTempC: round1(s.tankTop),
+        consumedFlowLpm: tapFlow,
+        usedKcal: s.usedKcal,
+      };
+    },
+  },
+
+  'thermal-natural': {
+    energy: 0x02, type: 0x02, faultField: 'faultCode', counters: ['usedKcal'],
+    init: (rng) => ({ areaM2: rng.range(3, 6), tankL: 200, tank: 40, usedKcal: rng.range(1e5, 2e6) }),
+    step(s, c) {
+      const amb = ambientC(c.k);
+      const gainKcal = c.stopped ? 0 : (c.sun * 700 * s.areaM2 * 0.45 * c.dt) / 4186;
+      const cold = 15 + 6 * season(c.k.doy);
+      const tapFlow = tapDemand(c.k) && c.rng.chance(0.5) ? c.rng.range(3, 7) : 0;
+      const usedKcal = ((tapFlow * c.dt) / 60) * Math.max(0, s.tank - cold);
+
+      s.usedKcal += usedKcal;
+      s.tank = clamp(s.tank + (gainKcal - usedKcal) / s.tankL - ((s.tank - amb) * c.dt) / 86400, cold, 85);
+
+      return {
+        coldTempC: round1(cold),
+        hotTempC: round1(s.tank),
+        flowLpm: tapFlow,
+        usedKcal: s.usedKcal,
+      };
+    },
+  },
+
+  // 히트펌프: 겨울 난방·여름 냉방, 부하측 온도 히스테리시스로 on/off 반복
+  'geo-hp': {
+    energy: 0x03, type: 0x01, faultField: 'faultFlags', counters: ['producedKwh', 'usedElecKwh'],
+    init: (rng) => ({ elecW: rng.range(4000, 8000), loadT: 42, on: false, producedKwh: rng.range(1e3, 5e4), usedElecKwh: rng.range(300, 1.5e4) }),
+    step(s, c) {
+      const m = c.k.month;
+      const mode = m >= 11 || m <= 3 ? 2 : m >= 6 && m <= 9 ? 1 : 0;
+      const hours = c.dt / 3600;
+      const amb = ambientC(c.k);
+
+      if (mode === 2) {
+        if (s.loadT < 40) s.on = true;
+        if (s.loadT > 47) s.on = false;
+      } else if (mode === 1) {
+        if (s.loadT > 12) s.on = true;
+        if (s.loadT < 7) s.on = false;
+      } else {
+        s.on = false;
+      }
+      if (c.stopped) s.on = false;
+
+      const cop = mode === 1 ? 4.2 : 3.6;
+      const elecW = s.on ? s.elecW * (0.95 + c.rng.range(0, 0.1)) : 0;
+      const heatW = elecW * cop;
+      if (s.on) s.loadT += (mode === 2 ? 8 : -6) * hours;
+      else s.loadT += clamp(amb - s.loadT, -3, 3) * hours;
+
+      s.producedKwh += (heatW * hours) / 1000;
+      s.usedElecKwh += (elecW * hours) / 1000;
+      const source = 14 + c.rng.gauss(0.2);
+      const flow = s.on ? 40 + c.rng.gauss(1) : 0;
+      const loadDT = flow > 0 ? heatW / ((flow / 60) * 4186) : 0;
+
+      return {
+        voltageV: 380 + c.rng.gauss(2),
+        currentA: elecW / (Math.sqrt(3) * 380 * 0.9),
+        outputW: elecW,
+        heatW,
+        producedKwh: s.producedKwh,
+        usedElecKwh: s.usedElecKwh,
+        stateRaw: s.on ? mode : 0,
+        sourceInTempC: round1(source),
+        sourceOutTempC: round1(s.on ? source - 3 : source),
+        loadInTempC: round1(s.loadT),
+        loadOutTempC: round1(s.loadT + (mode === 1 ? -loadDT : loadDT)),
+        flowLpm: flow,
+      };
+    },
+  },
+
+  'geo-load': {
+    energy: 0x03, type: 0x02, faultField: 'faultFlags', counters: ['loadUsedKwh', 'tapUsedKwh'],
+    init: (rng) => ({ loadUsedKwh: rng.range(1e3, 3e4), tapUsedKwh: rng.range(500, 1e4) }),
+    step(s, c) {
+      const heating = c.k.month >= 11 || c.k.month <= 3;
+      const hours = c.dt / 3600;
+      const loadFlow = !c.stopped && heating && c.rng.chance(0.7) ? c.rng.range(20, 35) : 0;
+      const loadIn = heating ? 45 + c.rng.gauss(0.5) : 22;
+      const loadOut = loadFlow ? loadIn - 5 : loadIn;
+      const tapFlow = !c.stopped && tapDemand(c.k) && c.rng.chance(0.5) ? c.rng.range(5, 12) : 0;
+      const feed = 12 + 4 * season(c.k.doy);
+      const hot = 50 + c.rng.gauss(0.5);
+
+      // L/min × ΔT(℃) → kcal/분 → kW (×60/860)
+      s.loadUsedKwh += ((loadFlow * (loadIn - loadOut) * 60) / 860) * hours;
+      s.tapUsedKwh += ((tapFlow * (hot - feed) * 60) / 860) * hours;
+
+      return {
+        loadInTempC: round1(loadIn),
+        loadOutTempC: round1(loadOut),
+        loadFlowLpm: loadFlow,
+        loadUsedKwh: s.loadUsedKwh,
+        tapFeedTempC: round1(feed),
+        tapHotTempC: round1(hot),
+        tapFlowLpm: tapFlow,
+        tapUsedKwh: s.tapUsedKwh,
+      };
+    },
+  },
+
+  // 풍속 평균 회귀 랜덤워크 + 출력 곡선 (cut-in 3, 정격 12, cut-out 25 m/s)
+  wind: {
+    energy: 0x04, type: 0x01, faultField: 'faultFlags', counters: ['wh'],
+    init: (rng) => ({ capW: rng.range(5000, 15000), v: rng.range(3, 8), wh: rng.range(1e6, 3e7) }),
+    step(s, c) {
+      s.v = clamp(s.v + 0.1 * (6 - s.v) * (c.dt / 600) + c.rng.gauss(0.6) * Math.sqrt(c.dt / 60), 0, 30);
+      const ratio = s.v < 3 || s.v >= 25 ? 0 : clamp(Math.pow((s.v - 3) / 9, 3), 0, 1);
+      const pre = c.stopped ? 0 : s.capW * ratio;
+      const post = pre * 0.94;
+      const preV = 150 + 12 * s.v;
+      s.wh += whStep(post, c.dt);
+      return {
+        preVoltageV: preV,
+        preCurrentA: pre / preV,
+        preOutputW: pre,
+        postVoltageV: 220 + c.rng.gauss(1.5),
+        postCurrentA: post / 220,
+        postOutputW: post,
+        frequencyHz: 60 + c.rng.gauss(0.02),
+        cumulativeWh: BigInt(Math.floor(s.wh)),
+      };
+    },
+  },
+
+  // 연료전지: 06~23시 부하 추종 운전, 열은 전기 출력의 약 1.3배
+  fuelcell: {
+    energy: 0x06, type: 0x01, faultField: 'faultFlags', counters: ['wh', 'producedKwh', 'usedHeatKwh', 'usedElecKwh'],
+    init: (rng) => ({ ratedW: rng.range(700, 1000), wh: rng.range(1e6, 1e7), producedKwh: 0, usedHeatKwh: 0, usedElecKwh: 0 }),
+    step(s, c) {
+      const running = !c.stopped && c.k.hour >= 6 && c.k.hour < 23;
+      const post = running ? s.ratedW * (0.6 + 0.4 * Math.sin((Math.PI * (c.k.hour - 6)) / 17)) : 0;
+      const pre = post * 1.05;
+      const heat = post * 1.3;
+      const hours = c.dt / 3600;
+      s.wh += whStep(post, c.dt);
+      s.producedKwh = s.wh / 1000;
+      s.usedHeatKwh += (heat * 0.8 * hours) / 1000;
+      s.usedElecKwh += (30 * hours) / 1000;
+      return {
+        preVoltageV: running ? 60 : 0,
+        preCurrentA: running ? pre / 60 : 0,
+        preOutputW: pre,
+        postVoltageV: 220 + c.rng.gauss(1.5),
+        postCurrentA: post / 220,
+        postOutputW: post,
+        heatGenerationW: heat,
+        producedKwh: s.producedKwh,
+        usedHeatKwh: s.usedHeatKwh,
+        usedElecKwh: s.usedElecKwh,
+        feedTempC: running ? 40 : round1(ambientC(c.k)),
+        outletTempC: running ? 60 + c.rng.gauss(0.5) : round1(ambientC(c.k)),
+        efficiencyPct: running ? 35 + c.rng.gauss(0.5) : 0,
+        freqHz: 60 + c.rng.gauss(0.02),
+        cumulativeWh: BigInt(Math.floor(s.wh)),
+      };
+    },
+  },
+
+  // ESS: 10~15시 충전, 18~22시 방전, SOC 10~95% 범위
+  ess: {
+    energy: 0x07, type: 0x01, faultField: 'faultFlags', counters: ['chargeWh', 'dischargeWh'],
+    init: (rng) => ({ capWh: rng.range(10000, 30000), soc: 50, chargeWh: rng.range(1e6, 1e7), dischargeWh: rng.range(1e6, 9e6) }),
+    step(s, c) {
+      const rateW = s.capWh / 4;
+      let state = 0;
+      if (!c.stopped && c.k.hour >= 10 && c.k.hour < 15 && s.soc < 95) state = 1;
+      if (!c.stopped && c.k.hour >= 18 && c.k.hour < 22 && s.soc > 10) state = 2;
+
+      const w = state ? rateW * (0.9 + c.rng.range(0, 0.1)) : 0;
+      const wh = whStep(w, c.dt);
+      if (state === 1) {
+        s.chargeWh += wh;
+        s.soc = Math.min(95, s.soc + (wh * 0.95 * 100) / s.capWh);
+      } else if (state === 2) {
+        s.dischargeWh += wh;
+        s.soc = Math.max(10, s.soc - (wh * 100) / s.capWh / 0.95);
+      }
+      const battV = 48 + 6 * (s.soc / 100);
+
+      return {
+        batteryVoltageV: battV,
+        // 충전 중은 음수 (배터리로 들어가는 방향)
+        batteryCurrentA: state === 1 ? -w / battV : w / battV,
+        socPct: round1(s.soc),
+        sohPct: 98.5,
+        chargeStateRaw: state,
+        pcsOutputW: w,
+        gridVoltageV: 220 + c.rng.gauss(1.5),
+        gridCurrentA: w / 220,
+        frequencyHz: 60 + c.rng.gauss(0.02),
+        chargeWh: BigInt(Math.floor(s.chargeWh)),
+        dischargeWh: BigInt(Math.floor(s.dischargeWh)),
+        // v1(기본 레이아웃)은 인버터 출력·방전 누적 하나만 싣는다
+        inverterOutputW: w,
+        cumulativeWh: BigInt(Math.floor(s.dischargeWh)),
+      };
+    },
+  },
+};
+
+/* ───────── 장비 ───────── */
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+
+function createFleet(kinds, count, rng) {
+  const fleet = [];
+  for (const kind of kinds) {
+    const m = MODELS[kind];
+    for (let i = 1; i <= count; i++) {
+      fleet.push({
+        kind,
+        model: m,
+        imei: `${OPT.prefix}-${hex2(m.energy)}${hex2(m.type)}-${String(i).padStart(3, '0')}`,
+        state: m.init(rng),
+        faultBits: Object.keys(faultMapFor(m.energy)).map(Number),
+        cloud: rng.range(0.5, 1),
+        fault: null,
+        outageUntil: 0,
+      });
+    }
+  }
+  return fleet;
+}
+
+const stats = { frames: 0, dropped: 0, outageMin: 0, faults: 0, resets: 0, err39: 0, opMode: 0 };
+
+// 한 장비의 한 주기. 유실/두절이면 null
+function tick(dev, t, dt, rng) {
+  const now = t.getTime();
+  const k = kstParts(t);
+
+  if (now < dev.outageUntil) {
+    stats.outageMin += dt / 60;
+    return null;
+  }
+  if (rng.chance(OPT.outageRate)) {
+    dev.outageUntil = now + OPT.outageMin * 60000;
+    stats.outageMin += dt / 60;
+    return null;
+  }
+
+  if (dev.fault && now >= dev.fault.until) dev.fault = null;
+  if (!dev.fault && rng.chance(OPT.faultRate)) {
+    dev.fault = { bits: 1 << rng.pick(dev.faultBits), until: now + OPT.faultMin * 60000 };
+    stats.faults++;
+  }
+  if (rng.chance(OPT.resetRate)) {
+    for (const key of dev.model.counters) dev.state[key] = 0;
+    stats.resets++;
+  }
+
+  // 구름: 장비별 평균 회귀 랜덤워크
+  dev.cloud = clamp(dev.cloud + 0.05 * (0.8 - dev.cloud) + rng.gauss(0.05), 0.15, 1);
+  const metrics = dev.model.step(dev.state, {
+    k,
+    dt,
+    sun: clearSky(k) * dev.cloud,
+    rng,
+    stopped: !!dev.fault && (dev.fault.bits & 0x0001) !== 0,
+  });
+
+  // 유실돼도 장비 상태(누적값)는 진행
+  if (rng.chance(OPT.dropRate)) {
+    stats.dropped++;
+    return null;
+  }
+
+  // 에러 프레임도 인버터 직전 값을 실어 보낸다 (수신 측은 errCode 0x39 면 계측값을 쓰지 않는다)
+  let errCode = 0;
+  metrics[dev.model.faultField] = dev.fault ? dev.fault.bits : 0;
+  if (rng.chance(OPT.err39Rate)) {
+    errCode = 0x39;
+    stats.err39++;
+  }
+  const body = buildFrame({ energy: dev.model.energy, type: dev.model.type, errCode, metrics });
+
+  const opMode = rng.chance(OPT.opModeRate) ? '1' : '0';
+  if (opMode !== '0') stats.opMode++;
+  stats.frames++;
+
+  return {
+    time: t.toISOString(),
+    deviceModel: 'SIM01',
+    msgType: '1',
+    seqSendTime: k.hms,
+    opMode,
+    multiId: 0,
+    bodyOptionId: 0,
+    rtuImei: dev.imei,
+    body,
+  };
+}
+
+/* ───────── 출력 ───────── */
+const COLUMNS = ['time', 'deviceModel', 'msgType', 'seqSendTime', 'opMode', 'multiId', 'bodyLength', 'bodyOptionId', 'body', 'rtuImei'];
+
+function makeSink() {
+  if (OPT.out === 'db') {
+    const { pool } = require('../src/db/db.pg');
+    const { insertFrameMetrics } = require('../src/energy/frameMetrics');
+    return {
+      pool,
+      async write(rows) {
+        const params = [];
+        const values = rows.map((r) => {
+          const row = { ...r, bodyLength: r.body.split(' ').length };
+          const ph = COLUMNS.map((c) => {
+            params.push(row[c]);
+            return `$${params.length}`;
+          });
+          return `(${ph.join(', ')})`;
+        });
+        // 수집 API 와 같이 저장하면서 frame_metrics 도 채운다
+        const { rows: inserted } = await pool.query(
+          `INSERT INTO public.log_rtureceivelog (${COLUMNS.map((c) => `"${c}"`).join(', ')}) VALUES ${values.join(', ')}
+           RETURNING id, time, "rtuImei", body`,
+          params
+        );
+        await insertFrameMetrics(pool, inserted);
+      },
+      close: () => pool.end().catch(() => {}),
+    };
+  }
+
+  if (OPT.out === 'http') {
+    if (!OPT.apiKey) throw new Error('--api-key 또는 INGEST_API_KEY 가 필요합니다.');
+    const axios = require('axios').create({ timeout: 30000, validateStatus: () => true });
+    return {
+      async write(rows) {
+        const r = await axios.post(OPT.url, rows, { headers: { 'x-api-key': OPT.apiKey } });
+        if (r.status !== 201) {
+          throw new Error(`ingest 실패 HTTP ${r.status}: ${JSON.stringify(r.data).slice(0, 500)}`);
+        }
+      },
+      close: async () => {},
+    };
+  }
+
+  return {
+    async write(rows) {
+      process.stdout.write(rows.map((r) => JSON.stringify(r)).join('\n') + '\n');
+    },
+    close: async () => {},
+  };
+}
+
+async function prepareDb(sink, fleet) {
+  if (OPT.clean) {
+    const { rowCount } = await sink.pool.query(
+      'DELETE FROM public.log_rtureceivelog WHERE "rtuImei" LIKE $1',
+      [`${OPT.prefix}-%`]
+    );
+    await sink.pool.query('DELETE FROM public.frame_metrics WHERE imei LIKE $1', [`${OPT.prefix}-%`]);
+    console.error(`기존 시뮬레이터 로그 ${rowCount}건 삭제`);
+  }
+  if (OPT.meta) {
+    for (const dev of fleet) {
+      await sink.pool.query(
+        `INSERT INTO public.imei_meta (imei, energy_hex, type_hex, multi_count, worker, address, sido, sigungu, lat, lon)
+         VALUES ($1, $2, $3, 1, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (imei) DO UPDATE SET energy_hex = $2, type_hex = $3, updated_at = NOW()`,
+        [dev.imei, hex2(dev.model.energy), hex2(dev.model.type), '시뮬레이터', '경상남도 창원시 의창구', '경상남도', '창원시 의창구', 35.2476, 128.6258]
+      );
+    }
+    console.error(`imei_meta ${fleet.length}건 등록`);
+  }
+}
+
+async function refreshAggregates(sink, from, to) {
+  const lo = new Date(from.getTime() - 86400000).toISOString();
+  const hi = new Date(to.getTime() + 86400000).toISOString();
+  await sink.pool.query('CALL refresh_continuous_aggregate(\'log_rtureceivelog_daily\', $1::timestamptz, $2::timestamptz)', [lo, hi]);
+  await sink.pool.query('CALL refresh_continuous_aggregate(\'log_rtureceivelog_hourly\', $1::timestamptz, $2::timestamptz)', [lo, hi]);
+  await sink.pool.query('REFRESH MATERIALIZED VIEW public.mv_energy_recent');
+  console.error('집계(daily/hourly)·mv_energy_recent 갱신 완료');
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function main() {
+  const kinds = OPT.types ? OPT.types.split(',').map((s) => s.trim()).filter(Boolean) : Object.keys(MODELS);
+  const unknown = kinds.filter((k) => !MODELS[k]);
+  if (unknown.length) throw new Error(`알 수 없는 타입: ${unknown.join(', ')} (지원: ${Object.keys(MODELS).join(', ')})`);
+  if (!['stdout', 'db', 'http'].includes(OPT.out)) throw new Error(`--out 은 stdout|db|http: ${OPT.out}`);
+  if (!(OPT.interval > 0) || !(OPT.count > 0)) throw new Error('--interval, --count 는 양수여야 합니다.');
+
+  const rng = makeRng(OPT.seed);
+  const fleet = createFleet(kinds, OPT.count, rng);
+  const sink = makeSink();
+  const stepMs = OPT.interval * 1000;
+
+  const live = OPT.live;
+  const from = live ? new Date() : new Date(argValue('--from', new Date(Date.now() - 86400000).toISOString()));
+  const to = live ? new Date(from.getTime() + OPT.duration * 60000) : new Date(argValue('--to', new Date().toISOString()));
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    throw new Error('--from/--to 구간이 올바르지 않습니다.');
+  }
+
+  console.error(
+    `장비 ${fleet.length}대 (${kinds.join(', ')} × ${OPT.count}), ${from.toISOString()} ~ ${to.toISOString()}, ` +
+    `${OPT.interval}s 주기, out=${OPT.out}, seed=${OPT.seed}${live ? ' [live]' : ''}`
+  );
+
+  try {
+    if (OPT.out === 'db') await prepareDb(sink, fleet);
+
+    let pending = [];
+    const flush = async () => {
+      for (let i = 0; i < pending.length; i += OPT.batch) await sink.write(pending.slice(i, i + OPT.batch));
+      pending = [];
+    };
+
+    // 백필은 시작 시각을 주기에 맞춘다
+    let t = live ? from.getTime() : Math.ceil(from.getTime() / stepMs) * stepMs;
+    while (t < to.getTime()) {
+      const at = new Date(t);
+      for (const dev of fleet) {
+        const row = tick(dev, at, OPT.interval, rng);
+        if (row) pending.push(row);
+      }
+      if (live || pending.length >= OPT.batch) await flush();
+
+      t += stepMs;
+      if (live && t < to.getTime()) await sleep(Math.max(0, t - Date.now()));
+    }
+    await flush();
+
+    if (OPT.out === 'db' && OPT.refresh) await refreshAggregates(sink, from, to);
+
+    console.error(
+      `프레임 ${stats.frames}건 (유실 ${stats.dropped}, 두절 ${Math.round(stats.outageMin)}분, ` +
+      `고장 ${stats.faults}, 리셋 ${stats.resets}, 0x39 ${stats.err39}, opMode 이상 ${stats.opMode})`
+    );
+  } finally {
+    await sink.close();
+  }
+}
+
+main().catch((e) => {
+  console.error('시뮬레이터 오류:', e.message);
+  process.exit(1);
+});
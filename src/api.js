@@ -8,10 +8,18 @@ const ordersRoutes     = require('./routes/orders');
 const logsRoutes       = require('./routes/logs');
 const dashboardRoutes  = require('./routes/dashboard');
 const remsRoutes       = require('./routes/rems');
+const remsTransmissionsRoutes = require('./routes/rems.transmissions');
+const remsResendRoutes = require('./routes/rems.resend');
+const remsReconcileRoutes = require('./routes/rems.reconcile');
 const dbTestRoutes     = require('./db/db.routes.test');
+const ingestRoutes     = require('./routes/ingest');
+const importRtuLogsRoutes = require('./routes/import.rtuLogs');
 
 const energyRoutes        = require('./energy/service');
 const energySeriesRoutes  = require('./energy/series');
+const energyProtocolRoutes = require('./energy/protocol');
+const energyStreamRoutes  = require('./energy/stream');
+const energyMetricsRoutes = require('./energy/metrics');
 
 // -------------------- 날씨 --------------------
 const omByPointRoutes = require('./routes/weather.openMeteo.byPoint');
@@ -39,7 +47,12 @@ router.use('/', dbTestRoutes);
 router.use('/orders',      ordersRoutes);
 router.use('/logs',        logsRoutes);
 router.use('/dashboard',   dashboardRoutes);
+router.use('/rems/transmissions', remsTransmissionsRoutes);
+router.use('/rems/resend', remsResendRoutes);
+router.use('/rems/reconcile', remsReconcileRoutes);
 router.use('/rems',        remsRoutes);
+router.use('/ingest',      ingestRoutes);
+router.use('/import',      importRtuLogsRoutes);
 
 // === 날씨 ===
 router.use('/weather/openmeteo', omByPointRoutes);
@@ -48,7 +61,10 @@ router.use('/weather/openmeteo', omByImeiDailyRoutes);
 router.use('/weather/asos', asosDailyRoutes);
 
 // === 에너지 ===
+router.use('/energy', energyProtocolRoutes);
+router.use('/energy', energyStreamRoutes);
 router.use('/energy', energySeriesRoutes);
+router.use('/energy', energyMetricsRoutes);
 router.use('/energy', energyRoutes);
 
 router.use('/export', exportMonthCsvRoutes);
@@ -12,6 +12,10 @@ const helmet = require('helmet');
 const xss = require('xss');
 
 const { setupEnergyCron } = require('./jobs/energyRefresh');
+const { setupFrameDecoder } = require('./jobs/frameDecoder');
+const { setupRemsResend } = require('./jobs/remsResend');
+const { setupRemsReconcile } = require('./jobs/remsReconcile');
+const { setupCounterSegments } = require('./jobs/counterSegments');
 const { getNormalPointsCached } = require('./jobs/normalPointCache');
 const app = express();
 
@@ -96,6 +100,10 @@ app.get('/api/health-direct', async (_req, res) => {
 });
 
 setupEnergyCron();
+setupFrameDecoder();
+setupRemsResend();
+setupRemsReconcile();
+setupCounterSegments();
 
 const dist = path.join(__dirname, '../frontend/dist');
 app.get(/^\/(?!api\/).*/, async (req, res, next) => {
@@ -1,4 +1,11 @@
 const { pool } = require('./db.pg');
+const { cumulativeWhFunctionSql } = require('../energy/units');
+const { SEGMENT_RANGES_SQL, segmentJoinSql, stitchedWhSql } = require('../energy/counterSegments');
+const { decodeOnce } = require('../jobs/frameDecoder');
+
+// 집계 뷰는 frame_metrics(해석된 프레임)에서 만든다. cumulative_wh 는 에너지원과 무관한 표준 Wh
+// 헤더 컬럼은 기존 조회 코드와 맞추기 위해 2자리 hex 로 노출
+const hexSql = (col) => `lpad(to_hex(${col}), 2, '0')`;
 
 const initPostgres = async () => {
   const client = await pool.connect();
@@ -116,6 +123,97 @@ const initPostgres = async () => {
         "rtuImei" CHARACTER VARYING(23) NOT NULL
       );
 
+      -- log_rtureceivelog 0x14 프레임 해석 결과 (energy/type/multi/err 는 헤더 바이트 값)
+      CREATE TABLE IF NOT EXISTS public.frame_metrics (
+        log_id BIGINT NOT NULL,
+        time TIMESTAMP WITH TIME ZONE NOT NULL,
+        imei CHARACTER VARYING(23) NOT NULL,
+        energy SMALLINT NOT NULL, type SMALLINT NOT NULL,
+        multi SMALLINT NOT NULL, err SMALLINT NOT NULL,
+        layout_version TEXT, ok BOOLEAN NOT NULL, reason TEXT,
+        cumulative_wh BIGINT,
+        power_w DOUBLE PRECISION, voltage_v DOUBLE PRECISION, current_a DOUBLE PRECISION,
+        frequency_hz DOUBLE PRECISION, power_factor DOUBLE PRECISION,
+        temp_in_c DOUBLE PRECISION, temp_out_c DOUBLE PRECISION,
+        flow_lpm DOUBLE PRECISION, soc_pct DOUBLE PRECISION,
+        is_operating BOOLEAN, fault_flags INTEGER, fault_severity TEXT,
+        quality TEXT NOT NULL, quality_flags TEXT[] NOT NULL DEFAULT '{}',
+        metrics JSONB, parser_build TEXT,
+        decoded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- 백그라운드 작업 진행 위치 (frameDecoder: log_rtureceivelog.id, remsResend: log_remssendlog.id)
+      CREATE TABLE IF NOT EXISTS public.frame_decoder_state (
+        name TEXT PRIMARY KEY,
+        last_id BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      );
+
+      -- 누적 카운터 불연속 이후 구간 (counterSegments 작업). 이어 붙인 누적값 = base_wh + cumulative_wh - start_wh
+      -- kind: rollover | reset | replacement, prev_*: 끊기기 직전 프레임
+      CREATE TABLE IF NOT EXISTS public.counter_segments (
+        imei CHARACTER VARYING(23) NOT NULL,
+        multi SMALLINT NOT NULL,
+        start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        start_wh BIGINT NOT NULL,
+        prev_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        prev_wh BIGINT NOT NULL,
+        base_wh BIGINT NOT NULL DEFAULT 0,
+        kind TEXT NOT NULL,
+        detected_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (imei, multi, start_time)
+      );
+
+      -- REMS 재전송 대기열 (send_log_id: 실패한 log_remssendlog 행, frame_*: 다시 보낼 log_rtureceivelog 프레임)
+      -- status: pending | sending | sent | failed | abandoned
+      CREATE TABLE IF NOT EXISTS public.rems_resend_queue (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        send_log_id BIGINT NOT NULL,
+        send_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        cid CHARACTER VARYING(25) NOT NULL,
+        "rtuImei" CHARACTER VARYING(23) NOT NULL,
+        "multiId" SMALLINT NOT NULL,
+        frame_log_id BIGINT,
+        frame_time TIMESTAMP WITH TIME ZONE,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        last_error TEXT,
+        last_attempt_at TIMESTAMP WITH TIME ZONE,
+        resolved_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        UNIQUE (send_log_id, send_time)
+      );
+      -- 같은 프레임의 실패가 여러 번 기록돼도 한 번만 재전송
+      CREATE UNIQUE INDEX IF NOT EXISTS rems_resend_queue_frame_idx
+        ON public.rems_resend_queue (cid, "multiId", frame_log_id, frame_time) WHERE frame_log_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS rems_resend_queue_due_idx ON public.rems_resend_queue (status, next_attempt_at);
+
+      -- 재전송 시도 이력 (send_log_id: 시도 결과로 남긴 log_remssendlog 행 → 실패해도 대기열에 다시 등록하지 않음)
+      CREATE TABLE IF NOT EXISTS public.rems_resend_attempts (
+        send_log_id BIGINT PRIMARY KEY,
+        queue_id BIGINT NOT NULL REFERENCES public.rems_resend_queue (id) ON DELETE CASCADE,
+        time TIMESTAMP WITH TIME ZONE NOT NULL,
+        ok BOOLEAN NOT NULL,
+        error TEXT,
+        manual BOOLEAN NOT NULL DEFAULT FALSE
+      );
+      CREATE INDEX IF NOT EXISTS rems_resend_attempts_queue_idx ON public.rems_resend_attempts (queue_id, time);
+
+      -- 수신 프레임 ↔ REMS 전송 일별 대사 결과 (remsReconcile 작업, day 는 KST 날짜)
+      CREATE TABLE IF NOT EXISTS public.rems_reconcile_daily (
+        day DATE NOT NULL,
+        cid CHARACTER VARYING(25) NOT NULL,
+        imeis TEXT[] NOT NULL DEFAULT '{}',
+        frames INTEGER NOT NULL, ok INTEGER NOT NULL, late INTEGER NOT NULL,
+        duplicated INTEGER NOT NULL, failed INTEGER NOT NULL, missing INTEGER NOT NULL,
+        unmatched_sends INTEGER NOT NULL,
+        avg_delay_sec INTEGER,
+        computed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (day, cid)
+      );
+
       CREATE INDEX IF NOT EXISTS "log_remssendlog_cid_42d45c5b" ON public.log_remssendlog (cid);
       CREATE INDEX IF NOT EXISTS "log_remssendlog_rtuImei_38fe98eb" ON public.log_remssendlog ("rtuImei");
       CREATE INDEX IF NOT EXISTS "log_remssendlog_time_84716e9d" ON public.log_remssendlog ("time");
@@ -128,11 +226,43 @@ const initPostgres = async () => {
     try {
       await client.query(`SELECT create_hypertable('public.log_rtureceivelog', 'time', if_not_exists => TRUE);`);
       await client.query(`SELECT create_hypertable('public.log_remssendlog', 'time', if_not_exists => TRUE);`);
+      await client.query('SELECT create_hypertable(\'public.frame_metrics\', \'time\', if_not_exists => TRUE);');
       console.log('하이퍼테이블 설정 완료.');
     } catch (e) {
       console.log('하이퍼테이블 설정 건너뜀 (이미 존재함).');
     }
 
+    // 디코더는 id 순서로 읽고, 조회는 (imei, time) 기준, 과거 로그 가져오기는 (rtuImei, time, multiId) 로 중복 확인
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS log_rtureceivelog_id_idx ON public.log_rtureceivelog (id);
+      CREATE INDEX IF NOT EXISTS log_rtureceivelog_imei_time_multi_idx ON public.log_rtureceivelog ("rtuImei", "time", "multiId");
+      CREATE UNIQUE INDEX IF NOT EXISTS frame_metrics_log_id_time_idx ON public.frame_metrics (log_id, time);
+      CREATE INDEX IF NOT EXISTS frame_metrics_imei_time_idx ON public.frame_metrics (imei, time DESC);
+    `);
+
+    // 실시간 스트림(GET /api/energy/stream): 0x14 프레임 저장 시 NOTIFY (payload 8000바이트 제한 → body 만 싣는다)
+    // 과거 로그 가져오기·시뮬레이터 백필처럼 지난 시각 행은 알리지 않는다 (10분 이내 프레임만)
+    await client.query(`
+      CREATE OR REPLACE FUNCTION public.notify_rtu_frame() RETURNS trigger
+      LANGUAGE plpgsql AS $fn$
+      BEGIN
+        PERFORM pg_notify('rtu_frame', json_build_object(
+          'id', NEW.id, 'time', NEW."time", 'imei', NEW."rtuImei", 'body', NEW.body
+        )::text);
+        RETURN NULL;
+      END
+      $fn$;
+
+      DROP TRIGGER IF EXISTS log_rtureceivelog_notify ON public.log_rtureceivelog;
+      CREATE TRIGGER log_rtureceivelog_notify
+        AFTER INSERT ON public.log_rtureceivelog
+        FOR EACH ROW WHEN (left(NEW.body, 2) = '14' AND NEW."time" > now() - interval '10 minutes')
+        EXECUTE FUNCTION public.notify_rtu_frame();
+    `);
+
+    // 누적 Wh SQL 함수 (parseFrame 레이아웃 규칙과 동일, scripts/check-cumulative-sql.js 로 검사)
+    await client.query(cumulativeWhFunctionSql());
+
     // --- 집계 뷰 생성 전 기존 뷰 삭제 (에러 방지용) ---
     console.log('기존 집계 뷰 초기화 중...');
     await client.query(`DROP MATERIALIZED VIEW IF EXISTS log_rtureceivelog_daily CASCADE;`);
@@ -145,33 +275,16 @@ const initPostgres = async () => {
       WITH (timescaledb.continuous) AS
       SELECT 
           time_bucket('1 day', "time") AS day,
-          "rtuImei",
-          split_part(body, ' ', 2) AS energy_hex,
-          split_part(body, ' ', 3) AS type_hex,
-          split_part(body, ' ', 4) AS multi_hex,
-          max(CASE WHEN split_part(body, ' ', 5) = '00' THEN (('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'),
-              CASE
-                  WHEN split_part(body, ' ', 2) = '01' AND split_part(body, ' ', 3) = '01' THEN 22
-                  WHEN split_part(body, ' ', 2) = '01' AND split_part(body, ' ', 3) = '02' THEN 34
-                  WHEN split_part(body, ' ', 2) = '02' AND split_part(body, ' ', 3) = '01' THEN 18
-                  WHEN split_part(body, ' ', 2) = '02' AND split_part(body, ' ', 3) = '02' THEN 14
-                  WHEN split_part(body, ' ', 2) = '03' AND split_part(body, ' ', 3) = '01' THEN 16
-                  WHEN split_part(body, ' ', 2) = '03' AND split_part(body, ' ', 3) = '02' THEN 14
-                  ELSE 22
-              END, 8), 'hex'))::bit(64)::bigint) ELSE NULL END) AS max_wh,
-          min(CASE WHEN split_part(body, ' ', 5) = '00' THEN (('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'),
-              CASE
-                  WHEN split_part(body, ' ', 2) = '01' AND split_part(body, ' ', 3) = '01' THEN 22
-                  WHEN split_part(body, ' ', 2) = '01' AND split_part(body, ' ', 3) = '02' THEN 34
-                  WHEN split_part(body, ' ', 2) = '02' AND split_part(body, ' ', 3) = '01' THEN 18
-                  WHEN split_part(body, ' ', 2) = '02' AND split_part(body, ' ', 3) = '02' THEN 14
-                  WHEN split_part(body, ' ', 2) = '03' AND split_part(body, ' ', 3) = '01' THEN 16
-                  WHEN split_part(body, ' ', 2) = '03' AND split_part(body, ' ', 3) = '02' THEN 14
-                  ELSE 22
-              END, 8), 'hex'))::bit(64)::bigint) ELSE NULL END) AS min_wh
-      FROM public.log_rtureceivelog
-      WHERE split_part(body, ' ', 5) IN ('00', '39')
-      GROUP BY day, "rtuImei", energy_hex, type_hex, multi_hex;
+          imei AS "rtuImei",
+          ${hexSql('energy')} AS energy_hex,
+          ${hexSql('type')} AS type_hex,
+          ${hexSql('multi')} AS multi_hex,
+          max(cumulative_wh) AS max_wh,
+          min(cumulative_wh) AS min_wh,
+          count(cumulative_wh) AS frames
+      FROM public.frame_metrics
+      WHERE err IN (0, 57)
+      GROUP BY day, imei, energy_hex, type_hex, multi_hex;
     `);
     await client.query(`ALTER MATERIALIZED VIEW log_rtureceivelog_daily SET (timescaledb.materialized_only = false);`);
 
@@ -182,15 +295,15 @@ const initPostgres = async () => {
       WITH (timescaledb.continuous) AS
       SELECT 
           time_bucket('1 hour', "time") AS hour,
-          "rtuImei",
-          split_part(body, ' ', 2) AS energy_hex,
-          split_part(body, ' ', 3) AS type_hex,
-          split_part(body, ' ', 4) AS multi_hex,
-          max(CASE WHEN split_part(body, ' ', 5) = '00' THEN (('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'), 22, 8), 'hex'))::bit(64)::bigint) ELSE NULL END) AS max_wh,
-          min(CASE WHEN split_part(body, ' ', 5) = '00' THEN (('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'), 22, 8), 'hex'))::bit(64)::bigint) ELSE NULL END) AS min_wh
-      FROM public.log_rtureceivelog
-      WHERE split_part(body, ' ', 5) IN ('00', '39')
-      GROUP BY hour, "rtuImei", energy_hex, type_hex, multi_hex;
+          imei AS "rtuImei",
+          ${hexSql('energy')} AS energy_hex,
+          ${hexSql('type')} AS type_hex,
+          ${hexSql('multi')} AS multi_hex,
+          max(cumulative_wh) AS max_wh,
+          min(cumulative_wh) AS min_wh
+      FROM public.frame_metrics
+      WHERE err IN (0, 57)
+      GROUP BY hour, imei, energy_hex, type_hex, multi_hex;
     `);
     await client.query(`ALTER MATERIALIZED VIEW log_rtureceivelog_hourly SET (timescaledb.materialized_only = false);`);
 
@@ -212,58 +325,76 @@ const initPostgres = async () => {
       FROM public.log_rtureceivelog_hourly;
     `);
 
-    // 6. 집계 데이터 강제 동기화
+    // 6. 기존 로그 해석 (frame_metrics 백필). 집계·조회가 모두 frame_metrics 를 읽으므로 배포 직후 비어 있지 않게 끝까지 채운다
+    console.log('frame_metrics 백필 진행 (미해석 로그)...');
+    for (let total = 0; ;) {
+      const r = await decodeOnce({ budgetMs: 60 * 1000 });
+      if (r.skipped) {
+        console.log('다른 디코더가 실행 중이라 백필은 서버의 frameDecoder 에 맡김.');
+        break;
+      }
+      total += r.inserted;
+      if (!r.decoded) {
+        console.log(`frame_metrics 백필 완료 (${total}건 추가).`);
+        break;
+      }
+    }
+
+    // 7. 집계 데이터 강제 동기화
     console.log('집계 데이터 동기화 진행 (2025-01-01 ~ 현재)...');
     await client.query(`CALL refresh_continuous_aggregate('log_rtureceivelog_daily', '2025-01-01', (NOW() + interval '1 day')::timestamp);`);
     await client.query(`CALL refresh_continuous_aggregate('log_rtureceivelog_hourly', '2025-01-01', (NOW() + interval '1 day')::timestamp);`);
 
-    // 7. 실시간 분석 뷰
+    // 8. 실시간 분석 뷰
     console.log('분석용 뷰(mv_energy_recent) 생성 및 동기화 중...');
     await client.query(`DROP MATERIALIZED VIEW IF EXISTS public.mv_energy_recent CASCADE;`);
     
+    // 장비·multi 별 최신 누적값과 오늘(KST) 첫 누적값 (카운터 교체·리셋 구간을 이어 붙인 값)
     const mvQuery = `
       CREATE MATERIALIZED VIEW public.mv_energy_recent AS
-      WITH latest_logs AS (
-          SELECT 
-              "rtuImei" AS imei,
-              split_part(body, ' ', 4) AS multi_hex,
-              split_part(body, ' ', 2) AS energy_hex,
-              MAX(time) AS latest_ts
-          FROM public.log_rtureceivelog
-          GROUP BY "rtuImei", split_part(body, ' ', 4), split_part(body, ' ', 2)
+      WITH s AS (${SEGMENT_RANGES_SQL}),
+      latest_raw AS (
+          SELECT DISTINCT ON (imei, multi)
+              imei, multi, energy, time, cumulative_wh
+          FROM public.frame_metrics
+          WHERE cumulative_wh IS NOT NULL
+          ORDER BY imei, multi, time DESC
+      ),
+      today_raw AS (
+          SELECT DISTINCT ON (imei, multi)
+              imei, multi, time, cumulative_wh
+          FROM public.frame_metrics
+          WHERE cumulative_wh IS NOT NULL
+            AND time >= date_trunc('day', now() AT TIME ZONE 'Asia/Seoul') AT TIME ZONE 'Asia/Seoul'
+          ORDER BY imei, multi, time ASC
+      ),
+      latest AS (
+          SELECT l.imei, l.multi, l.energy, l.time AS latest_ts, ${stitchedWhSql('l')} AS latest_wh
+          FROM latest_raw l
+          LEFT JOIN s ON ${segmentJoinSql('l')}
       ),
-      daily_bounds AS (
-          SELECT 
-              "rtuImei" AS imei,
-              split_part(body, ' ', 4) AS multi_hex,
-              MIN(time) AS min_ts,
-              MAX(time) AS max_ts
-          FROM public.log_rtureceivelog
-          WHERE time >= date_trunc('day', now() AT TIME ZONE 'Asia/Seoul') AT TIME ZONE 'Asia/Seoul'
-          GROUP BY "rtuImei", split_part(body, ' ', 4)
+      today_first AS (
+          SELECT t.imei, t.multi, ${stitchedWhSql('t')} AS first_wh
+          FROM today_raw t
+          LEFT JOIN s ON ${segmentJoinSql('t')}
       )
       SELECT 
           l.imei,
-          l.multi_hex,
+          ${hexSql('l.multi')} AS multi_hex,
           l.latest_ts,
           -- summary.js에서 필터링 조건으로 사용하는 'kind' 컬럼
-          CASE WHEN l.energy_hex = '01' THEN 'electric' ELSE 'thermal' END AS kind,
-          -- 금일 실적 계산용 (Max - Min)
-          COALESCE((SELECT ('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'), 22, 8), 'hex'))::bit(64)::bigint 
-           FROM public.log_rtureceivelog 
-           WHERE "rtuImei" = l.imei AND time = d.max_ts LIMIT 1), 0) AS max_recent,
-          COALESCE((SELECT ('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'), 22, 8), 'hex'))::bit(64)::bigint 
-           FROM public.log_rtureceivelog 
-           WHERE "rtuImei" = l.imei AND time = d.min_ts LIMIT 1), 0) AS min_recent,
+          CASE WHEN l.energy = 1 THEN 'electric' ELSE 'thermal' END AS kind,
+          -- 금일 실적 계산용 (Max - Min), 오늘 수신이 없으면 0
+          CASE WHEN t.first_wh IS NOT NULL THEN l.latest_wh ELSE 0 END AS max_recent,
+          COALESCE(t.first_wh, 0) AS min_recent,
           -- 전체 누적용
-          COALESCE((SELECT ('x' || encode(substring(decode(replace(body, ' ', ''), 'hex'), 22, 8), 'hex'))::bit(64)::bigint 
-           FROM public.log_rtureceivelog 
-           WHERE "rtuImei" = l.imei AND time = l.latest_ts LIMIT 1), 0) AS latest_wh
-      FROM latest_logs l
-      LEFT JOIN daily_bounds d ON l.imei = d.imei AND l.multi_hex = d.multi_hex;
+          l.latest_wh
+      FROM latest l
+      LEFT JOIN today_first t ON t.imei = l.imei AND t.multi = l.multi;
     `;
     await client.query(mvQuery);
-    await client.query(`CREATE INDEX IF NOT EXISTS idx_mv_energy_recent_imei ON public.mv_energy_recent(imei);`);
+    // REFRESH ... CONCURRENTLY 용 유니크 인덱스
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_mv_energy_recent_imei ON public.mv_energy_recent(imei, multi_hex);`);
     await client.query(`REFRESH MATERIALIZED VIEW public.mv_energy_recent;`);
 
     console.log('PostgreSQL 전체 동기화 성공 (KST 적용 및 시간대 에러 해결 완료)');
@@ -0,0 +1,24 @@
+// src/energy/commands.js
+// 0x14(계측) 이외 RTU 명령 디코더.
+// 계측 프레임과 달리 에너지원 헤더가 없으므로 바디 첫 바이트(cmd)만으로 판별한다.
+// RTU 프로토콜 문서에 정의된 명령만 등록한다. 현재 문서화된 비계측 메시지는 풍력 type 0x00 하트비트
+// (0x14 프레임, parser.decodeMessage 에서 처리)뿐이라 표는 비어 있고, 그 외 첫 바이트는 unknown 으로 원본만 보여 준다.
+const KIND = {
+  HEARTBEAT: 'heartbeat',
+  MEASUREMENT: 'measurement',
+};
+
+// code → { name, kind, minLength, decode(b) }
+const COMMANDS = {};
+
+// b: 바이트 배열. 미등록 명령이면 null
+function decodeCommand(b) {
+  const def = COMMANDS[b?.[0]];
+  if (!def) return null;
+  if (b.length < def.minLength) {
+    return { ok: false, command: b[0], commandName: def.name, kind: def.kind, reason: 'short_command', data: {} };
+  }
+  return { ok: true, command: b[0], commandName: def.name, kind: def.kind, data: def.decode(b) };
+}
+
+module.exports = { KIND, COMMANDS, decodeCommand };
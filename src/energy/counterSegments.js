@@ -0,0 +1,246 @@
+// src/energy/counterSegments.js
+// 누적 카운터 불연속(롤오버·리셋·계량기 교체) 구간
+// 같은 (imei, multi) 의 누적 Wh 가 줄거나 비정상 급증한 뒤 CONFIRM_FRAMES 개 프레임이 새 값에서 이어지면
+// 그 프레임부터를 새 구간으로 counter_segments 에 남긴다. 몇 프레임 튀었다 돌아오면 구간으로 보지 않는다.
+// 이어 붙인 누적값 = base_wh + (cumulative_wh - start_wh), 첫 구간 이전은 원래 값 그대로
+// → series·KPI·요약은 이 값으로 차이를 구해 교체·리셋한 날 발전량을 잃거나 부풀리지 않는다.
+require('./layouts');
+const { getLayout, fieldSize } = require('./registry');
+const { counterSpec, counterWh } = require('./units');
+const { MAX_KW, CONFIRM_FRAMES } = require('./validate');
+
+// 이보다 작은 값으로 떨어지면 리셋, 카운터 최대값의 이 비율 이상에서 떨어지면 롤오버
+const RESET_WH = 10000n;
+const ROLLOVER_RATIO = 0.9;
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+
+// 구간을 [start_time, end_time) 로 펼친 CTE 본문. frame_metrics f 와 LEFT JOIN 해서 stitchedWhSql 로 쓴다
+const SEGMENT_RANGES_SQL = `
+  SELECT imei, multi, start_time, start_wh, base_wh,
+         COALESCE(LEAD(start_time) OVER (PARTITION BY imei, multi ORDER BY start_time), 'infinity') AS end_time
+    FROM public.counter_segments`;
+const segmentJoinSql = (f = 'f', s = 's') =>
+  `${s}.imei = ${f}.imei AND ${s}.multi = ${f}.multi AND ${f}."time" >= ${s}.start_time AND ${f}."time" < ${s}.end_time`;
+const stitchedWhSql = (f = 'f', s = 's') => `COALESCE(${s}.base_wh + ${f}.cumulative_wh - ${s}.start_wh, ${f}.cumulative_wh)`;
+
+// 레이아웃 카운터가 표현할 수 있는 최대 Wh (롤오버 판별용)
+function counterMaxWh(layout) {
+  const spec = counterSpec(layout);
+  if (!spec) return null;
+  const raw = {};
+  for (const f of spec.fields) raw[f.name] = (2 ** (8 * fieldSize(f)) - 1) / (f.divisor || 1);
+  const wh = counterWh(layout, raw);
+  return wh != null ? Number(wh) : null;
+}
+
+// a → b 가 불연속이면 종류, 아니면 null. a, b: { time, wh(BigInt), energy, type, layoutVersion }
+function breakKind(a, b, { maxKw = MAX_KW } = {}) {
+  if (b.wh < a.wh) {
+    const max = counterMaxWh(getLayout(a.energy, a.type, a.layoutVersion));
+    if (max && Number(a.wh) >= max * ROLLOVER_RATIO) return 'rollover';
+    return b.wh < RESET_WH ? 'reset' : 'replacement';
+  }
+  const hours = Math.max((new Date(b.time) - new Date(a.time)) / 3600000, 1 / 60);
+  if (Number(b.wh - a.wh) / 1000 / hours > maxKw) return 'replacement';
+  return null;
+}
+
+// 시간순 프레임에서 확인된 불연속. prev: 구간 시작 전 마지막 프레임(없으면 null)
+// 끝부분에서 확인할 프레임이 모자라면 거기서 멈춘다 (다음 실행에서 다시 본다)
+function findBreaks(prev, frames, { confirm = CONFIRM_FRAMES } = {}) {
+  const breaks = [];
+  let ref = prev;
+  for (let i = 0; i < frames.length; i++) {
+    const f = frames[i];
+    if (!ref) {
+      ref = f;
+      continue;
+    }
+    const kind = breakKind(ref, f);
+    if (!kind) {
+      ref = f;
+      continue;
+    }
+    const next = frames.slice(i + 1, i + 1 + confirm);
+    if (next.length < confirm) break;
+    const stays = next.every((n, j) => !breakKind(j ? next[j - 1] : f, n) && (n.wh < ref.wh) === (f.wh < ref.wh));
+    if (stays) {
+      breaks.push({ kind, prev: ref, start: f });
+      ref = f;
+    }
+  }
+  return breaks;
+}
+
+const toFrame = (r) => ({
+  time: r.time,
+  wh: BigInt(r.cumulative_wh),
+  energy: r.energy,
+  type: r.type,
+  layoutVersion: r.layout_version,
+});
+
+// 한 장비·multi 의 base_wh 를 처음부터 다시 계산 (중간 구간이 나중에 추가돼도 맞게)
+async function rebase(db, imei, multi) {
+  const { rows } = await db.query(
+    `SELECT start_time, start_wh, prev_wh, base_wh
+       FROM public.counter_segments
+      WHERE imei = $1 AND multi = $2
+      ORDER BY start_time`,
+    [imei, multi]
+  );
+  let base = 0n;
+  let start = 0n;
+  for (const r of rows) {
+    base += BigInt(r.prev_wh) - start;
+    start = BigInt(r.start_wh);
+    if (BigInt(r.base_wh) !== base) {
+      await db.query(
+        'UPDATE public.counter_segments SET base_wh = $4 WHERE imei = $1 AND multi = $2 AND start_time = $3',
+        [imei, multi, r.start_time, base.toString()]
+      );
+    }
+  }
+}
+
+// from~to 사이 frame_metrics 를 훑어 새 불연속을 counter_segments 에 넣는다. 반환: 새로 넣은 구간 목록
+async function detectSegments(db, { from, to, imeis = null }) {
+  const params = [from, to];
+  let scope = '';
+  if (imeis) {
+    params.push(imeis);
+    scope = 'AND imei = ANY($3::text[])';
+  }
+  const { rows: keys } = await db.query(
+    `SELECT DISTINCT imei, multi FROM public.frame_metrics
+      WHERE "time" >= $1 AND "time" < $2 AND cumulative_wh IS NOT NULL ${scope}`,
+    params
+  );
+
+  const added = [];
+  for (const { imei, multi } of keys) {
+    const cols = '"time", cumulative_wh, energy, type, layout_version';
+    const [{ rows: before }, { rows }] = await Promise.all([
+      db.query(
+        `SELECT ${cols} FROM public.frame_metrics
+          WHERE imei = $1 AND multi = $2 AND "time" < $3 AND cumulative_wh IS NOT NULL
+          ORDER BY "time" DESC LIMIT 1`,
+        [imei, multi, from]
+      ),
+      db.query(
+        `SELECT ${cols} FROM public.frame_metrics
+          WHERE imei = $1 AND multi = $2 AND "time" >= $3 AND "time" < $4 AND cumulative_wh IS NOT NULL
+          ORDER BY "time"`,
+        [imei, multi, from, to]
+      ),
+    ]);
+
+    const breaks = findBreaks(before[0] ? toFrame(before[0]) : null, rows.map(toFrame));
+    let inserted = 0;
+    for (const b of breaks) {
+      const r = await db.query(
+        `INSERT INTO public.counter_segments (imei, multi, start_time, start_wh, prev_time, prev_wh, base_wh, kind)
+         VALUES ($1, $2, $3, $4, $5, $6, 0, $7)
+         ON CONFLICT (imei, multi, start_time) DO NOTHING`,
+        [imei, multi, b.start.time, b.start.wh.toString(), b.prev.time, b.prev.wh.toString(), b.kind]
+      );
+      if (r.rowCount) {
+        inserted++;
+        added.push({ imei, multi: hex2(multi), kind: b.kind, time: b.start.time, prevWh: b.prev.wh.toString(), startWh: b.start.wh.toString() });
+      }
+    }
+    if (inserted) await rebase(db, imei, multi);
+  }
+  return added;
+}
+
+// 장비의 구간 목록 → Map(multi_hex → [{ t, start, base }]) (시간순)
+async function loadSegments(db, imei, { to = null } = {}) {
+  const params = [imei];
+  let cond = '';
+  if (to) {
+    params.push(to);
+    cond = 'AND start_time < $2';
+  }
+  const { rows } = await db.query(
+    `SELECT multi, start_time, start_wh, base_wh
+       FROM public.counter_segments
+      WHERE imei = $1 ${cond}
+      ORDER BY multi, start_time`,
+    params
+  );
+  const byMulti = new Map();
+  for (const r of rows) {
+    const k = hex2(r.multi);
+    if (!byMulti.has(k)) byMulti.set(k, []);
+    byMulti.get(k).push({ t: new Date(r.start_time).getTime(), start: BigInt(r.start_wh), base: BigInt(r.base_wh) });
+  }
+  return byMulti;
+}
+
+// (multiHex, ts, wh) → 이어 붙인 누적 Wh (BigInt)
+function createStitcher(segments) {
+  return function stitch(multiHex, ts, wh) {
+    if (wh == null) return null;
+    const list = segments.get(multiHex);
+    if (!list) return BigInt(wh);
+    const t = new Date(ts).getTime();
+    let seg = null;
+    for (const s of list) {
+      if (s.t > t) break;
+      seg = s;
+    }
+    return seg ? seg.base + (BigInt(wh) - seg.start) : BigInt(wh);
+  };
+}
+
+// 불연속이 있는 날(time_bucket 1 day, multi_hex)의 이어 붙인 최소·최대 Wh
+// 일 집계(log_rtureceivelog_daily)의 max_wh - min_wh 는 그런 날 엉뚱한 값이 되므로 원본 프레임으로 다시 구한다
+// 반환: Map(`${day.toISOString()}|${multi_hex}` → { minWh, maxWh }). segments(loadSegments 결과)를 주면 구간에 불연속이 없을 때 조회하지 않는다
+async function stitchedDayRanges(db, imei, { from, to, energyHex = null, segments = null }) {
+  const fromMs = new Date(from).getTime() - 86400000;
+  if (segments && ![...segments.values()].some((list) => list.some((s) => s.t >= fromMs))) return new Map();
+  const params = [imei, from, to];
+  let energyCond = '';
+  if (energyHex) {
+    params.push(parseInt(energyHex, 16));
+    energyCond = `AND f.energy = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `WITH s AS (${SEGMENT_RANGES_SQL} WHERE imei = $1),
+     days AS (
+       SELECT DISTINCT time_bucket('1 day', start_time) AS day, multi
+         FROM public.counter_segments
+        WHERE imei = $1 AND start_time >= time_bucket('1 day', $2::timestamptz) AND start_time < $3
+     )
+     SELECT d.day, lpad(to_hex(d.multi), 2, '0') AS multi_hex,
+            MIN(${stitchedWhSql()}) AS min_wh, MAX(${stitchedWhSql()}) AS max_wh
+       FROM days d
+       JOIN public.frame_metrics f
+         ON f.imei = $1 AND f.multi = d.multi AND f."time" >= d.day AND f."time" < d.day + INTERVAL '1 day'
+        AND f.cumulative_wh IS NOT NULL AND f.err IN (0, 57) ${energyCond}
+       LEFT JOIN s ON ${segmentJoinSql()}
+      GROUP BY d.day, d.multi`,
+    params
+  );
+  const out = new Map();
+  for (const r of rows) {
+    out.set(`${new Date(r.day).toISOString()}|${r.multi_hex}`, { minWh: BigInt(r.min_wh), maxWh: BigInt(r.max_wh) });
+  }
+  return out;
+}
+
+module.exports = {
+  CONFIRM_FRAMES,
+  SEGMENT_RANGES_SQL,
+  segmentJoinSql,
+  stitchedWhSql,
+  breakKind,
+  findBreaks,
+  detectSegments,
+  rebase,
+  loadSegments,
+  createStitcher,
+  stitchedDayRanges,
+};
@@ -0,0 +1,80 @@
+// 누적 카운터 불연속(롤오버·리셋·교체) 판별과 구간 이어 붙이기
+const { breakKind, findBreaks, createStitcher } = require('./counterSegments');
+
+const t0 = Date.UTC(2025, 0, 1);
+// 태양광 단상 v2, 1분 간격
+const frame = (min, wh) => ({ time: new Date(t0 + min * 60000), wh: BigInt(wh), energy: 1, type: 1, layoutVersion: 'v2' });
+const series = (start, whs) => whs.map((wh, i) => frame(start + i, wh));
+
+describe('breakKind', () => {
+  test('정상 증가는 null', () => {
+    expect(breakKind(frame(0, 1000000), frame(1, 1000050))).toBeNull();
+  });
+
+  test('작은 값으로 떨어지면 리셋, 큰 값으로 떨어지면 교체', () => {
+    expect(breakKind(frame(0, 5000000), frame(1, 10))).toBe('reset');
+    expect(breakKind(frame(0, 5000000), frame(1, 2000000))).toBe('replacement');
+  });
+
+  test('카운터 최대값 근처에서 떨어지면 롤오버', () => {
+    expect(breakKind(frame(0, 0xFFFFFFFFFFFFFF00n), frame(1, 100))).toBe('rollover');
+  });
+
+  test('평균 출력이 maxKw 를 넘는 급증은 교체', () => {
+    expect(breakKind(frame(0, 0), frame(60, 10000), { maxKw: 10 })).toBeNull();
+    expect(breakKind(frame(0, 0), frame(60, 11000), { maxKw: 10 })).toBe('replacement');
+  });
+});
+
+describe('findBreaks', () => {
+  test('새 값에서 confirm 개 이어지면 그 프레임부터 새 구간', () => {
+    const frames = series(0, [5000000, 5000010, 100, 110, 120, 130, 140]);
+    const breaks = findBreaks(null, frames, { confirm: 3 });
+    expect(breaks).toHaveLength(1);
+    expect(breaks[0].kind).toBe('reset');
+    expect(breaks[0].prev.wh).toBe(5000010n);
+    expect(breaks[0].start).toBe(frames[2]);
+  });
+
+  test('잠깐 튀었다 돌아오면 구간이 아니다', () => {
+    const frames = series(0, [5000000, 100, 5000020, 5000030, 5000040, 5000050]);
+    expect(findBreaks(null, frames, { confirm: 3 })).toEqual([]);
+  });
+
+  test('끝에서 확인할 프레임이 모자라면 멈춘다', () => {
+    const frames = series(0, [5000000, 100, 110]);
+    expect(findBreaks(null, frames, { confirm: 3 })).toEqual([]);
+  });
+
+  test('prev 는 이전 실행의 마지막 프레임', () => {
+    const breaks = findBreaks(frame(0, 5000000), series(1, [100, 110, 120, 130]), { confirm: 3 });
+    expect(breaks.map((b) => [b.kind, b.prev.wh])).toEqual([['reset', 5000000n]]);
+  });
+
+  test('여러 번의 불연속', () => {
+    const frames = series(0, [5000000, 100, 110, 120, 130, 3000000, 3000010, 3000020, 3000030]);
+    expect(findBreaks(null, frames, { confirm: 3 }).map((b) => b.kind)).toEqual(['reset', 'replacement']);
+  });
+});
+
+describe('createStitcher', () => {
+  const segments = new Map([
+    ['00', [
+      { t: t0 + 10 * 60000, start: 100n, base: 5000000n },
+      { t: t0 + 20 * 60000, start: 50n, base: 5000500n },
+    ]],
+  ]);
+  const stitch = createStitcher(segments);
+
+  test('첫 구간 이전은 원래 값, 이후는 base + (값 - start)', () => {
+    expect(stitch('00', new Date(t0), 4999000)).toBe(4999000n);
+    expect(stitch('00', new Date(t0 + 10 * 60000), 100)).toBe(5000000n);
+    expect(stitch('00', new Date(t0 + 15 * 60000), 400)).toBe(5000300n);
+    expect(stitch('00', new Date(t0 + 25 * 60000), 150)).toBe(5000600n);
+  });
+
+  test('구간이 없는 multi 와 빈 값', () => {
+    expect(stitch('01', new Date(t0 + 25 * 60000), 150)).toBe(150n);
+    expect(stitch('00', new Date(t0), null)).toBeNull();
+  });
+});
@@ -1,6 +1,9 @@
 // src/energy/devices.js
 const { pool } = require('../db/db.pg');
 const { mysqlPool } = require('../db/db.mysql');
+const { LRUCache } = require('lru-cache');
+require('./layouts');
+const { usesFirmware } = require('./registry');
 
 const USE_PG_ALIAS = String(process.env.USE_PG_ALIAS || 'false') === 'true';
 
@@ -135,4 +138,81 @@ async function resolveOneImeiOrThrow(qRaw) {
   return { imei, name };
 }
 
-module.exports = { resolveImeis, resolveOneImeiOrThrow, isImeiLike };
\ No newline at end of file
+// rtu_rtu.fwVersion → 파서 레이아웃 선택용. 조회 실패/미설정이면 null (길이로 판별)
+// 펌웨어로 고르는 레이아웃이 없으면(ESS_V2_FIRMWARE 미설정 등) 조회하지 않는다
+const fwCache = new LRUCache({ max: 5000, ttl: 10 * 60 * 1000 });
+
+async function getFwVersion(imei) {
+  if (!imei || !usesFirmware() || !hasMysqlConfig()) return null;
+  if (fwCache.has(imei)) return fwCache.get(imei);
+
+  let fw = null;
+  try {
+    const [rows] = await mysqlPool.query(
+      'SELECT fwVersion FROM rtu_rtu WHERE rtuImei = ? LIMIT 1',
+      [imei]
+    );
+    fw = rows?.[0]?.fwVersion ? String(rows[0].fwVersion).trim() || null : null;
+  } catch (err) {
+    console.warn('[mysql] fwVersion lookup skipped:', err.message);
+    return null;
+  }
+  fwCache.set(imei, fw);
+  return fw;
+}
+
+// REMS 에 등록된 CID ↔ IMEI (rems_rems.rtu_id → rtu_rtu). imeis 를 주면 그 장비만. 조회 실패/미설정이면 null
+async function getCidMappings(imeis = null) {
+  if (!hasMysqlConfig()) return null;
+  if (imeis && !imeis.length) return [];
+  try {
+    const [rows] = await mysqlPool.query(
+      `SELECT rr.cid, r.rtuImei AS imei
+         FROM rems_rems rr
+         JOIN rtu_rtu r ON r.id = rr.rtu_id
+        ${imeis ? 'WHERE r.rtuImei IN (?)' : ''}`,
+      imeis ? [imeis] : []
+    );
+    return rows.filter((r) => r.cid && r.imei).map((r) => ({ cid: String(r.cid), imei: String(r.imei) }));
+  } catch (err) {
+    console.warn('[mysql] CID mapping lookup skipped:', err.message);
+    return null;
+  }
+}
+
+// 사업(rtu_rtu.businessId)에 등록된 IMEI 목록. 조회 실패/미설정이면 null
+async function getBusinessImeis(businessId) {
+  if (!hasMysqlConfig()) return null;
+  try {
+    const [rows] = await mysqlPool.query('SELECT rtuImei AS imei FROM rtu_rtu WHERE businessId = ?', [businessId]);
+    return rows.filter((r) => r.imei).map((r) => String(r.imei));
+  } catch (err) {
+    console.warn('[mysql] business lookup skipped:', err.message);
+    return null;
+  }
+}
+
+// 로그인 사용자가 볼 수 있는 IMEI 목록. 관리자는 null (전체)
+async function getAuthorizedImeis(req) {
+  if (req.user && req.user.is_admin) return null;
+
+  const { sub: member_id } = req.user;
+  
+  const { rows: member } = await pool.query(
+    'SELECT worker, "phoneNumber" FROM public.members WHERE member_id = $1',
+    [member_id]
+  );
+
+  if (!member.length) return [];
+
+  const { worker, phoneNumber } = member[0];
+
+  const { rows: devices } = await pool.query(
+    'SELECT imei FROM public.imei_meta WHERE worker = $1 AND "phoneNumber" = $2', 
+    [worker, phoneNumber]
+  );
+
+  return devices.map(d => d.imei);
+}
+
+module.exports = { resolveImeis, resolveOneImeiOrThrow, isImeiLike, getFwVersion, getCidMappings, getBusinessImeis, getAuthorizedImeis };
\ No newline at end of file
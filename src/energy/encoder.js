@@ -0,0 +1,136 @@
+// src/energy/encoder.js
+// parseFrame(parser.js)의 역함수: 계측값(metrics) → 0x14 바디(공백 구분 hex)
+require('./layouts');
+const {
+  primaryLayout,
+  getLayout,
+  encodedLength,
+  fieldIndex,
+  listLayouts,
+  keyOf,
+} = require('./registry');
+
+// 빠졌거나 숫자가 아닌 값은 0 으로 보내지 않는다 (기본값은 레이아웃 필드의 default 로만)
+const num = (v, name) => {
+  const n = v == null || v === '' ? NaN : Number(v);
+  if (!Number.isFinite(n)) throw new TypeError(`${name}: missing or non-numeric value: ${v}`);
+  return n;
+};
+
+const toBig = (v, name) => {
+  if (typeof v === 'bigint') return v;
+  return BigInt(Math.round(num(v, name)));
+};
+
+function checkRange(name, v, max) {
+  if (!Number.isInteger(v) || v < 0 || v > max) {
+    throw new RangeError(`${name} out of range: ${v}`);
+  }
+  return v;
+}
+
+const putU8 = (a, i, v, name = 'u8') => {
+  a[i] = checkRange(name, Math.round(num(v, name)), 0xFF);
+};
+
+const putU16 = (a, i, v, name = 'u16') => {
+  const n = checkRange(name, Math.round(num(v, name)), 0xFFFF);
+  a[i] = (n >>> 8) & 0xFF;
+  a[i + 1] = n & 0xFF;
+};
+
+const putI16 = (a, i, v, name = 'i16') => {
+  const n = Math.round(num(v, name));
+  if (!Number.isInteger(n) || n < -0x8000 || n > 0x7FFF) throw new RangeError(`${name} out of range: ${n}`);
+  putU16(a, i, n & 0xFFFF, name);
+};
+
+const putU32 = (a, i, v, name = 'u32') => {
+  const n = checkRange(name, Math.round(num(v, name)), 0xFFFFFFFF);
+  a[i] = (n >>> 24) & 0xFF;
+  a[i + 1] = (n >>> 16) & 0xFF;
+  a[i + 2] = (n >>> 8) & 0xFF;
+  a[i + 3] = n & 0xFF;
+};
+
+const putU64 = (a, i, v, name = 'u64') => {
+  const n = toBig(v, name);
+  if (n < 0n || n > 0xFFFFFFFFFFFFFFFFn) throw new RangeError(`${name} out of range: ${n}`);
+  for (let k = 0; k < 8; k++) {
+    a[i + k] = Number((n >> BigInt(56 - 8 * k)) & 0xFFn);
+  }
+};
+
+// temp10_from2bytes 의 역: 상위 니블 = 부호(0 양수, 1 음수), 나머지 12bit = |t|*10
+function putTemp10(a, i, t, name = 'temp') {
+  const v = num(t, name);
+  const mag = checkRange(name, Math.round(Math.abs(v) * 10), 0x0FFF);
+  const sign = v < 0 && mag > 0 ? 0x1 : 0x0;
+  a[i] = (sign << 4) | ((mag >>> 8) & 0x0F);
+  a[i + 1] = mag & 0xFF;
+}
+
+const scaled = (v, factor, name) => Math.round(num(v, name) * factor);
+
+const PUT = {
+  u8: putU8,
+  u16: putU16,
+  i16: putI16,
+  u32: putU32,
+  u64: putU64,
+  temp10: putTemp10,
+};
+
+function putField(a, f, metrics) {
+  let v = metrics[f.name];
+  if (v == null && f.encodeFallback) v = f.encodeFallback(metrics);
+  if (v == null && f.default !== undefined) v = f.default;
+  const idx = fieldIndex(f, a.length);
+  if (f.kind === 'temp10') return putTemp10(a, idx, v, f.name);
+  if (f.divisor) v = scaled(v, f.divisor, f.name);
+  return PUT[f.kind](a, idx, v, f.name);
+}
+
+// 레이아웃 선언만으로 바디 생성. version 미지정 시 대표(primary) 레이아웃
+function encodeWithLayout(layout, metrics) {
+  const a = new Array(encodedLength(layout)).fill(0);
+  for (const f of layout.fields) putField(a, f, metrics);
+  return a;
+}
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+
+const toHex = (bytes) => bytes.map(hex2).join(' ');
+
+// parseFrame 의 multi(1~4) → 프레임 바이트(0x00~0x03)
+function multiToByte(multi) {
+  const n = num(multi, 'multi');
+  if (![1, 2, 3, 4].includes(n)) throw new RangeError(`multi must be 1..4: ${multi}`);
+  return n - 1;
+}
+
+function buildFrameBytes({ energy, type, multi = 1, errCode = 0, version = null, metrics = {} } = {}) {
+  const key = keyOf(energy, type);
+  const layout = version ? getLayout(energy, type, version) : primaryLayout(energy, type);
+  if (!layout) throw new Error(`unsupported energy/type: ${key}${version ? `@${version}` : ''}`);
+
+  const a = encodeWithLayout(layout, metrics || {});
+  a[0] = 0x14;
+  putU8(a, 1, energy, 'energy');
+  putU8(a, 2, type, 'type');
+  a[3] = multiToByte(multi);
+  putU8(a, 4, errCode, 'errCode');
+  return a;
+}
+
+function buildFrame(spec) {
+  return toHex(buildFrameBytes(spec));
+}
+
+const SUPPORTED_TYPES = listLayouts().map((l) => ({
+  energy: l.energy,
+  type: l.type,
+  version: l.version,
+}));
+
+module.exports = { buildFrame, buildFrameBytes, toHex, SUPPORTED_TYPES };
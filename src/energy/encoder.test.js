@@ -0,0 +1,56 @@
+// buildFrame ↔ parseFrame 왕복: 등록된 모든 레이아웃이 선언한 필드를 그대로 돌려받아야 한다
+const { buildFrame } = require('./encoder');
+const { parseFrame } = require('./parser');
+const { listLayouts, keyOf } = require('./registry');
+
+// 필드 종류별 원시 정수 (0 이 아니고 바이트마다 다른 값)
+const RAW = { u8: 0x5a, u16: 0x1234, i16: -0x1234, u32: 0x12345678, u64: 0x0123456789abn };
+
+function sampleValue(f) {
+  if (f.kind === 'temp10') return -12.3;
+  const raw = RAW[f.kind];
+  if (f.divisor) return Number(raw) / f.divisor;
+  return f.kind === 'u64' || f.bigint ? BigInt(raw) : raw;
+}
+
+const same = (a, b) => (typeof a === 'bigint' || typeof b === 'bigint' ? String(a) === String(b) : a === b);
+
+describe.each(listLayouts().map((l) => [`${keyOf(l.energy, l.type)}@${l.version}`, l]))('%s', (name, layout) => {
+  const metrics = Object.fromEntries(layout.fields.map((f) => [f.name, sampleValue(f)]));
+  // 펌웨어로만 고르는 레이아웃은 길이로 판별되지 않으므로 version 을 지정해 읽는다
+  const opts = layout.firmwareOnly ? { version: layout.version } : {};
+  const hex = buildFrame({ energy: layout.energy, type: layout.type, version: layout.version, multi: 2, metrics });
+  const p = parseFrame(hex, opts);
+
+  test('같은 레이아웃으로 해석된다', () => {
+    expect(p.ok).toBe(true);
+    expect(p.energy).toBe(layout.energy);
+    expect(p.type).toBe(layout.type);
+    expect(p.multi).toBe(2);
+    expect(p.layoutVersion).toBe(layout.version);
+  });
+
+  test.each(layout.fields.map((f) => [f.name]))('%s 값이 그대로 돌아온다', (field) => {
+    expect(p.metrics).toHaveProperty([field]);
+    expect(same(p.metrics[field], metrics[field])).toBe(true);
+  });
+});
+
+describe('빠진 값', () => {
+  const layout = listLayouts().find((l) => l.energy === 1 && l.type === 1 && l.version === 'v2');
+  const full = Object.fromEntries(layout.fields.map((f) => [f.name, sampleValue(f)]));
+  const build = (metrics) => buildFrame({ energy: 1, type: 1, version: 'v2', metrics });
+  const without = (name) => Object.fromEntries(Object.entries(full).filter(([k]) => k !== name));
+
+  test('없거나 숫자가 아니면 필드 이름과 함께 TypeError', () => {
+    expect(() => build(without('pvVoltage'))).toThrow(TypeError);
+    expect(() => build(without('pvVoltage'))).toThrow(/pvVoltage/);
+    expect(() => build({ ...full, frequencyHz: 'abc' })).toThrow(/frequencyHz/);
+    expect(() => build({ ...full, cumulativeWh: null })).toThrow(/cumulativeWh/);
+  });
+
+  test('레이아웃에 default 가 있는 필드만 생략할 수 있다', () => {
+    const p = parseFrame(build(without('statusFlags')));
+    expect(p.metrics.statusFlags).toBe(0);
+  });
+});
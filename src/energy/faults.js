@@ -0,0 +1,115 @@
+// src/energy/faults.js
+// 에너지원별 고장/상태 비트 사전. 각 비트: 문구(text), 심각도(severity), 권장 조치(action)
+// severity: warning(감시) < fault(설비 정지/점검 필요) < critical(안전 위험, 즉시 조치)
+const SEVERITY_RANK = { warning: 1, fault: 2, critical: 3 };
+
+const bit = (text, severity, action) => ({ text, severity, action });
+
+const STATUS_MAP = {
+  0: bit('인버터 미동작', 'fault', '인버터 전원·차단기 상태 확인 후 재기동'),
+  1: bit('태양전지 과전압', 'fault', '스트링 직렬 구성 및 모듈 개방전압 확인'),
+  2: bit('태양전지 저전압', 'warning', '일사량·음영 확인, 지속 시 스트링 배선 점검'),
+  3: bit('태양전지 과전류', 'fault', '스트링 병렬 구성 및 단락 여부 점검'),
+  4: bit('인버터 IGBT 에러', 'critical', '인버터 운전 정지 후 제조사 A/S 요청'),
+  5: bit('인버터 과온', 'fault', '환기팬·방열판 청소 및 설치 환경 온도 확인'),
+  6: bit('계통 과전압', 'warning', '계통 전압 측정, 반복 시 한전 또는 전기안전관리자 문의'),
+  7: bit('계통 저전압', 'warning', '계통 전압 및 연계 차단기 상태 확인'),
+  8: bit('계통 과전류', 'fault', '출력측 배선·차단기 점검'),
+  9: bit('계통 과주파수', 'warning', '계통 주파수 확인, 지속 시 한전 문의'),
+  10: bit('계통 저주파수', 'warning', '계통 주파수 확인, 지속 시 한전 문의'),
+  11: bit('단독운전(정전)', 'fault', '정전 여부 확인, 복전 후 자동 재기동 확인'),
+  12: bit('지락(누전)', 'critical', '즉시 운전 정지, 절연저항 측정 및 누전 개소 점검'),
+};
+
+// 태양광 외 에너지원은 RTU 프로토콜에 bit0(미작동)만 정의돼 있다. 나머지 비트는 「비정의 비트#n」으로 표시
+// (제조사 문서로 확인된 비트만 여기에 추가한다)
+const THERMAL_FAULT_MAP = {
+  0: bit('장비 미작동', 'fault', '제어반 전원 및 순환펌프 동작 확인'),
+};
+
+const GEOTHERMAL_FAULT_MAP = {
+  0: bit('히트펌프 미작동', 'fault', '히트펌프 전원 및 운전 스케줄 확인'),
+};
+
+const WIND_FAULT_MAP = {
+  0: bit('인버터 미동작', 'fault', '인버터 전원·차단기 상태 확인 후 재기동'),
+};
+
+const FUELCELL_FAULT_MAP = {
+  0: bit('장비 미작동', 'fault', '제어반 전원 및 운전 모드 확인'),
+};
+
+const ESS_FAULT_MAP = {
+  0: bit('장비 미작동', 'fault', 'PCS·BMS 전원 및 운전 모드 확인'),
+};
+
+// 에너지원 코드 → 비트 사전 (태양광은 상태 플래그 사전)
+const FAULT_MAPS = {
+  0x01: STATUS_MAP,
+  0x02: THERMAL_FAULT_MAP,
+  0x03: GEOTHERMAL_FAULT_MAP,
+  0x04: WIND_FAULT_MAP,
+  0x06: FUELCELL_FAULT_MAP,
+  0x07: ESS_FAULT_MAP,
+};
+
+const faultMapFor = (energy) => FAULT_MAPS[Number(energy)] || {};
+
+// detailed=false: 기존과 같이 문구 배열, detailed=true: { bit, text, severity, action } 배열
+function faultBitsToList(flags, map = {}, { detailed = false } = {}) {
+  const L = [];
+  for (let i = 0; i < 16; i++) {
+    if (((flags >> i) & 1) === 1) {
+      const def = map[i];
+      // 프로토콜에 없는 비트: 의미를 지어내지 않고 번호만 (심각도는 감시 수준)
+      const text = (typeof def === 'string' ? def : def?.text) || `비정의 비트#${i}`;
+      if (!detailed) {
+        L.push(text);
+        continue;
+      }
+      L.push({
+        bit: i,
+        text,
+        severity: def?.severity || 'warning',
+        action: def?.action || '제조사 프로토콜 문서 확인',
+      });
+    }
+  }
+  return L;
+}
+
+// 상세 목록 중 가장 높은 심각도 (없으면 null)
+function maxSeverity(details = []) {
+  let top = null;
+  for (const d of details) {
+    if (!top || (SEVERITY_RANK[d.severity] || 0) > (SEVERITY_RANK[top] || 0)) top = d.severity;
+  }
+  return top;
+}
+
+// 파싱된 metrics 에서 고장 플래그를 골라 상세 목록/심각도로
+function describeFaults(energy, metrics = {}) {
+  const m = metrics || {};
+  const flags =
+    typeof m.faultFlags === 'number' ? m.faultFlags :
+    typeof m.statusFlags === 'number' ? m.statusFlags :
+    typeof m.faultCode === 'number' ? m.faultCode :
+    0;
+  const details = faultBitsToList(flags, faultMapFor(energy), { detailed: true });
+  return { flags, details, severity: maxSeverity(details) };
+}
+
+module.exports = {
+  SEVERITY_RANK,
+  STATUS_MAP,
+  THERMAL_FAULT_MAP,
+  GEOTHERMAL_FAULT_MAP,
+  WIND_FAULT_MAP,
+  FUELCELL_FAULT_MAP,
+  ESS_FAULT_MAP,
+  FAULT_MAPS,
+  faultMapFor,
+  faultBitsToList,
+  maxSeverity,
+  describeFaults,
+};
@@ -0,0 +1,181 @@
+// src/energy/frameMetrics.js
+// frame_metrics: log_rtureceivelog 의 0x14 계측 프레임을 해석해 둔 하이퍼테이블.
+// 수집 API(routes/ingest) 는 저장과 같은 트랜잭션에서 바로 쓰고,
+// 외부 수집기로 들어온 행은 jobs/frameDecoder 가 id 순서로 뒤따라 채운다.
+// 조회 코드(KPI·시계열·대시보드·CSV)는 body 를 다시 해석하지 않고 이 테이블을 읽는다.
+const { parseFrame, hexToBuffer, BUILD } = require('./parser');
+const { validateFrame } = require('./validate');
+const { describeFaults } = require('./faults');
+const { getFwVersion } = require('./devices');
+
+// 대표 계측값 컬럼: 앞에 있는 필드부터 사용 (에너지원마다 이름이 다르다)
+const KEY_FIELDS = {
+  power_w: ['currentOutputW', 'postOutputW', 'outputW', 'inverterOutputW'],
+  voltage_v: ['systemVoltage', 'systemR_V', 'postVoltageV', 'voltageV', 'gridVoltageV', 'batteryVoltageV'],
+  current_a: ['systemCurrent', 'systemR_I', 'postCurrentA', 'currentA', 'gridCurrentA', 'batteryCurrentA'],
+  frequency_hz: ['frequencyHz', 'freqHz'],
+  power_factor: ['powerFactor'],
+  temp_in_c: ['inletTempC', 'sourceInTempC', 'loadInTempC', 'coldTempC', 'feedTempC'],
+  temp_out_c: ['outletTempC', 'sourceOutTempC', 'loadOutTempC', 'hotTempC'],
+  flow_lpm: ['flowLpm', 'loadFlowLpm', 'tapFlowLpm'],
+  soc_pct: ['socPct'],
+};
+
+const COLUMNS = [
+  'log_id', 'time', 'imei', 'energy', 'type', 'multi', 'err', 'layout_version', 'ok', 'reason',
+  'cumulative_wh', ...Object.keys(KEY_FIELDS),
+  'is_operating', 'fault_flags', 'fault_severity', 'quality', 'quality_flags', 'metrics', 'parser_build',
+];
+
+// 한 번에 INSERT 하는 행 수 (바인드 파라미터 65535 개 제한)
+const INSERT_CHUNK = 1000;
+
+// 헤더 바이트(energy/type/multi/err)를 숫자로. multi 는 프레임 바이트(0x00~0x03) 그대로 저장
+const MULTI_HEX_SQL = 'lpad(to_hex(multi), 2, \'0\')';
+
+const jsonValue = (v) => (typeof v === 'bigint' ? v.toString() : v);
+
+function pickNumber(m, keys) {
+  for (const k of keys) {
+    const v = m[k];
+    if (v != null && Number.isFinite(Number(v))) return Number(v);
+  }
+  return null;
+}
+
+function headerBytes(body) {
+  const b = hexToBuffer(body) || String(body || '').trim().split(/\s+/).map((h) => parseInt(h, 16));
+  return b.length >= 5 && b[0] === 0x14 && ![1, 2, 3, 4].some((i) => Number.isNaN(b[i])) ? b : null;
+}
+
+// log 행 + parseFrame 결과 → frame_metrics 행. 0x14 가 아니거나 헤더가 짧으면 null
+function toMetricRow(log, p) {
+  const b = headerBytes(log.body);
+  if (!b) return null;
+
+  const err = b[4];
+  const m = p?.metrics || {};
+  // 누적값은 정상(0x00) 프레임만. 0x39 등은 계측값이 0 으로 채워져 온다
+  const counted = !!p?.ok && err === 0x00 && m.cumulativeWh != null;
+  const faults = p?.ok ? describeFaults(b[1], m) : null;
+  const { quality, flags } = validateFrame(p);
+
+  const row = {
+    log_id: log.id,
+    time: log.time,
+    imei: log.rtuImei,
+    energy: b[1],
+    type: b[2],
+    multi: b[3],
+    err,
+    layout_version: p?.layoutVersion || null,
+    ok: !!p?.ok,
+    reason: p?.reason || null,
+    cumulative_wh: counted ? String(m.cumulativeWh) : null,
+    is_operating: typeof m.isOperating === 'boolean' ? m.isOperating : null,
+    fault_flags: faults ? faults.flags : null,
+    fault_severity: faults?.severity || null,
+    quality,
+    quality_flags: flags,
+    metrics: p?.ok ? JSON.stringify(m, (_, v) => jsonValue(v)) : null,
+    parser_build: BUILD,
+  };
+  for (const [col, keys] of Object.entries(KEY_FIELDS)) row[col] = p?.ok ? pickNumber(m, keys) : null;
+  return row;
+}
+
+// logRows: { id, time, rtuImei, body } 배열. db 는 pool 또는 트랜잭션 client
+async function insertFrameMetrics(db, logRows) {
+  const fwByImei = new Map();
+  for (const r of logRows) {
+    if (!fwByImei.has(r.rtuImei)) fwByImei.set(r.rtuImei, await getFwVersion(r.rtuImei));
+  }
+
+  const rows = [];
+  for (const r of logRows) {
+    const row = toMetricRow(r, parseFrame(r.body, { fwVersion: fwByImei.get(r.rtuImei) }));
+    if (row) rows.push(row);
+  }
+
+  let inserted = 0;
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK);
+    const params = [];
+    const values = chunk.map((row) => {
+      const ph = COLUMNS.map((c) => {
+        params.push(row[c]);
+        return `$${params.length}`;
+      });
+      return `(${ph.join(', ')})`;
+    });
+    const r = await db.query(
+      `INSERT INTO public.frame_metrics (${COLUMNS.join(', ')})
+       VALUES ${values.join(', ')}
+       ON CONFLICT (log_id, time) DO NOTHING`,
+      params
+    );
+    inserted += r.rowCount;
+  }
+  return { decoded: rows.length, inserted };
+}
+
+// frame_metrics 로 만든 일/시간 연속 집계를 [lo, hi] (ms) 앞뒤 하루까지 다시 계산
+async function refreshAggregateRange(db, lo, hi) {
+  const from = new Date(lo - 86400000).toISOString();
+  const to = new Date(hi + 86400000).toISOString();
+  await db.query('CALL refresh_continuous_aggregate(\'log_rtureceivelog_daily\', $1::timestamptz, $2::timestamptz)', [from, to]);
+  await db.query('CALL refresh_continuous_aggregate(\'log_rtureceivelog_hourly\', $1::timestamptz, $2::timestamptz)', [from, to]);
+}
+
+// 조회용 조건. energyHex/typeHex/multiHex 는 기존 API 의 2자리 hex 그대로
+// 풍력 type 미지정(auto)은 하트비트(00)·계측(01) 모두
+function metricsConds({ energyHex = null, typeHex = null, multiHex = null } = {}, params) {
+  const conds = [];
+  const e = (energyHex || '').toLowerCase();
+  const t = (typeHex || '').toLowerCase();
+  if (e) {
+    params.push(parseInt(e, 16));
+    conds.push(`energy = $${params.length}`);
+  }
+  if (e === '04' && (!t || t === 'auto')) {
+    conds.push('type IN (0, 1)');
+  } else if (t) {
+    params.push(parseInt(t, 16));
+    conds.push(`type = $${params.length}`);
+  }
+  if (multiHex) {
+    params.push(parseInt(multiHex, 16));
+    conds.push(`multi = $${params.length}`);
+  }
+  return conds;
+}
+
+// frame_metrics 행 → parseFrame 결과와 같은 모양 (metrics.cumulativeWh 는 BigInt)
+// rangeFlags: 해석 시점의 validateFrame 결과 (annotate 가 다시 계산하지 않는다)
+function frameFromRow(r) {
+  if (!r) return null;
+  const metrics = r.metrics ? { ...r.metrics } : {};
+  if (r.cumulative_wh != null) metrics.cumulativeWh = BigInt(r.cumulative_wh);
+  return {
+    ok: !!r.ok,
+    reason: r.reason || null,
+    energy: r.energy,
+    type: r.type,
+    multi: r.multi + 1,
+    errCode: r.err,
+    layoutVersion: r.layout_version,
+    metrics,
+    rangeFlags: r.quality_flags || [],
+  };
+}
+
+module.exports = {
+  KEY_FIELDS,
+  COLUMNS,
+  MULTI_HEX_SQL,
+  toMetricRow,
+  insertFrameMetrics,
+  refreshAggregateRange,
+  metricsConds,
+  frameFromRow,
+};
@@ -0,0 +1,198 @@
+// src/energy/gaps.js
+// 시계열 빈 구간: 프레임이 하나도 없는 날짜 버킷과 GAP_MINUTES 넘게 프레임이 끊긴 공백(silence)
+// 공백 양끝 누적값이 늘었으면(카운터는 계속 셌으면) 그 차이를 공백 시간에 비례해 날짜별로 나눈다 (fill=interpolate)
+// 같은 날 안의 공백은 그날 first~last 차이에 이미 들어 있으므로 나누지 않고 partial 로만 표시한다.
+// 버킷 data_quality: ok(프레임 있음) | partial(프레임 있으나 공백 겹침) | interpolated(프레임 없음, 보간값) | missing(프레임·보간 없음)
+const { DateTime } = require('luxon');
+const { SEGMENT_RANGES_SQL, segmentJoinSql, stitchedWhSql } = require('./counterSegments');
+const { metricsConds } = require('./frameMetrics');
+const { MAX_KW } = require('./validate');
+
+const GAP_MINUTES = Number(process.env.SERIES_GAP_MINUTES || '90');
+const FILL_MODES = ['none', 'zero', 'interpolate'];
+
+function fillModeFrom(req) {
+  const v = String(req.query.fill || 'none').toLowerCase();
+  if (!FILL_MODES.includes(v)) {
+    const e = new Error(`fill 은 ${FILL_MODES.join('/')} 중 하나여야 합니다.`);
+    e.status = 400;
+    throw e;
+  }
+  return v;
+}
+
+// from~to 와 겹치는 공백. 구간 앞뒤 프레임까지 보므로 구간 전체가 비어도 잡힌다
+// 반환: [{ multi, from, to, fromWh, toWh, ongoing }] (wh 는 이어 붙인 누적값 BigInt, 끝 프레임이 없으면 toWh null)
+async function findSilences(db, imei, { from, to, energyHex = null, typeHex = null, multiHex = null, minutes = GAP_MINUTES }) {
+  const params = [imei, from, to, minutes];
+  // 구간 전체가 비어도 앞뒤 프레임을 찾도록 multi 목록은 일 집계에서 가져온다
+  const known = [];
+  if (energyHex) {
+    params.push(energyHex.toLowerCase());
+    known.push(`energy_hex = $${params.length}`);
+  }
+  if (multiHex) {
+    params.push(multiHex.toLowerCase());
+    known.push(`multi_hex = $${params.length}`);
+  }
+  const where = ['f.cumulative_wh IS NOT NULL', ...metricsConds({ energyHex, typeHex, multiHex }, params).map((c) => `f.${c}`)].join(' AND ');
+  const pick = `SELECT f."time", f.multi, ${stitchedWhSql()} AS wh
+                  FROM public.frame_metrics f
+                  LEFT JOIN s ON ${segmentJoinSql()}`;
+  const { rows } = await db.query(
+    `WITH s AS (${SEGMENT_RANGES_SQL} WHERE imei = $1),
+     win AS (${pick} WHERE f.imei = $1 AND f."time" >= $2 AND f."time" < $3 AND ${where}),
+     ms AS (
+       SELECT DISTINCT ('x' || multi_hex)::bit(8)::int AS multi
+         FROM public.log_rtureceivelog_daily WHERE ${['"rtuImei" = $1', ...known].join(' AND ')}
+       UNION SELECT multi FROM win
+     ),
+     edge AS (
+       SELECT e.* FROM ms CROSS JOIN LATERAL (
+         ${pick} WHERE f.imei = $1 AND f.multi = ms.multi AND f."time" < $2 AND ${where}
+         ORDER BY f."time" DESC LIMIT 1
+       ) e
+       UNION ALL
+       SELECT e.* FROM ms CROSS JOIN LATERAL (
+         ${pick} WHERE f.imei = $1 AND f.multi = ms.multi AND f."time" >= $3 AND ${where}
+         ORDER BY f."time" LIMIT 1
+       ) e
+     ),
+     pts AS (
+       SELECT "time", multi, wh,
+              LAG("time") OVER w AS prev_time, LAG(wh) OVER w AS prev_wh, LEAD("time") OVER w AS next_time
+         FROM (SELECT * FROM win UNION ALL SELECT * FROM edge) x
+       WINDOW w AS (PARTITION BY multi ORDER BY "time")
+     )
+     SELECT lpad(to_hex(multi), 2, '0') AS multi_hex, prev_time AS from_time, "time" AS to_time, prev_wh AS from_wh, wh AS to_wh
+       FROM pts
+      WHERE prev_time IS NOT NULL AND "time" - prev_time > make_interval(mins => $4) AND "time" > $2 AND prev_time < $3
+     UNION ALL
+     SELECT lpad(to_hex(multi), 2, '0'), "time", NULL, wh, NULL
+       FROM pts
+      WHERE next_time IS NULL AND "time" < $3
+     ORDER BY 2`,
+    params
+  );
+
+  // 마지막 프레임 뒤로 아무것도 없으면 지금(또는 to)까지를 공백으로 본다
+  const end = Math.min(new Date(to).getTime(), Date.now());
+  const out = [];
+  for (const r of rows) {
+    const s = new Date(r.from_time).getTime();
+    const e = r.to_time ? new Date(r.to_time).getTime() : end;
+    if (e - s <= minutes * 60000 || e <= new Date(from).getTime()) continue;
+    out.push({
+      multi: r.multi_hex,
+      from: new Date(s),
+      to: new Date(e),
+      fromWh: r.from_wh != null ? BigInt(r.from_wh) : null,
+      toWh: r.to_wh != null ? BigInt(r.to_wh) : null,
+      ongoing: !r.to_time,
+    });
+  }
+  return out;
+}
+
+const dayKey = (ms, zone) => DateTime.fromMillis(ms, { zone }).toFormat('yyyy-LL-dd');
+
+// [from, to) 가 걸친 날짜별 ms
+function overlapByDay(from, to, zone) {
+  const out = new Map();
+  const end = new Date(to).getTime();
+  for (let t = new Date(from).getTime(); t < end;) {
+    const next = Math.min(DateTime.fromMillis(t, { zone }).startOf('day').plus({ days: 1 }).toMillis(), end);
+    out.set(dayKey(t, zone), next - t);
+    t = next;
+  }
+  return out;
+}
+
+// from 이후에 시작하는 날 ~ min(to, 지금) 의 날짜 버킷
+function expectedDays(from, to, zone) {
+  let d = DateTime.fromJSDate(new Date(from), { zone }).startOf('day');
+  if (d.toMillis() < new Date(from).getTime()) d = d.plus({ days: 1 });
+  const end = Math.min(new Date(to).getTime(), Date.now());
+  const days = [];
+  for (; d.toMillis() < end; d = d.plus({ days: 1 })) days.push(d.toFormat('yyyy-LL-dd'));
+  return days;
+}
+
+// 공백 동안 카운터가 그럴듯하게 늘었는가 (줄었거나 MAX_KW 를 넘는 속도면 보간하지 않는다)
+function canInterpolate(s) {
+  if (s.fromWh == null || s.toWh == null || s.toWh <= s.fromWh) return false;
+  const hours = (s.to - s.from) / 3600000;
+  return Number(s.toWh - s.fromWh) / 1000 / hours <= MAX_KW;
+}
+
+// 날짜 버킷(zone 기준)별 프레임 수·공백·보간 Wh
+// framesByDay: Map(day → 프레임 수). silences 에는 interpolatedWh 를 채워 넣는다
+function assessDays({ from, to, zone, framesByDay, silences, interpolate = false }) {
+  const days = expectedDays(from, to, zone);
+  const inWindow = new Set(days);
+  const overlapped = new Set();
+  const interpWh = new Map();
+
+  for (const s of silences) {
+    const parts = overlapByDay(s.from, s.to, zone);
+    for (const d of parts.keys()) overlapped.add(d);
+    s.interpolatedWh = 0;
+    if (!interpolate || parts.size < 2 || !canInterpolate(s)) continue;
+    const total = s.to - s.from;
+    const delta = Number(s.toWh - s.fromWh);
+    for (const [d, ms] of parts) {
+      if (!inWindow.has(d)) continue;
+      const wh = (delta * ms) / total;
+      interpWh.set(d, (interpWh.get(d) || 0) + wh);
+      s.interpolatedWh += wh;
+    }
+  }
+
+  return days.map((day) => {
+    const frames = framesByDay.get(day) || 0;
+    const wh = interpWh.get(day) || 0;
+    let quality;
+    if (frames) quality = overlapped.has(day) ? 'partial' : 'ok';
+    else quality = wh > 0 ? 'interpolated' : 'missing';
+    return { day, frames, quality, interpolatedWh: wh };
+  });
+}
+
+// 프레임 없는 날을 연속 구간으로: [{ from, to, days }] (from·to 포함)
+function missingRanges(dayQuality) {
+  const out = [];
+  let cur = null;
+  dayQuality.forEach((d, i) => {
+    if (d.frames) {
+      cur = null;
+      return;
+    }
+    if (cur && cur.idx === i - 1) {
+      cur.range.to = d.day;
+      cur.range.days++;
+      cur.idx = i;
+      return;
+    }
+    cur = { idx: i, range: { from: d.day, to: d.day, days: 1 } };
+    out.push(cur.range);
+  });
+  return out;
+}
+
+// 여러 날 → 하나 (월 버킷): 모두 같으면 그 값, 섞이면 partial
+function rollupQuality(list) {
+  const set = new Set(list.map((d) => d.quality));
+  if (!set.size) return null;
+  return set.size === 1 ? [...set][0] : 'partial';
+}
+
+module.exports = {
+  GAP_MINUTES,
+  FILL_MODES,
+  fillModeFrom,
+  findSilences,
+  expectedDays,
+  assessDays,
+  missingRanges,
+  rollupQuality,
+};
@@ -0,0 +1,90 @@
+// 빈 날짜·공백 판정과 fill=interpolate 보간 배분 (SQL 없는 부분)
+const { fillModeFrom, expectedDays, assessDays, missingRanges, rollupQuality } = require('./gaps');
+
+const zone = 'Asia/Seoul';
+const kst = (s) => new Date(`${s}+09:00`);
+const from = kst('2025-03-01T00:00:00');
+const to = kst('2025-03-05T00:00:00');
+const framesByDay = new Map([['2025-03-01', 100], ['2025-03-04', 50]]);
+// 03-01 18시 ~ 03-04 06시 (60시간) 동안 60kWh 증가
+const silence = () => ({ multi: '00', from: kst('2025-03-01T18:00:00'), to: kst('2025-03-04T06:00:00'), fromWh: 1000000n, toWh: 1060000n });
+
+describe('expectedDays', () => {
+  test('from 이후 시작하는 날부터 to 전날까지 (zone 기준)', () => {
+    expect(expectedDays(from, to, zone)).toEqual(['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04']);
+    expect(expectedDays(kst('2025-03-01T12:00:00'), to, zone)[0]).toBe('2025-03-02');
+  });
+});
+
+describe('assessDays', () => {
+  test('보간 없이: 프레임 없는 날은 missing, 공백이 걸친 날은 partial', () => {
+    const days = assessDays({ from, to, zone, framesByDay, silences: [silence()] });
+    expect(days.map((d) => [d.day, d.frames, d.quality, d.interpolatedWh])).toEqual([
+      ['2025-03-01', 100, 'partial', 0],
+      ['2025-03-02', 0, 'missing', 0],
+      ['2025-03-03', 0, 'missing', 0],
+      ['2025-03-04', 50, 'partial', 0],
+    ]);
+  });
+
+  test('interpolate: 공백 동안 늘어난 Wh 를 날짜별 시간 비율로 나눈다', () => {
+    const s = silence();
+    const days = assessDays({ from, to, zone, framesByDay, silences: [s], interpolate: true });
+    expect(days.map((d) => [d.quality, d.interpolatedWh])).toEqual([
+      ['partial', 6000],
+      ['interpolated', 24000],
+      ['interpolated', 24000],
+      ['partial', 6000],
+    ]);
+    expect(s.interpolatedWh).toBe(60000);
+  });
+
+  test('카운터가 줄었거나 MAX_KW 를 넘게 늘었으면 보간하지 않는다', () => {
+    const down = { ...silence(), toWh: 10n };
+    const jump = { ...silence(), toWh: 10n ** 12n };
+    for (const s of [down, jump]) {
+      const days = assessDays({ from, to, zone, framesByDay, silences: [s], interpolate: true });
+      expect(days.map((d) => d.quality)).toEqual(['partial', 'missing', 'missing', 'partial']);
+      expect(s.interpolatedWh).toBe(0);
+    }
+  });
+
+  test('같은 날 안의 공백은 partial 로만 표시', () => {
+    const s = { multi: '00', from: kst('2025-03-01T06:00:00'), to: kst('2025-03-01T12:00:00'), fromWh: 0n, toWh: 1000n };
+    const days = assessDays({ from, to, zone, framesByDay: new Map([['2025-03-01', 10]]), silences: [s], interpolate: true });
+    expect(days[0]).toEqual({ day: '2025-03-01', frames: 10, quality: 'partial', interpolatedWh: 0 });
+  });
+
+  test('창 밖 날짜 몫은 더하지 않는다', () => {
+    const s = { ...silence(), from: kst('2025-02-28T18:00:00'), to: kst('2025-03-01T18:00:00'), fromWh: 0n, toWh: 24000n };
+    const days = assessDays({ from, to, zone, framesByDay, silences: [s], interpolate: true });
+    expect(s.interpolatedWh).toBe(18000);
+    expect(days[0].quality).toBe('partial');
+  });
+});
+
+describe('missingRanges', () => {
+  test('프레임 없는 연속 날짜를 묶는다', () => {
+    const q = ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-05'].map((day, i) => ({ day, frames: [1, 0, 0, 1, 0][i] }));
+    expect(missingRanges(q)).toEqual([
+      { from: '2025-03-02', to: '2025-03-03', days: 2 },
+      { from: '2025-03-05', to: '2025-03-05', days: 1 },
+    ]);
+  });
+});
+
+describe('rollupQuality', () => {
+  test('모두 같으면 그 값, 섞이면 partial, 비면 null', () => {
+    expect(rollupQuality([{ quality: 'ok' }, { quality: 'ok' }])).toBe('ok');
+    expect(rollupQuality([{ quality: 'ok' }, { quality: 'missing' }])).toBe('partial');
+    expect(rollupQuality([])).toBeNull();
+  });
+});
+
+describe('fillModeFrom', () => {
+  test('기본 none, 잘못된 값은 400', () => {
+    expect(fillModeFrom({ query: {} })).toBe('none');
+    expect(fillModeFrom({ query: { fill: 'Interpolate' } })).toBe('interpolate');
+    expect(() => fillModeFrom({ query: { fill: 'x' } })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
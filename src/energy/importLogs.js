@@ -0,0 +1,276 @@
+// src/energy/importLogs.js
+// 과거 RTU 로그 일괄 가져오기 (구 수집기 export, RTU SD 카드 덤프) — CSV / NDJSON
+// 행마다 body 를 파서로 검증하고 (rtuImei, time, multiId) 가 같은 행은 파일 안·DB 모두 중복으로 건너뛴다.
+// 파일 안 중복은 세션 임시 테이블(import_seen)에 키를 쌓아 DB 가 가리므로 파일 크기와 무관하게 메모리는 조각 하나분이다.
+// CHUNK 행씩 한 트랜잭션으로 원본 + frame_metrics 를 저장하고, 끝나면 들어간 시간 범위의 집계를 다시 계산한다.
+const readline = require('readline');
+const csv = require('csv-parser');
+const { DateTime } = require('luxon');
+const { pool } = require('../db/db.pg');
+const { decodeMessage } = require('./parser');
+const { getFwVersion } = require('./devices');
+const { refreshAggregateRange } = require('./frameMetrics');
+const { HeaderSchema, normalizeBody, rejectReason, insertLogRows } = require('./rtuLog');
+const { TZ } = require('./timeutil');
+
+const CHUNK = 1000;
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+// 보고서에 담는 거부 행 수 (건수는 모두 센다)
+const MAX_REJECTIONS = 500;
+
+// 내보낸 도구마다 열 이름이 달라 별칭을 받는다
+const ALIASES = {
+  rtuImei: ['rtuImei', 'rtu_imei', 'imei'],
+  time: ['time', 'timestamp', 'ts', 'received_at', 'receivedAt'],
+  body: ['body', 'hex', 'frame'],
+  deviceModel: ['deviceModel', 'device_model'],
+  msgType: ['msgType', 'msg_type'],
+  seqSendTime: ['seqSendTime', 'seq_send_time'],
+  opMode: ['opMode', 'op_mode'],
+  multiId: ['multiId', 'multi_id'],
+  bodyOptionId: ['bodyOptionId', 'body_option_id'],
+  businessId: ['businessId', 'business_id'],
+  serviceId: ['serviceId', 'service_id'],
+};
+
+const FORMATS = { csv: 'csv', ndjson: 'ndjson', jsonl: 'ndjson', json: 'ndjson' };
+
+// 명시값 → 파일 확장자 → csv
+function resolveFormat(format, filename) {
+  if (format) return FORMATS[String(format).toLowerCase()] || null;
+  const ext = String(filename || '').split('.').pop().toLowerCase();
+  return FORMATS[ext] || 'csv';
+}
+
+async function* readRecords(stream, format) {
+  if (format === 'ndjson') {
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let line = 0;
+    for await (const text of rl) {
+      line++;
+      const t = text.replace(/^\ufeff/, '').trim();
+      if (!t) continue;
+      try {
+        yield { line, record: JSON.parse(t) };
+      } catch (e) {
+        yield { line, error: 'invalid_json' };
+      }
+    }
+    return;
+  }
+
+  // 헤더가 1행이므로 데이터는 2행부터
+  const rows = stream.pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\ufeff/, '').trim() }));
+  let line = 1;
+  for await (const record of rows) {
+    line++;
+    yield { line, record };
+  }
+}
+
+function pick(record, name) {
+  for (const k of ALIASES[name]) {
+    const v = record[k];
+    if (v != null && v !== '') return v;
+  }
+  return null;
+}
+
+// epoch(초/ms), ISO, 'YYYY-MM-DD HH:mm:ss' — 오프셋 없는 값은 KST
+function parseTime(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  if (/^\d{10}(\d{3})?$/.test(s)) return new Date(s.length === 10 ? Number(s) * 1000 : Number(s));
+  let dt = DateTime.fromISO(s, { zone: TZ });
+  if (!dt.isValid) dt = DateTime.fromSQL(s, { zone: TZ });
+  return dt.isValid ? dt.toJSDate() : null;
+}
+
+// 없는 열은 undefined (선택 열은 그대로 비우고, 필수 열은 기본값으로 채운다)
+const pickOr = (record, name, def) => pick(record, name) ?? def;
+
+async function validateRecord(record, strict) {
+  const time = parseTime(pick(record, 'time'));
+  if (!time) return { reason: 'invalid_time' };
+  if (time.getTime() - Date.now() > MAX_FUTURE_MS) return { reason: 'future_time' };
+
+  const body = normalizeBody(pick(record, 'body'));
+  if (!body) return { reason: 'invalid_hex' };
+  const bytes = body.split(' ');
+
+  // 수집 API 와 같은 헤더 규칙. SD 카드 덤프에는 RTU 헤더가 없는 경우가 많아 수집기 기본값으로 채운다
+  const header = HeaderSchema.safeParse({
+    rtuImei: String(pick(record, 'rtuImei') || '').trim(),
+    deviceModel: String(pickOr(record, 'deviceModel', 'IMP01')),
+    msgType: String(pickOr(record, 'msgType', '1')),
+    seqSendTime: String(pickOr(record, 'seqSendTime', DateTime.fromJSDate(time).setZone(TZ).toFormat('HH:mm:ss'))),
+    opMode: String(pickOr(record, 'opMode', '0')),
+    multiId: pickOr(record, 'multiId', bytes.length > 3 ? parseInt(bytes[3], 16) : 0),
+    bodyOptionId: pickOr(record, 'bodyOptionId', 0),
+    businessId: pickOr(record, 'businessId', undefined),
+    serviceId: pickOr(record, 'serviceId', undefined),
+  });
+  if (!header.success) {
+    const field = header.error.issues[0]?.path[0];
+    return { reason: field === 'rtuImei' ? 'invalid_imei' : `invalid_${field || 'header'}` };
+  }
+  const h = header.data;
+
+  const m = decodeMessage(body, { fwVersion: await getFwVersion(h.rtuImei) });
+  const reason = rejectReason(m, strict);
+  if (reason) return { reason };
+
+  return {
+    row: {
+      ...h,
+      time,
+      body,
+      bodyLength: bytes.length,
+      businessId: h.businessId ?? null,
+      serviceId: h.serviceId ?? null,
+    },
+  };
+}
+
+const dedupKey = (imei, time, multiId) => `${imei}|${new Date(time).getTime()}|${multiId}`;
+
+async function existingKeys(db, rows) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const r of rows) {
+    lo = Math.min(lo, r.time.getTime());
+    hi = Math.max(hi, r.time.getTime());
+  }
+  const { rows: found } = await db.query(
+    `SELECT l."rtuImei", l."time", l."multiId"
+       FROM public.log_rtureceivelog l
+       JOIN unnest($1::text[], $2::timestamptz[], $3::int[]) AS k(imei, t, multi)
+         ON l."rtuImei" = k.imei AND l."time" = k.t AND l."multiId" = k.multi
+      WHERE l."time" BETWEEN $4 AND $5`,
+    [rows.map((r) => r.rtuImei), rows.map((r) => r.time), rows.map((r) => r.multiId), new Date(lo), new Date(hi)]
+  );
+  return new Set(found.map((r) => dedupKey(r.rtuImei, r.time, r.multiId)));
+}
+
+// 조각 안에서는 먼저 온 행, 앞 조각과 겹치면 임시 테이블에 이미 있는 키라 뺀다.
+// 트랜잭션 밖에서 넣어 dryRun 롤백 뒤에도 남는다
+async function firstSeen(db, rows) {
+  const first = new Map();
+  for (const r of rows) {
+    const key = dedupKey(r.rtuImei, r.time, r.multiId);
+    if (!first.has(key)) first.set(key, r);
+  }
+  const keep = [...first.values()];
+  const { rows: added } = await db.query(
+    `INSERT INTO pg_temp.import_seen (imei, t, multi)
+     SELECT * FROM unnest($1::text[], $2::timestamptz[], $3::int[])
+     ON CONFLICT DO NOTHING
+     RETURNING imei, t, multi`,
+    [keep.map((r) => r.rtuImei), keep.map((r) => r.time), keep.map((r) => r.multiId)]
+  );
+  const fresh = new Set(added.map((r) => dedupKey(r.imei, r.t, r.multi)));
+  return keep.filter((r) => fresh.has(dedupKey(r.rtuImei, r.time, r.multiId)));
+}
+
+// stream: 파일/업로드 스트림
+// opts: format('csv'|'ndjson'), strict, dryRun(검증·중복 확인만), refresh(집계 갱신, 기본 true),
+//       onReject({ line, reason, record }) — 보고서 상한과 무관하게 모든 거부 행
+async function importLogs(stream, { format = 'csv', strict = false, dryRun = false, refresh = true, onReject } = {}) {
+  const report = {
+    ok: true,
+    format,
+    dryRun,
+    total: 0,
+    accepted: 0,
+    inserted: 0,
+    duplicates: { inFile: 0, existing: 0 },
+    rejected: 0,
+    rejections: [],
+    range: null,
+    refreshed: false,
+  };
+  let lo = null;
+  let hi = null;
+  let chunk = [];
+
+  const reject = (line, reason, record) => {
+    report.rejected++;
+    if (report.rejections.length < MAX_REJECTIONS) report.rejections.push({ line, reason });
+    if (onReject) onReject({ line, reason, record });
+  };
+
+  const flush = async () => {
+    if (!chunk.length) return;
+    const rows = await firstSeen(client, chunk);
+    report.duplicates.inFile += chunk.length - rows.length;
+    chunk = [];
+    if (!rows.length) return;
+
+    try {
+      await client.query('BEGIN');
+      const existing = await existingKeys(client, rows);
+      const fresh = rows.filter((r) => !existing.has(dedupKey(r.rtuImei, r.time, r.multiId)));
+      report.duplicates.existing += rows.length - fresh.length;
+      report.accepted += fresh.length;
+
+      if (fresh.length && !dryRun) {
+        const inserted = await insertLogRows(client, fresh);
+        report.inserted += inserted.length;
+      }
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+      // 커밋된 행만 집계 갱신 범위에 넣는다
+      for (const r of fresh) {
+        const t = r.time.getTime();
+        if (lo == null || t < lo) lo = t;
+        if (hi == null || t > hi) hi = t;
+      }
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  };
+
+  const refreshRange = async () => {
+    if (lo == null) return;
+    report.range = { from: new Date(lo).toISOString(), to: new Date(hi).toISOString() };
+    if (refresh && report.inserted) {
+      await refreshAggregateRange(pool, lo, hi);
+      await pool.query('REFRESH MATERIALIZED VIEW public.mv_energy_recent');
+      report.refreshed = true;
+    }
+  };
+
+  // 임시 테이블은 세션 단위라 가져오기 내내 한 연결을 쓴다
+  const client = await pool.connect();
+  try {
+    await client.query('DROP TABLE IF EXISTS pg_temp.import_seen');
+    await client.query('CREATE TEMP TABLE import_seen (imei text, t timestamptz, multi int, PRIMARY KEY (imei, t, multi))');
+    for await (const { line, record, error } of readRecords(stream, format)) {
+      report.total++;
+      if (error) {
+        reject(line, error, null);
+        continue;
+      }
+      const v = await validateRecord(record, strict);
+      if (v.reason) {
+        reject(line, v.reason, record);
+        continue;
+      }
+      chunk.push(v.row);
+      if (chunk.length >= CHUNK) await flush();
+    }
+    await flush();
+  } catch (e) {
+    // 중간에 실패해도 이미 커밋된 조각의 집계는 맞춰 둔다
+    await refreshRange().catch(() => {});
+    throw e;
+  } finally {
+    await client.query('DROP TABLE IF EXISTS pg_temp.import_seen').catch(() => {});
+    client.release();
+  }
+  await refreshRange();
+  report.rejectionsTruncated = report.rejected > report.rejections.length;
+  return report;
+}
+
+module.exports = { resolveFormat, readRecords, parseTime, validateRecord, importLogs };
@@ -0,0 +1,106 @@
+// 과거 RTU 로그 가져오기: 형식 판별, CSV/NDJSON 읽기, 시각 해석, 행 검증 (DB 저장은 제외)
+const { Readable } = require('stream');
+const { resolveFormat, readRecords, parseTime, validateRecord } = require('./importLogs');
+
+const FRAME = '14 01 01 00 00 01 5e 00 32 04 e2 00 dc 00 1a 04 e2 03 e7 02 58 00 00 00 00 00 0f 42 40 00 00';
+
+async function readAll(text, format) {
+  const out = [];
+  for await (const r of readRecords(Readable.from([text]), format)) out.push(r);
+  return out;
+}
+
+describe('resolveFormat', () => {
+  test('명시값 → 확장자 → csv', () => {
+    expect(resolveFormat('JSONL', 'a.csv')).toBe('ndjson');
+    expect(resolveFormat('xml', 'a.csv')).toBeNull();
+    expect(resolveFormat(null, 'dump.ndjson')).toBe('ndjson');
+    expect(resolveFormat(null, 'dump.txt')).toBe('csv');
+  });
+});
+
+describe('readRecords', () => {
+  test('CSV: BOM·공백 헤더를 정리하고 데이터는 2행부터', async () => {
+    const rows = await readAll('\ufeff imei ,time,body\n864000000000001,2025-01-01 09:00:00,14 01\n864000000000002,2025-01-01 09:01:00,14 02\n', 'csv');
+    expect(rows).toEqual([
+      { line: 2, record: { imei: '864000000000001', time: '2025-01-01 09:00:00', body: '14 01' } },
+      { line: 3, record: { imei: '864000000000002', time: '2025-01-01 09:01:00', body: '14 02' } },
+    ]);
+  });
+
+  test('NDJSON: 빈 줄은 건너뛰고 깨진 줄은 줄 번호와 invalid_json', async () => {
+    const rows = await readAll('{"imei":"a"}\n\n{oops\r\n{"imei":"b"}\n', 'ndjson');
+    expect(rows).toEqual([
+      { line: 1, record: { imei: 'a' } },
+      { line: 3, error: 'invalid_json' },
+      { line: 4, record: { imei: 'b' } },
+    ]);
+  });
+});
+
+describe('parseTime', () => {
+  test('오프셋 없는 값은 KST', () => {
+    expect(parseTime('2025-01-01 09:00:00').toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(parseTime('2025-01-01T09:00:00').toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(parseTime('2025-01-01T00:00:00Z').toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('epoch 초·ms', () => {
+    expect(parseTime('1735689600').toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(parseTime(1735689600000).toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('해석할 수 없으면 null', () => {
+    expect(parseTime('yesterday')).toBeNull();
+    expect(parseTime(null)).toBeNull();
+  });
+});
+
+describe('validateRecord', () => {
+  const base = { imei: '864000000000001', timestamp: '2025-01-01 09:00:00', hex: FRAME.replace(/ /g, '') };
+
+  test('별칭 열과 RTU 헤더 기본값', async () => {
+    const { row, reason } = await validateRecord(base, false);
+    expect(reason).toBeUndefined();
+    expect(row).toMatchObject({
+      rtuImei: '864000000000001',
+      time: new Date('2025-01-01T00:00:00Z'),
+      body: FRAME,
+      bodyLength: 31,
+      deviceModel: 'IMP01',
+      msgType: '1',
+      seqSendTime: '09:00:00',
+      opMode: '0',
+      multiId: 0,
+      bodyOptionId: 0,
+      businessId: null,
+      serviceId: null,
+    });
+  });
+
+  test('multiId 가 없으면 바디 4번째 바이트', async () => {
+    const { row } = await validateRecord({ ...base, hex: FRAME.replace(/^14 01 01 00/, '14 01 01 02') }, false);
+    expect(row.multiId).toBe(2);
+  });
+
+  test('거부 사유', async () => {
+    const cases = [
+      [{ ...base, timestamp: 'x' }, 'invalid_time'],
+      [{ ...base, timestamp: '2999-01-01 00:00:00' }, 'future_time'],
+      [{ ...base, hex: '14 zz' }, 'invalid_hex'],
+      [{ ...base, imei: '' }, 'invalid_imei'],
+      [{ ...base, multi_id: 40000 }, 'invalid_multiId'],
+      [{ ...base, hex: '15 01 02' }, 'unsupported_command'],
+      [{ ...base, hex: '14 01 01' }, 'short_header'],
+    ];
+    for (const [record, reason] of cases) {
+      expect(await validateRecord(record, false)).toEqual({ reason });
+    }
+  });
+
+  test('strict 면 짧은 계측 프레임도 거부', async () => {
+    const short = { ...base, hex: FRAME.split(' ').slice(0, 12).join(' ') };
+    expect((await validateRecord(short, false)).row).toBeDefined();
+    expect(await validateRecord(short, true)).toEqual({ reason: 'short_single' });
+  });
+});
@@ -0,0 +1,168 @@
+// src/energy/inspect.js
+// 바이트 단위 프레임 검사기 (지원 인력용).
+// 모든 바이트에 헤더/필드/무시/기대 길이 초과 역할을 붙이고, 필드별 원시값·환산값·단위를 보여준다.
+// 필드 배치는 parseFrame 과 같은 registry 레이아웃을 그대로 쓴다.
+const { parseFrame } = require('./parser');
+const {
+  getLayout,
+  resolveLayout,
+  decodeFields,
+  fieldIndex,
+  fieldSize,
+  encodedLength,
+  u16,
+  u32,
+  u64,
+} = require('./registry');
+const { decodeCommand } = require('./commands');
+const { validateFrame } = require('./validate');
+
+const ROLE = {
+  HEADER: 'header',
+  FIELD: 'field',
+  COMMAND: 'command_payload',
+  IGNORED: 'ignored',
+  OUT_OF_RANGE: 'out_of_range',
+};
+
+const HEADER_NAMES = ['command', 'energy', 'type', 'multi', 'errCode'];
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+const jsonValue = (v) => (typeof v === 'bigint' ? v.toString() : v);
+
+// 공백 구분 hex → 바이트. 잘못된 토큰은 위치와 함께 돌려준다
+function tokenize(hex) {
+  const tokens = String(hex || '').trim().split(/\s+/).filter(Boolean);
+  const bytes = [];
+  const invalid = [];
+  tokens.forEach((t, i) => {
+    if (/^[0-9a-fA-F]{1,2}$/.test(t)) bytes.push(parseInt(t, 16));
+    else invalid.push({ index: i, token: t });
+  });
+  return { bytes, invalid };
+}
+
+// temp10 의 원시값은 부호 니블을 포함한 16bit 그대로
+function rawValue(kind, b, i) {
+  if (kind === 'u8') return b[i];
+  if (kind === 'u32') return u32(b, i);
+  if (kind === 'u64') return u64(b, i);
+  return u16(b, i);
+}
+
+// 기대 길이 상한: maxLength, 끝 기준(음수 offset) 필드가 있으면 가변 길이로 본다
+function expectedMax(layout) {
+  if (layout.maxLength != null) return layout.maxLength;
+  if (layout.fields.some((f) => f.offset < 0)) return null;
+  return encodedLength(layout);
+}
+
+function inspectMeasurement(b, opts) {
+  const energy = b[1];
+  const type = b[2];
+  const forced = opts.version ? getLayout(energy, type, opts.version) : null;
+  const resolved = forced
+    ? { layout: forced, short: b.length < forced.minLength, by: 'version' }
+    : resolveLayout(energy, type, { fwVersion: opts.fwVersion, length: b.length });
+  const { layout } = resolved;
+
+  const roles = b.map((_, i) => (i < HEADER_NAMES.length ? { role: ROLE.HEADER, field: HEADER_NAMES[i] } : { role: ROLE.IGNORED }));
+  const fields = [];
+  const maxLen = layout ? expectedMax(layout) : null;
+
+  for (const f of layout?.fields || []) {
+    const idx = fieldIndex(f, b.length);
+    const size = fieldSize(f);
+    const present = idx >= 0 && idx + size <= b.length;
+    const entry = {
+      name: f.name,
+      offset: f.offset,
+      index: present ? idx : null,
+      size,
+      kind: f.kind,
+      unit: f.unit || null,
+      divisor: f.divisor || 1,
+      status: present ? 'ok' : 'missing',
+      rawHex: null,
+      raw: null,
+      value: f.default ?? null,
+    };
+    if (present) {
+      const raw = rawValue(f.kind, b, idx);
+      entry.rawHex = b.slice(idx, idx + size).map(hex2).join(' ');
+      entry.raw = jsonValue(raw);
+      for (let k = 0; k < size; k++) {
+        roles[idx + k] = { role: ROLE.FIELD, field: f.name, part: `${k + 1}/${size}` };
+      }
+    }
+    fields.push(entry);
+  }
+
+  // 환산값은 parseFrame 과 같은 decodeFields 결과 (짧은 프레임이어도 있는 필드는 보여준다)
+  if (layout) {
+    const decoded = decodeFields(layout, b);
+    for (const e of fields) e.value = jsonValue(decoded[e.name]);
+  }
+  const p = parseFrame(b.map(hex2).join(' '), { fwVersion: opts.fwVersion, version: opts.version });
+
+  if (maxLen != null) {
+    for (let i = maxLen; i < b.length; i++) roles[i] = { ...roles[i], role: ROLE.OUT_OF_RANGE };
+  }
+
+  const lengthStatus = !layout
+    ? 'unknown_layout'
+    : b.length < layout.minLength
+      ? 'short'
+      : maxLen != null && b.length > maxLen
+        ? 'long'
+        : 'ok';
+
+  return {
+    p,
+    roles,
+    extra: {
+      layout: layout
+        ? { version: layout.version, name: layout.name, selectedBy: resolved.by, minLength: layout.minLength, maxLength: maxLen }
+        : null,
+      lengthStatus,
+      missingBytes: layout && b.length < layout.minLength ? layout.minLength - b.length : 0,
+      fields,
+      quality: p.ok ? validateFrame(p) : null,
+    },
+  };
+}
+
+// hex: 공백 구분 바디, opts: { fwVersion, version }
+function inspectFrame(hex, opts = {}) {
+  const { bytes: b, invalid } = tokenize(hex);
+  if (invalid.length) return { ok: false, reason: 'invalid_hex', invalid };
+  if (!b.length) return { ok: false, reason: 'empty' };
+
+  let result;
+  if (b[0] === 0x14 && b.length >= HEADER_NAMES.length) {
+    result = inspectMeasurement(b, opts);
+  } else {
+    const c = decodeCommand(b);
+    result = {
+      p: c || { ok: false, reason: b[0] === 0x14 ? 'short' : 'unsupported_command' },
+      roles: b.map((_, i) => (i === 0 ? { role: ROLE.HEADER, field: 'command' } : { role: c ? ROLE.COMMAND : ROLE.IGNORED })),
+      extra: { layout: null, lengthStatus: c ? (c.ok ? 'ok' : 'short') : 'unknown_layout', missingBytes: 0, fields: [] },
+    };
+  }
+
+  const byteList = b.map((v, i) => ({ index: i, hex: hex2(v), value: v, ...result.roles[i] }));
+  const ignored = byteList.filter((x) => x.role === ROLE.IGNORED).map((x) => x.index);
+  const outOfRange = byteList.filter((x) => x.role === ROLE.OUT_OF_RANGE).map((x) => x.index);
+
+  return {
+    ok: true,
+    length: b.length,
+    ...result.extra,
+    ignoredBytes: ignored,
+    outOfRangeBytes: outOfRange,
+    bytes: byteList,
+    parsed: JSON.parse(JSON.stringify(result.p, (_, v) => jsonValue(v))),
+  };
+}
+
+module.exports = { ROLE, inspectFrame };
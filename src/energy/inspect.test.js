@@ -0,0 +1,80 @@
+// 바이트 단위 프레임 검사기: 바이트 역할, 필드 원시값·환산값, 길이 판정
+const { ROLE, inspectFrame } = require('./inspect');
+
+// README 의 태양광 단상 예시 프레임 (31바이트)
+const README_FRAME = '14 01 01 00 00 01 5e 00 32 04 e2 00 dc 00 1a 04 e2 03 e7 02 58 00 00 00 00 00 0f 42 40 00 00';
+const bytesOf = (hex) => hex.split(' ');
+
+describe('inspectFrame 계측 프레임', () => {
+  const r = inspectFrame(README_FRAME);
+  const field = (name) => r.fields.find((f) => f.name === name);
+
+  test('길이로 고른 레이아웃과 정상 길이', () => {
+    expect(r.ok).toBe(true);
+    expect(r.length).toBe(31);
+    expect(r.layout).toMatchObject({ version: 'v2', selectedBy: 'length', maxLength: 31 });
+    expect(r.lengthStatus).toBe('ok');
+    expect(r.ignoredBytes).toEqual([]);
+    expect(r.outOfRangeBytes).toEqual([]);
+  });
+
+  test('헤더 5바이트와 필드 바이트 역할', () => {
+    expect(r.bytes.slice(0, 5).map((b) => [b.role, b.field])).toEqual([
+      [ROLE.HEADER, 'command'],
+      [ROLE.HEADER, 'energy'],
+      [ROLE.HEADER, 'type'],
+      [ROLE.HEADER, 'multi'],
+      [ROLE.HEADER, 'errCode'],
+    ]);
+    expect(r.bytes[21]).toMatchObject({ role: ROLE.FIELD, field: 'cumulativeWh', part: '1/8' });
+    expect(r.bytes[28]).toMatchObject({ role: ROLE.FIELD, field: 'cumulativeWh', part: '8/8' });
+  });
+
+  test('원시값·환산값 (u64 는 문자열)', () => {
+    expect(field('pvVoltage')).toMatchObject({ index: 5, rawHex: '01 5e', raw: 350, value: 350, unit: 'V' });
+    expect(field('powerFactor')).toMatchObject({ raw: 999, value: 99.9, divisor: 10 });
+    expect(field('cumulativeWh')).toMatchObject({ raw: '1000000', value: '1000000' });
+    expect(r.parsed.metrics.cumulativeWh).toBe('1000000');
+    expect(r.quality).toEqual({ quality: 'ok', flags: [] });
+  });
+
+  test('version 을 주면 그 레이아웃으로 본다', () => {
+    expect(inspectFrame(README_FRAME, { version: 'v1' }).layout).toMatchObject({ version: 'v1', selectedBy: 'version' });
+  });
+});
+
+describe('inspectFrame 길이 이상', () => {
+  test('짧은 프레임: 모자란 바이트 수와 없는 필드', () => {
+    const r = inspectFrame(bytesOf(README_FRAME).slice(0, 9).join(' '));
+    expect(r.lengthStatus).toBe('short');
+    expect(r.missingBytes).toBe(20);
+    expect(r.fields.find((f) => f.name === 'pvCurrent')).toMatchObject({ status: 'ok', raw: 50 });
+    expect(r.fields.find((f) => f.name === 'cumulativeWh')).toMatchObject({ status: 'missing', index: null, raw: null });
+  });
+
+  test('긴 프레임: 기대 길이 뒤 바이트는 out_of_range', () => {
+    const r = inspectFrame(`${README_FRAME} ab cd`);
+    expect(r.lengthStatus).toBe('long');
+    expect(r.outOfRangeBytes).toEqual([31, 32]);
+    expect(r.bytes[32].role).toBe(ROLE.OUT_OF_RANGE);
+  });
+});
+
+describe('inspectFrame 그 밖의 입력', () => {
+  test('잘못된 hex 토큰은 위치와 함께', () => {
+    expect(inspectFrame('14 zz 01')).toEqual({ ok: false, reason: 'invalid_hex', invalid: [{ index: 1, token: 'zz' }] });
+    expect(inspectFrame('  ')).toEqual({ ok: false, reason: 'empty' });
+  });
+
+  test('미등록 명령은 첫 바이트만 헤더, 나머지는 무시', () => {
+    const r = inspectFrame('15 01 02');
+    expect(r.layout).toBeNull();
+    expect(r.lengthStatus).toBe('unknown_layout');
+    expect(r.ignoredBytes).toEqual([1, 2]);
+    expect(r.parsed).toEqual({ ok: false, reason: 'unsupported_command' });
+  });
+
+  test('헤더보다 짧은 0x14 프레임', () => {
+    expect(inspectFrame('14 01').parsed).toEqual({ ok: false, reason: 'short' });
+  });
+});
@@ -0,0 +1,569 @@
+// src/energy/layouts.js
+// 기본 프레임 레이아웃 등록. offset 은 프레임 바이트 기준(0=cmd), 음수는 끝에서부터.
+// 새 펌웨어 레이아웃은 같은 (energy, type) 에 version 을 달리해 register 하고,
+// rtu_rtu.fwVersion 으로 고르려면 firmware(RegExp | prefix 배열 | 함수)를 지정한다.
+// counter: 누적 카운터 필드 (기본 cumulativeWh). 단위 환산은 units.js
+const { register } = require('./registry');
+const { KCAL_PER_KWH, counterWh } = require('./units');
+const {
+  STATUS_MAP,
+  THERMAL_FAULT_MAP,
+  GEOTHERMAL_FAULT_MAP,
+  WIND_FAULT_MAP,
+  FUELCELL_FAULT_MAP,
+  ESS_FAULT_MAP,
+  faultBitsToList,
+} = require('./faults');
+
+const HEATPUMP_STATE = { 0: '미작동', 1: '냉방', 2: '난방' };
+
+const f = (name, offset, kind, extra = {}) => ({ name, offset, kind, ...extra });
+
+/* ───────── 태양광 단상 (01:01) ───────── */
+const PV_SINGLE_BASE = [
+  f('pvVoltage', 5, 'u16', { unit: 'V' }),
+  f('pvCurrent', 7, 'u16', { unit: 'A' }),
+  f('pvOutputW', 9, 'u16', { unit: 'W' }),
+  f('systemVoltage', 11, 'u16', { unit: 'V' }),
+  f('systemCurrent', 13, 'u16', { unit: 'A' }),
+  f('currentOutputW', 15, 'u16', { unit: 'W' }),
+  f('powerFactor', 17, 'u16', { divisor: 10, unit: '%' }),
+  f('frequencyHz', 19, 'u16', { divisor: 10, unit: 'Hz' }),
+];
+const PV_SINGLE_FLAGS = f('statusFlags', 29, 'u16', { default: 0, unit: 'bitmask' });
+
+function derivePvSingle(r) {
+  let pvPowerW = r.pvOutputW ?? null;
+  if (pvPowerW == null || pvPowerW === 0) {
+    if (r.pvVoltage != null && r.pvCurrent != null) pvPowerW = r.pvVoltage * r.pvCurrent;
+  }
+  const flags = r.statusFlags ?? 0;
+  const isOperating =
+    ((flags & 0x0001) === 0) &&
+    ((pvPowerW || 0) > 0 || (r.currentOutputW || 0) > 0 || (r.systemVoltage || 0) > 0);
+
+  return {
+    pvVoltage: r.pvVoltage,
+    pvCurrent: r.pvCurrent,
+    pvOutputW: r.pvOutputW,
+    pvPowerW,
+    systemVoltage: r.systemVoltage,
+    systemCurrent: r.systemCurrent,
+    currentOutputW: r.currentOutputW,
+    powerFactor: r.powerFactor,
+    frequencyHz: r.frequencyHz,
+    cumulativeWh: r.cumulativeWh ?? null,
+    statusFlags: flags,
+    statusList: faultBitsToList(flags, STATUS_MAP),
+    isOperating,
+  };
+}
+
+const PV_SINGLE = { energy: 0x01, type: 0x01, name: '태양광 단상', shortReason: 'short_single', derive: derivePvSingle };
+
+register({
+  ...PV_SINGLE,
+  version: 'v2',
+  primary: true,
+  minLength: 29,
+  fields: [
+    ...PV_SINGLE_BASE,
+    f('cumulativeWh', 21, 'u64', { unit: 'Wh' }),
+    PV_SINGLE_FLAGS,
+  ],
+});
+register({
+  ...PV_SINGLE,
+  version: 'v1',
+  minLength: 25,
+  maxLength: 28,
+  fields: [...PV_SINGLE_BASE, f('cumulativeWh', 21, 'u32', { bigint: true, unit: 'Wh' })],
+});
+register({
+  ...PV_SINGLE,
+  version: 'v0',
+  minLength: 21,
+  maxLength: 24,
+  fields: PV_SINGLE_BASE,
+});
+
+/* ───────── 태양광 삼상 (01:02) ───────── */
+const PV_THREE_BASE = [
+  f('pvVoltage', 5, 'u16', { unit: 'V' }),
+  f('pvCurrent', 7, 'u16', { unit: 'A' }),
+  f('pvOutputW', 9, 'u32', { unit: 'W' }),
+  f('systemR_V', 13, 'u16', { unit: 'V' }),
+  f('systemS_V', 15, 'u16', { unit: 'V' }),
+  f('systemT_V', 17, 'u16', { unit: 'V' }),
+  f('systemR_I', 19, 'u16', { unit: 'A' }),
+  f('systemS_I', 21, 'u16', { unit: 'A' }),
+  f('systemT_I', 23, 'u16', { unit: 'A' }),
+  f('currentOutputW', 25, 'u32', { unit: 'W' }),
+  f('powerFactor', 29, 'u16', { divisor: 10, unit: '%' }),
+  f('frequencyHz', 31, 'u16', { divisor: 10, unit: 'Hz' }),
+];
+const PV_THREE_FLAGS = f('statusFlags', 41, 'u16', { default: 0, unit: 'bitmask' });
+
+function derivePvThree(r) {
+  const rV = r.systemR_V, sV = r.systemS_V, tV = r.systemT_V;
+  const rI = r.systemR_I, sI = r.systemS_I, tI = r.systemT_I;
+
+  let pvPowerW = r.pvOutputW ?? null;
+  if (pvPowerW == null || pvPowerW === 0) {
+    if (
+      rV != null && sV != null && tV != null &&
+      rI != null && sI != null && tI != null
+    ) {
+      pvPowerW = (rV * rI) + (sV * sI) + (tV * tI);
+    } else if (r.pvVoltage != null && r.pvCurrent != null) {
+      pvPowerW = r.pvVoltage * r.pvCurrent;
+    }
+  }
+  const flags = r.statusFlags ?? 0;
+  const isOperating =
+    ((flags & 0x0001) === 0) &&
+    ((pvPowerW || 0) > 0 || (r.currentOutputW || 0) > 0 || ((rV || 0) + (sV || 0) + (tV || 0) > 0));
+
+  return {
+    pvVoltage: r.pvVoltage,
+    pvCurrent: r.pvCurrent,
+    pvOutputW: r.pvOutputW,
+    pvPowerW,
+    systemR_V: rV,
+    systemS_V: sV,
+    systemT_V: tV,
+    systemR_I: rI,
+    systemS_I: sI,
+    systemT_I: tI,
+    currentOutputW: r.currentOutputW,
+    powerFactor: r.powerFactor,
+    frequencyHz: r.frequencyHz,
+    cumulativeWh: r.cumulativeWh ?? null,
+    statusFlags: flags,
+    statusList: faultBitsToList(flags, STATUS_MAP),
+    isOperating,
+  };
+}
+
+const PV_THREE = { energy: 0x01, type: 0x02, name: '태양광 삼상', shortReason: 'short_three', derive: derivePvThree };
+
+register({
+  ...PV_THREE,
+  version: 'v2',
+  primary: true,
+  minLength: 41,
+  fields: [...PV_THREE_BASE, f('cumulativeWh', 33, 'u64', { unit: 'Wh' }), PV_THREE_FLAGS],
+});
+register({
+  ...PV_THREE,
+  version: 'v1',
+  minLength: 33,
+  maxLength: 40,
+  fields: [...PV_THREE_BASE, f('cumulativeWh', 33, 'u32', { bigint: true, unit: 'Wh' })],
+});
+
+/* ───────── 태양열 강제순환식 (02:01) ───────── */
+register({
+  energy: 0x02,
+  type: 0x01,
+  version: 'v1',
+  name: '태양열 강제순환식',
+  shortReason: 'short_thermal_forced',
+  minLength: 43,
+  counter: { fields: ['producedKcal', 'usedKcal'], pick: 'first_positive' },
+  fields: [
+    f('inletTempC', 5, 'temp10', { unit: '°C' }),
+    f('outletTempC', 7, 'temp10', { unit: '°C' }),
+    f('tankTopTempC', 9, 'temp10', { unit: '°C' }),
+    f('tankBottomTempC', 11, 'temp10', { unit: '°C' }),
+    f('flowLpm', 13, 'u32', { divisor: 10, unit: 'L/min' }),
+    f('producedKcal', 17, 'u64', {
+      divisor: 100,
+      unit: 'kcal',
+      encodeFallback: (m) => (m.cumulativeWh != null ? (Number(m.cumulativeWh) / 1000) * KCAL_PER_KWH : null),
+    }),
+    f('coldTempC', 25, 'temp10', { unit: '°C' }),
+    f('hotTempC', 27, 'temp10', { unit: '°C' }),
+    f('consumedFlowLpm', 29, 'u32', { divisor: 10, unit: 'L/min' }),
+    f('usedKcal', 33, 'u64', { divisor: 100, unit: 'kcal' }),
+    f('faultCode', 41, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r, layout) {
+    const prodKcal = r.producedKcal;
+    const useKcal = r.usedKcal;
+    const fault = r.faultCode;
+    const deltaT = (r.outletTempC ?? 0) - (r.inletTempC ?? 0);
+    const operating = ((fault & 0x0001) === 0) && (
+      (r.flowLpm > 0) || (r.consumedFlowLpm > 0) || (Math.abs(deltaT) >= 1) || (prodKcal > 0) || (useKcal > 0)
+    );
+
+    return {
+      inletTempC: r.inletTempC,
+      outletTempC: r.outletTempC,
+      tankTopTempC: r.tankTopTempC,
+      tankBottomTempC: r.tankBottomTempC,
+      flowLpm: r.flowLpm,
+      coldTempC: r.coldTempC,
+      hotTempC: r.hotTempC,
+      consumedFlowLpm: r.consumedFlowLpm,
+      producedKcal: prodKcal,
+      usedKcal: useKcal,
+      producedKwh: Number((prodKcal / KCAL_PER_KWH).toFixed(3)),
+      usedKwh: Number((useKcal / KCAL_PER_KWH).toFixed(3)),
+      faultCode: fault,
+      faultList: faultBitsToList(fault, THERMAL_FAULT_MAP),
+      isOperating: operating,
+      cumulativeWh: counterWh(layout, r),
+    };
+  },
+});
+
+/* ───────── 태양열 자연순환식 (02:02) ───────── */
+register({
+  energy: 0x02,
+  type: 0x02,
+  version: 'v1',
+  name: '태양열 자연순환식',
+  shortReason: 'short_thermal_natural',
+  minLength: 23,
+  counter: 'usedKcal',
+  fields: [
+    f('coldTempC', 5, 'temp10', { unit: '°C' }),
+    f('hotTempC', 7, 'temp10', { unit: '°C' }),
+    f('flowLpm', 9, 'u32', { divisor: 10, unit: 'L/min' }),
+    f('usedKcal', 13, 'u64', {
+      divisor: 100,
+      unit: 'kcal',
+      encodeFallback: (m) => (m.cumulativeWh != null ? (Number(m.cumulativeWh) / 1000) * KCAL_PER_KWH : null),
+    }),
+    f('faultCode', 21, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r, layout) {
+    const useKcal = r.usedKcal;
+    const fault = r.faultCode;
+    const deltaT = (r.hotTempC ?? 0) - (r.coldTempC ?? 0);
+    const operating = ((fault & 0x0001) === 0) && (
+      (r.flowLpm > 0) || (Math.abs(deltaT) >= 1) || (useKcal > 0)
+    );
+
+    return {
+      coldTempC: r.coldTempC,
+      hotTempC: r.hotTempC,
+      flowLpm: r.flowLpm,
+      usedKcal: useKcal,
+      usedKwh: Number((useKcal / KCAL_PER_KWH).toFixed(3)),
+      faultCode: fault,
+      faultList: faultBitsToList(fault, THERMAL_FAULT_MAP),
+      isOperating: operating,
+      cumulativeWh: counterWh(layout, r),
+    };
+  },
+});
+
+/* ───────── 지열 히트펌프 (03:01) ───────── */
+register({
+  energy: 0x03,
+  type: 0x01,
+  version: 'v1',
+  name: '지열 히트펌프',
+  shortReason: 'short_geothermal_hp',
+  minLength: 46,
+  counter: 'producedKwh',
+  fields: [
+    f('voltageV', 5, 'u16', { unit: 'V' }),
+    f('currentA', 7, 'u16', { unit: 'A' }),
+    f('outputW', 9, 'u16', { unit: 'W' }),
+    f('heatW', 11, 'u32', { unit: 'W' }),
+    f('producedKwh', 15, 'u64', {
+      divisor: 10,
+      unit: 'kWh',
+      encodeFallback: (m) => (m.cumulativeWh != null ? Number(m.cumulativeWh) / 1000 : null),
+    }),
+    f('usedElecKwh', 23, 'u64', { divisor: 10, unit: 'kWh' }),
+    f('stateRaw', 31, 'u8', { unit: 'enum' }),
+    f('sourceInTempC', 32, 'temp10', { unit: '°C' }),
+    f('sourceOutTempC', 34, 'temp10', { unit: '°C' }),
+    f('loadInTempC', 36, 'temp10', { unit: '°C' }),
+    f('loadOutTempC', 38, 'temp10', { unit: '°C' }),
+    f('flowLpm', 40, 'u32', { divisor: 10, unit: 'L/min' }),
+    f('faultFlags', 44, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r, layout) {
+    const faultFlags = r.faultFlags;
+    const operatingHP =
+      (r.stateRaw !== 0) &&
+      ((faultFlags & 0x0001) === 0) &&
+      (r.flowLpm > 0 || r.heatW > 0 || r.outputW > 0);
+
+    return {
+      voltageV: r.voltageV,
+      currentA: r.currentA,
+      outputW: r.outputW,
+      heatW: r.heatW,
+      producedKwh: r.producedKwh,
+      usedElecKwh: r.usedElecKwh,
+      state: HEATPUMP_STATE[r.stateRaw] ?? String(r.stateRaw),
+      stateRaw: r.stateRaw,
+      sourceInTempC: r.sourceInTempC,
+      sourceOutTempC: r.sourceOutTempC,
+      loadInTempC: r.loadInTempC,
+      loadOutTempC: r.loadOutTempC,
+      flowLpm: r.flowLpm,
+      faultFlags,
+      faultList: faultBitsToList(faultFlags, GEOTHERMAL_FAULT_MAP),
+      isOperating: operatingHP,
+      cumulativeWh: counterWh(layout, r),
+    };
+  },
+});
+
+/* ───────── 지열 부하측 (03:02) ───────── */
+register({
+  energy: 0x03,
+  type: 0x02,
+  version: 'v1',
+  name: '지열 부하측',
+  shortReason: 'short_geothermal_load',
+  minLength: 39,
+  counter: { fields: ['loadUsedKwh', 'tapUsedKwh'], pick: 'max' },
+  fields: [
+    f('loadInTempC', 5, 'temp10', { unit: '°C' }),
+    f('loadOutTempC', 7, 'temp10', { unit: '°C' }),
+    f('loadFlowLpm', 9, 'u32', { divisor: 10, unit: 'L/min' }),
+    f('loadUsedKwh', 13, 'u64', { divisor: 10, unit: 'kWh' }),
+    f('tapFeedTempC', 21, 'temp10', { unit: '°C' }),
+    f('tapHotTempC', 23, 'temp10', { unit: '°C' }),
+    f('tapFlowLpm', 25, 'u32', { divisor: 10, unit: 'L/min' }),
+    f('tapUsedKwh', 29, 'u64', { divisor: 10, unit: 'kWh' }),
+    f('faultFlags', 37, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r, layout) {
+    const faultFlags = r.faultFlags;
+    const operatingLoad =
+      ((faultFlags & 0x0001) === 0) &&
+      (r.loadFlowLpm > 0 || r.tapFlowLpm > 0);
+
+    return {
+      loadInTempC: r.loadInTempC,
+      loadOutTempC: r.loadOutTempC,
+      loadFlowLpm: r.loadFlowLpm,
+      loadUsedKwh: r.loadUsedKwh,
+      tapFeedTempC: r.tapFeedTempC,
+      tapHotTempC: r.tapHotTempC,
+      tapFlowLpm: r.tapFlowLpm,
+      tapUsedKwh: r.tapUsedKwh,
+      faultFlags,
+      faultList: faultBitsToList(faultFlags, GEOTHERMAL_FAULT_MAP),
+      isOperating: operatingLoad,
+      cumulativeWh: counterWh(layout, r),
+    };
+  },
+});
+
+/* ───────── 풍력 (04:01) ───────── */
+register({
+  energy: 0x04,
+  type: 0x01,
+  version: 'v1',
+  name: '풍력',
+  shortReason: 'short_wind',
+  minLength: 29,
+  fields: [
+    f('preVoltageV', 5, 'u16', { unit: 'V' }),
+    f('preCurrentA', 7, 'u16', { unit: 'A' }),
+    f('preOutputW', 9, 'u16', { unit: 'W' }),
+    f('postVoltageV', 11, 'u16', { unit: 'V' }),
+    f('postCurrentA', 13, 'u16', { unit: 'A' }),
+    f('postOutputW', 15, 'u16', { unit: 'W' }),
+    f('frequencyHz', 17, 'u16', { divisor: 10, unit: 'Hz' }),
+    f('cumulativeWh', 19, 'u64', { unit: 'Wh' }),
+    f('faultFlags', 27, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r) {
+    const faultFlags = r.faultFlags;
+    const isOperating = ((faultFlags & 0x0001) === 0) &&
+                        ((r.preOutputW || r.postOutputW || r.preVoltageV || r.postVoltageV) > 0);
+
+    return {
+      preVoltageV: r.preVoltageV,
+      preCurrentA: r.preCurrentA,
+      preOutputW: r.preOutputW,
+      postVoltageV: r.postVoltageV,
+      postCurrentA: r.postCurrentA,
+      postOutputW: r.postOutputW,
+      frequencyHz: r.frequencyHz,
+      cumulativeWh: r.cumulativeWh,
+      faultFlags,
+      faultList: faultBitsToList(faultFlags, WIND_FAULT_MAP),
+      isOperating,
+    };
+  },
+});
+
+/* ───────── 연료전지 (06:01) ───────── */
+register({
+  energy: 0x06,
+  type: 0x01,
+  version: 'v1',
+  name: '연료전지',
+  shortReason: 'short_fuelcell',
+  minLength: 61,
+  fields: [
+    f('preVoltageV', 5, 'u16', { unit: 'V' }),
+    f('preCurrentA', 7, 'u16', { unit: 'A' }),
+    f('preOutputW', 9, 'u16', { unit: 'W' }),
+    f('postVoltageV', 11, 'u16', { unit: 'V' }),
+    f('postCurrentA', 13, 'u16', { unit: 'A' }),
+    f('postOutputW', 15, 'u16', { unit: 'W' }),
+    f('heatGenerationW', 17, 'u16', { unit: 'W' }),
+    f('producedKwh', 19, 'u64', { divisor: 10, unit: 'kWh' }),
+    f('usedHeatKwh', 27, 'u64', { divisor: 10, unit: 'kWh' }),
+    f('usedElecKwh', 35, 'u64', { divisor: 10, unit: 'kWh' }),
+    f('feedTempC', 43, 'temp10', { unit: '°C' }),
+    f('outletTempC', 45, 'temp10', { unit: '°C' }),
+    f('efficiencyPct', 47, 'u16', { divisor: 10, unit: '%' }),
+    f('freqHz', 49, 'u16', { divisor: 10, unit: 'Hz' }),
+    f('cumulativeWh', 51, 'u64', { unit: 'Wh' }),
+    f('faultFlags', 59, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r, layout) {
+    const faultFlags = r.faultFlags;
+    const isOperating = ((faultFlags & 0x0001) === 0) &&
+                        (r.preVoltageV > 0 || r.postVoltageV > 0 || r.postOutputW > 0);
+
+    return {
+      preVoltageV: r.preVoltageV,
+      preCurrentA: r.preCurrentA,
+      preOutputW: r.preOutputW,
+      postVoltageV: r.postVoltageV,
+      postCurrentA: r.postCurrentA,
+      postOutputW: r.postOutputW,
+      heatGenerationW: r.heatGenerationW,
+      producedKwh: r.producedKwh,
+      usedHeatKwh: r.usedHeatKwh,
+      usedElecKwh: r.usedElecKwh,
+      feedTempC: r.feedTempC,
+      outletTempC: r.outletTempC,
+      efficiencyPct: r.efficiencyPct,
+      freqHz: r.freqHz,
+      cumulativeWh: counterWh(layout, r),
+      faultFlags,
+      faultList: faultBitsToList(faultFlags, FUELCELL_FAULT_MAP),
+      isOperating,
+    };
+  },
+});
+
+/* ───────── ESS (07:01) ───────── */
+const ESS_CHARGE_STATE = { 0: '대기', 1: '충전', 2: '방전' };
+
+// v2 펌웨어(rtu_rtu.fwVersion 접두어, 쉼표 구분). v1 도 42바이트가 올 수 있어 길이로는 고르지 않는다
+const ESS_V2_FIRMWARE = String(process.env.ESS_V2_FIRMWARE || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// v2: 고정 offset, 충전/방전 누적 분리 (42바이트). ESS_V2_FIRMWARE 펌웨어일 때만
+// 오프셋 출처: 제조사 ESS v2 프레임 명세가 아직 저장소에 없다 (필드 구성만 요구사항 기준).
+// 명세를 받기 전까지는 실제 프레임으로 확인한 펌웨어만 ESS_V2_FIRMWARE 에 넣고, 받으면 절·표 번호를 여기에 적는다.
+// batteryCurrentA: 충전 시 음수(방전 +)로 올 수 있어 signed 로 읽는다 (양수 범위는 unsigned 와 같은 값)
+register({
+  energy: 0x07,
+  type: 0x01,
+  version: 'v2',
+  name: 'ESS',
+  shortReason: 'short_ess',
+  minLength: 42,
+  maxLength: 42,
+  firmware: ESS_V2_FIRMWARE,
+  firmwareOnly: true,
+  counter: 'dischargeWh',
+  fields: [
+    f('batteryVoltageV', 5, 'u16', { unit: 'V' }),
+    f('batteryCurrentA', 7, 'i16', { unit: 'A' }),
+    f('socPct', 9, 'u16', { divisor: 10, unit: '%' }),
+    f('sohPct', 11, 'u16', { divisor: 10, unit: '%' }),
+    f('chargeStateRaw', 13, 'u8', { unit: 'enum' }),
+    f('pcsOutputW', 14, 'u32', { unit: 'W' }),
+    f('gridVoltageV', 18, 'u16', { unit: 'V' }),
+    f('gridCurrentA', 20, 'u16', { unit: 'A' }),
+    f('frequencyHz', 22, 'u16', { divisor: 10, unit: 'Hz' }),
+    f('chargeWh', 24, 'u64', { unit: 'Wh' }),
+    f('dischargeWh', 32, 'u64', {
+      unit: 'Wh',
+      encodeFallback: (m) => m.cumulativeWh ?? null,
+    }),
+    f('faultFlags', 40, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r) {
+    const faultFlags = r.faultFlags;
+    const isOperating =
+      ((faultFlags & 0x0001) === 0) &&
+      (r.chargeStateRaw !== 0 || (r.pcsOutputW || 0) > 0);
+
+    return {
+      batteryVoltageV: r.batteryVoltageV,
+      batteryCurrentA: r.batteryCurrentA,
+      socPct: r.socPct,
+      sohPct: r.sohPct,
+      chargeState: ESS_CHARGE_STATE[r.chargeStateRaw] ?? String(r.chargeStateRaw),
+      chargeStateRaw: r.chargeStateRaw,
+      pcsOutputW: r.pcsOutputW,
+      inverterOutputW: r.pcsOutputW,
+      gridVoltageV: r.gridVoltageV,
+      gridCurrentA: r.gridCurrentA,
+      frequencyHz: r.frequencyHz,
+      chargeWh: r.chargeWh,
+      dischargeWh: r.dischargeWh,
+      // 발전량 집계는 방전(계통 송출) 누적 기준
+      cumulativeWh: r.dischargeWh,
+      faultFlags,
+      faultList: faultBitsToList(faultFlags, ESS_FAULT_MAP),
+      isOperating,
+    };
+  },
+});
+
+// v1: 구형 가변 길이, 뒤쪽 필드는 끝에서부터 (batteryCurrentA 는 v2 와 같이 signed)
+register({
+  energy: 0x07,
+  type: 0x01,
+  version: 'v1',
+  primary: true,
+  name: 'ESS',
+  shortReason: 'short_ess',
+  minLength: 36,
+  fields: [
+    f('batteryVoltageV', 5, 'u16', { unit: 'V' }),
+    f('batteryCurrentA', 7, 'i16', { unit: 'A' }),
+    f('gridVoltageV', 9, 'u16', { unit: 'V' }),
+    f('gridCurrentA', 11, 'u16', { unit: 'A' }),
+    f('socPct', 13, 'u16', { divisor: 10, unit: '%' }),
+    f('frequencyHz', -14, 'u16', { divisor: 10, unit: 'Hz' }),
+    f('inverterOutputW', -12, 'u16', { unit: 'W' }),
+    f('cumulativeWh', -10, 'u64', { unit: 'Wh' }),
+    f('faultFlags', -2, 'u16', { unit: 'bitmask' }),
+  ],
+  derive(r) {
+    const faultFlags = r.faultFlags;
+    const isOperating =
+      ((faultFlags & 0x0001) === 0) &&
+      ((Number(r.inverterOutputW) || 0) > 0 || (Number(r.gridVoltageV) || 0) > 0);
+
+    return {
+      inverterOutputW: r.inverterOutputW ?? null,
+      frequencyHz: r.frequencyHz ?? null,
+      batteryVoltageV: r.batteryVoltageV ?? null,
+      batteryCurrentA: r.batteryCurrentA ?? null,
+      gridVoltageV: r.gridVoltageV ?? null,
+      gridCurrentA: r.gridCurrentA ?? null,
+      socPct: Number.isFinite(r.socPct) ? r.socPct : null,
+      cumulativeWh: r.cumulativeWh,
+      faultFlags,
+      faultList: faultBitsToList(faultFlags, ESS_FAULT_MAP),
+      isOperating,
+    };
+  },
+});
+
+module.exports = { KCAL_PER_KWH, HEATPUMP_STATE, ESS_CHARGE_STATE };
@@ -0,0 +1,46 @@
+// src/energy/lttb.js
+// 시계열 줄이기 (/energy/metrics 의 bucket=raw)
+
+// Largest-Triangle-Three-Buckets: 모양(극값)을 살리면서 points 를 threshold 개로 줄인다. points: [{ t(ms), v }]
+function lttb(points, threshold) {
+  const n = points.length;
+  if (threshold >= n || threshold < 3) return points;
+
+  const out = [points[0]];
+  const every = (n - 2) / (threshold - 2);
+  let a = 0;
+  for (let i = 0; i < threshold - 2; i++) {
+    // 다음 버킷 평균점
+    const nextStart = Math.floor((i + 1) * every) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, n);
+    let avgT = 0;
+    let avgV = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgT += points[j].t;
+      avgV += points[j].v;
+    }
+    const len = nextEnd - nextStart || 1;
+    avgT /= len;
+    avgV /= len;
+
+    // 현재 버킷에서 (a, 평균점) 과 만드는 삼각형이 가장 큰 점
+    const start = Math.floor(i * every) + 1;
+    const end = Math.floor((i + 1) * every) + 1;
+    const pa = points[a];
+    let best = start;
+    let bestArea = -1;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs((pa.t - avgT) * (points[j].v - pa.v) - (pa.t - points[j].t) * (avgV - pa.v));
+      if (area > bestArea) {
+        bestArea = area;
+        best = j;
+      }
+    }
+    out.push(points[best]);
+    a = best;
+  }
+  out.push(points[n - 1]);
+  return out;
+}
+
+module.exports = { lttb };
@@ -0,0 +1,38 @@
+// LTTB 줄이기: 개수, 양 끝 보존, 극값 보존
+const { lttb } = require('./lttb');
+
+const t0 = Date.UTC(2025, 0, 1);
+const series = (n, f) => Array.from({ length: n }, (_, i) => ({ t: t0 + i * 60000, v: f(i) }));
+
+describe('lttb', () => {
+  test('threshold 개로 줄이고 첫·마지막 점은 그대로', () => {
+    const pts = series(1000, (i) => Math.sin(i / 50));
+    const out = lttb(pts, 100);
+    expect(out).toHaveLength(100);
+    expect(out[0]).toBe(pts[0]);
+    expect(out[99]).toBe(pts[999]);
+  });
+
+  test('시간 순서를 유지하고 원본 점만 고른다', () => {
+    const pts = series(500, (i) => (i * 7919) % 101);
+    const out = lttb(pts, 50);
+    for (let i = 1; i < out.length; i++) expect(out[i].t).toBeGreaterThan(out[i - 1].t);
+    for (const p of out) expect(pts).toContain(p);
+  });
+
+  test('튀는 값(극값)을 살린다', () => {
+    const pts = series(1000, () => 10);
+    pts[437] = { ...pts[437], v: 500 };
+    pts[812] = { ...pts[812], v: -300 };
+    const out = lttb(pts, 20);
+    expect(out).toContain(pts[437]);
+    expect(out).toContain(pts[812]);
+  });
+
+  test('threshold 가 개수 이상이거나 3 미만이면 그대로', () => {
+    const pts = series(10, (i) => i);
+    expect(lttb(pts, 10)).toBe(pts);
+    expect(lttb(pts, 2)).toBe(pts);
+    expect(lttb([], 100)).toEqual([]);
+  });
+});
@@ -0,0 +1,176 @@
+// src/energy/metrics.js
+// GET /api/energy/metrics : parseFrame 이 만드는 임의 계측 필드(전압·온도·유량·SoC 등)의 시계열
+// frame_metrics.metrics(JSONB)를 읽어 multi 별로
+//   bucket=5m|15m|1h|1d → 버킷마다 min/avg/max/last (버킷은 KST 기준)
+//   bucket=raw(기본)    → 원본 값을 LTTB 로 points 개까지 줄여서
+// 필드 목록은 레지스트리 레이아웃에서 만든다 (숫자형만, bitmask·enum 제외)
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { pool } = require('../db/db.pg');
+const { TZ, parseTimeWindow } = require('./timeutil');
+const { resolveOneImeiOrThrow } = require('./devices');
+const { listLayouts, decodeFields, encodedLength } = require('./registry');
+const { metricsConds } = require('./frameMetrics');
+const { lttb } = require('./lttb');
+
+const BUCKETS = { '5m': '5 minutes', '15m': '15 minutes', '1h': '1 hour', '1d': '1 day' };
+const BUCKET_MS = { '5m': 5 * 60000, '15m': 15 * 60000, '1h': 3600000, '1d': 86400000 };
+const MAX_FIELDS = 10;
+const MAX_BUCKETS = 10000;
+const RAW_MAX_DAYS = 7;
+const RAW_ROW_LIMIT = 200000;
+const DEFAULT_POINTS = 1000;
+const MAX_POINTS = 5000;
+const SKIP_UNITS = new Set(['bitmask', 'enum']);
+
+const metricsLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: { error: 'Too many requests — try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+
+const badRequest = (msg) => {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
+};
+
+// 필드명 → { unit, energies: [hex] }. 0으로 채운 프레임을 해석해 derive 결과 키까지 모은다
+function buildCatalog() {
+  const out = new Map();
+  const skip = new Set(listLayouts().flatMap((l) => l.fields.filter((f) => SKIP_UNITS.has(f.unit)).map((f) => f.name)));
+  for (const l of listLayouts()) {
+    const raw = decodeFields(l, Buffer.alloc(encodedLength(l)));
+    const m = l.derive ? l.derive(raw, l) : raw;
+    const defs = new Map(l.fields.map((f) => [f.name, f]));
+    for (const [name, v] of Object.entries(m)) {
+      if (typeof v !== 'number' && typeof v !== 'bigint') continue;
+      if (skip.has(name)) continue;
+      const unit = defs.get(name)?.unit || null;
+      const cur = out.get(name) || { unit, energies: [] };
+      if (!cur.unit) cur.unit = unit;
+      if (!cur.energies.includes(hex2(l.energy))) cur.energies.push(hex2(l.energy));
+      out.set(name, cur);
+    }
+  }
+  return out;
+}
+
+// 레이아웃은 기동 시 등록이 끝나므로 한 번만 만든다
+let catalog = null;
+const getCatalog = () => catalog || (catalog = buildCatalog());
+
+function parseFields(q) {
+  const names = String(q || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (!names.length) throw badRequest('field 가 필요합니다 (쉼표 구분).');
+  if (names.length > MAX_FIELDS) throw badRequest(`field 는 최대 ${MAX_FIELDS}개입니다.`);
+  const cat = getCatalog();
+  const unknown = names.filter((n) => !cat.has(n));
+  if (unknown.length) throw badRequest(`알 수 없는 field: ${unknown.join(', ')} (GET /api/energy/metrics/fields 참고)`);
+  return [...new Set(names)];
+}
+
+router.get('/metrics/fields', (req, res) => {
+  const energy = req.query.energy ? String(req.query.energy).padStart(2, '0').toLowerCase() : null;
+  const fields = [...getCatalog().entries()]
+    .filter(([, c]) => !energy || c.energies.includes(energy))
+    .map(([name, c]) => ({ name, unit: c.unit, energies: c.energies }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ fields });
+});
+
+router.get('/metrics', metricsLimiter, async (req, res, next) => {
+  try {
+    const q = req.query.rtuImei || req.query.imei || req.query.name || req.query.q;
+    if (!q) return res.status(400).json({ error: 'imei 필요' });
+    const fields = parseFields(req.query.field || req.query.fields);
+
+    const bucket = String(req.query.bucket || 'raw').toLowerCase();
+    if (bucket !== 'raw' && !BUCKETS[bucket]) throw badRequest('bucket 은 raw/5m/15m/1h/1d 중 하나여야 합니다.');
+    const { from, to } = parseTimeWindow(req.query, { maxDays: bucket === 'raw' ? RAW_MAX_DAYS : 366 });
+    if (bucket !== 'raw' && (to - from) / BUCKET_MS[bucket] > MAX_BUCKETS) {
+      throw badRequest(`버킷이 너무 많습니다 (최대 ${MAX_BUCKETS}개). 더 큰 bucket 을 쓰세요.`);
+    }
+    const points = Math.min(Math.max(parseInt(req.query.points || DEFAULT_POINTS, 10) || DEFAULT_POINTS, 3), MAX_POINTS);
+
+    const { imei, name } = await resolveOneImeiOrThrow(q);
+
+    const energyHex = req.query.energy ? String(req.query.energy).toLowerCase() : null;
+    const typeHex = req.query.type ? String(req.query.type).toLowerCase() : null;
+    if ([energyHex, typeHex].some((h) => h && !/^[0-9a-f]{2}$/.test(h))) throw badRequest('energy/type 는 2자리 hex 여야 합니다.');
+    const multiParam = String(req.query.multi || '').toLowerCase();
+    const multiHex = ['00', '01', '02', '03'].includes(multiParam) ? multiParam : null;
+
+    // 0x39 등 에러 프레임은 계측값이 0 으로 채워져 오므로 기본은 정상 프레임만
+    const params = [imei, from, to, fields];
+    const conds = ['f.imei = $1', 'f."time" >= $2', 'f."time" < $3', 'f.ok', 'f.metrics IS NOT NULL'];
+    if (String(req.query.ok || '1') !== 'any') conds.push('f.err = 0');
+    conds.push(...metricsConds({ energyHex, typeHex, multiHex }, params).map((c) => `f.${c}`));
+
+    const cat = getCatalog();
+    const bySeries = new Map();
+    const seriesOf = (multi, field) => {
+      const k = `${multi}|${field}`;
+      if (!bySeries.has(k)) bySeries.set(k, { multi, field, unit: cat.get(field).unit, points: [] });
+      return bySeries.get(k);
+    };
+
+    let truncated = false;
+    if (bucket === 'raw') {
+      params.push(RAW_ROW_LIMIT + 1);
+      const { rows } = await pool.query(
+        `SELECT f."time", lpad(to_hex(f.multi), 2, '0') AS multi_hex, k.field, (f.metrics->>k.field)::double precision AS v
+           FROM public.frame_metrics f
+          CROSS JOIN LATERAL unnest($4::text[]) AS k(field)
+          WHERE ${conds.join(' AND ')} AND f.metrics ? k.field
+          ORDER BY f."time"
+          LIMIT $${params.length}`,
+        params
+      );
+      truncated = rows.length > RAW_ROW_LIMIT;
+      for (const r of rows.slice(0, RAW_ROW_LIMIT)) {
+        if (r.v == null) continue;
+        seriesOf(r.multi_hex, r.field).points.push({ t: new Date(r.time).getTime(), v: r.v });
+      }
+      for (const s of bySeries.values()) {
+        s.raw_points = s.points.length;
+        s.points = lttb(s.points, points).map((p) => ({ t: new Date(p.t), v: p.v }));
+      }
+    } else {
+      params.push(BUCKETS[bucket]);
+      const { rows } = await pool.query(
+        `SELECT time_bucket($${params.length}::interval, f."time", '${TZ}') AS bucket,
+                lpad(to_hex(f.multi), 2, '0') AS multi_hex, k.field,
+                min(k.v) AS min, avg(k.v) AS avg, max(k.v) AS max, last(k.v, f."time") AS last, count(*)::int AS n
+           FROM public.frame_metrics f
+          CROSS JOIN LATERAL (
+            SELECT field, (f.metrics->>field)::double precision AS v FROM unnest($4::text[]) AS u(field)
+          ) k
+          WHERE ${conds.join(' AND ')} AND k.v IS NOT NULL
+          GROUP BY 1, 2, 3
+          ORDER BY 2, 3, 1`,
+        params
+      );
+      for (const r of rows) {
+        seriesOf(r.multi_hex, r.field).points.push({ t: r.bucket, min: r.min, avg: r.avg, max: r.max, last: r.last, n: r.n });
+      }
+    }
+
+    res.json({
+      deviceInfo: { rtuImei: imei, name, tz: TZ },
+      params: { fields, bucket, energy_hex: energyHex, type_hex: typeHex, multi: multiHex || 'all', points: bucket === 'raw' ? points : undefined },
+      range_utc: { start: from, end: to },
+      truncated,
+      series: [...bySeries.values()].sort((a, b) => a.multi.localeCompare(b.multi) || fields.indexOf(a.field) - fields.indexOf(b.field)),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,16 @@
-const BUILD = 'parser-geo+wind+fuelcell+ess-2025-10-31b';
-
-
-const KCAL_PER_KWH = 860.42065;
-const HEATPUMP_STATE = { 0: '미작동', 1: '냉방', 2: '난방' };
-
-const STATUS_MAP = {
-  0: '인버터 미동작',
-  1: '태양전지 과전압',
-  2: '태양전지 저전압',
-  3: '태양전지 과전류',
-  4: '인버터 IGBT 에러',
-  5: '인버터 과온',
-  6: '계통 과전압',
-  7: '계통 저전압',
-  8: '계통 과전류',
-  9: '계통 과주파수',
-  10: '계통 저주파수',
-  11: '단독운전(정전)',
-  12: '지락(누전)',
-};
-
-const THERMAL_FAULT_MAP = {
-  0: '장비 미작동', 
-};
-const GEOTHERMAL_FAULT_MAP = {
-  0: '히트펌프 미작동', 
-};
-const WIND_FAULT_MAP = {
-  0: '인버터 미동작',
-};
-
-const FUELCELL_FAULT_MAP = {
-  0: '장비 미작동',
-};
-const ESS_FAULT_MAP = {
-  0: '장비 미작동',
-};
+// src/energy/parser.js
+// 0x14 계측 프레임 파서. 실제 필드 배치는 registry 에 등록된 레이아웃(layouts.js)이 결정한다.
+require('./layouts');
+const {
+  resolveLayout,
+  getLayout,
+  decodeFields,
+  registrySignature,
+} = require('./registry');
+const { KIND, decodeCommand } = require('./commands');
+
+const BUILD_BASE = 'parser-registry-2025-11';
+const BUILD = `${BUILD_BASE}+${registrySignature()}`;
 
 const ERR_LABEL = {
   0x39: 'serial_comm_failure',
@@ -53,542 +28,137 @@ const ENERGY_NAME = {
 const clean = (s) => (s || '').replace(/\s+/g, ' ').trim();
 const toBytes = (s) => clean(s).split(' ').map((h) => parseInt(h, 16));
 
-const u16 = (a, i) => ((a[i] << 8) | a[i + 1]) >>> 0;
-const u32 = (a, i) =>
-  (((a[i] << 24) | (a[i + 1] << 16) | (a[i + 2] << 8) | a[i + 3]) >>> 0) >>> 0;
-const u64 = (a, i) =>
-  (BigInt(a[i]) << 56n) |
-  (BigInt(a[i + 1]) << 48n) |
-  (BigInt(a[i + 2]) << 40n) |
-  (BigInt(a[i + 3]) << 32n) |
-  (BigInt(a[i + 4]) << 24n) |
-  (BigInt(a[i + 5]) << 16n) |
-  (BigInt(a[i + 6]) << 8n) |
-  BigInt(a[i + 7]);
-
-const getMulti = (m) =>
-  (m === 0x00 ? 1 : m === 0x01 ? 2 : m === 0x02 ? 3 : m === 0x03 ? 4 : 1);
-
-const getStatuses = (flags) => faultBitsToList(flags, STATUS_MAP);
-
-function faultBitsToList(flags, map = {}) {
-  const L = [];
-  for (let i = 0; i < 16; i++) {
-    if (((flags >> i) & 1) === 1) {
-      L.push(map[i] || `비정의 비트#${i}`);
-    }
-  }
-  return L;
-}
-
-function readCumulativeWh(bytes, idx, need64MinLen, need32MinLen) {
-  if (bytes.length >= need64MinLen) return u64(bytes, idx);
-  if (bytes.length >= need32MinLen) return BigInt(u32(bytes, idx));
-  return null;
-}
-
-function temp10_from2bytes(a, i) {
-  const b0 = a[i];
-  const b1 = a[i + 1];
-  const signNibble = (b0 & 0xF0) >>> 4;
-  const mag = ((b0 & 0x0F) << 8) | b1; 
-  const val = mag / 10;
-  return signNibble === 0x0 ? val : -val;
-}
-
-function parseSolarThermalForced(bytes, off = 5) {
-  const inlet    = temp10_from2bytes(bytes, off + 0);
-  const outlet   = temp10_from2bytes(bytes, off + 2);
-  const tankTop  = temp10_from2bytes(bytes, off + 4);
-  const tankBot  = temp10_from2bytes(bytes, off + 6);
-  const flowLpm  = u32(bytes, off + 8)  / 10;
-  const prodKcal = Number(u64(bytes, off + 12)) / 100;
-  const coldT    = temp10_from2bytes(bytes, off + 20);
-  const hotT     = temp10_from2bytes(bytes, off + 22);
-  const useFlow  = u32(bytes, off + 24) / 10;
-  const useKcal  = Number(u64(bytes, off + 28)) / 100;
-  const fault    = u16(bytes, off + 36);
-  const faultList = faultBitsToList(fault, THERMAL_FAULT_MAP);
-
-  const cumulativeKwh = (prodKcal > 0 ? prodKcal : useKcal) / KCAL_PER_KWH;
-  const cumulativeWhBI = BigInt(Math.max(0, Math.round(cumulativeKwh * 1000)));
-
-  const deltaT = (outlet ?? 0) - (inlet ?? 0);
-  const operating = ((fault & 0x0001) === 0) && (
-    (flowLpm > 0) || (useFlow > 0) || (Math.abs(deltaT) >= 1) || (prodKcal > 0) || (useKcal > 0)
-  );
-
-  return {
-    inlet, outlet, tankTop, tankBot,
-    flowLpm, coldT, hotT, useFlow,
-    producedKcal: prodKcal,
-    usedKcal: useKcal,
-    producedKwh: Number((prodKcal / KCAL_PER_KWH).toFixed(3)),
-    usedKwh: Number((useKcal / KCAL_PER_KWH).toFixed(3)),
-    faultCode: fault,
-    faultList,
-    isOperating: operating,
-    cumulativeWh: cumulativeWhBI,
-  };
+const HEX_VAL = new Int8Array(128).fill(-1);
+for (let i = 0; i < 16; i++) {
+  HEX_VAL['0123456789abcdef'.charCodeAt(i)] = i;
+  HEX_VAL['0123456789ABCDEF'.charCodeAt(i)] = i;
 }
-
-function parseSolarThermalNatural(bytes, off = 5) {
-  const coldT    = temp10_from2bytes(bytes, off + 0);
-  const hotT     = temp10_from2bytes(bytes, off + 2);
-  const flowLpm  = u32(bytes, off + 4)  / 10;
-  const useKcal  = Number(u64(bytes, off + 8)) / 100;
-  const fault    = u16(bytes, off + 16);
-  const faultList = faultBitsToList(fault, THERMAL_FAULT_MAP);
-
-  const cumulativeKwh = useKcal / KCAL_PER_KWH;
-  const cumulativeWhBI = BigInt(Math.max(0, Math.round(cumulativeKwh * 1000)));
-
-  const deltaT = (hotT ?? 0) - (coldT ?? 0);
-  const operating = ((fault & 0x0001) === 0) && (
-    (flowLpm > 0) || (Math.abs(deltaT) >= 1) || (useKcal > 0)
-  );
-
-  return {
-    coldT, hotT, flowLpm,
-    usedKcal: useKcal,
-    usedKwh: Number((useKcal / KCAL_PER_KWH).toFixed(3)),
-    faultCode: fault,
-    faultList,
-    isOperating: operating,
-    cumulativeWh: cumulativeWhBI,
-  };
+const hexVal = (c) => (c < 128 ? HEX_VAL[c] : -1);
+
+// 정형 바디('14 01 01 ...': 2자리 hex + 공백 1칸)는 한 번 훑어 Buffer 로 변환.
+// 그 외(비정형·잘못된 hex)는 null → toBytes 경로
+function hexToBuffer(hex) {
+  if (typeof hex !== 'string') return null;
+  const s = hex.trim();
+  if (s.length < 2 || (s.length + 1) % 3 !== 0) return null;
+
+  const n = (s.length + 1) / 3;
+  const buf = Buffer.allocUnsafe(n);
+  for (let i = 0, j = 0; j < n; i += 3, j++) {
+    const hi = hexVal(s.charCodeAt(i));
+    const lo = hexVal(s.charCodeAt(i + 1));
+    if (hi < 0 || lo < 0) return null;
+    if (j < n - 1 && s.charCodeAt(i + 2) !== 0x20) return null;
+    buf[j] = (hi << 4) | lo;
+  }
+  return buf;
 }
 
-function parseGeothermalHeatPumpExact(bytes, off = 5) {
-  if (bytes.length < off + 41) return { short: true };
-
-  const voltageV   = u16(bytes, off + 0);
-  const currentA   = u16(bytes, off + 2);
-  const outputW    = u16(bytes, off + 4);
-  const heatW      = u32(bytes, off + 6);
-
-  const prodKwh10  = u64(bytes, off + 10);
-  const useElec10  = u64(bytes, off + 18);
-  const stateRaw   = bytes[off + 26];
-
-  const srcInC     = temp10_from2bytes(bytes, off + 27);
-  const srcOutC    = temp10_from2bytes(bytes, off + 29);
-  const loadInC    = temp10_from2bytes(bytes, off + 31);
-  const loadOutC   = temp10_from2bytes(bytes, off + 33);
-
-  const flowLpm    = u32(bytes, off + 35) / 10;
-  const faultFlags = u16(bytes, off + 39);
-  const faultList  = faultBitsToList(faultFlags, GEOTHERMAL_FAULT_MAP);
-
-  const producedKwh   = Number(prodKwh10) / 10;
-  const usedElecKwh   = Number(useElec10) / 10;
-  const cumulativeWh  = BigInt(Math.max(0, Math.round(producedKwh * 1000)));
-
-  const operatingHP =
-    (stateRaw !== 0) &&
-    ((faultFlags & 0x0001) === 0) &&
-    (flowLpm > 0 || heatW > 0 || outputW > 0);
+const getMulti = (m) =>
+  (m === 0x00 ? 1 : m === 0x01 ? 2 : m === 0x02 ? 3 : m === 0x03 ? 4 : 1);
 
-  return {
-    voltageV, currentA, outputW, heatW,
-    producedKwh, usedElecKwh,
-    state: HEATPUMP_STATE[stateRaw] ?? String(stateRaw),
-    stateRaw,
-    sourceInTempC: srcInC,
-    sourceOutTempC: srcOutC,
-    loadInTempC: loadInC,
-    loadOutTempC: loadOutC,
-    flowLpm,
-    faultFlags,
-    faultList,
-    isOperating: operatingHP,
-    cumulativeWh,
-  };
+// opts.fwVersion: rtu_rtu.fwVersion (알면 해당 펌웨어용 레이아웃 우선)
+// opts.version: 레이아웃 버전을 직접 지정
+function parseFrame(hex, opts = {}) {
+  return parseBytes(hexToBuffer(hex) || toBytes(hex), opts);
 }
 
-function parseGeothermalLoadExact(bytes, off = 5) {
-  if (bytes.length < off + 34) return { short: true };
-
-  const loadInC       = temp10_from2bytes(bytes, off + 0);
-  const loadOutC      = temp10_from2bytes(bytes, off + 2);
-  const loadFlowLpm   = u32(bytes, off + 4) / 10;
-  const loadUsedKwh10 = u64(bytes, off + 8);
-
-  const tapFeedC      = temp10_from2bytes(bytes, off + 16);
-  const tapHotC       = temp10_from2bytes(bytes, off + 18);
-  const tapFlowLpm    = u32(bytes, off + 20) / 10;
-  const tapUsedKwh10  = u64(bytes, off + 24);
-
-  const faultFlags    = u16(bytes, off + 32);
-  const faultList     = faultBitsToList(faultFlags, GEOTHERMAL_FAULT_MAP);
-
-  const loadUsedKwh = Number(loadUsedKwh10) / 10;
-  const tapUsedKwh  = Number(tapUsedKwh10) / 10;
-
-  const representativeKwh = Math.max(loadUsedKwh, tapUsedKwh);
-  const cumulativeWh = BigInt(Math.max(0, Math.round(representativeKwh * 1000)));
-
-  const operatingLoad =
-    ((faultFlags & 0x0001) === 0) &&
-    (loadFlowLpm > 0 || tapFlowLpm > 0);
-
-  return {
-    loadInTempC: loadInC,
-    loadOutTempC: loadOutC,
-    loadFlowLpm,
-    loadUsedKwh,
-    tapFeedTempC: tapFeedC,
-    tapHotTempC: tapHotC,
-    tapFlowLpm,
-    tapUsedKwh,
-    faultFlags,
-    faultList,
-    isOperating: operatingLoad,
-    cumulativeWh,
-  };
+// Buffer(bytea, 수집 API 등)에서 바로 해석. hex 문자열 변환 없이 readUInt16BE 등으로 읽는다
+// 바이트 배열도 받는다 (Uint8Array 등은 Buffer 로 감싼다)
+function parseFrameBuffer(buf, opts = {}) {
+  if (Buffer.isBuffer(buf) || Array.isArray(buf)) return parseBytes(buf, opts);
+  return parseBytes(Buffer.from(buf), opts);
 }
 
-function parseWindExact(bytes, off = 5) {
-  if (bytes.length < off + 24) return { short: true };
-
-  const preVoltageV   = u16(bytes, off + 0);
-  const preCurrentA   = u16(bytes, off + 2);
-  const preOutputW    = u16(bytes, off + 4);
-
-  const postVoltageV  = u16(bytes, off + 6);
-  const postCurrentA  = u16(bytes, off + 8);
-  const postOutputW   = u16(bytes, off + 10);
-
-  const frequencyHz   = u16(bytes, off + 12) / 10.0;
-  const cumulativeWh  = u64(bytes, off + 14);
-  const faultFlags    = u16(bytes, off + 22);
-  const faultList     = faultBitsToList(faultFlags, WIND_FAULT_MAP);
-
-  const isOperating = ((faultFlags & 0x0001) === 0) &&
-                      ((preOutputW || postOutputW || preVoltageV || postVoltageV) > 0);
-
-  return {
-    preVoltageV, preCurrentA, preOutputW,
-    postVoltageV, postCurrentA, postOutputW,
-    frequencyHz,
-    cumulativeWh,
-    faultFlags, faultList,
-    isOperating,
-  };
+// 행 배열 일괄 해석. rows: hex 문자열·Buffer 또는 { body } 행 (opts.key 로 컬럼 지정)
+// 결과는 rows 와 같은 순서의 parseFrame 결과 배열
+function parseFrames(rows, opts = {}) {
+  const key = opts.key || 'body';
+  const out = new Array(rows.length);
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const body = (typeof r === 'string' || Buffer.isBuffer(r)) ? r : r?.[key];
+    out[i] = Buffer.isBuffer(body) ? parseBytes(body, opts) : parseFrame(body, opts);
+  }
+  return out;
 }
 
-function parseFrame(hex) {
-  const b = toBytes(hex);
-  if (b.length < 5) return { ok: false, reason: 'short' };
-
+// b: 바이트 배열 또는 Buffer
+function parseBytes(b, opts) {
   const command = b[0];
-  if (command !== 0x14) {
-    return { ok: false, reason: 'unsupported_command', command };
+  if (Number.isInteger(command) && command !== 0x14) {
+    const c = decodeCommand(Buffer.isBuffer(b) ? [...b] : b);
+    if (!c) return { ok: false, reason: 'unsupported_command', command };
+    // 계측값이 없는 명령: 호출부(발전량 집계)는 ok=false 로 건너뛴다
+    return { ok: false, reason: 'non_measurement_command', command, commandName: c.commandName, kind: c.kind, data: c.data };
   }
+  if (b.length < 5) return { ok: false, reason: 'short' };
 
   const energy = b[1];
   const type = b[2];
   const multi = b[3];
   const err = b[4];
 
+  const forced = opts.version ? getLayout(energy, type, opts.version) : null;
+  const { layout, short } = forced
+    ? { layout: forced, short: b.length < forced.minLength }
+    : resolveLayout(energy, type, { fwVersion: opts.fwVersion, length: b.length });
+
   const out = {
     ok: true,
     command,
     energy,
     energyName: ENERGY_NAME[energy] || 'Unknown',
     type,
-    typeName:
-      energy === 0x01 && type === 0x01 ? '태양광 단상' :
-      energy === 0x01 && type === 0x02 ? '태양광 삼상' :
-      energy === 0x02 && type === 0x01 ? '태양열 강제순환식' :
-      energy === 0x02 && type === 0x02 ? '태양열 자연순환식' :
-      energy === 0x03 && type === 0x01 ? '지열 히트펌프' :
-      energy === 0x03 && type === 0x02 ? '지열 부하측' :
-      energy === 0x04 && type === 0x01 ? '풍력' :
-      energy === 0x06 && type === 0x01 ? '연료전지' :
-      energy === 0x07 && type === 0x01 ? 'ESS' :
-      'Unknown',
+    typeName: layout?.name || 'Unknown',
+    layoutVersion: layout?.version || null,
     multi: getMulti(multi),
     errCode: err,
     error: err ? (ERR_LABEL[err] || '에러') : '',
     metrics: {},
   };
 
-if (err !== 0x00 && err !== 0x39) {
-  return { ...out, ok: false, reason: ERR_LABEL[err] || 'device_error' };
-}
-
-  if (energy === 0x01 && type === 0x01) {
-    if (b.length < 21) return { ...out, ok: false, reason: 'short_single' };
-
-    const pvVoltage = u16(b, 5);
-    const pvCurrent = u16(b, 7);
-    const pvOutputW = u16(b, 9);
-    const sysV = u16(b, 11);
-    const sysI = u16(b, 13);
-    const curW = u16(b, 15);
-    const pf = u16(b, 17) / 10.0;
-    const hz = u16(b, 19) / 10.0;
-
-    const cumulativeWh = readCumulativeWh(b, 21, 29, 25);
-    const flags = b.length >= 31 ? u16(b, 29) : 0;
-
-    let pvPowerW = pvOutputW ?? null;
-    if (pvPowerW == null || pvPowerW === 0) {
-      if (pvVoltage != null && pvCurrent != null) pvPowerW = pvVoltage * pvCurrent;
-    }
-
-    const statusList = getStatuses(flags);
-    const isOperating =
-      ((flags & 0x0001) === 0) &&
-      ((pvPowerW || 0) > 0 || (curW || 0) > 0 || (sysV || 0) > 0);
-
-    out.metrics = {
-      pvVoltage,
-      pvCurrent,
-      pvOutputW,
-      pvPowerW,
-      systemVoltage: sysV,
-      systemCurrent: sysI,
-      currentOutputW: curW,
-      powerFactor: pf,
-      frequencyHz: hz,
-      cumulativeWh,
-      statusFlags: flags,
-      statusList,
-      isOperating,
-    };
-    return out;
+  if (err !== 0x00 && err !== 0x39) {
+    return { ...out, ok: false, reason: ERR_LABEL[err] || 'device_error' };
   }
 
-  if (energy === 0x01 && type === 0x02) {
-    if (b.length < 33) return { ...out, ok: false, reason: 'short_three' };
-
-    const pvVoltage = u16(b, 5);
-    const pvCurrent = u16(b, 7);
-    const pvOutputW = u32(b, 9);
-    const rV = u16(b, 13), sV = u16(b, 15), tV = u16(b, 17);
-    const rI = u16(b, 19), sI = u16(b, 21), tI = u16(b, 23);
-    const curW = u32(b, 25);
-    const pf = u16(b, 29) / 10.0;
-    const hz = u16(b, 31) / 10.0;
-
-    const cumulativeWh = readCumulativeWh(b, 33, 41, 0);
-    const flags = b.length >= 43 ? u16(b, 41) : 0;
-
-    let pvPowerW = pvOutputW ?? null;
-    if (pvPowerW == null || pvPowerW === 0) {
-      if (
-        rV != null && sV != null && tV != null &&
-        rI != null && sI != null && tI != null
-      ) {
-        pvPowerW = (rV * rI) + (sV * sI) + (tV * tI);
-      } else if (pvVoltage != null && pvCurrent != null) {
-        pvPowerW = pvVoltage * pvCurrent;
-      }
-    }
-
-    const statusList = getStatuses(flags);
-    const isOperating =
-      ((flags & 0x0001) === 0) &&
-      ((pvPowerW || 0) > 0 || (curW || 0) > 0 || ((rV || 0) + (sV || 0) + (tV || 0) > 0));
-
-    out.metrics = {
-      pvVoltage,
-      pvCurrent,
-      pvOutputW,
-      pvPowerW,
-      systemR_V: rV,
-      systemS_V: sV,
-      systemT_V: tV,
-      systemR_I: rI,
-      systemS_I: sI,
-      systemT_I: tI,
-      currentOutputW: curW,
-      powerFactor: pf,
-      frequencyHz: hz,
-      cumulativeWh,
-      statusFlags: flags,
-      statusList,
-      isOperating,
-    };
-    return out;
-  }
-
-  if (energy === 0x02) {
-    if (type === 0x01) {
-      if (b.length < 5 + 38) return { ...out, ok: false, reason: 'short_thermal_forced' };
-      const m = parseSolarThermalForced(b, 5);
-      out.metrics = {
-        inletTempC: m.inlet,
-        outletTempC: m.outlet,
-        tankTopTempC: m.tankTop,
-        tankBottomTempC: m.tankBot,
-        flowLpm: m.flowLpm,
-        coldTempC: m.coldT,
-        hotTempC: m.hotT,
-        consumedFlowLpm: m.useFlow,
-        producedKcal: m.producedKcal,
-        usedKcal: m.usedKcal,
-        producedKwh: m.producedKwh,
-        usedKwh: m.usedKwh,
-        faultCode: m.faultCode,
-        faultList: m.faultList,
-        isOperating: m.isOperating,
-        cumulativeWh: m.cumulativeWh,
-      };
-      return out;
-    }
-
-    if (type === 0x02) {
-      if (b.length < 5 + 18) return { ...out, ok: false, reason: 'short_thermal_natural' };
-      const m = parseSolarThermalNatural(b, 5);
-      out.metrics = {
-        coldTempC: m.coldT,
-        hotTempC: m.hotT,
-        flowLpm: m.flowLpm,
-        usedKcal: m.usedKcal,
-        usedKwh: m.usedKwh,
-        faultCode: m.faultCode,
-        faultList: m.faultList,
-        isOperating: m.isOperating,
-        cumulativeWh: m.cumulativeWh,
-      };
-      return out;
-    }
+  if (energy === 0x04 && type === 0x00) {
+    return { ...out, ok: false, reason: 'wind_heartbeat_only', metrics: {} };
   }
 
-  if (energy === 0x03) {
-    if (type === 0x01) {
-      if (b.length < 5 + 41) return { ...out, ok: false, reason: 'short_geothermal_hp' };
-      const m = parseGeothermalHeatPumpExact(b, 5);
-      if (m.short) return { ...out, ok: false, reason: 'short_geothermal_hp' };
-      out.metrics = m;
-      return out;
-    }
+  if (!layout) return out;
+  if (short) return { ...out, ok: false, reason: layout.shortReason || 'short' };
 
-    if (type === 0x02) {
-      if (b.length < 5 + 34) return { ...out, ok: false, reason: 'short_geothermal_load' };
-      const m = parseGeothermalLoadExact(b, 5);
-      if (m.short) return { ...out, ok: false, reason: 'short_geothermal_load' };
-      out.metrics = m;
-      return out;
-    }
-  }
-
-  if (energy === 0x04) {
-    if (type === 0x00) {
-      return { ...out, ok: false, reason: 'wind_heartbeat_only', metrics: {} };
-    }
-    if (type === 0x01) {
-      if (b.length < 5 + 24) return { ...out, ok: false, reason: 'short_wind' };
-      const m = parseWindExact(b, 5);
-      if (m.short) return { ...out, ok: false, reason: 'short_wind' };
-      out.metrics = m;
-      return out;
-    }
-  }
-
-  if (energy === 0x06 && type === 0x01) {
-    if (b.length < 5 + 56) return { ...out, ok: false, reason: 'short_fuelcell' };
-    const m = parseFuelCellExact(b, 5);
-    if (m.short) return { ...out, ok: false, reason: 'short_fuelcell' };
-    out.metrics = m;
-    return out;
-  }
-
-  if (energy === 0x07 && type === 0x01) {
-    if (b.length < 5 + 31) return { ...out, ok: false, reason: 'short_ess' };
-    const m = parseESSExact(b, 5);
-    if (m.short) return { ...out, ok: false, reason: 'short_ess' };
-    out.metrics = m;
-    return out;
-  }
+  const raw = decodeFields(layout, b);
+  out.metrics = layout.derive ? layout.derive(raw, layout) : raw;
   return out;
 }
 
-function parseFuelCellExact(bytes, off = 5) {
-  if (bytes.length < off + 56) return { short: true };
-
-  const preVoltageV   = u16(bytes, off + 0);
-  const preCurrentA   = u16(bytes, off + 2);
-  const preOutputW    = u16(bytes, off + 4);
-
-  const postVoltageV  = u16(bytes, off + 6);
-  const postCurrentA  = u16(bytes, off + 8);
-  const postOutputW   = u16(bytes, off + 10);
-
-  const heatGenW      = u16(bytes, off + 12);
-  const producedKwh10 = u64(bytes, off + 14);
-  const usedHeatKwh10 = u64(bytes, off + 22);
-  const usedElecKwh10 = u64(bytes, off + 30);
-  const feedTempC     = temp10_from2bytes(bytes, off + 38);
-  const outletTempC   = temp10_from2bytes(bytes, off + 40);
-  const efficiencyPct = u16(bytes, off + 42) / 10;
-  const freqHz        = u16(bytes, off + 44) / 10;
-  const cumulativeWh  = u64(bytes, off + 46);
-  const faultFlags    = u16(bytes, off + 54);
-  const faultList     = faultBitsToList(faultFlags, FUELCELL_FAULT_MAP);
-
-  const producedKwh   = Number(producedKwh10) / 10;
-  const usedHeatKwh   = Number(usedHeatKwh10) / 10;
-  const usedElecKwh   = Number(usedElecKwh10) / 10;
-  const cumulativeWhBI = BigInt(Math.max(0, Math.round(Number(cumulativeWh))));
-
-  const isOperating = ((faultFlags & 0x0001) === 0) &&
-                      (preVoltageV > 0 || postVoltageV > 0 || postOutputW > 0);
-
-  return {
-    preVoltageV, preCurrentA, preOutputW,
-    postVoltageV, postCurrentA, postOutputW,
-    heatGenerationW: heatGenW,
-    producedKwh, usedHeatKwh, usedElecKwh,
-    feedTempC, outletTempC,
-    efficiencyPct, freqHz,
-    cumulativeWh: cumulativeWhBI,
-    faultFlags, faultList,
-    isOperating,
-  };
-}
-
-function parseESSExact(bytes, off = 5) {
-  if (bytes.length < off + 10) return { short: true };
-
-  const faultPos = bytes.length - 2;
-  const cumPos   = bytes.length - 10;
-  const faultFlags   = u16(bytes, faultPos);
-  const cumulativeWh = u64(bytes, cumPos);
-
-  let cursor = off;
-  const safeU16 = (i) => (i + 1 < bytes.length ? u16(bytes, i) : null);
-
-  const frequencyHz      = (faultPos - 12 >= off) ? safeU16(faultPos - 12) / 10 : null;
-  const inverterOutputW  = (faultPos - 10 >= off) ? safeU16(faultPos - 10) : null;
-
-  const battVoltageV = (bytes.length >= off + 6)  ? safeU16(off + 0) : null;
-  const battCurrentA = (bytes.length >= off + 8)  ? safeU16(off + 2) : null;
-  const gridVoltageV = (bytes.length >= off + 10) ? safeU16(off + 4) : null;
-  const gridCurrentA = (bytes.length >= off + 12) ? safeU16(off + 6) : null;
-  const socPct       = (bytes.length >= off + 14) ? (safeU16(off + 8) / 10) : null;
+// 모든 수신 메시지를 종류(kind)별로 해석: 계측(0x14)·풍력 하트비트·commands.js 에 등록된 명령
+function decodeMessage(hex, opts = {}) {
+  const b = toBytes(hex);
+  if (b.some(Number.isNaN)) return { ok: false, kind: null, reason: 'invalid_hex' };
 
-  const faultList = faultBitsToList(faultFlags, ESS_FAULT_MAP);
-  const isOperating =
-    ((faultFlags & 0x0001) === 0) &&
-    ((Number(inverterOutputW) || 0) > 0 || (Number(gridVoltageV) || 0) > 0);
+  if (b[0] !== 0x14) {
+    const c = decodeCommand(b);
+    if (!c) return { ok: false, kind: null, command: b[0], reason: 'unsupported_command' };
+    return c;
+  }
 
-  return {
-    inverterOutputW: inverterOutputW ?? null,
-    frequencyHz:     frequencyHz ?? null,
-    batteryVoltageV: battVoltageV ?? null,
-    batteryCurrentA: battCurrentA ?? null,
-    gridVoltageV:    gridVoltageV ?? null,
-    gridCurrentA:    gridCurrentA ?? null,
-    socPct:          Number.isFinite(socPct) ? socPct : null,
-    cumulativeWh,
-    faultFlags,
-    faultList,
-    isOperating,
-  };
+  const p = parseFrame(hex, opts);
+  if (p.reason === 'wind_heartbeat_only') {
+    return { ok: true, command: 0x14, commandName: '풍력 하트비트', kind: KIND.HEARTBEAT, data: { energy: p.energy, multi: p.multi } };
+  }
+  return { ...p, commandName: '계측 데이터', kind: KIND.MEASUREMENT };
 }
 
-module.exports = { parseFrame, BUILD };
\ No newline at end of file
+module.exports = {
+  parseFrame,
+  parseFrameBuffer,
+  parseFrames,
+  hexToBuffer,
+  decodeMessage,
+  BUILD,
+  ENERGY_NAME,
+  ERR_LABEL,
+};
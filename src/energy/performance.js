@@ -0,0 +1,143 @@
+// src/energy/performance.js
+// 태양광(energy 01) 성능 지표: 설비 용량(facility_info.module_capacity, kWp)과 Open-Meteo 수평면 일사량 기준
+//   specific_yield (kWh/kWp) = kWh / kWp
+//   pr_pct = kWh / (kWp × 일사량 kWh/m²) × 100   (shortwave_radiation_sum MJ/m² ÷ 3.6)
+// 값을 낼 수 없으면 null 이고 reasons 에 코드를 남긴다:
+//   not_pv(태양광 아님) | no_capacity(용량 미등록·해석 불가) | multi_selected(용량은 설비 전체 기준)
+//   | no_location(CID·주소·좌표 없음) | no_weather(일사량 조회 실패) | weather_partial(일부 날짜 일사량 없음)
+const { LRUCache } = require('lru-cache');
+const { DateTime } = require('luxon');
+const { pool } = require('../db/db.pg');
+const { TZ } = require('./timeutil');
+const { siteLocation, fetchSolarDaily, fetchIrradianceTodaySoFar } = require('./weather');
+
+const MJ_PER_KWH = 3.6;
+const round1 = (v) => Math.round(v * 10) / 10;
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const capacityCache = new LRUCache({ max: 5000, ttl: 5 * 60 * 1000 });
+
+// '99.84', '99.84kW', '100 kWp', '1,000', '1.2MW' → kWp. 해석 못 하면 null
+function parseCapacityKwp(v) {
+  if (v == null) return null;
+  const m = String(v).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(mw|kw|w)?/i);
+  if (!m) return null;
+  const unit = (m[2] || 'kw').toLowerCase();
+  const kwp = Number(m[1]) * (unit === 'mw' ? 1000 : unit === 'w' ? 0.001 : 1);
+  return kwp > 0 ? kwp : null;
+}
+
+async function getCapacityKwp(imei) {
+  const cached = capacityCache.get(imei);
+  if (cached) return cached.kwp;
+  const { rows } = await pool.query('SELECT module_capacity FROM public.facility_info WHERE rtuimei = $1', [imei]);
+  const kwp = parseCapacityKwp(rows[0]?.module_capacity);
+  capacityCache.set(imei, { kwp });
+  return kwp;
+}
+
+function kstDays(from, to) {
+  const today = DateTime.now().setZone(TZ).startOf('day');
+  let d = DateTime.fromJSDate(from).setZone(TZ).startOf('day');
+  let end = DateTime.fromJSDate(new Date(to.getTime() - 1)).setZone(TZ).startOf('day');
+  if (end > today) end = today;
+  const days = [];
+  for (; d <= end; d = d.plus({ days: 1 })) days.push(d.toISODate());
+  return days;
+}
+
+// 날짜별 일사량(kWh/m²). 오늘은 지금까지 끝난 시간만
+async function dailyIrradiance(imei, days) {
+  const loc = await siteLocation(imei);
+  if (loc.lat == null || loc.lon == null) return { byDay: null, reason: 'no_location' };
+
+  const om = await fetchSolarDaily(loc.lat, loc.lon, days[0], days[days.length - 1]);
+  if (!om.ok) return { byDay: null, reason: 'no_weather' };
+  const byDay = new Map();
+  om.daily.time.forEach((t, i) => {
+    const mj = om.daily.shortwave_radiation_sum[i];
+    if (mj != null) byDay.set(t, Number(mj) / MJ_PER_KWH);
+  });
+
+  const todayStr = DateTime.now().setZone(TZ).toISODate();
+  if (days.includes(todayStr)) {
+    byDay.delete(todayStr);
+    const soFar = await fetchIrradianceTodaySoFar(loc.lat, loc.lon).catch(() => null);
+    if (soFar != null) byDay.set(todayStr, soFar);
+  }
+  return { byDay, reason: null };
+}
+
+// from~to(UTC, to 미포함) 구간의 용량·일사량. 조회 실패로 요청을 깨지 않도록 예외는 reasons 로 돌린다
+async function performanceContext(imei, { energyHex, multiHex = null, from, to }) {
+  const ctx = { capacityKwp: null, days: kstDays(from, to), byDay: null, multi: Boolean(multiHex), reasons: [] };
+  if ((energyHex || '').toLowerCase() !== '01') {
+    ctx.reasons.push('not_pv');
+    return ctx;
+  }
+  try {
+    ctx.capacityKwp = await getCapacityKwp(imei);
+    if (!ctx.capacityKwp) {
+      ctx.reasons.push('no_capacity');
+      return ctx;
+    }
+    if (ctx.multi) ctx.reasons.push('multi_selected');
+    if (!ctx.days.length) return ctx;
+
+    const irr = await dailyIrradiance(imei, ctx.days);
+    ctx.byDay = irr.byDay;
+    if (irr.reason) ctx.reasons.push(irr.reason);
+    else if (ctx.days.some((d) => !ctx.byDay.has(d))) ctx.reasons.push('weather_partial');
+  } catch (e) {
+    console.warn('[performance] 조회 실패:', imei, e.message);
+    ctx.reasons.push(ctx.capacityKwp ? 'no_weather' : 'no_capacity');
+  }
+  return ctx;
+}
+
+// 구간 일사량 합. 날짜 하나라도 비면 null
+function irradianceOf(ctx, days) {
+  if (!ctx.byDay || !days.length || days.some((d) => !ctx.byDay.has(d))) return null;
+  return days.reduce((s, d) => s + ctx.byDay.get(d), 0);
+}
+
+function ratios(ctx, kwh, days) {
+  const kwp = ctx.multi ? null : ctx.capacityKwp;
+  const irr = irradianceOf(ctx, days);
+  const ok = kwh != null && kwp != null;
+  return {
+    specific_yield: ok ? round2(kwh / kwp) : null,
+    irradiance_kwh_m2: irr != null ? round2(irr) : null,
+    pr_pct: ok && irr > 0 ? round1((kwh / (kwp * irr)) * 100) : null,
+  };
+}
+
+// bucket: 'yyyy-LL-dd' 또는 'yyyy-LL' (구간 안의 그 달 날짜만)
+function bucketPerformance(ctx, bucket, kwh) {
+  return ratios(ctx, kwh, ctx.days.filter((d) => d.startsWith(bucket)));
+}
+
+function windowPerformance(ctx, kwh) {
+  return { capacity_kwp: ctx.capacityKwp, ...ratios(ctx, kwh, ctx.days), reasons: ctx.reasons };
+}
+
+// KPI 용: 오늘(지금까지)·지난달. ctx 는 지난달 1일부터 지금까지로 만든다. multi 지정은 오늘 값에만 걸린다
+function kpiPerformance(ctx, { todayKwh, lastMonthKwh, multiHex = null }) {
+  const now = DateTime.now().setZone(TZ);
+  const reasons = multiHex && ctx.capacityKwp ? [...ctx.reasons, 'multi_selected'] : ctx.reasons;
+  return {
+    capacity_kwp: ctx.capacityKwp,
+    today: { kwh: todayKwh, ...bucketPerformance({ ...ctx, multi: Boolean(multiHex) }, now.toISODate(), todayKwh) },
+    last_month: { kwh: lastMonthKwh, ...bucketPerformance(ctx, now.minus({ months: 1 }).toFormat('yyyy-LL'), lastMonthKwh) },
+    reasons,
+  };
+}
+
+module.exports = {
+  parseCapacityKwp,
+  getCapacityKwp,
+  performanceContext,
+  bucketPerformance,
+  windowPerformance,
+  kpiPerformance,
+};
@@ -0,0 +1,153 @@
+// src/energy/protocol.js
+// GET /api/energy/protocol : 파서가 실제로 쓰는 레이아웃·고장 비트·명령 정의를 그대로 내보낸다.
+// 별도 문서를 두지 않고 registry/faults/commands 에서 생성하므로 파서와 어긋나지 않는다.
+const express = require('express');
+const router = express.Router();
+const { BUILD, ENERGY_NAME, ERR_LABEL } = require('./parser');
+const { listLayouts, keyOf, fieldSize, encodedLength, decodeFields } = require('./registry');
+const { faultMapFor } = require('./faults');
+const { COMMANDS } = require('./commands');
+const { counterSpec } = require('./units');
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+
+const KIND_DESC = {
+  u8: 'unsigned 8bit',
+  u16: 'unsigned 16bit big-endian',
+  i16: 'signed 16bit big-endian (2의 보수)',
+  u32: 'unsigned 32bit big-endian',
+  u64: 'unsigned 64bit big-endian',
+  temp10: '상위 니블 부호(0=+, 그 외 -), 하위 12bit 크기 ÷10',
+};
+
+// 모든 0x14 프레임 공통 헤더
+const HEADER = [
+  { name: 'command', offset: 0, size: 1, description: '0x14 = 계측 데이터' },
+  { name: 'energy', offset: 1, size: 1, description: '에너지원 코드' },
+  { name: 'type', offset: 2, size: 1, description: '설비 타입 코드' },
+  { name: 'multi', offset: 3, size: 1, description: '0x00~0x03 → 멀티 1~4' },
+  { name: 'errCode', offset: 4, size: 1, description: '0x00 정상, 0x39 인버터 통신 실패, 그 외 장비 에러' },
+];
+
+function describeFirmware(fw) {
+  if (!fw) return null;
+  if (fw instanceof RegExp) return { regex: fw.source };
+  if (Array.isArray(fw)) return { prefixes: fw };
+  return { custom: true };
+}
+
+function describeField(f) {
+  return {
+    name: f.name,
+    offset: f.offset,
+    fromEnd: f.offset < 0,
+    size: fieldSize(f),
+    kind: f.kind,
+    encoding: KIND_DESC[f.kind],
+    unit: f.unit || null,
+    divisor: f.divisor || 1,
+    scale: f.divisor ? 1 / f.divisor : 1,
+    default: f.default ?? null,
+  };
+}
+
+// derive 가 만들어 내는 metrics 키: 0으로 채운 프레임을 실제로 해석해 얻는다
+function derivedMetricKeys(layout) {
+  if (!layout.derive) return [];
+  const raw = decodeFields(layout, Buffer.alloc(encodedLength(layout)));
+  const fieldNames = new Set(layout.fields.map((f) => f.name));
+  return Object.keys(layout.derive(raw, layout)).filter((k) => !fieldNames.has(k));
+}
+
+function describeLayout(l) {
+  const counter = counterSpec(l);
+  return {
+    version: l.version,
+    primary: !!l.primary,
+    name: l.name,
+    minLength: l.minLength,
+    maxLength: l.maxLength ?? null,
+    firmware: describeFirmware(l.firmware),
+    firmwareOnly: !!l.firmwareOnly,
+    shortReason: l.shortReason || 'short',
+    fields: l.fields.map(describeField),
+    derivedMetrics: derivedMetricKeys(l),
+    counter: counter
+      ? { fields: counter.fields.map((f) => f.name), pick: counter.pick, unit: counter.unit, canonical: 'cumulativeWh' }
+      : null,
+  };
+}
+
+function describeFaultMap(energy) {
+  return Object.entries(faultMapFor(energy)).map(([bit, def]) => ({
+    bit: Number(bit),
+    text: def.text,
+    severity: def.severity,
+    action: def.action,
+  }));
+}
+
+function buildProtocol() {
+  const byEnergy = new Map();
+  for (const l of listLayouts()) {
+    const e = hex2(l.energy);
+    if (!byEnergy.has(e)) {
+      byEnergy.set(e, {
+        energy: e,
+        energyName: ENERGY_NAME[l.energy] || 'Unknown',
+        faultMap: describeFaultMap(l.energy),
+        types: new Map(),
+      });
+    }
+    const types = byEnergy.get(e).types;
+    const t = hex2(l.type);
+    if (!types.has(t)) types.set(t, { type: t, key: keyOf(l.energy, l.type), name: l.name, layouts: [] });
+    types.get(t).layouts.push(describeLayout(l));
+  }
+
+  const energies = [...byEnergy.values()]
+    .sort((a, b) => a.energy.localeCompare(b.energy))
+    .map((e) => ({ ...e, types: [...e.types.values()].sort((a, b) => a.type.localeCompare(b.type)) }));
+
+  return {
+    ok: true,
+    build: BUILD,
+    header: HEADER,
+    errCodes: Object.entries(ERR_LABEL).map(([code, label]) => ({ code: hex2(code), label })),
+    energies,
+    commands: Object.entries(COMMANDS).map(([code, c]) => ({
+      command: hex2(code),
+      name: c.name,
+      kind: c.kind,
+      minLength: c.minLength,
+    })),
+  };
+}
+
+// 레이아웃은 기동 시 등록이 끝나므로 한 번만 만든다
+let cached = null;
+
+router.get('/protocol', (req, res, next) => {
+  try {
+    if (!cached) cached = buildProtocol();
+
+    const energy = req.query.energy ? String(req.query.energy).padStart(2, '0').toLowerCase() : null;
+    const type = req.query.type ? String(req.query.type).padStart(2, '0').toLowerCase() : null;
+    if (!energy && !type) return res.json(cached);
+
+    const energies = cached.energies
+      .filter((e) => !energy || e.energy === energy)
+      .map((e) => ({ ...e, types: e.types.filter((t) => !type || t.type === type) }))
+      .filter((e) => e.types.length);
+    if (!energies.length) {
+      const e = new Error('지원하지 않는 energy/type 입니다.');
+      e.status = 404;
+      throw e;
+    }
+    res.json({ ...cached, energies });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+// src/energy/registry.js
+// (energy, type, version) 별 프레임 레이아웃 등록소.
+// 레이아웃은 필드(offset/kind/단위/배율)를 선언하고, 파서·인코더는 이 선언만 보고 동작한다.
+const KIND_SIZE = { u8: 1, u16: 2, i16: 2, u32: 4, u64: 8, temp10: 2 };
+
+const layouts = new Map();
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+const keyOf = (energy, type) => `${hex2(energy)}:${hex2(type)}`;
+
+const u16 = (a, i) => ((a[i] << 8) | a[i + 1]) >>> 0;
+// 2의 보수 16bit (양방향 전류 등)
+const i16 = (a, i) => {
+  const v = u16(a, i);
+  return v > 0x7FFF ? v - 0x10000 : v;
+};
+const u32 = (a, i) =>
+  (((a[i] << 24) | (a[i + 1] << 16) | (a[i + 2] << 8) | a[i + 3]) >>> 0) >>> 0;
+const u64 = (a, i) =>
+  (BigInt(a[i]) << 56n) |
+  (BigInt(a[i + 1]) << 48n) |
+  (BigInt(a[i + 2]) << 40n) |
+  (BigInt(a[i + 3]) << 32n) |
+  (BigInt(a[i + 4]) << 24n) |
+  (BigInt(a[i + 5]) << 16n) |
+  (BigInt(a[i + 6]) << 8n) |
+  BigInt(a[i + 7]);
+
+function temp10_from2bytes(a, i) {
+  const b0 = a[i];
+  const b1 = a[i + 1];
+  const signNibble = (b0 & 0xF0) >>> 4;
+  const mag = ((b0 & 0x0F) << 8) | b1;
+  const val = mag / 10;
+  return signNibble === 0x0 ? val : -val;
+}
+
+const READERS = {
+  u8: (a, i) => a[i],
+  u16,
+  i16,
+  u32,
+  u64,
+  temp10: temp10_from2bytes,
+};
+
+// Buffer 입력용 (parseFrameBuffer). 값은 READERS 와 동일
+const BUFFER_READERS = {
+  u8: (b, i) => b.readUInt8(i),
+  u16: (b, i) => b.readUInt16BE(i),
+  i16: (b, i) => b.readInt16BE(i),
+  u32: (b, i) => b.readUInt32BE(i),
+  u64: (b, i) => b.readBigUInt64BE(i),
+  temp10: temp10_from2bytes,
+};
+
+const fieldSize = (f) => KIND_SIZE[f.kind];
+
+// 음수 offset 은 프레임 끝에서부터의 위치
+const fieldIndex = (f, length) => (f.offset < 0 ? length + f.offset : f.offset);
+
+function validateLayout(layout) {
+  const { energy, type, version, fields } = layout || {};
+  if (!Number.isInteger(energy) || !Number.isInteger(type)) {
+    throw new TypeError('layout.energy/type must be integers');
+  }
+  if (!version) throw new TypeError(`layout ${keyOf(energy, type)} requires a version`);
+  if (!Number.isInteger(layout.minLength)) {
+    throw new TypeError(`layout ${keyOf(energy, type)}@${version} requires minLength`);
+  }
+  for (const f of fields || []) {
+    if (!KIND_SIZE[f.kind]) {
+      throw new TypeError(`layout ${keyOf(energy, type)}@${version}: unknown kind ${f.kind} (${f.name})`);
+    }
+  }
+}
+
+function register(layout) {
+  validateLayout(layout);
+  const key = keyOf(layout.energy, layout.type);
+  const list = layouts.get(key) || [];
+  if (list.some((l) => l.version === layout.version)) {
+    throw new Error(`layout ${key}@${layout.version} already registered`);
+  }
+  list.push({ fields: [], ...layout });
+  layouts.set(key, list);
+  return layout;
+}
+
+const layoutsFor = (energy, type) => layouts.get(keyOf(energy, type)) || [];
+
+const primaryLayout = (energy, type) => {
+  const list = layoutsFor(energy, type);
+  return list.find((l) => l.primary) || list[0] || null;
+};
+
+const getLayout = (energy, type, version) =>
+  layoutsFor(energy, type).find((l) => l.version === version) || null;
+
+function matchesFirmware(layout, fwVersion) {
+  const fw = String(fwVersion || '').trim();
+  if (!fw || !layout.firmware) return false;
+  if (layout.firmware instanceof RegExp) return layout.firmware.test(fw);
+  if (Array.isArray(layout.firmware)) return layout.firmware.some((p) => fw.startsWith(p));
+  if (typeof layout.firmware === 'function') return !!layout.firmware(fw);
+  return false;
+}
+
+// firmware 가 지정된 레이아웃이 하나라도 있는가 (빈 prefix 배열은 지정 안 함)
+const usesFirmware = () =>
+  listLayouts().some((l) => (Array.isArray(l.firmware) ? l.firmware.length > 0 : !!l.firmware));
+
+const acceptsLength = (layout, length) =>
+  length >= layout.minLength && length <= (layout.maxLength ?? Infinity);
+
+// fwVersion 이 레이아웃에 매칭되면 그 레이아웃, 아니면 길이로 판별. 둘 다 실패 시 대표 레이아웃(short)
+function resolveLayout(energy, type, { fwVersion = null, length = 0 } = {}) {
+  const list = layoutsFor(energy, type);
+  if (!list.length) return { layout: null, short: false };
+
+  if (fwVersion) {
+    const byFw = list.find((l) => matchesFirmware(l, fwVersion));
+    if (byFw) return { layout: byFw, short: length < byFw.minLength, by: 'firmware' };
+  }
+
+  const byLen = list.find((l) => !l.firmwareOnly && acceptsLength(l, length));
+  if (byLen) return { layout: byLen, short: false, by: 'length' };
+
+  const primary = primaryLayout(energy, type);
+  return { layout: primary, short: true, by: 'primary' };
+}
+
+// bytes: 바이트 배열 또는 Buffer
+function decodeFields(layout, bytes) {
+  const readers = Buffer.isBuffer(bytes) ? BUFFER_READERS : READERS;
+  const m = {};
+  for (const f of layout.fields) {
+    const idx = fieldIndex(f, bytes.length);
+    if (idx < 0 || idx + fieldSize(f) > bytes.length) {
+      m[f.name] = f.default ?? null;
+      continue;
+    }
+    let v = readers[f.kind](bytes, idx);
+    if (f.divisor) v = Number(v) / f.divisor;
+    else if (f.bigint && typeof v !== 'bigint') v = BigInt(v);
+    m[f.name] = v;
+  }
+  return m;
+}
+
+// 인코딩 시 프레임 길이: minLength 와 양수 offset 필드의 끝 중 큰 값
+function encodedLength(layout) {
+  let len = layout.minLength;
+  for (const f of layout.fields) {
+    if (f.offset >= 0) len = Math.max(len, f.offset + fieldSize(f));
+  }
+  return len;
+}
+
+function listLayouts() {
+  return [...layouts.values()].flat();
+}
+
+const registrySignature = () =>
+  listLayouts().map((l) => `${keyOf(l.energy, l.type)}@${l.version}`).join(',');
+
+module.exports = {
+  KIND_SIZE,
+  register,
+  layoutsFor,
+  primaryLayout,
+  getLayout,
+  resolveLayout,
+  usesFirmware,
+  decodeFields,
+  encodedLength,
+  fieldIndex,
+  fieldSize,
+  listLayouts,
+  registrySignature,
+  keyOf,
+  u16,
+  u32,
+  u64,
+  temp10_from2bytes,
+};
@@ -0,0 +1,193 @@
+// src/energy/remsReconcile.js
+// 수신 프레임(log_rtureceivelog) ↔ REMS 전송(log_remssendlog) 대사
+// 전송 한 건은 같은 IMEI·multiId 의 직전 0x14 프레임(FRAME_MATCH_MS 이내, 다음 프레임 전)에 대응시킨다.
+// 재전송(rems_resend_attempts)은 대기열에 적힌 프레임으로 직접 대응.
+// 프레임 상태: ok | late(LATE_SEC 이후 성공, 재전송 포함) | duplicated(성공 2건 이상) | failed(시도했지만 성공 없음)
+//             | missing(전송 기록 없음) | unmapped(최근 CID_LOOKBACK_DAYS 동안 CID 로 보낸 적 없는 IMEI)
+const { pool } = require('../db/db.pg');
+const { SUCCESS_RESULTS, FRAME_MATCH_MS } = require('./remsSend');
+
+const LATE_SEC = Number(process.env.REMS_LATE_SEC || '300');
+const CID_LOOKBACK_DAYS = 30;
+const STATUSES = ['ok', 'late', 'duplicated', 'failed', 'missing', 'unmapped'];
+
+// $1 from, $2 to, $3 대응 허용(초), $4 성공 result 값, $5 지연 기준(초), $6 IMEI 범위(선택)
+function baseParams({ from, to, imeis }) {
+  const params = [from, to, FRAME_MATCH_MS / 1000, SUCCESS_RESULTS, LATE_SEC];
+  const scope = imeis ? 'AND "rtuImei" = ANY($6::text[])' : '';
+  if (imeis) params.push(imeis);
+  return { params, scope };
+}
+
+function ctes(scope) {
+  return `
+    WITH f AS (
+      SELECT id, "time", "rtuImei" AS imei, "multiId" AS multi,
+             LEAD("time") OVER (PARTITION BY "rtuImei", "multiId" ORDER BY "time") AS next_time
+        FROM public.log_rtureceivelog
+       WHERE "time" >= $1::timestamptz AND "time" < $2::timestamptz AND left(body, 2) = '14' ${scope}
+    ),
+    s AS (
+      SELECT l.id, l."time", l.cid, l."rtuImei" AS imei, l."multiId" AS multi, l.result = ANY($4::text[]) AS ok
+        FROM public.log_remssendlog l
+       WHERE l."time" >= $1::timestamptz AND l."time" < $2::timestamptz + make_interval(secs => $3::float8) ${scope}
+         AND NOT EXISTS (SELECT 1 FROM public.rems_resend_attempts a WHERE a.send_log_id = l.id)
+    ),
+    fm AS (
+      SELECT f.id, f."time", f.imei, f.multi, MAX(s.cid) AS cid,
+             COUNT(s.id)::int AS sends,
+             COUNT(s.id) FILTER (WHERE s.ok)::int AS ok_sends,
+             MIN(s."time") FILTER (WHERE s.ok) AS first_ok
+        FROM f
+        LEFT JOIN s ON s.imei = f.imei AND s.multi = f.multi
+         AND s."time" >= f."time"
+         AND s."time" < LEAST(COALESCE(f.next_time, 'infinity'), f."time" + make_interval(secs => $3::float8))
+       GROUP BY f.id, f."time", f.imei, f.multi
+    ),
+    r AS (
+      SELECT q.frame_log_id AS id, q.frame_time AS "time", MAX(q.cid) AS cid,
+             COUNT(*)::int AS resends,
+             MIN(a."time") FILTER (WHERE a.ok) AS resent_at
+        FROM public.rems_resend_queue q
+        JOIN public.rems_resend_attempts a ON a.queue_id = q.id
+       WHERE q.frame_time >= $1::timestamptz AND q.frame_time < $2::timestamptz
+       GROUP BY q.frame_log_id, q.frame_time
+    ),
+    m AS (
+      SELECT DISTINCT ON ("rtuImei", "multiId") "rtuImei" AS imei, "multiId" AS multi, cid
+        FROM public.log_remssendlog
+       WHERE "time" >= $1::timestamptz - INTERVAL '${CID_LOOKBACK_DAYS} days' AND "time" < $2::timestamptz + make_interval(secs => $3::float8) ${scope}
+       ORDER BY "rtuImei", "multiId", "time" DESC
+    ),
+    c AS (
+      SELECT fm.id, fm."time", fm.imei, fm.multi,
+             COALESCE(fm.cid, r.cid, m.cid) AS cid,
+             fm.sends, fm.ok_sends, COALESCE(r.resends, 0) AS resends,
+             COALESCE(fm.first_ok, r.resent_at) AS delivered_at,
+             CASE
+               WHEN COALESCE(fm.cid, r.cid, m.cid) IS NULL THEN 'unmapped'
+               WHEN fm.ok_sends > 1 THEN 'duplicated'
+               WHEN fm.first_ok <= fm."time" + make_interval(secs => $5::float8) THEN 'ok'
+               WHEN COALESCE(fm.first_ok, r.resent_at) IS NOT NULL THEN 'late'
+               WHEN fm.sends > 0 OR r.resends > 0 THEN 'failed'
+               ELSE 'missing'
+             END AS status
+        FROM fm
+        LEFT JOIN r ON r.id = fm.id AND r."time" = fm."time"
+        LEFT JOIN m ON m.imei = fm.imei AND m.multi = fm.multi
+    )`;
+}
+
+const toCidRow = (r) => ({
+  cid: r.cid,
+  imeis: r.imeis,
+  frames: r.frames,
+  ok: r.ok,
+  late: r.late,
+  duplicated: r.duplicated,
+  failed: r.failed,
+  missing: r.missing,
+  unmatchedSends: r.unmatched_sends,
+  deliveryRate: r.frames ? Math.round(((r.ok + r.late + r.duplicated) / r.frames) * 1000) / 10 : null,
+  avgDelaySec: r.avg_delay_sec != null ? Math.round(Number(r.avg_delay_sec)) : null,
+  lastMissing: r.last_missing,
+});
+
+// CID 별 요약 (+ 프레임 없이 나간 전송 수). cid 지정 시 해당 CID 만
+async function reconcileByCid({ from, to, imeis = null, cid = null }) {
+  const { params, scope } = baseParams({ from, to, imeis });
+  let cidCond = '';
+  let orphanCond = '';
+  if (cid) {
+    params.push(cid);
+    cidCond = `AND cid = $${params.length}`;
+    orphanCond = `AND s.cid = $${params.length}`;
+  }
+
+  // 구간 시작 직후 전송은 구간 밖 프레임에 대응할 수 있어 대응 허용 시간 이후만 센다
+  const { rows } = await pool.query(
+    `${ctes(scope)},
+    orphan AS (
+      SELECT s.cid, COUNT(*)::int AS n
+        FROM s
+       WHERE s."time" >= $1::timestamptz + make_interval(secs => $3::float8) AND s."time" < $2::timestamptz
+         AND NOT EXISTS (
+           SELECT 1 FROM f
+            WHERE f.imei = s.imei AND f.multi = s.multi AND s."time" >= f."time"
+              AND s."time" < LEAST(COALESCE(f.next_time, 'infinity'), f."time" + make_interval(secs => $3::float8)))
+         ${orphanCond}
+       GROUP BY s.cid
+    ),
+    agg AS (
+      SELECT cid,
+             array_agg(DISTINCT imei) AS imeis,
+             COUNT(*)::int AS frames,
+             COUNT(*) FILTER (WHERE status = 'ok')::int AS ok,
+             COUNT(*) FILTER (WHERE status = 'late')::int AS late,
+             COUNT(*) FILTER (WHERE status = 'duplicated')::int AS duplicated,
+             COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+             COUNT(*) FILTER (WHERE status = 'missing')::int AS missing,
+             AVG(EXTRACT(EPOCH FROM delivered_at - "time")) AS avg_delay_sec,
+             MAX("time") FILTER (WHERE status = 'missing') AS last_missing
+        FROM c
+       WHERE cid IS NOT NULL ${cidCond}
+       GROUP BY cid
+    )
+    SELECT COALESCE(agg.cid, orphan.cid) AS cid,
+           COALESCE(agg.imeis, '{}') AS imeis,
+           COALESCE(agg.frames, 0) AS frames, COALESCE(agg.ok, 0) AS ok, COALESCE(agg.late, 0) AS late,
+           COALESCE(agg.duplicated, 0) AS duplicated, COALESCE(agg.failed, 0) AS failed,
+           COALESCE(agg.missing, 0) AS missing, COALESCE(orphan.n, 0) AS unmatched_sends,
+           agg.avg_delay_sec, agg.last_missing
+      FROM agg
+      FULL JOIN orphan ON orphan.cid = agg.cid
+     WHERE COALESCE(agg.cid, orphan.cid) IS NOT NULL
+     ORDER BY COALESCE(agg.missing, 0) + COALESCE(agg.failed, 0) DESC, cid`,
+    params
+  );
+  return rows.map(toCidRow);
+}
+
+// CID 가 없는(REMS 로 보낸 적 없는) IMEI 의 프레임 수
+async function unmappedFrames({ from, to, imeis = null }) {
+  const { params, scope } = baseParams({ from, to, imeis });
+  const { rows } = await pool.query(
+    `${ctes(scope)}
+    SELECT imei, COUNT(*)::int AS frames FROM c WHERE status = 'unmapped' GROUP BY imei ORDER BY frames DESC`,
+    params
+  );
+  return rows;
+}
+
+// 프레임 단위 목록. statuses 미지정 시 ok 제외 전체
+async function reconcileFrames({ from, to, imeis = null, cid = null, statuses = null, limit = 1000 }) {
+  const { params, scope } = baseParams({ from, to, imeis });
+  params.push(statuses || STATUSES.filter((s) => s !== 'ok'));
+  const conds = [`status = ANY($${params.length}::text[])`];
+  if (cid) {
+    params.push(cid);
+    conds.push(`cid = $${params.length}`);
+  }
+  params.push(limit);
+  const { rows } = await pool.query(
+    `${ctes(scope)}
+    SELECT id, "time", imei, multi, cid, status, sends, ok_sends, resends, delivered_at
+      FROM c
+     WHERE ${conds.join(' AND ')}
+     ORDER BY "time"
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+function summarize(cids) {
+  const t = { cids: cids.length, frames: 0, ok: 0, late: 0, duplicated: 0, failed: 0, missing: 0, unmatchedSends: 0 };
+  for (const c of cids) {
+    for (const k of ['frames', 'ok', 'late', 'duplicated', 'failed', 'missing', 'unmatchedSends']) t[k] += c[k];
+  }
+  t.deliveryRate = t.frames ? Math.round(((t.ok + t.late + t.duplicated) / t.frames) * 1000) / 10 : null;
+  return t;
+}
+
+module.exports = { LATE_SEC, STATUSES, reconcileByCid, reconcileFrames, unmappedFrames, summarize };
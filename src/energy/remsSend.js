@@ -0,0 +1,109 @@
+// src/energy/remsSend.js
+// 국가 REMS 전송: log_rtureceivelog 프레임으로 payload 재구성, REMS_ENDPOINT 로 POST, 결과를 log_remssendlog 에 기록
+// 본문은 README 「HTTPS 전송 데이터 형태」의 Body 구조(커맨드·에너지원·타입·멀티·에러코드·데이터) 바이트 그대로,
+// CID 와 인증키는 헤더로 보낸다 → log_remssendlog.body 에는 프레임 hex 만 남고 인증키는 남지 않는다.
+// 로컬에서는 scripts/rems-stub.js 를 띄우고 REMS_ENDPOINT=http://127.0.0.1:4010/rems 로 돌린다.
+const axios = require('axios');
+const { LRUCache } = require('lru-cache');
+const { mysqlPool } = require('../db/db.mysql');
+const { hexToBuffer } = require('./parser');
+
+// log_remssendlog.result 중 성공으로 보는 값 (쉼표 구분), 실패 기록 값
+const SUCCESS_RESULTS = (process.env.REMS_SUCCESS_RESULTS || '1').split(',').map((s) => s.trim()).filter(Boolean);
+const FAILURE_RESULT = process.env.REMS_FAILURE_RESULT || '0';
+const ENDPOINT = process.env.REMS_ENDPOINT || '';
+const TIMEOUT_MS = Number(process.env.REMS_TIMEOUT_MS || '10000');
+// 전송 실패 기록 시각 기준, 이 범위 안의 같은 RTU·멀티 프레임 중 가장 최근 것이 보냈던 프레임
+const FRAME_MATCH_MS = 10 * 60 * 1000;
+// 헤더 이름은 rems_rems 컬럼명과 같게
+const CID_HEADER = 'cid';
+const AUTH_HEADER = 'authKey';
+
+const authKeyCache = new LRUCache({ max: 5000, ttl: 10 * 60 * 1000 });
+
+async function getAuthKey(cid) {
+  if (authKeyCache.has(cid)) return authKeyCache.get(cid);
+  let key = null;
+  try {
+    const [rows] = await mysqlPool.query('SELECT authKey FROM rems_rems WHERE cid = ? LIMIT 1', [cid]);
+    key = rows?.[0]?.authKey || null;
+  } catch (e) {
+    console.warn('[remsSend] authKey 조회 실패:', e.message);
+    return null;
+  }
+  authKeyCache.set(cid, key);
+  return key;
+}
+
+// 실패한 전송 기록(sendTime)에 해당하는 원본 프레임
+async function findFrame(db, { rtuImei, multiId, sendTime }) {
+  const t = new Date(sendTime);
+  const { rows } = await db.query(
+    `SELECT id, time, body
+       FROM public.log_rtureceivelog
+      WHERE "rtuImei" = $1 AND "multiId" = $2
+        AND "time" <= $3 AND "time" > $4
+        AND left(body, 2) = '14'
+      ORDER BY "time" DESC
+      LIMIT 1`,
+    [rtuImei, multiId, t, new Date(t.getTime() - FRAME_MATCH_MS)]
+  );
+  return rows[0] || null;
+}
+
+// 보낼 내용 (인증키는 싣지 않는다. postPayload 가 헤더로 붙인다)
+function buildPayload({ cid, rtuImei, multiId }, frame) {
+  return { cid, rtuImei, multiId, body: frame.body };
+}
+
+// 반환: { ok, error }. 2xx 가 아니거나 응답 result 가 성공 값이 아니면 실패
+async function postPayload(payload) {
+  if (!ENDPOINT) return { ok: false, error: 'REMS_ENDPOINT 미설정' };
+  const bytes = hexToBuffer(payload.body);
+  if (!bytes) return { ok: false, error: 'invalid_frame_body' };
+  const authKey = await getAuthKey(payload.cid);
+  if (!authKey) return { ok: false, error: 'authKey 없음 (rems_rems)' };
+  try {
+    const r = await axios.post(ENDPOINT, bytes, {
+      timeout: TIMEOUT_MS,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        [CID_HEADER]: payload.cid,
+        [AUTH_HEADER]: authKey,
+      },
+    });
+    if (r.status < 200 || r.status >= 300) {
+      return { ok: false, error: `HTTP ${r.status}: ${JSON.stringify(r.data ?? '').slice(0, 200)}` };
+    }
+    const result = r.data && r.data.result != null ? String(r.data.result) : null;
+    if (result != null && !SUCCESS_RESULTS.includes(result)) {
+      return { ok: false, error: `result=${result}: ${String(r.data.error || r.data.message || '').slice(0, 200)}` };
+    }
+    return { ok: true, error: null };
+  } catch (e) {
+    return { ok: false, error: e.code ? `${e.code}: ${e.message}` : e.message };
+  }
+}
+
+// log_remssendlog 에 한 줄 (body 는 보낸 프레임 hex). 반환: 새 행 id
+async function recordSend(db, { cid, rtuImei, multiId }, payload, { ok, error }) {
+  const { rows } = await db.query(
+    `INSERT INTO public.log_remssendlog ("time", "multiId", cid, body, result, error, "rtuImei")
+     VALUES (NOW(), $1, $2, $3, $4, $5, $6)
+     RETURNING id, "time"`,
+    [multiId, cid, payload.body, ok ? SUCCESS_RESULTS[0] : FAILURE_RESULT, error, rtuImei]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  SUCCESS_RESULTS,
+  FAILURE_RESULT,
+  ENDPOINT,
+  FRAME_MATCH_MS,
+  findFrame,
+  buildPayload,
+  postPayload,
+  recordSend,
+};
@@ -0,0 +1,70 @@
+// src/energy/rtuLog.js
+// log_rtureceivelog 쓰기 공통 (수집 API·과거 로그 가져오기)
+// body 정규화, 저장 거부 사유, 원본 INSERT + frame_metrics 해석
+const { z } = require('zod');
+const { hexToBuffer } = require('./parser');
+const { insertFrameMetrics } = require('./frameMetrics');
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+
+const COLUMNS = [
+  'time', 'deviceModel', 'msgType', 'seqSendTime', 'businessId', 'serviceId',
+  'opMode', 'multiId', 'bodyLength', 'bodyOptionId', 'body', 'rtuImei',
+];
+
+// RTU 헤더 열 — log_rtureceivelog 컬럼 타입(varchar 길이, TIME, SMALLINT, INTEGER)에 맞지 않으면 INSERT 가 통째로 실패한다
+const SMALLINT = z.coerce.number().int().min(0).max(32767);
+const INTEGER = z.coerce.number().int().min(-2147483648).max(2147483647);
+const HeaderSchema = z.object({
+  deviceModel: z.string().min(1).max(5),
+  msgType: z.string().length(1),
+  seqSendTime: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/, 'HH:MM:SS'),
+  opMode: z.string().min(1).max(10),
+  multiId: SMALLINT,
+  bodyOptionId: SMALLINT,
+  rtuImei: z.string().min(1).max(23),
+  businessId: INTEGER.optional(),
+  serviceId: INTEGER.optional(),
+});
+
+// 'abcd..'(붙여 쓴 hex) 또는 공백 구분 hex → 소문자 2자리 공백 구분 (집계 SQL 의 split_part 기준)
+function normalizeBody(raw) {
+  const s = String(raw || '').trim();
+  const spaced = /^[0-9a-fA-F]+$/.test(s) && s.length % 2 === 0
+    ? s.match(/../g).join(' ')
+    : s.replace(/\s+/g, ' ');
+  const buf = hexToBuffer(spaced);
+  return buf ? [...buf].map(hex2).join(' ') : null;
+}
+
+// 저장 거부 사유 (m: decodeMessage 결과). 장비 에러(0x39 등)·짧은 계측 프레임도 원본 보존을 위해 저장하되, strict 이면 거부
+function rejectReason(m, strict) {
+  if (m.reason === 'invalid_hex' || m.reason === 'unsupported_command') return m.reason;
+  if (m.kind === 'measurement' && m.reason === 'short') return 'short_header';
+  if (strict && !m.ok) return m.reason || 'parse_failed';
+  // 에러 코드가 있는 계측 프레임은 해석은 되지만(ok) 계측값을 믿을 수 없다
+  if (strict && m.kind === 'measurement' && m.errCode) return `device_error_${hex2(m.errCode)}`;
+  return null;
+}
+
+// db: 트랜잭션 client (호출부가 BEGIN/COMMIT). 반환: [{ id, time, rtuImei, body }] (입력 순서)
+async function insertLogRows(db, rows) {
+  const params = [];
+  const values = rows.map((r) => {
+    const ph = COLUMNS.map((c) => {
+      params.push(r[c] ?? null);
+      return `$${params.length}`;
+    });
+    return `(${ph.join(', ')})`;
+  });
+  const { rows: inserted } = await db.query(
+    `INSERT INTO public.log_rtureceivelog (${COLUMNS.map((c) => `"${c}"`).join(', ')})
+     VALUES ${values.join(', ')}
+     RETURNING id, time, "rtuImei", body`,
+    params
+  );
+  await insertFrameMetrics(db, inserted);
+  return inserted;
+}
+
+module.exports = { COLUMNS, HeaderSchema, normalizeBody, rejectReason, insertLogRows };
@@ -0,0 +1,79 @@
+// 수집 API·과거 로그 가져오기 공통: body 정규화, 저장 거부 사유, RTU 헤더 검증
+const { decodeMessage } = require('./parser');
+const { HeaderSchema, normalizeBody, rejectReason } = require('./rtuLog');
+
+// README 의 태양광 단상 예시 프레임
+const FRAME = '14 01 01 00 00 01 5e 00 32 04 e2 00 dc 00 1a 04 e2 03 e7 02 58 00 00 00 00 00 0f 42 40 00 00';
+const withErr = (hex, err) => hex.replace(/^14 01 01 00 00/, `14 01 01 00 ${err}`);
+
+describe('normalizeBody', () => {
+  test('붙여 쓴 hex·대문자·여러 공백 → 소문자 2자리 공백 구분', () => {
+    expect(normalizeBody('14010100')).toBe('14 01 01 00');
+    expect(normalizeBody('  14  0A\n01 ')).toBe('14 0a 01');
+    expect(normalizeBody(FRAME.toUpperCase())).toBe(FRAME);
+  });
+
+  test('hex 가 아니거나 바이트로 나뉘지 않으면 null', () => {
+    for (const raw of ['14 zz', 'abc', '14 1 1', '1401 0100', '', null, undefined]) {
+      expect(normalizeBody(raw)).toBeNull();
+    }
+  });
+});
+
+describe('rejectReason', () => {
+  const reason = (hex, strict = false) => rejectReason(decodeMessage(hex), strict);
+
+  test('정상 계측 프레임과 하트비트는 저장', () => {
+    expect(reason(FRAME, true)).toBeNull();
+    expect(reason('14 04 00 00 00', true)).toBeNull();
+  });
+
+  test('잘못된 hex·미등록 명령·헤더가 잘린 계측 프레임은 항상 거부', () => {
+    expect(reason('zz 01')).toBe('invalid_hex');
+    expect(reason('15 01 02')).toBe('unsupported_command');
+    expect(reason('14 01 01')).toBe('short_header');
+  });
+
+  test('장비 에러·짧은 프레임은 원본 보존을 위해 저장, strict 면 거부', () => {
+    const short = FRAME.split(' ').slice(0, 12).join(' ');
+    expect(reason(short)).toBeNull();
+    expect(reason(short, true)).toBe('short_single');
+    expect(reason(withErr(FRAME, '39'))).toBeNull();
+    expect(reason(withErr(FRAME, '39'), true)).toBe('device_error_39');
+  });
+});
+
+describe('HeaderSchema', () => {
+  const header = {
+    rtuImei: '864000000000001',
+    deviceModel: 'IMP01',
+    msgType: '1',
+    seqSendTime: '12:34:56',
+    opMode: '0',
+    multiId: '0',
+    bodyOptionId: 0,
+  };
+
+  test('숫자 열은 문자열도 받고 businessId·serviceId 는 생략 가능', () => {
+    const r = HeaderSchema.safeParse(header);
+    expect(r.success).toBe(true);
+    expect(r.data.multiId).toBe(0);
+    expect(r.data.businessId).toBeUndefined();
+  });
+
+  test('컬럼 타입에 맞지 않는 값은 필드 이름과 함께 실패', () => {
+    const cases = [
+      ['deviceModel', 'TOOLONG'],
+      ['msgType', '12'],
+      ['seqSendTime', '24:00:00'],
+      ['multiId', 40000],
+      ['rtuImei', ''],
+      ['businessId', 2 ** 31],
+    ];
+    for (const [field, value] of cases) {
+      const r = HeaderSchema.safeParse({ ...header, [field]: value });
+      expect(r.success).toBe(false);
+      expect(r.error.issues[0].path[0]).toBe(field);
+    }
+  });
+});
@@ -2,18 +2,21 @@ const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const { pool } = require('../db/db.pg');
-const { parseFrame } = require('./parser');
 const { TZ, getRangeUtc, bucketKeyKST, whDeltaToKwh } = require('./timeutil');
-const { resolveOneImeiOrThrow } = require('./devices');
+const { resolveOneImeiOrThrow, getBusinessImeis, getAuthorizedImeis } = require('./devices');
+const { requireAuth } = require('../middlewares/requireAuth');
+const { annotate, createCounterCheck, qualityModeFrom } = require('./validate');
+const { whToKwh } = require('./units');
+const { MULTI_HEX_SQL, metricsConds, frameFromRow } = require('./frameMetrics');
+const { getCapacityKwp, performanceContext, bucketPerformance, windowPerformance } = require('./performance');
+const { loadSegments, createStitcher, stitchedDayRanges } = require('./counterSegments');
+const { GAP_MINUTES, fillModeFrom, findSilences, assessDays, missingRanges, rollupQuality } = require('./gaps');
 
 const ELECTRIC_CO2 = Number(process.env.ELECTRIC_CO2_PER_KWH || '0.4747');
 const THERMAL_CO2  = Number(process.env.THERMAL_CO2_PER_KWH  || '0.198');
 const TREE_KG      = 6.6;
 const round2 = (v) => Math.round(v * 100) / 100;
 
-const MIN_BODYLEN_WITH_WH = 12;
-const LEN_WITH_WH_COND = `COALESCE("bodyLength", 9999) >= ${MIN_BODYLEN_WITH_WH}`;
-
 const RECENT_WINDOW_BY_ENERGY = {
   '01': 365,
   '02': 365,
@@ -24,11 +27,14 @@ const RECENT_WINDOW_BY_ENERGY = {
 };
 
 const AGGREGATE_RANGES = ['yearly', 'last4weeks', 'monthly', 'weekly'];
+// /compare 한 번에 비교할 최대 장비 수
+const COMPARE_MAX_DEVICES = 10;
+const GROUP_BY = ['sido', 'sigungu', 'worker', 'contractor', 'business'];
 
 function okClause(req) {
   const ok = String(req.query.ok || '1').toLowerCase();
   if (ok === 'any' || ok === '0') return '';
-  return "AND split_part(body,' ',5)='00'";
+  return 'AND err = 0';
 }
 
 const seriesLimiter = rateLimit({
@@ -47,13 +53,10 @@ const CO2_FOR = (energyHex) => {
 
 const MULTI_SUPPORTED = (energyHex) => (energyHex || '').toLowerCase() === '01';
 
-function headerFromHex(hex) {
-  const parts = (hex || '').trim().split(/\s+/);
-  return {
-    energyHex: (parts[1] || '').toLowerCase(),
-    type: parts[2] ? parseInt(parts[2],16) : null,
-    multi: parts[3] ?? null
-  };
+function badRequest(msg) {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
 }
 
 function kstDayKey(d) {
@@ -63,6 +66,9 @@ function kstDayKey(d) {
   return `${y}-${m}-${day}`;
 }
 
+// 프레임 수 집계용 (KST 는 서머타임이 없어 고정 +9h)
+const kstDayOfMs = (ms) => new Date(ms + 9 * 3600 * 1000).toISOString().slice(0, 10);
+
 function kstHourKey(d) {
   const z = new Date(d.toLocaleString('en-US', { timeZone: 'Asia/Seoul' }));
   return `${z.getFullYear()}-${String(z.getMonth()+1).padStart(2,'0')}-${String(z.getDate()).padStart(2,'0')} ${String(z.getHours()).padStart(2,'0')}`;
@@ -78,37 +84,10 @@ function parseYmd(s) {
 function kstStartUtc({ y, M, d }) { return new Date(Date.UTC(y, M - 1, d, -9)); }
 function kstEndExclusiveUtc({ y, M, d }) { return new Date(Date.UTC(y, M - 1, d + 1, -9)); }
 
-function buildTypeCondsForEnergy(energyHex, typeHex, params) {
-  const e = (energyHex || '').toLowerCase();
-  const t = (typeHex || '').toLowerCase();
-  if (e === '04' && (!t || t === 'auto')) {
-    return { sql: `split_part(body,' ',3) IN ('00','01')`, added:false };
-  }
-  if (t) {
-    params.push(t);
-    return { sql:`split_part(body,' ',3) = $${params.length}`, added:true };
-  }
-  return { sql:null, added:false };
-}
-
-router.get('/series', seriesLimiter, async (req, res, next) => {
-  const tAllStart = Date.now();
-
-  try {
-    const q = req.query.rtuImei || req.query.imei || req.query.name || req.query.q;
-    if (!q) return res.status(400).json({ error: 'imei 필요' });
-
-    const { imei, name } = await resolveOneImeiOrThrow(q);
-
-    const range     = (req.query.range || 'weekly').toLowerCase();
-    const energyHex = (req.query.energy || '01').toLowerCase();
-    const typeHex   = (req.query.type || '').toLowerCase() || null;
-    const wantHourly = String(req.query.detail || '').toLowerCase() === 'hourly';
-    const multiParam = (req.query.multi || '').toLowerCase();
-    const wantMulti  = ['00', '01', '02', '03'].includes(multiParam) ? multiParam : null;
-
-    const startQ = parseYmd(req.query.start);
-    const endQ   = parseYmd(req.query.end);
+// 조회 구간(UTC)과 버킷. start/end(KST 날짜)가 있으면 그 기간, 아니면 range
+function seriesWindow(query, range, energyHex) {
+    const startQ = parseYmd(query.start);
+    const endQ   = parseYmd(query.end);
     let startUtc, endUtc, bucket;
 
 if (startQ && endQ) {
@@ -119,7 +98,7 @@ if (startQ && endQ) {
       const nowKST = new Date(
         new Date().toLocaleString('en-US', { timeZone: 'Asia/Seoul' })
       );
-      const year = Number(req.query.year) || nowKST.getFullYear();
+      const year = Number(query.year) || nowKST.getFullYear();
       startUtc = new Date(Date.UTC(year, 0, 1, -9));
       if (year < nowKST.getFullYear()) {
         endUtc = new Date(Date.UTC(year, 11, 31, 23, 59, 59, -9));
@@ -159,6 +138,26 @@ if (startQ && endQ) {
         if (bucket === 'month') bucket = 'day';
       }
     }
+    return { startUtc, endUtc, bucket };
+}
+
+// 장비 하나의 시계열 응답 본문 (/series, /compare 가 같이 쓴다)
+async function buildSeries(req, { imei, name }) {
+    const tAllStart = Date.now();
+
+    const range     = (req.query.range || 'weekly').toLowerCase();
+    const energyHex = (req.query.energy || '01').toLowerCase();
+    const typeHex   = (req.query.type || '').toLowerCase() || null;
+    const wantHourly = String(req.query.detail || '').toLowerCase() === 'hourly';
+    const multiParam = (req.query.multi || '').toLowerCase();
+    const wantMulti  = ['00', '01', '02', '03'].includes(multiParam) ? multiParam : null;
+    const qualityMode = qualityModeFrom(req);
+    const fill = fillModeFrom(req);
+    // 공백 탐지는 원본 프레임을 훑으므로 요청할 때만 (gaps=1 또는 fill 지정)
+    const wantGaps = fill !== 'none' || String(req.query.gaps || '0') === '1';
+    let suspectFrames = 0;
+
+    let { startUtc, endUtc, bucket } = seriesWindow(req.query, range, energyHex);
 
     let sql, tableUsed;
     const isAggregateQuery = AGGREGATE_RANGES.includes(range) && !wantHourly;
@@ -185,7 +184,7 @@ if (startQ && endQ) {
         }
 
         sql = `
-            SELECT day AS time, (max_wh - min_wh) AS daily_wh_diff, multi_hex
+            SELECT day AS time, (max_wh - min_wh) AS daily_wh_diff, multi_hex, frames
             FROM public.log_rtureceivelog_daily
             WHERE ${aggConds.join(' AND ')}
             ORDER BY day ASC
@@ -193,33 +192,24 @@ if (startQ && endQ) {
         tableUsed = 'AGGREGATE';
 
     } else {
+        // 누적값은 frame_metrics 에 정상(err 00) 프레임만 저장돼 있다
         const conds = [
-          `"rtuImei" = $1`,
-          `"time" >= $2`,
-          `"time" < $3`,
-          `left(body,2)='14'`,
-          LEN_WITH_WH_COND
+          'imei = $1',
+          '"time" >= $2',
+          '"time" < $3',
+          'cumulative_wh IS NOT NULL'
         ];
 
         const okFilter = okClause(req);
         if (okFilter) conds.push(okFilter.replace(/^AND\s+/, ''));
 
-        if (energyHex) {
-          params.push(energyHex);
-          conds.push(`split_part(body, ' ', 2) = $${params.length}`);
-        }
-
-        const tc = buildTypeCondsForEnergy(energyHex, typeHex, params);
-        if (tc.sql) conds.push(tc.sql);
-
-        if (wantMulti && MULTI_SUPPORTED(energyHex)) {
-          params.push(wantMulti);
-          conds.push(`split_part(body, ' ', 4) = $${params.length}`);
-        }
+        const multiHex = (wantMulti && MULTI_SUPPORTED(energyHex)) ? wantMulti : null;
+        conds.push(...metricsConds({ energyHex, typeHex, multiHex }, params));
         
         sql = `
-            SELECT "time", "bodyLength", body
-            FROM public.log_rtureceivelog
+            SELECT "time", energy, type, multi, ${MULTI_HEX_SQL} AS multi_hex, err, ok, reason,
+                   layout_version, cumulative_wh, quality_flags
+            FROM public.frame_metrics
             WHERE ${conds.join(' AND ')}
             ORDER BY "time" ASC
         `;
@@ -227,19 +217,32 @@ if (startQ && endQ) {
     }
 
     const dbStartTime = Date.now();
-    const { rows } = await pool.query(sql, params);
+    const [{ rows }, segments] = await Promise.all([
+      pool.query(sql, params),
+      loadSegments(pool, imei, { to: endUtc }),
+    ]);
+    // 카운터 교체·리셋 구간은 이어 붙인 누적값으로 계산 (일 집계는 불연속이 있는 날만 원본으로 다시 구함)
+    const stitch = createStitcher(segments);
+    const seamDays = tableUsed === 'AGGREGATE'
+      ? await stitchedDayRanges(pool, imei, { from: startUtc, to: endUtc, energyHex, segments })
+      : new Map();
     const dbEndTime   = Date.now();
     const dbMs        = dbEndTime - dbStartTime;
 
     let perKey = new Map();
+    // 날짜 버킷별 프레임 수 (빈 구간 판정용, 표본 추출 전 전체)
+    const framesByDay = new Map();
     
     if (tableUsed === 'AGGREGATE') {
         for (const r of rows) {
-            const wh = Number(r.daily_wh_diff || 0);
-            if (wh <= 0) continue;
-
             const m = r.multi_hex || '00';
             const bkey = kstDayKey(new Date(r.time));
+            framesByDay.set(bkey, (framesByDay.get(bkey) || 0) + Number(r.frames || 0));
+
+            const seam = seamDays.get(`${new Date(r.time).toISOString()}|${m}`);
+            const wh = seam ? Number(seam.maxWh - seam.minWh) : Number(r.daily_wh_diff || 0);
+            if (wh <= 0) continue;
+
             const key  = `${bkey}|${m}`;
 
             const rec = perKey.get(key) || { dailyWh: 0, firstTs: r.time, lastTs: r.time };
@@ -251,31 +254,42 @@ if (startQ && endQ) {
     } else {
         let SAMPLE_INTERVAL_MS = (energyHex === '01') ? 60 * 1000 : 10 * 60 * 1000;
         let lastProcessedTime = 0;
+        const rawCounter = createCounterCheck();
 
         for (let i = 0; i < rows.length; i++) {
             const r = rows[i];
             const currentTime = new Date(r.time).getTime();
             const isFirst = (i === 0);
             const isLast  = (i === rows.length - 1);
-
-            const head = headerFromHex(r.body);
-            if (energyHex && head.energyHex !== energyHex) continue;
+            const dkey = kstDayOfMs(currentTime);
+            framesByDay.set(dkey, (framesByDay.get(dkey) || 0) + 1);
 
             if (!isFirst && !isLast && SAMPLE_INTERVAL_MS > 0) {
                 if (currentTime - lastProcessedTime < SAMPLE_INTERVAL_MS) continue;
             }
 
-            const p = parseFrame(r.body);
-            const wh = p?.metrics?.cumulativeWh ?? null;
+            const p = frameFromRow(r);
+            p.metrics.cumulativeWh = stitch(r.multi_hex, r.time, p.metrics.cumulativeWh);
+            const wh = p.metrics.cumulativeWh ?? null;
             if (wh == null) continue;
 
+            const m = MULTI_SUPPORTED(energyHex) ? (wantMulti || r.multi_hex) : '00';
+
+            let suspect = false;
+            if (qualityMode !== 'off') {
+                annotate(p, { ts: r.time, key: m, counter: rawCounter });
+                suspect = p.quality === 'suspect';
+                if (suspect) suspectFrames++;
+                if (suspect && qualityMode === 'skip') continue;
+            }
+
             lastProcessedTime = currentTime;
-            const m = MULTI_SUPPORTED(head.energyHex) ? (wantMulti || (head.multi || '00')) : '00';
             
             const bkey = bucketKeyKST(new Date(r.time), bucket);
             const key  = `${bkey}|${m}`;
 
-            const rec = perKey.get(key) || { firstWh: null, lastWh: null, firstTs: null, lastTs: null };
+            const rec = perKey.get(key) || { firstWh: null, lastWh: null, firstTs: null, lastTs: null, suspect: 0 };
+            if (suspect) rec.suspect++;
             if (rec.firstWh == null) {
                 rec.firstWh = wh;
                 rec.firstTs = r.time;
@@ -294,25 +308,16 @@ if (startQ && endQ) {
       
       let kwh;
       if (tableUsed === 'AGGREGATE') {
-          const rawVal = Math.max(0, rec.dailyWh);
-
-          if (energyHex === '03') {
-              kwh = rawVal / 10;
-          } 
-          else if (energyHex === '02') {
-              const kcal = rawVal / 100;
-              kwh = kcal / 860.42065;
-          } 
-          else {
-              kwh = rawVal / 1000;
-          }
+          // 일 집계 뷰는 units.counterWhSql 로 이미 표준 Wh
+          kwh = whToKwh(Math.max(0, rec.dailyWh));
 
       } else {
           kwh = Math.max(0, whDeltaToKwh(rec.firstWh, rec.lastWh));
       }
 
-      const cur = bucketAgg.get(bkey) || { kwh: 0, firstAt: rec.firstTs, lastAt: rec.lastTs };
+      const cur = bucketAgg.get(bkey) || { kwh: 0, suspect: 0, firstAt: rec.firstTs, lastAt: rec.lastTs };
       cur.kwh += kwh;
+      cur.suspect += rec.suspect || 0;
       cur.firstAt = cur.firstAt ?? rec.firstTs;
       cur.lastAt  = rec.lastTs;
       bucketAgg.set(bkey, cur);
@@ -322,11 +327,70 @@ if (startQ && endQ) {
       const kwh     = round2(agg.kwh);
       const co2_kg = round2(kwh * co2Factor);
       const trees  = Math.round(co2_kg / TREE_KG);
-      return { bucket, kwh, co2_kg, trees, firstAt: agg.firstAt, lastAt : agg.lastAt };
+      const row = { bucket, kwh, co2_kg, trees, firstAt: agg.firstAt, lastAt : agg.lastAt };
+      if (qualityMode === 'mark') row.suspect_frames = agg.suspect;
+      return row;
     });
 
     series.sort((a, b) => a.bucket.localeCompare(b.bucket));
 
+    // 빈 날짜·긴 공백 (gaps=1 또는 fill 지정 시). fill=zero|interpolate 면 빈 날짜도 행으로 채운다
+    // 일 집계 버킷은 UTC 날짜(time_bucket '1 day'), 원본은 KST 날짜
+    let gaps = null;
+    let dayQuality = [];
+    if (wantGaps && bucket === 'day') {
+      const silences = await findSilences(pool, imei, {
+        from: startUtc,
+        to: endUtc,
+        energyHex,
+        typeHex,
+        multiHex: (wantMulti && MULTI_SUPPORTED(energyHex)) ? wantMulti : null,
+      });
+      dayQuality = assessDays({
+        from: startUtc,
+        to: endUtc,
+        zone: tableUsed === 'AGGREGATE' ? 'UTC' : TZ,
+        framesByDay,
+        silences,
+        interpolate: fill === 'interpolate',
+      });
+
+      const byBucket = new Map(series.map((row) => [row.bucket, row]));
+      for (const d of dayQuality) {
+        let row = byBucket.get(d.day);
+        if (!row) {
+          if (fill === 'none') continue;
+          row = { bucket: d.day, kwh: 0, co2_kg: 0, trees: 0, firstAt: null, lastAt: null };
+          if (qualityMode === 'mark') row.suspect_frames = 0;
+          series.push(row);
+        }
+        if (fill === 'interpolate') {
+          row.interpolated_kwh = round2(d.interpolatedWh / 1000);
+          row.kwh = round2(row.kwh + row.interpolated_kwh);
+          row.co2_kg = round2(row.kwh * co2Factor);
+          row.trees = Math.round(row.co2_kg / TREE_KG);
+        }
+        row.frames = d.frames;
+        row.data_quality = d.quality;
+      }
+      series.sort((a, b) => a.bucket.localeCompare(b.bucket));
+
+      gaps = {
+        threshold_minutes: GAP_MINUTES,
+        fill,
+        missing: missingRanges(dayQuality),
+        silences: silences.map((s) => ({
+          multi: s.multi,
+          from: s.from,
+          to: s.to,
+          minutes: Math.round((s.to - s.from) / 60000),
+          ongoing: s.ongoing,
+          interpolated_kwh: fill === 'interpolate' ? round2(s.interpolatedWh / 1000) : undefined,
+        })),
+        interpolated_kwh: fill === 'interpolate' ? round2(dayQuality.reduce((a, d) => a + d.interpolatedWh, 0) / 1000) : null,
+      };
+    }
+
     if (range === 'yearly') {
       const monthAgg = new Map();
       for (const row of series) {
@@ -338,10 +402,20 @@ if (startQ && endQ) {
         t.kwh     += row.kwh;
         t.co2_kg += row.co2_kg;
         t.trees  += row.trees;
+        if (qualityMode === 'mark') t.suspect_frames = (t.suspect_frames || 0) + (row.suspect_frames || 0);
+        if (row.interpolated_kwh != null) t.interpolated_kwh = round2((t.interpolated_kwh || 0) + row.interpolated_kwh);
         if (row.firstAt && (!t.firstAt || row.firstAt < t.firstAt)) t.firstAt = row.firstAt;
         if (row.lastAt  && (!t.lastAt || row.lastAt  > t.lastAt)) t.lastAt  = row.lastAt;
         monthAgg.set(mk, t);
       }
+      // 월 프레임 수·품질은 행이 없는 날까지 포함한 날짜 판정으로
+      if (dayQuality.length) {
+        for (const [mk, t] of monthAgg) {
+          const days = dayQuality.filter((d) => d.day.startsWith(mk));
+          t.frames = days.reduce((a, d) => a + d.frames, 0);
+          t.data_quality = rollupQuality(days);
+        }
+      }
       series = [...monthAgg.values()].sort((a, b) => a.bucket.localeCompare(b.bucket));
       bucket = 'month';
     }
@@ -350,6 +424,14 @@ if (startQ && endQ) {
     const total_co2_kg = round2(total_kwh * co2Factor);
     const total_trees  = Math.round(total_co2_kg / TREE_KG);
 
+    // 태양광 단위 발전량·성능비 (performance=1 일 때만, 위치·날씨 외부 조회가 붙는다)
+    let performance = null;
+    if (String(req.query.performance || '0') === '1') {
+      const perf = await performanceContext(imei, { energyHex, multiHex: wantMulti, from: startUtc, to: endUtc });
+      series = series.map((row) => ({ ...row, ...bucketPerformance(perf, row.bucket, row.kwh) }));
+      performance = windowPerformance(perf, total_kwh);
+    }
+
     let detail_hourly = null;
 
     if (wantHourly && rows.length && range !== 'yearly' && tableUsed === 'RAW') {
@@ -358,6 +440,7 @@ if (startQ && endQ) {
       const perHourMap  = new Map();
 
       let lastHourlyProcessedTime = 0;
+      const hourlyCounter = createCounterCheck();
       let HOURLY_SAMPLE_MS = (energyHex === '01') ? 60 * 1000 : 60 * 1000;
 
       for (let i = 0; i < rows.length; i++) {
@@ -368,21 +451,24 @@ if (startQ && endQ) {
         const currentTime = t.getTime();
         const isLast      = (i === rows.length - 1);
 
-        const head = headerFromHex(r.body);
-        if (energyHex && head.energyHex !== energyHex) continue;
-
         if (!isLast && HOURLY_SAMPLE_MS > 0 &&
             (currentTime - lastHourlyProcessedTime < HOURLY_SAMPLE_MS)) {
           continue;
         }
 
-        const p  = parseFrame(r.body);
-        const wh = p?.metrics?.cumulativeWh ?? null;
+        const p  = frameFromRow(r);
+        p.metrics.cumulativeWh = stitch(r.multi_hex, r.time, p.metrics.cumulativeWh);
+        const wh = p.metrics.cumulativeWh ?? null;
         if (wh == null) continue;
 
         lastHourlyProcessedTime = currentTime;
-        const m = MULTI_SUPPORTED(head.energyHex) ? (wantMulti || (head.multi || '00')) : '00';
-        if (wantMulti && MULTI_SUPPORTED(head.energyHex) && m !== wantMulti) continue;
+        const m = MULTI_SUPPORTED(energyHex) ? (wantMulti || r.multi_hex) : '00';
+        if (wantMulti && MULTI_SUPPORTED(energyHex) && m !== wantMulti) continue;
+
+        if (qualityMode === 'skip') {
+          annotate(p, { ts: r.time, key: m, counter: hourlyCounter });
+          if (p.quality === 'suspect') continue;
+        }
 
         const hh  = kstHourKey(t).slice(11, 13);
         const key = `${hh}|${m}`;
@@ -423,7 +509,7 @@ if (startQ && endQ) {
       `dbMs=${dbMs} nodeMs=${nodeProcessingMs} totalMs=${totalMs} table=${tableUsed}`
     );
 
-    res.json({
+    return {
       deviceInfo: { rtuImei: imei, name: name, tz: TZ },
       params: {
         range,
@@ -431,15 +517,225 @@ if (startQ && endQ) {
         type_hex  : typeHex,
         multi     : (wantMulti && MULTI_SUPPORTED(energyHex)) ? wantMulti : 'all',
         detail    : wantHourly ? 'hourly' : undefined,
-        ok        : req.query.ok || '00'
+        ok        : req.query.ok || '00',
+        quality   : qualityMode,
+        fill
       },
       bucket,
       range_utc: { start: startUtc, end: endUtc },
       series,
       detail_hourly,
-      summary: { total_kwh, total_co2_kg, total_trees }
+      summary: {
+        total_kwh, total_co2_kg, total_trees,
+        suspect_frames: qualityMode === 'off' ? null : suspectFrames,
+        performance,
+        gaps
+      }
+    };
+}
+
+router.get('/series', seriesLimiter, async (req, res, next) => {
+  try {
+    const q = req.query.rtuImei || req.query.imei || req.query.name || req.query.q;
+    if (!q) return res.status(400).json({ error: 'imei 필요' });
+
+    res.json(await buildSeries(req, await resolveOneImeiOrThrow(q)));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// 그룹(지역·담당자·시공사·사업) → 장비 목록
+// 사업은 장비 등록 정보(MySQL rtu_rtu.businessId)로 묶는다
+async function groupImeis(by, key, { sido = null }) {
+  if (by === 'business') {
+    const id = Number(key);
+    if (!Number.isInteger(id)) throw badRequest('business key 는 정수 businessId 여야 합니다.');
+    const imeis = await getBusinessImeis(id);
+    if (!imeis) {
+      const e = new Error('사업별 장비 목록(rtu_rtu)을 조회할 수 없습니다.');
+      e.status = 503;
+      throw e;
+    }
+    return imeis;
+  }
+  if (by === 'contractor') {
+    const { rows } = await pool.query('SELECT rtuimei AS imei FROM public.facility_info WHERE contractor = $1', [key]);
+    return rows.map((r) => r.imei);
+  }
+  // 시군구 이름은 시도마다 겹칠 수 있어(중구 등) sido 로 좁힐 수 있다
+  const params = [key];
+  let cond = `${by} = $1`;
+  if (by === 'sigungu' && sido) {
+    params.push(sido);
+    cond += ' AND sido = $2';
+  }
+  const { rows } = await pool.query(`SELECT imei FROM public.imei_meta WHERE ${cond}`, params);
+  return rows.map((r) => r.imei);
+}
+
+// 그룹 합계 시계열: 일 집계(log_rtureceivelog_daily)를 장비 묶음으로 더한다. 로그인 사용자 권한 장비만
+// 카운터 교체·리셋이 있던 장비·날은 /series 와 같이 이어 붙인 값으로 고친다
+router.get('/series/group', requireAuth, seriesLimiter, async (req, res, next) => {
+  try {
+    const by = String(req.query.by || '').toLowerCase();
+    const key = String(req.query.key || '').trim();
+    if (!GROUP_BY.includes(by)) throw badRequest(`by 는 ${GROUP_BY.join('/')} 중 하나여야 합니다.`);
+    if (!key) throw badRequest('key 가 필요합니다.');
+
+    const range     = (req.query.range || 'weekly').toLowerCase();
+    const energyHex = (req.query.energy || '01').toLowerCase();
+    const typeHex   = (req.query.type || '').toLowerCase() || null;
+    const byDates   = parseYmd(req.query.start) && parseYmd(req.query.end);
+    if (!byDates && !AGGREGATE_RANGES.includes(range)) throw badRequest(`range 는 ${AGGREGATE_RANGES.join('/')} 중 하나여야 합니다.`);
+    const { startUtc, endUtc } = seriesWindow(req.query, range, energyHex);
+
+    const allowed = await getAuthorizedImeis(req);
+    let imeis = await groupImeis(by, key, { sido: req.query.sido || null });
+    if (allowed) imeis = imeis.filter((i) => allowed.includes(i));
+    if (!imeis.length) {
+      const e = new Error('해당 그룹에 조회 가능한 장비가 없습니다.');
+      e.status = 404;
+      throw e;
+    }
+
+    const monthly = range === 'yearly' && !byDates;
+    const fmt = monthly ? 'YYYY-MM' : 'YYYY-MM-DD';
+    const params = [imeis, startUtc, endUtc, energyHex, fmt];
+    const conds = ['"rtuImei" = ANY($1::text[])', 'day >= $2', 'day < $3', 'energy_hex = $4'];
+    if (typeHex) {
+      params.push(typeHex);
+      conds.push(`type_hex = $${params.length}`);
+    }
+
+    // 버킷별 합계와 구간 전체(버킷 NULL) 한 번에. 일 버킷은 UTC 날짜(time_bucket '1 day')
+    const [{ rows }, { rows: seamed }] = await Promise.all([
+      pool.query(
+        `SELECT to_char(day AT TIME ZONE 'UTC', $5) AS bucket,
+                count(DISTINCT "rtuImei")::int AS devices,
+                COALESCE(sum(max_wh - min_wh) FILTER (WHERE max_wh > min_wh), 0) AS wh
+           FROM public.log_rtureceivelog_daily
+          WHERE ${conds.join(' AND ')}
+          GROUP BY GROUPING SETS ((1), ())
+          ORDER BY 1`,
+        params
+      ),
+      pool.query(
+        `SELECT DISTINCT imei FROM public.counter_segments
+          WHERE imei = ANY($1::text[]) AND start_time >= $2::timestamptz - INTERVAL '1 day' AND start_time < $3`,
+        [imeis, startUtc, endUtc]
+      ),
+    ]);
+
+    // 불연속 있는 장비: 그날 일 집계 값(양수만 더해졌다) 대신 이어 붙인 값
+    const correction = new Map();
+    for (const { imei } of seamed) {
+      const [seams, { rows: days }] = await Promise.all([
+        stitchedDayRanges(pool, imei, { from: startUtc, to: endUtc, energyHex }),
+        pool.query(
+          `SELECT day, multi_hex, (max_wh - min_wh) AS wh FROM public.log_rtureceivelog_daily
+            WHERE "rtuImei" = $1 AND day >= $2 AND day < $3 AND energy_hex = $4${typeHex ? ' AND type_hex = $5' : ''}`,
+          typeHex ? [imei, startUtc, endUtc, energyHex, typeHex] : [imei, startUtc, endUtc, energyHex]
+        ),
+      ]);
+      for (const d of days) {
+        const seam = seams.get(`${new Date(d.day).toISOString()}|${d.multi_hex}`);
+        if (!seam) continue;
+        const delta = Math.max(0, Number(seam.maxWh - seam.minWh)) - Math.max(0, Number(d.wh));
+        const bkey = new Date(d.day).toISOString().slice(0, monthly ? 7 : 10);
+        correction.set(bkey, (correction.get(bkey) || 0) + delta);
+        correction.set(null, (correction.get(null) || 0) + delta);
+      }
+    }
+
+    const co2Factor = CO2_FOR(energyHex);
+    const toRow = (r) => {
+      const kwh = round2(whToKwh(Number(r.wh) + (correction.get(r.bucket) || 0)));
+      const co2_kg = round2(kwh * co2Factor);
+      return { kwh, co2_kg, trees: Math.round(co2_kg / TREE_KG), devices: r.devices };
+    };
+    const total = rows.find((r) => r.bucket == null);
+
+    res.json({
+      params: { by, key, sido: req.query.sido || undefined, range, energy_hex: energyHex, type_hex: typeHex },
+      bucket: monthly ? 'month' : 'day',
+      range_utc: { start: startUtc, end: endUtc },
+      series: rows.filter((r) => r.bucket != null).map((r) => ({ bucket: r.bucket, ...toRow(r) })),
+      summary: {
+        devices_in_group: imeis.length,
+        ...(total ? toRow(total) : { kwh: 0, co2_kg: 0, trees: 0, devices: 0 }),
+      },
     });
+  } catch (e) {
+    next(e);
+  }
+});
 
+// 여러 장비를 같은 버킷에 맞춰 나란히 (한 차트 비교용). normalize=kwp 면 facility_info 용량으로 나눈 kWh/kWp
+// 장비에 그 버킷 값이 없으면 null (0 과 구분). 로그인 사용자 권한 장비만
+router.get('/compare', requireAuth, seriesLimiter, async (req, res, next) => {
+  try {
+    const list = [...new Set(String(req.query.imeis || '').split(',').map((s) => s.trim()).filter(Boolean))];
+    if (list.length < 2) return res.status(400).json({ error: 'imeis 에 장비를 2개 이상 쉼표로 구분해 주세요.' });
+    if (list.length > COMPARE_MAX_DEVICES) return res.status(400).json({ error: `imeis 는 최대 ${COMPARE_MAX_DEVICES}개입니다.` });
+    const normalize = String(req.query.normalize || 'none').toLowerCase();
+    if (!['none', 'kwp'].includes(normalize)) return res.status(400).json({ error: 'normalize 는 none/kwp 중 하나여야 합니다.' });
+
+    const devices = [];
+    for (const q of list) {
+      const d = await resolveOneImeiOrThrow(q);
+      if (!devices.some((x) => x.imei === d.imei)) devices.push(d);
+    }
+    const allowed = await getAuthorizedImeis(req);
+    if (allowed && devices.some((d) => !allowed.includes(d.imei))) {
+      const e = new Error('조회 권한이 없는 장비가 포함되어 있습니다.');
+      e.status = 403;
+      throw e;
+    }
+
+    // 성능비(날씨 조회)는 장비마다 부르지 않는다
+    const query = { ...req.query, performance: '0' };
+    const results = await Promise.all(devices.map((d) => buildSeries({ query }, d)));
+
+    // 용량은 설비 전체·태양광 기준 (performance.js 와 같은 reasons)
+    const energyHex = results[0].params.energy_hex;
+    const multiSelected = results[0].params.multi !== 'all';
+    const capacities = await Promise.all(devices.map(async (d) => {
+      if (normalize !== 'kwp') return { kwp: null, reasons: [] };
+      if (energyHex !== '01') return { kwp: null, reasons: ['not_pv'] };
+      const kwp = await getCapacityKwp(d.imei);
+      if (!kwp) return { kwp: null, reasons: ['no_capacity'] };
+      return { kwp, reasons: multiSelected ? ['multi_selected'] : [] };
+    }));
+    const valueOf = (kwh, i) => {
+      if (kwh == null) return null;
+      if (normalize !== 'kwp') return kwh;
+      const c = capacities[i];
+      return c.kwp && !multiSelected ? Math.round((kwh / c.kwp) * 1000) / 1000 : null;
+    };
+
+    const perDevice = results.map((r) => new Map(r.series.map((row) => [row.bucket, row.kwh])));
+    const keys = [...new Set(perDevice.flatMap((m) => [...m.keys()]))].sort();
+
+    res.json({
+      params: { ...results[0].params, normalize },
+      unit: normalize === 'kwp' ? 'kWh/kWp' : 'kWh',
+      bucket: results[0].bucket,
+      range_utc: results[0].range_utc,
+      devices: results.map((r, i) => ({
+        rtuImei: r.deviceInfo.rtuImei,
+        name: r.deviceInfo.name,
+        capacity_kwp: capacities[i].kwp,
+        total_kwh: r.summary.total_kwh,
+        total: valueOf(r.summary.total_kwh, i),
+        missing: r.summary.gaps ? r.summary.gaps.missing : null,
+        reasons: capacities[i].reasons,
+      })),
+      buckets: keys.map((bucket) => ({
+        bucket,
+        values: Object.fromEntries(devices.map((d, i) => [d.imei, valueOf(perDevice[i].get(bucket) ?? null, i)])),
+      })),
+    });
   } catch (e) {
     next(e);
   }
@@ -4,8 +4,13 @@ const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const { pool } = require('../db/db.pg');
 const { parseFrame } = require('./parser');
+const { describeFaults } = require('./faults');
+const { annotate, createCounterCheck, qualityModeFrom } = require('./validate');
 const { TZ } = require('./timeutil');
-const { resolveOneImeiOrThrow } = require('./devices');
+const { resolveOneImeiOrThrow, getFwVersion } = require('./devices');
+const { MULTI_HEX_SQL, metricsConds, frameFromRow } = require('./frameMetrics');
+const { performanceContext, kpiPerformance } = require('./performance');
+const { loadSegments, createStitcher, stitchedDayRanges } = require('./counterSegments');
 const { DateTime } = require('luxon');
 const axios = require('axios').create({
   timeout: 30000,
@@ -134,75 +139,58 @@ async function lastBeforeNowByMulti(imei, { energyHex=null, typeHex=null, multiH
   return r.rows[0] || null;
 }
 
+// KPI·순시값은 frame_metrics(저장 시점에 해석된 프레임)를 읽는다
+const FRAME_COLS = `"time", ${MULTI_HEX_SQL} AS multi_hex, energy, type, multi, err, ok, reason,
+  layout_version, cumulative_wh, quality_flags`;
+
+// 카운터 교체·리셋 구간을 이어 붙인 누적값으로 바꿔 둔다 (rows: latestPerMulti/firstAfterPerMulti 결과)
+function stitchRows(rows, stitch) {
+  for (const r of rows) {
+    const m = r?.frame?.metrics;
+    if (m && m.cumulativeWh != null) m.cumulativeWh = stitch(r.multi_hex, r.time, m.cumulativeWh);
+  }
+  return rows;
+}
+
 async function latestPerMulti(imei, { energyHex=null, typeHex=null } = {}) {
   const params = [imei];
-  
   const conds = [
-    `"rtuImei" = $1`,
-    recentSqlFor(energyHex), 
-    `split_part(body, ' ', 5) = '00'`,
-    `left(body, 2) = '14'`,
-    `COALESCE("bodyLength", 9999) >= 12`
+    'imei = $1',
+    recentSqlFor(energyHex),
+    'err = 0',
+    'cumulative_wh IS NOT NULL',
+    ...metricsConds({ energyHex, typeHex }, params),
   ];
 
-  if (energyHex) { 
-    params.push(energyHex); 
-    conds.push(`split_part(body,' ',2) = $${params.length}`); 
-  }
-  
-  const e = (energyHex || '').toLowerCase();
-  const t = (typeHex || '').toLowerCase();
-  
-  if (e === '04' && (!t || t === 'auto')) {
-     conds.push(`split_part(body,' ',3) IN ('00','01')`);
-  } else if (t) {
-     params.push(t);
-     conds.push(`split_part(body,' ',3) = $${params.length}`);
-  }
-
   const sql = `
-    SELECT "time", body, split_part(body, ' ', 4) AS multi_hex
-    FROM public.log_rtureceivelog
+    SELECT DISTINCT ON (multi) ${FRAME_COLS}, metrics
+    FROM public.frame_metrics
     WHERE ${conds.join(' AND ')}
-    ORDER BY "time" DESC
-    LIMIT 300
+    ORDER BY multi, "time" DESC
   `;
 
   const { rows } = await pool.query(sql, params);
-
-  const latestMap = new Map();
-  for (const r of rows) {
-    const m = r.multi_hex || '00';
-    if (!latestMap.has(m)) {
-      latestMap.set(m, r);
-    }
-  }
-
-  return Array.from(latestMap.values());
+  return rows.map(r => ({ multi_hex: r.multi_hex, time: r.time, frame: frameFromRow(r) }));
 }
 
 async function firstAfterPerMulti(imei, tsUtc, { energyHex=null, typeHex=null } = {}) {
   const params = [imei, tsUtc];
   const conds = [
-    `"rtuImei" = $1`,
-    `"time" >= $2`,
-    CMD_IS_14,
-    ERR_EQ_OK,
-    LEN_WITH_WH_COND,
+    'imei = $1',
+    '"time" >= $2',
+    'err = 0',
+    'cumulative_wh IS NOT NULL',
+    ...metricsConds({ energyHex, typeHex }, params),
   ];
-  if (energyHex) { params.push(energyHex); conds.push(`split_part(body,' ',2) = $${params.length}`); }
-  const tc = buildTypeCondsForEnergy(energyHex, typeHex, params);
-  if (tc.sql) conds.push(tc.sql);
 
   const sql = `
-    SELECT DISTINCT ON (split_part(body,' ',4))
-      split_part(body,' ',4) AS multi_hex, "time", body
-    FROM public.log_rtureceivelog
+    SELECT DISTINCT ON (multi) ${FRAME_COLS}
+    FROM public.frame_metrics
     WHERE ${conds.join(' AND ')}
-    ORDER BY split_part(body,' ',4), "time" ASC
+    ORDER BY multi, "time" ASC
   `;
   const { rows } = await pool.query(sql, params);
-  return rows.map(r => ({ multi_hex: r.multi_hex, time: r.time || null, body: r.body || null }));
+  return rows.map(r => ({ multi_hex: r.multi_hex, time: r.time || null, frame: frameFromRow(r) }));
 }
 
 function headerFromHex(hex) {
@@ -253,31 +241,27 @@ function computeInverterEfficiency(m) {
   return Math.round(eff * 100) / 100;
 }
 
-function pickWhOnly (hex) {
-  const p = parseFrame(hex);
+// p: frameFromRow 결과. 품질은 저장된 범위 검사 결과 기준
+function pickWhOnly (p) {
   if (!p || !p.ok || !p.metrics) {
     return { wh: null };
   }
-  const m = p.metrics;
-  const wh = Object.prototype.hasOwnProperty.call(m, 'cumulativeWh')
-    ? m.cumulativeWh
-    : null;
-  return { wh };
+  const wh = p.metrics.cumulativeWh ?? null;
+  return { wh, quality: annotate(p).quality };
 }
 
-function pickMetrics(hex) {
-  const p = parseFrame(hex);
-  const head = headerFromHex(hex);
+function pickMetrics(p) {
   if (!p || !p.ok || !p.metrics) {
-    return { wh:null, w:null, eff:null, energy: p?.energy ?? head.energy, type: p?.type ?? head.type };
+    return { wh:null, w:null, eff:null, energy: p?.energy ?? null, type: p?.type ?? null };
   }
   const m = p.metrics;
-  const wh = Object.prototype.hasOwnProperty.call(m, 'cumulativeWh') ? m.cumulativeWh : null;
+  const wh = m.cumulativeWh ?? null;
   const wCand = [ m.currentOutputW, m.postOutputW, m.outputW, m.inverterOutputW ]
     .find(v => Number.isFinite(Number(v)));
   const w = Number.isFinite(Number(wCand)) ? Number(wCand) : null;
   const eff = computeInverterEfficiency(m);
-  return { wh, w, eff, energy: p.energy, type: p.type };
+  const { quality, qualityFlags } = annotate(p);
+  return { wh, w, eff, energy: p.energy, type: p.type, quality, qualityFlags };
 }
 
 function geoStateTextFrom(m = {}) {
@@ -296,6 +280,24 @@ function inferIsOperating(m = {}) {
   return null;
 }
 
+// ESS 전용 필드 (v1 구형 프레임은 충/방전 분리·SoH·상태가 없어 null)
+function essFieldsFrom(m = {}) {
+  const toKwh = (wh) => (wh != null ? Number(wh) / 1000 : null);
+  return {
+    battery_voltage_v: m.batteryVoltageV ?? null,
+    battery_current_a: m.batteryCurrentA ?? null,
+    soc_pct: m.socPct ?? null,
+    soh_pct: m.sohPct ?? null,
+    charge_state: m.chargeState ?? null,
+    charge_state_raw: m.chargeStateRaw ?? null,
+    pcs_output_w: m.pcsOutputW ?? m.inverterOutputW ?? null,
+    grid_voltage_v: m.gridVoltageV ?? null,
+    grid_current_a: m.gridCurrentA ?? null,
+    charge_kwh: toKwh(m.chargeWh),
+    discharge_kwh: toKwh(m.dischargeWh),
+  };
+}
+
 async function fetchSeriesHourlyNonBlocking({ imei, energyHex, typeHex, multiHex }) {
   try {
     const baseKst = DateTime.now().setZone(TZ).toFormat('yyyy-LL-dd');
@@ -305,6 +307,8 @@ async function fetchSeriesHourlyNonBlocking({ imei, energyHex, typeHex, multiHex
     url.searchParams.set('start', baseKst);
     url.searchParams.set('end', baseKst);
     url.searchParams.set('detail', 'hourly');
+    url.searchParams.set('performance', '0');
+    url.searchParams.set('gaps', '0');
     if (typeHex) url.searchParams.set('type', typeHex);
     if (multiHex && MULTI_SUPPORTED(energyHex)) url.searchParams.set('multi', multiHex);
 
@@ -332,6 +336,13 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
       typeof multiHexQ === 'string' && /^[0-9a-f]{2}$/.test(multiHexQ) ? multiHexQ : null;
 
     const co2Factor = CO2_FOR(energyHex);
+    const qualityMode = qualityModeFrom(req);
+    let suspectFrames = 0;
+    const usable = (q) => {
+      if (qualityMode === 'off' || q !== 'suspect') return true;
+      suspectFrames++;
+      return qualityMode !== 'skip';
+    };
 
     const seriesPromise = fetchSeriesHourlyNonBlocking({
       imei, energyHex, typeHex, multiHex: selectedMulti
@@ -347,22 +358,27 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
         (date_trunc('month', ((now() AT TIME ZONE '${TZ}') - interval '1 month')) AT TIME ZONE '${TZ}') AS prev_month_utc,
         (date_trunc('month',  (now() AT TIME ZONE '${TZ}'))                         AT TIME ZONE '${TZ}') AS this_month_utc
     `);
-    const { start_utc } = dayB.rows[0];
+    const { start_utc, now_utc } = dayB.rows[0];
     const { prev_month_utc, this_month_utc } = monthB.rows[0];
+    const perfPromise = performanceContext(imei, { energyHex, from: new Date(prev_month_utc), to: new Date(now_utc) });
 
     const [
       latestRows,
       todayFirstRows,
       prevMonthFirstRows,
-      thisMonthFirstRows
+      thisMonthFirstRows,
+      segments
     ] = await Promise.all([
       latestPerMulti(imei, { energyHex, typeHex }),
       firstAfterPerMulti(imei, start_utc,      { energyHex, typeHex }),
       firstAfterPerMulti(imei, prev_month_utc, { energyHex, typeHex }),
       firstAfterPerMulti(imei, this_month_utc, { energyHex, typeHex }),
+      loadSegments(pool, imei),
     ]);
+    const stitch = createStitcher(segments);
+    for (const rows of [latestRows, todayFirstRows, prevMonthFirstRows, thisMonthFirstRows]) stitchRows(rows, stitch);
 
-    const anyLatest = latestRows.some(r => r?.body);
+    const anyLatest = latestRows.some(r => r?.frame);
     if (!anyLatest) {
       return res.status(422).json({
         error: 'no_frames_for_energy',
@@ -377,10 +393,11 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
     const latestMetricsByMulti = new Map();
 
     for (const r of latestRows) {
-      if (!r?.body) continue;
+      if (!r?.frame) continue;
 
-      const p = pickMetrics(r.body);
+      const p = pickMetrics(r.frame);
       if (!p) continue;
+      if (!usable(p.quality)) continue;
 
       if (p.wh != null) {
         totalWhSum += p.wh;
@@ -393,9 +410,7 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
         effList.push(p.eff);
       }
 
-      const parts = (r.body || '').trim().split(/\s+/);
-      const multiKey =
-        (r.multi_hex || parts[3] || '00').toString().toLowerCase();
+      const multiKey = r.multi_hex || '00';
 
       latestMetricsByMulti.set(multiKey, {
         wh: p.wh,
@@ -419,10 +434,11 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
       if (selectedMulti && multi !== selectedMulti) continue;
 
       const Frow = todayFirstMap.get(multi);
-      if (!Frow?.body) continue;
+      if (!Frow?.frame) continue;
 
       const Lwh = Lmetrics.wh;
-      const FwhObj = pickWhOnly(Frow.body);
+      const FwhObj = pickWhOnly(Frow.frame);
+      if (!usable(FwhObj.quality)) continue;
       const Fwh = FwhObj.wh;
 
       if (Lwh != null && Fwh != null && Lwh >= Fwh) {
@@ -439,10 +455,11 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
 
     for (const [multi, Arow] of thisMonthMap.entries()) {
       const Brow = prevMonthMap.get(multi);
-      if (!Arow?.body || !Brow?.body) continue;
+      if (!Arow?.frame || !Brow?.frame) continue;
 
-      const AwhObj = pickWhOnly(Arow.body);
-      const BwhObj = pickWhOnly(Brow.body);
+      const AwhObj = pickWhOnly(Arow.frame);
+      const BwhObj = pickWhOnly(Brow.frame);
+      if (!usable(AwhObj.quality) || !usable(BwhObj.quality)) continue;
       const Awh = AwhObj.wh;
       const Bwh = BwhObj.wh;
 
@@ -452,6 +469,7 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
       }
     }
 
+    const last_month_kwh = haveMonth ? Math.round((Number(monthDiffWhSum) / 1000) * 100) / 100 : null;
     let last_month_avg_kw = null;
     if (haveMonth) {
       const hours =
@@ -473,6 +491,11 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
     const latestAtIso = latestAt ? new Date(latestAt).toISOString() : null;
 
     const detail_hourly = await seriesPromise;
+    const performance = kpiPerformance(await perfPromise, {
+      todayKwh: today_kwh != null ? Math.round(today_kwh * 100) / 100 : null,
+      lastMonthKwh: last_month_kwh,
+      multiHex: selectedMulti,
+    });
 
     res.json({
       deviceInfo: { rtuImei: imei, name: name, latestAt: latestAtIso },
@@ -487,15 +510,18 @@ const { imei, name } = await resolveOneImeiOrThrow(q);
         last_month_avg_kw,
         inverter_efficiency_pct,
       },
+      performance,
       detail_hourly,
       meta: {
-        table: 'public.log_rtureceivelog',
+        table: 'public.frame_metrics',
         tz: TZ,
         emission_factor_kg_per_kwh: co2Factor,
         energy_hex: energyHex,
         type_hex: typeHex,
         multi: selectedMulti || 'all',
         recent_window_days: RECENT_WINDOW_BY_ENERGY[energyHex] || 14,
+        quality: qualityMode,
+        suspect_frames: qualityMode === 'off' ? null : suspectFrames,
       }
     });
   } catch (e) {
@@ -509,6 +535,7 @@ async function handlePreview(req, res, next, defaultEnergyHex = '') {
     let limit = Math.min(parseInt(req.query.limit || '200', 10), 2000);
     if (!q) { const e = new Error('rtuImei/imei/name/q 중 하나가 필요합니다.'); e.status = 400; throw e; }
     const { imei } = await resolveOneImeiOrThrow(q);
+    const fwVersion = await getFwVersion(imei);
 let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
     const typeHex   = (req.query.type   || '').toLowerCase();
     const onlyOk    = String(req.query.ok || '') === '1';
@@ -537,7 +564,7 @@ let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
     const { rows } = await pool.query(qsql, params);
 
     const points = rows.map(r => {
-      const p = parseFrame(r.body);
+      const p = parseFrame(r.body, { fwVersion });
       const head = headerFromHex(r.body);
       const whBig = p?.metrics?.cumulativeWh ?? null;
       const whNum = (whBig!=null) ? Number(whBig) : null;
@@ -561,6 +588,7 @@ async function handleDebug(req, res, next, defaultEnergyHex = '') {
     const limit = Math.min(parseInt(req.query.limit || '5', 10), 50);
     if (!q) return res.status(400).json({ error: 'rtuImei/imei/name/q is required' });
     const { imei } = await resolveOneImeiOrThrow(q);
+    const fwVersion = await getFwVersion(imei);
 
 let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
 
@@ -606,7 +634,7 @@ let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
         multi:  parts[3] ? parseInt(parts[3],16) : null,
         err:    parts[4] ? parseInt(parts[4],16) : null,
       };
-      const p = parseFrame(r.body);
+      const p = parseFrame(r.body, { fwVersion });
       return {
         ts: r.time,
         bodyLength: r.bodyLength ?? null,
@@ -616,6 +644,7 @@ let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
           reason: p?.reason || null,
           energyName: p?.energyName || null,
           typeName: p?.typeName || null,
+          layoutVersion: p?.layoutVersion || null,
           metrics: p?.metrics ?? null,
         },
         raw: r.body
@@ -627,6 +656,7 @@ let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
 
 async function handleInstant(req, res, next, defaultEnergyHex = '01') {
   let imei = null;
+  let fwVersion = null;
 
   try {
     const q = req.query.rtuImei || req.query.imei || req.query.name || req.query.q;
@@ -641,6 +671,7 @@ async function handleInstant(req, res, next, defaultEnergyHex = '01') {
     const resolved = await resolveOneImeiOrThrow(q);
 imei = resolved.imei;
 const name = resolved.name;
+    fwVersion = await getFwVersion(imei);
 
     let energyHex = (req.query.energy || defaultEnergyHex).toLowerCase();
     const typeHex = (req.query.type || '').toLowerCase() || null;
@@ -660,7 +691,7 @@ const name = resolved.name;
         rtuImei: imei
       });
     }
-    const p = parseFrame(row.body);
+    const p = parseFrame(row.body, { fwVersion });
 
     if (!p?.ok || !p?.metrics) {
       return res.status(422).json({
@@ -672,6 +703,7 @@ const name = resolved.name;
     }
 
     const m = p.metrics;
+    const faults = describeFaults(p.energy, m);
     const parts = (row.body || '').trim().split(/\s+/);
     const multiFromFrame = parts[3] || null;
     const isGeo = p.energy === 3;
@@ -737,6 +769,8 @@ const name = resolved.name;
       fault_code: m.faultCode ?? m.faultFlags ?? null,
       fault_flags: m.faultFlags ?? null,
       fault_list: m.faultList ?? null,
+      fault_details: faults.details,
+      fault_severity: faults.severity,
       state: m.state ?? null,
       state_raw: m.stateRaw ?? null,
       state_text: geoStateTextFrom(m),
@@ -749,6 +783,8 @@ const name = resolved.name;
       tap_flow_lpm: m.tapFlowLpm ?? null,
     };
 
+    if (p.energy === 7) Object.assign(payload, essFieldsFrom(m));
+
     // 풍력 필드 보조
     if (String(p.energy) === '4') {
       payload.pre_voltage_v = m.preVoltageV ?? null;
@@ -775,7 +811,7 @@ const name = resolved.name;
       if (imei) {
         const fb = await lastBeforeNow(imei, defaultEnergyHex, null);
         if (fb?.body) {
-          const p = parseFrame(fb.body);
+          const p = parseFrame(fb.body, { fwVersion });
           if (p?.ok && p?.metrics) {
             return res.json(jsonSafe({
               ok: true,
@@ -809,13 +845,11 @@ async function handleInstantMulti(req, res, next, defaultEnergyHex = '01') {
     const rows = await latestPerMulti(imei, { energyHex, typeHex });
 
     const units = rows.map(r => {
-      const body = r.body;
-
-      const parts = body.split(/\s+/);
-      const multi = parts[3] || r.multi_hex;
+      const multi = r.multi_hex;
 
-      const p = parseFrame(body);
+      const p = r.frame;
       const m = p?.metrics || {};
+      const faults = describeFaults(p?.energy, m);
 
       let pvPowerW = null;
       if (m.pvPowerW != null) pvPowerW = m.pvPowerW;
@@ -880,12 +914,16 @@ async function handleInstantMulti(req, res, next, defaultEnergyHex = '01') {
         fault_code: m.faultCode ?? m.faultFlags ?? null,
         fault_flags: m.faultFlags ?? null,
         fault_list: m.faultList ?? null,
+        fault_details: faults.details,
+        fault_severity: faults.severity,
         state: m.state ?? null,
         state_raw: m.stateRaw ?? null,
         state_text: geoStateTextFrom(m),
         is_operating: inferIsOperating(m)
       };
 
+      if (p.energy === 7) Object.assign(o, essFieldsFrom(m));
+
       if (p.energy === 4) {
         o.pre_voltage_v = m.preVoltageV ?? null;
         o.pre_current_a = m.preCurrentA ?? null;
@@ -966,57 +1004,54 @@ async function handleHourly(req, res, next, defaultEnergyHex = '01') {
     const endUtc = baseKST.endOf('day').toUTC().toJSDate();
 
     const params = [imei, startUtc, endUtc];
+    const useMulti = (multiHex && MULTI_SUPPORTED(energyHex)) ? multiHex : null;
     const conds = [
-      `"rtuImei" = $1`,
-      `"time" >= $2`,
-      `"time" <= $3`,
-      `left(body,2)='14'`,
-      `split_part(body,' ',5) = '00'`,
-      `COALESCE("bodyLength", 9999) >= 12`,
+      'imei = $1',
+      '"time" >= $2',
+      '"time" <= $3',
+      'err = 0',
+      'cumulative_wh IS NOT NULL',
+      ...metricsConds({ energyHex, typeHex: typeHexRaw, multiHex: useMulti }, params),
     ];
 
-    let nextIndex = params.length + 1;
-    if (energyHex) {
-      params.push(energyHex);
-      conds.push(`split_part(body,' ',2) = $${nextIndex}`);
-      nextIndex++;
-    }
-
-    const e = energyHex.toLowerCase();
-    const t = typeHexRaw.toLowerCase();
-    if (e === '04' && (!t || t === 'auto')) {
-      conds.push(`split_part(body,' ',3) IN ('00','01')`);
-    } else if (t) {
-      params.push(t);
-      conds.push(`split_part(body,' ',3) = $${nextIndex}`);
-      nextIndex++;
-    }
-
-    const useMulti = (multiHex && MULTI_SUPPORTED(energyHex)) ? multiHex : null;
-    if (useMulti) {
-      params.push(useMulti);
-      conds.push(`split_part(body,' ',4) = $${nextIndex}`);
-    }
-
     const sql = `
-      SELECT "time", body, split_part(body, ' ', 4) as multi_id
-      FROM public.log_rtureceivelog
+      SELECT ${FRAME_COLS}
+      FROM public.frame_metrics
       WHERE ${conds.join(' AND ')}
       ORDER BY "time" ASC
     `;
-    const { rows } = await pool.query(sql, params);
+    const [{ rows }, segments] = await Promise.all([
+      pool.query(sql, params),
+      loadSegments(pool, imei, { to: endUtc }),
+    ]);
+    // 카운터 교체·리셋 구간은 이어 붙인 누적값으로
+    const stitch = createStitcher(segments);
+
+    const qualityMode = qualityModeFrom(req);
+    const counter = createCounterCheck();
+    let suspectFrames = 0;
 
     const lastWhByHour = new Map();
     for (const r of rows) {
-      const p = pickMetrics(r.body);
-      if (p?.wh == null) continue;
-
-      const mId = (r.multi_id || '00').toLowerCase();
+      const p = frameFromRow(r);
+      if (!p.ok) continue;
+      p.metrics.cumulativeWh = stitch(r.multi_hex, r.time, p.metrics.cumulativeWh);
+      const wh = p.metrics.cumulativeWh ?? null;
+      if (wh == null) continue;
+
+      const mId = r.multi_hex;
+      if (qualityMode !== 'off') {
+        annotate(p, { ts: r.time, key: mId, counter });
+        if (p.quality === 'suspect') {
+          suspectFrames++;
+          if (qualityMode === 'skip') continue;
+        }
+      }
       const dt = DateTime.fromJSDate(new Date(r.time)).setZone(TZ);
       const hourKey = dt.toFormat('yyyyLLddHH');
 
       if (!lastWhByHour.has(hourKey)) lastWhByHour.set(hourKey, new Map());
-      lastWhByHour.get(hourKey).set(mId, p.wh);
+      lastWhByHour.get(hourKey).set(mId, wh);
     }
 
     const hours = Array.from({ length: 24 }, (_, i) => {
@@ -1057,6 +1092,8 @@ async function handleHourly(req, res, next, defaultEnergyHex = '01') {
       energy: energyHex,
       type: typeHexRaw || null,
       multi: useMulti || (MULTI_SUPPORTED(energyHex) ? 'all' : null),
+      quality: qualityMode,
+      suspect_frames: qualityMode === 'off' ? null : suspectFrames,
       hours
     });
   } catch (e) {
@@ -1079,14 +1116,18 @@ async function handleKPIOnly(req, res, next) {
     const thisMonthStr = baseKST.startOf('month').toFormat('yyyy-MM-dd');
     const prevMonthStr = baseKST.startOf('month').minus({ months: 1 }).toFormat('yyyy-MM-dd');
     const startOfQueryUTC = startOfTodayKST.minus({ hours: 1 }).toUTC().toJSDate();
+    const perfPromise = performanceContext(imei, {
+      energyHex,
+      from: baseKST.startOf('month').minus({ months: 1 }).toJSDate(),
+      to: baseKST.toJSDate(),
+    });
     
     const sqlToday = `
-      SELECT split_part(body, ' ', 4) as multi_id, body, "time"
-      FROM public.log_rtureceivelog
-      WHERE "rtuImei" = $1 AND "time" >= $2
-        AND split_part(body, ' ', 5) = '00' AND left(body, 2) = '14'
-        AND split_part(body, ' ', 2) = $3
-        AND COALESCE("bodyLength", 9999) >= 12
+      SELECT ${FRAME_COLS}, metrics
+      FROM public.frame_metrics
+      WHERE imei = $1 AND "time" >= $2
+        AND err = 0 AND cumulative_wh IS NOT NULL
+        AND energy = $3
       ORDER BY "time" ASC
     `;
 
@@ -1100,24 +1141,45 @@ async function handleKPIOnly(req, res, next) {
       ORDER BY day ASC, max_wh DESC
     `;
 
-    const [rows, monthlyRaw] = await Promise.all([
-      pool.query(sqlToday, [imei, startOfQueryUTC, energyHex]).then(r => r.rows),
-      pool.query(sqlMonthly, [imei, energyHex, prevMonthStr, thisMonthStr]).then(r => r.rows)
+    const [rows, monthlyRaw, segments] = await Promise.all([
+      pool.query(sqlToday, [imei, startOfQueryUTC, parseInt(energyHex, 16)]).then(r => r.rows),
+      pool.query(sqlMonthly, [imei, energyHex, prevMonthStr, thisMonthStr]).then(r => r.rows),
+      loadSegments(pool, imei)
     ]);
+    // 카운터 교체·리셋 구간은 이어 붙인 누적값으로 (불연속이 있는 날의 일 집계 max_wh 는 원본 프레임에서 다시 구한다)
+    const stitch = createStitcher(segments);
+    const seamDays = await stitchedDayRanges(pool, imei, {
+      from: baseKST.startOf('month').minus({ months: 1, days: 1 }).toJSDate(),
+      to: baseKST.toJSDate(),
+      energyHex,
+      segments,
+    });
 
     if (!rows.length) {
       return res.status(422).json({ error: "NO_DATA", message: "조회된 데이터가 없습니다." });
     }
 
+    const qualityMode = qualityModeFrom(req);
+    const counter = createCounterCheck();
+    let suspectFrames = 0;
+
     const unitMap = new Map();
     let latestTimestamp = null;
     rows.forEach(r => {
-      const mId = r.multi_id.toLowerCase();
+      const mId = r.multi_hex;
       if (multiHex && multiHex !== 'all' && mId !== multiHex) return;
-      const p = parseFrame(r.body);
-      const wh = p?.metrics?.cumulativeWh;
-      const w = p?.metrics?.currentOutputW || 0;
+      const p = frameFromRow(r);
+      p.metrics.cumulativeWh = stitch(mId, r.time, p.metrics.cumulativeWh);
+      const wh = p.metrics.cumulativeWh;
+      const w = p.metrics.currentOutputW || 0;
       if (wh == null) return;
+      if (qualityMode !== 'off') {
+        annotate(p, { ts: r.time, key: mId, counter });
+        if (p.quality === 'suspect') {
+          suspectFrames++;
+          if (qualityMode === 'skip') return;
+        }
+      }
       if (!unitMap.has(mId)) {
         unitMap.set(mId, { startWh: wh, endWh: wh, lastW: w, time: r.time });
       } else {
@@ -1130,10 +1192,14 @@ async function handleKPIOnly(req, res, next) {
     let monthDiffWhSum = 0n;
     let haveMonth = false;
 
-    const stats = monthlyRaw.map(s => ({
-      ...s,
-      dateStr: DateTime.fromJSDate(s.day).setZone(TZ).toFormat('yyyy-MM-dd')
-    }));
+    const stats = monthlyRaw.map(s => {
+      const seam = seamDays.get(`${new Date(s.day).toISOString()}|${s.multi_hex}`);
+      return {
+        ...s,
+        max_wh: seam ? seam.maxWh : stitch(s.multi_hex, s.day, s.max_wh),
+        dateStr: DateTime.fromJSDate(s.day).setZone(TZ).toFormat('yyyy-MM-dd')
+      };
+    });
 
     const mIds = [...new Set(stats.map(s => s.multi_hex))];
     mIds.forEach(mId => {
@@ -1171,18 +1237,26 @@ async function handleKPIOnly(req, res, next) {
 
     const co2Factor = CO2_FOR(energyHex);
     const total_kwh = Math.round((Number(totalCumulativeWhSum) / 1000) * 100) / 100;
+    const today_kwh = Math.round((Number(todayWhSum) / 1000.0) * 100) / 100;
+    const performance = kpiPerformance(await perfPromise, {
+      todayKwh: today_kwh,
+      lastMonthKwh: haveMonth ? Math.round((Number(monthDiffWhSum) / 1000) * 100) / 100 : null,
+      multiHex: multiHex && multiHex !== 'all' ? multiHex : null,
+    });
 
     return res.json({
       fast: true,
       deviceInfo: { imei, name, energy: energyHex, latestAt: latestTimestamp },
       kpis: {
         now_kw: Math.round((totalNowWSum / 1000) * 100) / 100,
-        today_kwh: Math.round((Number(todayWhSum) / 1000.0) * 100) / 100,
+        today_kwh,
         total_kwh,
         co2_kg: total_kwh ? Math.round(total_kwh * co2Factor * 100) / 100 : null,
-        inverter_efficiency_pct: computeInverterEfficiency(parseFrame(rows[rows.length-1].body)?.metrics || {}),
+        inverter_efficiency_pct: computeInverterEfficiency(rows[rows.length-1].metrics || {}),
         last_month_avg_kw: last_month_avg_kw
       },
+      performance,
+      quality: { mode: qualityMode, suspect_frames: qualityMode === 'off' ? null : suspectFrames },
     });
   } catch (err) {
     console.error("[handleKPIOnly Error]", err);
@@ -0,0 +1,204 @@
+// src/energy/stream.js
+// GET /api/energy/stream : 새로 수신된 0x14 프레임을 SSE 로 밀어준다 (parseFrame 해석 결과 포함)
+// log_rtureceivelog INSERT 트리거가 보내는 NOTIFY(rtu_frame)를 LISTEN 연결 하나로 받아 구독자에게 나눈다.
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../db/db.pg');
+const { parseFrame } = require('./parser');
+const { validateFrame } = require('./validate');
+const { describeFaults } = require('./faults');
+const { getFwVersion, getAuthorizedImeis } = require('./devices');
+const { requireAuth } = require('../middlewares/requireAuth');
+
+const CHANNEL = 'rtu_frame';
+const MAX_CLIENTS = Number(process.env.STREAM_MAX_CLIENTS || '200');
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_MS = 5 * 1000;
+// 재연결(Last-Event-ID) 시 놓친 프레임을 최대 몇 건까지 다시 보낼지
+const REPLAY_LIMIT = 200;
+
+const subscribers = new Set(); // { res, imeis: Set | null(전체) }
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+
+const jsonValue = (v) => (typeof v === 'bigint' ? v.toString() : v);
+
+function toEvent({ id, time, imei, body }, fwVersion) {
+  const p = parseFrame(body, { fwVersion });
+  const data = { id: String(id), time, imei, ...p };
+  if (p.ok) {
+    const faults = describeFaults(p.energy, p.metrics);
+    data.quality = validateFrame(p).quality;
+    data.fault_flags = faults.flags;
+    data.fault_severity = faults.severity;
+  }
+  return `id: ${data.id}\nevent: frame\ndata: ${JSON.stringify(data, (_, v) => jsonValue(v))}\n\n`;
+}
+
+async function onNotification(msg) {
+  if (msg.channel !== CHANNEL || !subscribers.size) return;
+  let frame;
+  try {
+    frame = JSON.parse(msg.payload);
+  } catch (e) {
+    return;
+  }
+  const targets = [...subscribers].filter((s) => !s.imeis || s.imeis.has(frame.imei));
+  if (!targets.length) return;
+
+  const event = toEvent(frame, await getFwVersion(frame.imei));
+  for (const s of targets) s.res.write(event);
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || !subscribers.size) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    ensureListener().catch((e) => console.error('[stream] LISTEN 재연결 실패:', e.message));
+  }, RECONNECT_MS);
+}
+
+function dropListener(client) {
+  if (listener !== client) return;
+  listener = null;
+  client.removeAllListeners('notification');
+  client.release(true);
+  scheduleReconnect();
+}
+
+async function ensureListener() {
+  if (listener) return listener;
+  if (connecting) return connecting;
+
+  connecting = (async () => {
+    const client = await pool.connect();
+    try {
+      client.on('notification', (msg) => {
+        onNotification(msg).catch((e) => console.error('[stream] 프레임 전달 실패:', e.message));
+      });
+      client.on('error', (e) => {
+        console.error('[stream] LISTEN 연결 오류:', e.message);
+        dropListener(client);
+      });
+      await client.query(`LISTEN ${CHANNEL}`);
+      listener = client;
+      return client;
+    } catch (e) {
+      client.release(true);
+      throw e;
+    }
+  })();
+
+  try {
+    return await connecting;
+  } finally {
+    connecting = null;
+  }
+}
+
+// 구독자가 없으면 LISTEN 연결을 풀에 돌려준다
+async function releaseListenerIfIdle() {
+  if (subscribers.size || !listener) return;
+  const client = listener;
+  listener = null;
+  client.removeAllListeners('notification');
+  try {
+    await client.query(`UNLISTEN ${CHANNEL}`);
+    client.release();
+  } catch (e) {
+    client.release(true);
+  }
+}
+
+async function replaySince(lastId, imeis) {
+  const params = [lastId, REPLAY_LIMIT];
+  let cond = '';
+  if (imeis) {
+    params.push([...imeis]);
+    cond = `AND "rtuImei" = ANY($${params.length}::text[])`;
+  }
+  const { rows } = await pool.query(
+    `SELECT id, "time", "rtuImei" AS imei, body
+       FROM public.log_rtureceivelog
+      WHERE id > $1 AND "time" >= NOW() - INTERVAL '1 hour' AND left(body, 2) = '14' ${cond}
+      ORDER BY id ASC
+      LIMIT $2`,
+    params
+  );
+  const out = [];
+  for (const r of rows) out.push(toEvent(r, await getFwVersion(r.imei)));
+  return out;
+}
+
+// imei: 쉼표 구분 (생략 시 볼 수 있는 모든 장비)
+router.get('/stream', requireAuth, async (req, res, next) => {
+  try {
+    const requested = String(req.query.imei || '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const allowed = await getAuthorizedImeis(req);
+
+    let imeis = null;
+    if (requested.length) {
+      if (allowed && requested.some((i) => !allowed.includes(i))) {
+        const e = new Error('조회 권한이 없는 IMEI 가 포함되어 있습니다.');
+        e.status = 403;
+        throw e;
+      }
+      imeis = new Set(requested);
+    } else if (allowed) {
+      imeis = new Set(allowed);
+    }
+    if (imeis && !imeis.size) {
+      const e = new Error('조회 가능한 장비가 없습니다.');
+      e.status = 404;
+      throw e;
+    }
+    if (subscribers.size >= MAX_CLIENTS) {
+      const e = new Error('동시 스트림 연결 수를 초과했습니다.');
+      e.status = 503;
+      throw e;
+    }
+
+    await ensureListener();
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    // 재전송 중에 끊겨도 구독이 남지 않도록 close 처리를 먼저 붙인다
+    const sub = { res, imeis };
+    subscribers.add(sub);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const close = () => {
+      clearInterval(heartbeat);
+      subscribers.delete(sub);
+      releaseListenerIfIdle().catch(() => {});
+    };
+    res.on('close', close);
+    if (res.destroyed) return close();
+
+    const lastId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (Number.isSafeInteger(lastId) && lastId > 0) {
+      try {
+        for (const ev of await replaySince(lastId, imeis)) res.write(ev);
+      } catch (e) {
+        // 헤더를 이미 보냈으므로 JSON 에러 대신 연결을 닫는다 (클라이언트가 다시 붙는다)
+        console.warn('[stream] 재전송 실패:', e.message);
+        res.end();
+      }
+    }
+  } catch (e) {
+    if (res.headersSent) res.end();
+    else next(e);
+  }
+});
+
+module.exports = router;
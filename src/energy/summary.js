@@ -1,10 +1,10 @@
 const { pool } = require('../db/db.pg');
+const { SEGMENT_RANGES_SQL, segmentJoinSql, stitchedWhSql } = require('./counterSegments');
 
 const ELECTRIC_CO2_ADMIN = Number(process.env.ELECTRIC_CO2_PER_KWH || '0.466');
 const THERMAL_CO2_ADMIN  = Number(process.env.THERMAL_CO2_PER_KWH  || '0.198');
 const ELECTRIC_CO2_USER   = 0.4747;
 const THERMAL_CO2_USER    = 0.198;
-const KCAL_PER_KWH       = 860.42065;
 const LOG_TBL            = process.env.LOG_TBL || 'log_rtureceivelog';
 
 const nz = (v) => (v == null ? 0 : Number(v));
@@ -20,7 +20,6 @@ async function queryRow(sql, params = []) {
   return rows[0] || {};
 }
 
-const U64_SQL_USER = (off) => `((get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off})::numeric * 72057594037927936::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+1)::numeric * 281474976710656::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+2)::numeric * 1099511627776::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+3)::numeric * 4294967296::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+4)::numeric * 16777216::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+5)::numeric * 65536::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+6)::numeric * 256::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+7)::numeric))`;
 
 async function getSummaryByUser(category, imeiList) {
   const isElectric = (category === 'electric');
@@ -29,27 +28,22 @@ async function getSummaryByUser(category, imeiList) {
   const startKST = `date_trunc('day', now() AT TIME ZONE 'Asia/Seoul') AT TIME ZONE 'Asia/Seoul'`;
   const targetCodes = isElectric ? "('01')" : "('02', '03', '04', '06', '07')";
 
+  // 카운터 교체·리셋 구간은 이어 붙인 누적값으로 (전국 합계는 mv_energy_recent 가 같은 방식)
   const sql = `
-    WITH base_data AS (
+    WITH s AS (${SEGMENT_RANGES_SQL} WHERE imei = ANY($1)),
+    base_data AS (
       SELECT 
-        "rtuImei" as imei, 
-        split_part(body, ' ', 4) as multi, 
-        "time",
-        CASE 
-          WHEN energy_hex='01' AND type_hex='01' THEN ${U64_SQL_USER(21)}
-          WHEN energy_hex='01' AND type_hex='02' THEN ${U64_SQL_USER(33)}
-          WHEN energy_hex='02' AND type_hex='01' THEN ${U64_SQL_USER(17)} / (${KCAL_PER_KWH} * 100.0)
-          WHEN energy_hex='02' AND type_hex='02' THEN ${U64_SQL_USER(13)} / (${KCAL_PER_KWH} * 100.0)
-          WHEN energy_hex='03' THEN ${U64_SQL_USER(15)} / 10.0
-          ELSE ${U64_SQL_USER(21)} / 1000.0
-        END as val
-      FROM public.log_rtureceivelog
-      JOIN public.imei_meta m ON m.imei = "rtuImei"
-      WHERE left(body, 2) = '14' 
-        AND split_part(body, ' ', 5) = '00' 
+        f.imei, 
+        f.multi, 
+        f."time",
+        ${stitchedWhSql()} / 1000.0 as val
+      FROM public.frame_metrics f
+      JOIN public.imei_meta m ON m.imei = f.imei
+      LEFT JOIN s ON ${segmentJoinSql()}
+      WHERE f.cumulative_wh IS NOT NULL
         AND m.energy_hex IN ${targetCodes} 
-        AND "rtuImei" = ANY($1)
-        AND "time" >= ${startKST}
+        AND f.imei = ANY($1)
+        AND f."time" >= ${startKST}
     ),
     daily_stats AS (
       SELECT 
@@ -60,17 +54,17 @@ async function getSummaryByUser(category, imeiList) {
       GROUP BY imei, multi
     )
     SELECT 
-      COALESCE(SUM(max_val - min_val), 0) as today_raw, 
-      COALESCE(SUM(max_val), 0) as cumulative_raw
+      COALESCE(SUM(max_val - min_val), 0) as today_kwh, 
+      COALESCE(SUM(max_val), 0) as cumulative_kwh
     FROM daily_stats
   `;
 
   try {
     const { rows } = await pool.query(sql, [imeiList]);
-    const row = rows[0] || { today_raw: 0, cumulative_raw: 0 };
+    const row = rows[0] || { today_kwh: 0, cumulative_kwh: 0 };
 
-    const todayKwh = isElectric ? nz(row.today_raw) / 1000 : nz(row.today_raw);
-    const totalKwh = isElectric ? nz(row.cumulative_raw) / 1000 : nz(row.cumulative_raw);
+    const todayKwh = nz(row.today_kwh);
+    const totalKwh = nz(row.cumulative_kwh);
 
     return {
       today_kwh: Number(todayKwh.toFixed(3)),
@@ -103,7 +97,7 @@ async function getElectricFromMV() {
 }
 
 async function getThermalFromMV() {
-  const sql = `SELECT COALESCE(SUM(GREATEST(max_recent - min_recent,0)),0)::numeric AS kwh_today, COALESCE(SUM(max_recent),0)::numeric AS kwh_cumulative FROM mv_energy_recent WHERE kind='thermal'`;
+  const sql = `SELECT COALESCE(SUM(GREATEST(max_recent - min_recent,0)),0)::numeric / 1000 AS kwh_today, COALESCE(SUM(max_recent),0)::numeric / 1000 AS kwh_cumulative FROM mv_energy_recent WHERE kind='thermal'`;
   return queryRow(sql);
 }
 
@@ -1,4 +1,5 @@
 const { DateTime } = require('luxon');
+const { whToKwh } = require('./units');
 const TZ = 'Asia/Seoul';
 
 function getRangeUtc(range) {
@@ -44,7 +45,31 @@ function whDeltaToKwh(firstWh, lastWh) {
   if (firstWh == null || lastWh == null) return null;
   const dWh = Number(lastWh - firstWh);
   if (!Number.isFinite(dWh) || dWh < 0) return null;
-  return Math.round((dWh / 1000) * 100) / 100;
+  return whToKwh(dWh, 2);
 }
 
-module.exports = { TZ, getRangeUtc, bucketKeyKST, whDeltaToKwh };
+// ISO 또는 YYYY-MM-DD(KST). 날짜만 준 끝 시각은 그날 끝까지
+function parseWhen(v, endOfDay) {
+  const s = String(v).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+  const dt = DateTime.fromISO(s, { zone: TZ });
+  if (!dt.isValid) return null;
+  return (dateOnly && endOfDay ? dt.plus({ days: 1 }) : dt).toJSDate();
+}
+
+// query 의 from/to → { from, to }. 기본: to 현재, from = to - defaultMs. 잘못된 값은 400
+function parseTimeWindow(q, { defaultMs = 86400000, maxDays = 31 } = {}) {
+  const fail = (msg) => {
+    const e = new Error(msg);
+    e.status = 400;
+    return e;
+  };
+  const to = q.to ? parseWhen(q.to, true) : new Date();
+  const from = q.from ? parseWhen(q.from, false) : to && new Date(to.getTime() - defaultMs);
+  if (!from || !to) throw fail('from/to 는 ISO 시각 또는 YYYY-MM-DD 여야 합니다.');
+  if (from >= to) throw fail('from 은 to 보다 앞서야 합니다.');
+  if (to - from > maxDays * 86400000) throw fail(`조회 기간은 최대 ${maxDays}일입니다.`);
+  return { from, to };
+}
+
+module.exports = { TZ, getRangeUtc, bucketKeyKST, whDeltaToKwh, parseTimeWindow };
@@ -0,0 +1,151 @@
+// src/energy/units.js
+// 누적 카운터 단위 정규화. 원시 카운터 단위가 에너지원마다 다르다.
+//   태양광·풍력·연료전지·ESS: Wh / 지열: kWh×10 / 태양열: kcal×100
+// 파서(JS)와 집계 SQL 모두 여기서 표준 Wh(누적) → kWh(표시)로 맞춘다.
+// 어떤 필드가 누적 카운터인지는 레이아웃의 counter 가 정한다 (기본 cumulativeWh).
+const { listLayouts, fieldSize, keyOf } = require('./registry');
+
+const KCAL_PER_KWH = 860.42065;
+
+// 필드 단위 → kWh (JS, divisor 적용 후 값 기준)
+const TO_KWH = {
+  Wh: (v) => v / 1000,
+  kWh: (v) => v,
+  kcal: (v) => v / KCAL_PER_KWH,
+};
+
+// 필드 단위 → Wh 배수 (SQL, 원시 정수 기준)
+const SQL_WH_FACTOR = {
+  Wh: '',
+  kWh: ' * 1000',
+  kcal: ` * 1000 / ${KCAL_PER_KWH}`,
+};
+
+const whFromKwh = (kwh) => BigInt(Math.max(0, Math.round(kwh * 1000)));
+
+function whToKwh(wh, digits = null) {
+  if (wh == null) return null;
+  const kwh = Number(wh) / 1000;
+  if (!Number.isFinite(kwh)) return null;
+  if (digits == null) return kwh;
+  const p = 10 ** digits;
+  return Math.round(kwh * p) / p;
+}
+
+// counter: 'field' | { fields: [...], pick: 'first_positive' | 'max' }
+function counterSpec(layout) {
+  if (!layout) return null;
+  const c = layout.counter ?? 'cumulativeWh';
+  const spec = typeof c === 'string' ? { fields: [c], pick: 'first' } : c;
+  const fields = spec.fields.map((name) => layout.fields.find((f) => f.name === name));
+  if (!fields.length || fields.some((f) => !f)) return null;
+  const units = new Set(fields.map((f) => f.unit));
+  if (units.size !== 1 || !TO_KWH[fields[0].unit]) {
+    throw new Error(`layout ${keyOf(layout.energy, layout.type)}@${layout.version}: counter 단위 불일치`);
+  }
+  return { fields, pick: spec.pick || 'first', unit: fields[0].unit };
+}
+
+function pickValue(values, pick) {
+  if (pick === 'max') return values.reduce((a, b) => (b > a ? b : a));
+  if (pick === 'first_positive') return values.find((v) => v > 0) ?? values[values.length - 1];
+  return values[0];
+}
+
+// decodeFields 결과(raw) → 표준 누적 Wh(BigInt). 카운터가 없는 레이아웃은 null
+function counterWh(layout, raw) {
+  const spec = counterSpec(layout);
+  if (!spec) return null;
+  const values = spec.fields.map((f) => raw[f.name]);
+  if (values.some((v) => v == null)) return null;
+
+  const v = pickValue(values, spec.pick);
+  if (spec.unit === 'Wh') {
+    return typeof v === 'bigint' ? v : BigInt(Math.max(0, Math.round(Number(v))));
+  }
+  return whFromKwh(TO_KWH[spec.unit](Number(v)));
+}
+
+// parseFrame 결과 → 표준 누적 kWh
+const frameKwh = (p) => (p?.ok ? whToKwh(p.metrics?.cumulativeWh) : null);
+
+/* ───────── SQL ───────── */
+// body(공백 구분 hex) 기준 식. 연속 집계(MV)에서도 쓰도록 immutable 함수만 사용한다.
+const sqlBytes = (body) => `decode(regexp_replace(${body}, '[^0-9A-Fa-f]', '', 'g'), 'hex')`;
+
+// minLength 보다 뒤에 있는 필드는 프레임이 짧으면 NULL (decodeFields 와 동일)
+function sqlField(f, bytes, layout) {
+  const start = f.offset < 0 ? `octet_length(${bytes}) + ${f.offset + 1}` : `${f.offset + 1}`;
+  const hex = `encode(substring(${bytes} from ${start} for ${fieldSize(f)}), 'hex')`;
+  const int = `('x' || lpad(${hex}, 16, '0'))::bit(64)::bigint`;
+  const expr = `(${int}::numeric${SQL_WH_FACTOR[f.unit]}${f.divisor ? ` / ${f.divisor}` : ''})`;
+  const end = f.offset + fieldSize(f);
+  if (f.offset < 0 || end <= layout.minLength) return expr;
+  return `(CASE WHEN octet_length(${bytes}) >= ${end} THEN ${expr} END)`;
+}
+
+function sqlCounter(spec, bytes, layout) {
+  const parts = spec.fields.map((f) => sqlField(f, bytes, layout));
+  if (parts.length === 1) return parts[0];
+  if (spec.pick === 'max') return `GREATEST(${parts.join(', ')})`;
+  if (spec.pick === 'first_positive') return `COALESCE(${parts.slice(0, -1).map((p) => `NULLIF(${p}, 0)`).join(', ')}, ${parts[parts.length - 1]})`;
+  return parts[0];
+}
+
+function sqlLength(layout, len) {
+  if (layout.maxLength != null && layout.maxLength === layout.minLength) return `${len} = ${layout.minLength}`;
+  if (layout.maxLength != null) return `${len} BETWEEN ${layout.minLength} AND ${layout.maxLength}`;
+  return `${len} >= ${layout.minLength}`;
+}
+
+// 표준 누적 Wh(numeric) SQL 식. 레이아웃 판별은 parseFrame 과 같은 순서(등록순, 길이 기준)
+// opts.body / opts.energy / opts.type: 컬럼 식 (기본은 body 에서 추출)
+function counterWhSql(opts = {}) {
+  require('./layouts'); // layouts → units 순환 참조를 피하려고 호출 시점에 등록
+
+  const body = opts.body || 'body';
+  const energy = opts.energy || `split_part(${body}, ' ', 2)`;
+  const type = opts.type || `split_part(${body}, ' ', 3)`;
+  const bytes = sqlBytes(body);
+  const len = `octet_length(${bytes})`;
+
+  const whens = listLayouts()
+    .filter((l) => !l.firmwareOnly)
+    .map((l) => {
+      const [e, t] = keyOf(l.energy, l.type).split(':');
+      const spec = counterSpec(l);
+      return `WHEN ${energy} = '${e}' AND ${type} = '${t}' AND ${sqlLength(l, len)} THEN ${spec ? sqlCounter(spec, bytes, l) : 'NULL'}`;
+    });
+  return `(CASE ${whens.join(' ')} ELSE NULL END)`;
+}
+
+const counterKwhSql = (opts = {}) => `(${counterWhSql(opts)} / 1000.0)`;
+
+// 같은 식을 DB 함수로 등록 (ad-hoc 조회·정합성 검사용). frame_metrics.cumulative_wh 와 같은 규칙으로
+// 정상(err 00) 0x14 프레임만 값을 돌려주고, 나머지는 NULL
+const CUMULATIVE_WH_FN = 'public.rems_cumulative_wh';
+
+// name: 검사 스크립트는 pg_temp 에 같은 함수를 만들어 현재 코드 기준으로 비교한다
+function cumulativeWhFunctionSql(name = CUMULATIVE_WH_FN) {
+  return `
+    CREATE OR REPLACE FUNCTION ${name}(frame text) RETURNS bigint
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $fn$
+      SELECT CASE
+        WHEN left(frame, 2) = '14' AND split_part(frame, ' ', 5) = '00'
+        THEN round(${counterWhSql({ body: 'frame' })})::bigint
+      END
+    $fn$;`;
+}
+
+module.exports = {
+  KCAL_PER_KWH,
+  whFromKwh,
+  whToKwh,
+  counterSpec,
+  counterWh,
+  frameKwh,
+  counterWhSql,
+  counterKwhSql,
+  CUMULATIVE_WH_FN,
+  cumulativeWhFunctionSql,
+};
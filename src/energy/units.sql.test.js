@@ -0,0 +1,120 @@
+// 누적 Wh: SQL 함수(rems_cumulative_wh) ↔ JS(parseFrame → frame_metrics.cumulative_wh) 일치
+// PostgreSQL 이 필요하다 (.env 의 DB_*). DB_HOST 가 없으면 건너뛴다
+require('dotenv').config({ quiet: true });
+
+const { parseFrame } = require('./parser');
+const { buildFrame } = require('./encoder');
+const { listLayouts, fieldIndex, encodedLength, keyOf } = require('./registry');
+const { toMetricRow } = require('./frameMetrics');
+const { cumulativeWhFunctionSql } = require('./units');
+
+const FN = 'pg_temp.rems_cumulative_wh';
+const SAMPLES = 10;
+
+// 재현 가능한 표본 (mulberry32)
+let seed = 20261019;
+function rand() {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const hex2 = (n) => n.toString(16).padStart(2, '0');
+
+// 레이아웃별 길이: minLength, maxLength, 가변 길이면 몇 바이트 더 긴 프레임, 한 바이트 짧은 프레임
+function lengthsFor(l) {
+  const set = new Set([l.minLength, l.minLength - 1, encodedLength(l)]);
+  if (l.maxLength != null) set.add(l.maxLength).add(l.maxLength + 1);
+  else set.add(l.minLength + 3);
+  return [...set].filter((n) => n > 5);
+}
+
+function randomFrame(l, len, err = 0x00) {
+  const b = Array.from({ length: len }, () => Math.floor(rand() * 256));
+  b[0] = 0x14;
+  b[1] = l.energy;
+  b[2] = l.type;
+  b[3] = Math.floor(rand() * 4);
+  b[4] = err;
+  // u64 카운터 상위 바이트는 0 (bigint 범위 안의 현실적인 값). 길이로 같은 타입의 다른 버전이 골라질 수 있다
+  const siblings = listLayouts().filter((x) => x.energy === l.energy && x.type === l.type);
+  for (const f of siblings.flatMap((x) => x.fields)) {
+    if (f.kind !== 'u64') continue;
+    const i = fieldIndex(f, len);
+    for (let k = 0; k < 3 && i + k < len && i >= 5; k++) b[i + k] = 0;
+  }
+  return b.map(hex2).join(' ');
+}
+
+// 카운터 필드만 채운 정상 프레임 (나머지 0)
+function counterFrame(l) {
+  const metrics = {};
+  for (const f of l.fields) {
+    if (f.kind === 'u64') metrics[f.name] = 123456789n;
+    else if (f.divisor) metrics[f.name] = 4321.5;
+    else metrics[f.name] = 0;
+  }
+  return buildFrame({ energy: l.energy, type: l.type, version: l.version, metrics });
+}
+
+// 펌웨어로만 고르는 레이아웃은 SQL 이 펌웨어를 모르므로, 같은 바이트를 펌웨어 없이 해석한 JS 값과 비교한다
+function buildCases() {
+  const cases = [];
+  for (const l of listLayouts()) {
+    const name = `${keyOf(l.energy, l.type)}@${l.version}`;
+    cases.push({ name, body: counterFrame(l) });
+    for (const len of lengthsFor(l)) {
+      for (let i = 0; i < SAMPLES; i++) cases.push({ name, body: randomFrame(l, len) });
+    }
+    // 장비 에러 프레임은 누적값 없음 (집계는 err 00 만)
+    cases.push({ name, body: randomFrame(l, l.minLength, 0x39) });
+  }
+  cases.push({ name: 'header only', body: '14 01 01 00 00' });
+  cases.push({ name: 'command frame', body: '15 01 02 03' });
+  return cases;
+}
+
+// frame_metrics 에 저장되는 값과 같은 경로
+function jsWh(body) {
+  const row = toMetricRow({ id: 0, time: null, rtuImei: null, body }, parseFrame(body));
+  return row?.cumulative_wh ?? null;
+}
+
+// 반올림 경계(kcal·kWh 환산)에서 numeric 과 double 이 1 Wh 다를 수 있다
+const diffWh = (a, b) => (a == null || b == null ? (a == null && b == null ? 0 : Infinity) : Math.abs(Number(BigInt(a) - BigInt(b))));
+
+const describeDb = process.env.DB_HOST ? describe : describe.skip;
+
+describeDb('rems_cumulative_wh', () => {
+  const cases = buildCases();
+  let pool;
+  let client;
+  const sqlWh = new Map();
+
+  beforeAll(async () => {
+    ({ pool } = require('../db/db.pg'));
+    client = await pool.connect();
+    await client.query(cumulativeWhFunctionSql(FN));
+    const { rows } = await client.query(
+      `SELECT ${FN}(b)::text AS wh FROM unnest($1::text[]) WITH ORDINALITY AS t(b, n) ORDER BY n`,
+      [cases.map((c) => c.body)]
+    );
+    cases.forEach((c, i) => sqlWh.set(c.body, rows[i].wh));
+  });
+
+  afterAll(async () => {
+    client?.release();
+    await pool?.end();
+  });
+
+  const byName = new Map();
+  for (const c of cases) byName.set(c.name, [...(byName.get(c.name) || []), c.body]);
+
+  test.each([...byName])('%s', (name, bodies) => {
+    const bad = bodies
+      .map((body) => ({ body, js: jsWh(body), sql: sqlWh.get(body) }))
+      .filter((r) => diffWh(r.js, r.sql) > 1);
+    expect(bad).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+// 에너지원/타입별 누적 카운터 → 표준 Wh·kWh 환산
+// expectKwh 는 원시 단위 정의(Wh / kWh×10 / kcal×100)로 직접 계산한 값
+const { parseFrame } = require('./parser');
+const { buildFrame } = require('./encoder');
+const { getLayout, primaryLayout } = require('./registry');
+const { counterWh, frameKwh, whToKwh, KCAL_PER_KWH } = require('./units');
+
+const CASES = [
+  { name: '태양광 단상 v2', energy: 1, type: 1, version: 'v2', metrics: { cumulativeWh: 1234567n }, expectKwh: 1234.567 },
+  { name: '태양광 단상 v1', energy: 1, type: 1, version: 'v1', metrics: { cumulativeWh: 1234567n }, expectKwh: 1234.567 },
+  { name: '태양광 삼상 v2', energy: 1, type: 2, version: 'v2', metrics: { cumulativeWh: 98765432n }, expectKwh: 98765.432 },
+  { name: '태양광 삼상 v1', energy: 1, type: 2, version: 'v1', metrics: { cumulativeWh: 98765432n }, expectKwh: 98765.432 },
+  { name: '태양열 강제순환(생산)', energy: 2, type: 1, metrics: { producedKcal: 860420.65, usedKcal: 1000 }, expectKwh: 1000 },
+  { name: '태양열 강제순환(사용)', energy: 2, type: 1, metrics: { producedKcal: 0, usedKcal: 43021.03 }, expectKwh: 43021.03 / KCAL_PER_KWH },
+  { name: '태양열 자연순환', energy: 2, type: 2, metrics: { usedKcal: 8604.21 }, expectKwh: 8604.21 / KCAL_PER_KWH },
+  { name: '지열 히트펌프', energy: 3, type: 1, metrics: { producedKwh: 12345.6 }, expectKwh: 12345.6 },
+  { name: '지열 부하측', energy: 3, type: 2, metrics: { loadUsedKwh: 100.5, tapUsedKwh: 200.2 }, expectKwh: 200.2 },
+  { name: '풍력', energy: 4, type: 1, metrics: { cumulativeWh: 555555n }, expectKwh: 555.555 },
+  { name: '연료전지', energy: 6, type: 1, metrics: { cumulativeWh: 3000500n }, expectKwh: 3000.5 },
+  { name: 'ESS v2(방전 누적)', energy: 7, type: 1, version: 'v2', metrics: { chargeWh: 1000n, dischargeWh: 8888888n }, expectKwh: 8888.888 },
+  { name: 'ESS v1', energy: 7, type: 1, version: 'v1', metrics: { cumulativeWh: 8888888n }, expectKwh: 8888.888 },
+];
+
+// 카운터 외 필드는 0 (인코더는 빠진 필드를 0 으로 채우지 않는다). encodeFallback 이 있는 필드는 비워 둔다
+function frameSpec(c) {
+  const layout = c.version ? getLayout(c.energy, c.type, c.version) : primaryLayout(c.energy, c.type);
+  const zeros = Object.fromEntries(layout.fields.filter((f) => !f.encodeFallback).map((f) => [f.name, 0]));
+  return { ...c, metrics: { ...zeros, ...c.metrics } };
+}
+
+describe.each(CASES.map((c) => [c.name, c]))('%s', (name, c) => {
+  test('parseFrame 결과 kWh', () => {
+    // 펌웨어로만 고르는 레이아웃(ESS v2)도 있어 version 을 지정해 읽는다
+    const p = parseFrame(buildFrame(frameSpec(c)), { version: c.version });
+    expect(p.ok).toBe(true);
+    expect(frameKwh(p)).toBeCloseTo(c.expectKwh, 3);
+  });
+
+  test('counterWh 는 표준 Wh(BigInt)', () => {
+    const layout = getLayout(c.energy, c.type, c.version || 'v1');
+    const wh = counterWh(layout, c.metrics);
+    expect(typeof wh).toBe('bigint');
+    expect(Number(wh)).toBeCloseTo(c.expectKwh * 1000, 0);
+  });
+});
+
+describe('counterWh', () => {
+  test('카운터 필드가 비면 null', () => {
+    expect(counterWh(getLayout(1, 1, 'v2'), {})).toBeNull();
+  });
+
+  test('태양열 강제순환은 생산 누적이 0 이면 사용 누적', () => {
+    const layout = getLayout(2, 1, 'v1');
+    expect(counterWh(layout, { producedKcal: 0, usedKcal: KCAL_PER_KWH })).toBe(1000n);
+    expect(counterWh(layout, { producedKcal: KCAL_PER_KWH * 2, usedKcal: KCAL_PER_KWH })).toBe(2000n);
+  });
+});
+
+describe('whToKwh', () => {
+  test('자릿수 반올림과 잘못된 값', () => {
+    expect(whToKwh(1234567n, 2)).toBe(1234.57);
+    expect(whToKwh(null)).toBeNull();
+    expect(whToKwh('abc')).toBeNull();
+  });
+});
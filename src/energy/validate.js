@@ -0,0 +1,121 @@
+// src/energy/validate.js
+// parseFrame 결과의 물리적 타당성 검사.
+//  - 필드 범위: 레이아웃 필드의 단위(unit) 기준, 필드별 range 로 덮어쓰기 가능
+//  - 누적량: 같은 (IMEI, multi) 의 직전 프레임 대비 감소/비정상 급증
+// 결과는 quality('ok'|'suspect') + qualityFlags(['range:pvVoltage', 'counter_decrease', ...])
+const { getLayout } = require('./registry');
+
+const QUALITY_MODES = ['skip', 'mark', 'off'];
+
+// 주파수 0 은 야간/정지 상태에서 정상적으로 들어온다
+const RANGE_BY_UNIT = {
+  V: { min: 0, max: 1500 },
+  A: { min: 0, max: 2000 },
+  Hz: { min: 45, max: 65, allowZero: true },
+  '°C': { min: -50, max: 150 },
+  '%': { min: 0, max: 100 },
+};
+
+// 이 값을 넘는 평균 출력(kW)으로 누적량이 늘면 급증으로 본다
+const MAX_KW = Number(process.env.VALIDATE_MAX_KW || '5000');
+// 감소·급증 뒤 새 값에서 이만큼 프레임이 이어지면 리셋·교체로 보고 기준을 옮긴다
+const CONFIRM_FRAMES = Number(process.env.COUNTER_CONFIRM_FRAMES || '3');
+
+const ruleFor = (field) => field.range || RANGE_BY_UNIT[field.unit] || null;
+
+function outOfRange(v, rule) {
+  if (v == null || !Number.isFinite(Number(v))) return false;
+  const n = Number(v);
+  if (rule.allowZero && n === 0) return false;
+  return n < rule.min || n > rule.max;
+}
+
+// 단일 프레임 범위 검사
+function validateFrame(p) {
+  if (!p?.ok || !p.metrics) return { quality: 'suspect', flags: ['parse_fail'] };
+
+  const layout = getLayout(p.energy, p.type, p.layoutVersion);
+  const flags = [];
+  for (const f of layout?.fields || []) {
+    const rule = ruleFor(f);
+    if (rule && outOfRange(p.metrics[f.name], rule)) flags.push(`range:${f.name}`);
+  }
+  return { quality: flags.length ? 'suspect' : 'ok', flags };
+}
+
+// 누적량 연속성 검사기. key(보통 multi) 별로 직전 정상 누적값을 기억한다
+// 감소·급증은 첫 프레임만 표시하고, 그 값에서 confirm 개 프레임이 이어지면 새 기준으로 삼는다 (리셋·계량기 교체)
+function createCounterCheck({ maxKw = MAX_KW, confirm = CONFIRM_FRAMES } = {}) {
+  const prev = new Map();
+  const pending = new Map();
+
+  const breakOf = (last, cur, t) => {
+    if (cur < last.wh) return 'counter_decrease';
+    const hours = Math.max((t - last.t) / 3600000, 1 / 60);
+    return Number(cur - last.wh) / 1000 / hours > maxKw ? 'counter_jump' : null;
+  };
+
+  return function check(key, ts, wh) {
+    if (wh == null) return null;
+    const cur = BigInt(wh);
+    const t = new Date(ts).getTime();
+    const last = prev.get(key);
+
+    const flag = last ? breakOf(last, cur, t) : null;
+    if (!flag) {
+      prev.set(key, { wh: cur, t });
+      pending.delete(key);
+      return null;
+    }
+
+    // 새 값에서 이어지는 중이면 표시하지 않고, confirm 개가 쌓이면 기준을 옮긴다
+    const cand = pending.get(key);
+    if (cand && !breakOf(cand, cur, t)) {
+      cand.wh = cur;
+      cand.t = t;
+      if (++cand.n >= confirm) {
+        prev.set(key, { wh: cur, t });
+        pending.delete(key);
+      }
+      return null;
+    }
+    pending.set(key, { wh: cur, t, n: 0 });
+    return flag;
+  };
+}
+
+// 범위 + 누적 검사 결과를 프레임에 붙인다 (p.quality, p.qualityFlags)
+// frame_metrics 에서 읽은 프레임은 저장된 범위 검사 결과(p.rangeFlags)를 그대로 쓴다
+function annotate(p, { ts, key = '00', counter = null } = {}) {
+  const flags = Array.isArray(p?.rangeFlags) ? [...p.rangeFlags] : validateFrame(p).flags;
+  if (counter && p?.ok) {
+    const c = counter(key, ts, p.metrics?.cumulativeWh);
+    if (c) flags.push(c);
+  }
+  if (p) {
+    p.quality = flags.length ? 'suspect' : 'ok';
+    p.qualityFlags = flags;
+  }
+  return p;
+}
+
+function qualityModeFrom(req) {
+  const q = String(req.query.quality || 'mark').toLowerCase();
+  if (!QUALITY_MODES.includes(q)) {
+    const e = new Error(`quality 는 ${QUALITY_MODES.join('/')} 중 하나여야 합니다.`);
+    e.status = 400;
+    throw e;
+  }
+  return q;
+}
+
+module.exports = {
+  QUALITY_MODES,
+  RANGE_BY_UNIT,
+  MAX_KW,
+  CONFIRM_FRAMES,
+  validateFrame,
+  createCounterCheck,
+  annotate,
+  qualityModeFrom,
+};
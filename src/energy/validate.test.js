@@ -0,0 +1,91 @@
+// 프레임 범위 검사와 누적 카운터 연속성 검사
+require('./layouts');
+const { validateFrame, createCounterCheck, annotate, qualityModeFrom } = require('./validate');
+
+const pv = (metrics) => ({ ok: true, energy: 1, type: 1, layoutVersion: 'v2', metrics });
+const t0 = Date.UTC(2025, 0, 1);
+const at = (min) => new Date(t0 + min * 60000);
+
+describe('validateFrame', () => {
+  test('단위별 범위를 벗어난 필드만 표시', () => {
+    expect(validateFrame(pv({ pvVoltage: 350, frequencyHz: 60, powerFactor: 99 }))).toEqual({ quality: 'ok', flags: [] });
+    expect(validateFrame(pv({ pvVoltage: 2000, frequencyHz: 80, powerFactor: 120 })).flags)
+      .toEqual(['range:pvVoltage', 'range:powerFactor', 'range:frequencyHz']);
+  });
+
+  test('주파수 0 과 빈 값은 정상', () => {
+    expect(validateFrame(pv({ frequencyHz: 0, pvVoltage: null })).quality).toBe('ok');
+  });
+
+  test('해석 실패 프레임', () => {
+    expect(validateFrame({ ok: false })).toEqual({ quality: 'suspect', flags: ['parse_fail'] });
+    expect(validateFrame(null).flags).toEqual(['parse_fail']);
+  });
+});
+
+describe('createCounterCheck', () => {
+  test('정상 증가와 빈 값은 표시하지 않는다', () => {
+    const check = createCounterCheck();
+    expect(check('00', at(0), 1000n)).toBeNull();
+    expect(check('00', at(1), 1050n)).toBeNull();
+    expect(check('00', at(2), null)).toBeNull();
+  });
+
+  test('감소는 첫 프레임만 표시하고 confirm 개 이어지면 새 기준', () => {
+    const check = createCounterCheck({ confirm: 3 });
+    check('00', at(0), 5000n);
+    expect(check('00', at(1), 100n)).toBe('counter_decrease');
+    expect(check('00', at(2), 110n)).toBeNull();
+    expect(check('00', at(3), 120n)).toBeNull();
+    expect(check('00', at(4), 130n)).toBeNull();
+    // 새 기준(130) 이후 정상 증가
+    expect(check('00', at(5), 140n)).toBeNull();
+    expect(check('00', at(6), 135n)).toBe('counter_decrease');
+  });
+
+  test('잠깐 튀었다 돌아오면 튄 프레임만 표시', () => {
+    const check = createCounterCheck({ maxKw: 10 });
+    check('00', at(0), 1000n);
+    expect(check('00', at(1), 10000000n)).toBe('counter_jump');
+    expect(check('00', at(2), 1010n)).toBeNull();
+    expect(check('00', at(3), 1020n)).toBeNull();
+  });
+
+  test('평균 출력이 maxKw 를 넘으면 급증', () => {
+    const check = createCounterCheck({ maxKw: 10 });
+    check('00', at(0), 0n);
+    // 1시간에 10kWh 는 10kW (경계), 1시간에 11kWh 는 급증
+    expect(check('00', at(60), 10000n)).toBeNull();
+    expect(check('00', at(120), 21000n)).toBe('counter_jump');
+  });
+
+  test('key(multi) 별로 따로 기억한다', () => {
+    const check = createCounterCheck();
+    check('00', at(0), 5000n);
+    expect(check('01', at(1), 100n)).toBeNull();
+    expect(check('00', at(1), 5001n)).toBeNull();
+  });
+});
+
+describe('annotate', () => {
+  test('범위 검사와 누적 검사를 합쳐 quality 를 붙인다', () => {
+    const counter = createCounterCheck();
+    annotate(pv({ cumulativeWh: 5000n }), { ts: at(0), counter });
+    const p = annotate(pv({ pvVoltage: 2000, cumulativeWh: 10n }), { ts: at(1), counter });
+    expect(p.quality).toBe('suspect');
+    expect(p.qualityFlags).toEqual(['range:pvVoltage', 'counter_decrease']);
+  });
+
+  test('frame_metrics 에 저장된 범위 결과가 있으면 다시 검사하지 않는다', () => {
+    const p = annotate({ ...pv({ pvVoltage: 2000 }), rangeFlags: [] });
+    expect(p.quality).toBe('ok');
+  });
+});
+
+describe('qualityModeFrom', () => {
+  test('기본 mark, 잘못된 값은 400', () => {
+    expect(qualityModeFrom({ query: {} })).toBe('mark');
+    expect(qualityModeFrom({ query: { quality: 'SKIP' } })).toBe('skip');
+    expect(() => qualityModeFrom({ query: { quality: 'x' } })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
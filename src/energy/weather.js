@@ -0,0 +1,172 @@
+// src/energy/weather.js
+// 설비 위치(CID → rems_rems 주소 → 카카오 지오코딩)와 Open-Meteo 일사량 조회
+// export.monthCsv 와 성능비(performance) 계산이 같이 쓴다.
+const axios = require('axios');
+const { LRUCache } = require('lru-cache');
+const { DateTime } = require('luxon');
+const { pool } = require('../db/db.pg');
+const { mysqlPool } = require('../db/db.mysql');
+const { TZ } = require('./timeutil');
+
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/era5';
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const DAILY_FIELDS = ['cloudcover_mean', 'sunshine_duration', 'shortwave_radiation_sum'];
+// ERA5 는 며칠 늦게 채워져 최근 구간은 예보 API 값으로 메운다
+const ARCHIVE_LAG_DAYS = 7;
+const FORECAST_MAX_DAYS = 15;
+
+const imeiCidCache = new LRUCache({ max: 2000, ttl: 5 * 60 * 1000 });
+const cidAddrCache = new LRUCache({ max: 2000, ttl: 10 * 60 * 1000 });
+const geocache = new LRUCache({ max: 1000, ttl: 60 * 60 * 1000 });
+const solarCache = new LRUCache({ max: 2000, ttl: 30 * 60 * 1000 });
+// 조회 실패도 잠깐 기억해 외부 API 장애 중 요청마다 타임아웃을 기다리지 않는다
+const FAILURE_TTL_MS = 2 * 60 * 1000;
+
+async function getLatestCidByImei(imei) {
+  const ck = `imei:${imei}`;
+  const c = imeiCidCache.get(ck);
+  if (c) return c;
+  const { rows } = await pool.query('SELECT "cid" FROM public.log_remssendlog WHERE "rtuImei" = $1 ORDER BY "time" DESC LIMIT 1', [imei]);
+  const cid = rows?.[0]?.cid || null;
+  if (cid) imeiCidCache.set(ck, cid);
+  return cid;
+}
+
+async function getLatestAddressByCid(cid) {
+  const ck = `cid:${cid}`;
+  const cached = cidAddrCache.get(ck);
+  if (cached) return cached;
+  const [rows] = await mysqlPool.query('SELECT address FROM alliothub.rems_rems WHERE cid = ? ORDER BY createdDate DESC LIMIT 1', [cid]);
+  const out = { address: rows?.[0]?.address || null };
+  cidAddrCache.set(ck, out);
+  return out;
+}
+
+async function geocodeByKakao(address) {
+  if (!address) return null;
+  const ck = `geo:${address}`;
+  if (geocache.has(ck)) return geocache.get(ck);
+  const key = process.env.KAKAO_REST_KEY;
+  if (!key) return null;
+  try {
+    const resp = await axios.get('https://dapi.kakao.com/v2/local/search/address.json', {
+      params: { query: address },
+      headers: { Authorization: `KakaoAK ${key}` },
+      timeout: 8000,
+    });
+    const doc = resp.data?.documents?.[0];
+    const lat = Number(doc?.y);
+    const lon = Number(doc?.x);
+    if (doc && !isNaN(lat) && !isNaN(lon)) {
+      const out = { lat, lon, source: 'kakao:address' };
+      geocache.set(ck, out);
+      return out;
+    }
+  } catch (e) {
+    console.warn('[weather] 지오코딩 실패:', e.message);
+  }
+  geocache.set(ck, null, { ttl: FAILURE_TTL_MS });
+  return null;
+}
+
+// { cid, address, lat, lon }. 찾지 못한 값은 null
+async function siteLocation(imei) {
+  const cid = await getLatestCidByImei(imei);
+  if (!cid) return { cid: null, address: null, lat: null, lon: null };
+  const { address } = await getLatestAddressByCid(cid);
+  const g = await geocodeByKakao(address);
+  return { cid, address, lat: g ? g.lat : null, lon: g ? g.lon : null };
+}
+
+async function getDaily(url, params) {
+  const r = await axios.get(url, { params, timeout: 20000, validateStatus: () => true });
+  return r.status === 200 && r.data?.daily ? { daily: r.data.daily } : { http: r.status };
+}
+
+// startStr~endStr (YYYY-MM-DD, KST) 일별 구름량·일조시간·일사량(shortwave_radiation_sum, MJ/m²)
+// 과거는 ERA5, 최근·오늘 이후는 예보 API. 반환: { ok, daily: { time, ...DAILY_FIELDS }, http }
+async function fetchSolarDaily(lat, lon, startStr, endStr) {
+  const ck = `${lat},${lon}:${startStr}:${endStr}`;
+  const cached = solarCache.get(ck);
+  if (cached) return cached;
+
+  const today = DateTime.now().setZone(TZ).startOf('day');
+  const todayStr = today.toISODate();
+  const recentStr = today.minus({ days: ARCHIVE_LAG_DAYS }).toISODate();
+  const forecastEndStr = today.plus({ days: FORECAST_MAX_DAYS }).toISODate();
+  const base = { latitude: lat, longitude: lon, timezone: TZ, daily: DAILY_FIELDS.join(',') };
+
+  const byDate = new Map();
+  let http = null;
+  const merge = (d) => {
+    (d.time || []).forEach((t, i) => {
+      if (byDate.get(t)?.shortwave_radiation_sum != null) return;
+      const row = {};
+      for (const f of DAILY_FIELDS) row[f] = d[f]?.[i] ?? null;
+      byDate.set(t, row);
+    });
+  };
+
+  if (startStr <= todayStr) {
+    try {
+      const r = await getDaily(ARCHIVE_URL, { ...base, start_date: startStr, end_date: endStr < todayStr ? endStr : todayStr });
+      if (r.daily) merge(r.daily);
+      else http = r.http;
+    } catch (e) {
+      http = http || e.code || 'network';
+    }
+  }
+  if (endStr >= recentStr && startStr <= forecastEndStr) {
+    try {
+      const r = await getDaily(FORECAST_URL, {
+        ...base,
+        start_date: startStr > recentStr ? startStr : recentStr,
+        end_date: endStr < forecastEndStr ? endStr : forecastEndStr,
+      });
+      if (r.daily) merge(r.daily);
+      else http = http || r.http;
+    } catch (e) {
+      http = http || e.code || 'network';
+    }
+  }
+
+  const time = [...byDate.keys()].sort();
+  const daily = { time };
+  for (const f of DAILY_FIELDS) daily[f] = time.map((t) => byDate.get(t)[f]);
+  const out = time.length ? { ok: true, daily } : { ok: false, http };
+  solarCache.set(ck, out, out.ok ? {} : { ttl: FAILURE_TTL_MS });
+  return out;
+}
+
+// 오늘(KST) 지금까지 누적 수평면 일사량(kWh/m²). shortwave_radiation 은 직전 1시간 평균(W/m²)이라 끝난 시간만 더한다
+async function fetchIrradianceTodaySoFar(lat, lon) {
+  const now = DateTime.now().setZone(TZ);
+  const ck = `${lat},${lon}:today:${now.toFormat('yyyy-LL-dd HH')}`;
+  const cached = solarCache.get(ck);
+  if (cached) return cached.kwhM2;
+
+  const r = await axios.get(FORECAST_URL, {
+    params: { latitude: lat, longitude: lon, timezone: TZ, hourly: 'shortwave_radiation', start_date: now.toISODate(), end_date: now.toISODate() },
+    timeout: 20000,
+    validateStatus: () => true,
+  }).catch(() => null);
+  const h = r?.status === 200 ? r.data?.hourly : null;
+  if (!h?.time) {
+    solarCache.set(ck, { kwhM2: null }, { ttl: FAILURE_TTL_MS });
+    return null;
+  }
+
+  let wh = 0;
+  let hours = 0;
+  h.time.forEach((t, i) => {
+    const v = h.shortwave_radiation?.[i];
+    if (v == null || DateTime.fromISO(t, { zone: TZ }) > now) return;
+    wh += Number(v);
+    hours++;
+  });
+  const kwhM2 = hours ? wh / 1000 : null;
+  solarCache.set(ck, { kwhM2 });
+  return kwhM2;
+}
+
+module.exports = { siteLocation, fetchSolarDaily, fetchIrradianceTodaySoFar };
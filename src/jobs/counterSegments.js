@@ -0,0 +1,46 @@
+const cron = require('node-cron');
+const { pool } = require('../db/db.pg');
+const { detectSegments } = require('../energy/counterSegments');
+
+// 최근 프레임에서 누적 카운터 불연속(롤오버·리셋·교체)을 찾아 counter_segments 에 남긴다
+// 확인 프레임이 아직 안 온 불연속은 다음 실행에서 보도록 구간을 넉넉히 겹쳐 읽는다.
+// 과거 전체는 scripts/detect-counter-segments.js 로 한 번 돌린다.
+const WINDOW_HOURS = Number(process.env.COUNTER_SEGMENT_WINDOW_HOURS || '6');
+const LOCK_KEY = 2026102101;
+
+let running = false;
+
+async function detectRecent() {
+  const client = await pool.connect();
+  let locked = false;
+  try {
+    const { rows: [lock] } = await client.query('SELECT pg_try_advisory_lock($1) AS ok', [LOCK_KEY]);
+    locked = lock.ok;
+    if (!locked) return null;
+    const to = new Date();
+    const from = new Date(to.getTime() - WINDOW_HOURS * 3600 * 1000);
+    return await detectSegments(client, { from, to });
+  } finally {
+    if (locked) await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+function setupCounterSegments() {
+  cron.schedule('*/10 * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const added = await detectRecent();
+      for (const s of added || []) {
+        console.warn(`[counterSegments] ${s.imei}/${s.multi} ${s.kind} @ ${new Date(s.time).toISOString()}: ${s.prevWh} → ${s.startWh} Wh`);
+      }
+    } catch (e) {
+      console.error('[counterSegments] failed:', e.message);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = { setupCounterSegments, detectRecent };
@@ -0,0 +1,109 @@
+const cron = require('node-cron');
+const { pool } = require('../db/db.pg');
+const { insertFrameMetrics, refreshAggregateRange } = require('../energy/frameMetrics');
+
+// 외부 수집기가 log_rtureceivelog 에 바로 넣은 행을 frame_metrics 로 해석해 채운다.
+// (수집 API 로 들어온 행은 저장 시점에 이미 해석됨 → NOT EXISTS 로 건너뜀)
+const STATE_NAME = 'log_rtureceivelog';
+const BATCH = Number(process.env.FRAME_DECODER_BATCH || '5000');
+// 늦게 커밋된 트랜잭션의 id 가 워터마크보다 작을 수 있어 조금 겹쳐 읽는다
+const OVERLAP = 500;
+const BUDGET_MS = 8000;
+const LOCK_KEY = 2026101301;
+const AGG_REFRESH_MS = 60 * 1000;
+
+let running = false;
+let dirty = null; // 집계 갱신이 필요한 시간 범위 { lo, hi }
+let lastAggRefresh = 0;
+
+function markDirty(rows) {
+  for (const r of rows) {
+    const t = new Date(r.time).getTime();
+    if (!dirty) dirty = { lo: t, hi: t };
+    else {
+      if (t < dirty.lo) dirty.lo = t;
+      if (t > dirty.hi) dirty.hi = t;
+    }
+  }
+}
+
+async function refreshAggregates(client) {
+  if (!dirty) return;
+  const { lo, hi } = dirty;
+  dirty = null;
+  lastAggRefresh = Date.now();
+  await refreshAggregateRange(client, lo, hi);
+}
+
+// budgetMs 동안 밀린 행을 해석. 다른 인스턴스가 돌고 있으면 바로 반환
+async function decodeOnce({ budgetMs = BUDGET_MS, forceRefresh = false } = {}) {
+  const client = await pool.connect();
+  let locked = false;
+  try {
+    const { rows: [lock] } = await client.query('SELECT pg_try_advisory_lock($1) AS ok', [LOCK_KEY]);
+    locked = lock.ok;
+    if (!locked) return { skipped: true, decoded: 0, inserted: 0 };
+
+    await client.query(
+      'INSERT INTO public.frame_decoder_state (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+      [STATE_NAME]
+    );
+
+    const started = Date.now();
+    let decoded = 0;
+    let inserted = 0;
+    let done = false;
+    while (!done && Date.now() - started < budgetMs) {
+      const { rows } = await client.query(
+        `SELECT r.id, r.time, r."rtuImei", r.body
+           FROM public.log_rtureceivelog r
+          WHERE r.id > GREATEST((SELECT last_id FROM public.frame_decoder_state WHERE name = $1) - $2, 0)
+            AND left(r.body, 2) = '14'
+            AND NOT EXISTS (SELECT 1 FROM public.frame_metrics f WHERE f.log_id = r.id AND f.time = r.time)
+          ORDER BY r.id
+          LIMIT $3`,
+        [STATE_NAME, OVERLAP, BATCH]
+      );
+      if (!rows.length) break;
+
+      const r = await insertFrameMetrics(client, rows);
+      decoded += r.decoded;
+      inserted += r.inserted;
+      markDirty(rows);
+
+      await client.query(
+        `UPDATE public.frame_decoder_state
+            SET last_id = GREATEST(last_id, $2), updated_at = NOW()
+          WHERE name = $1`,
+        [STATE_NAME, rows[rows.length - 1].id]
+      );
+      // 헤더가 짧은 프레임은 frame_metrics 에 남지 않아 겹침 구간에서 다시 읽힌다 → 한 배치 미만이면 끝
+      done = rows.length < BATCH || r.inserted === 0;
+    }
+
+    if (dirty && (forceRefresh || Date.now() - lastAggRefresh >= AGG_REFRESH_MS)) {
+      await refreshAggregates(client);
+    }
+    return { skipped: false, decoded, inserted };
+  } finally {
+    if (locked) await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+function setupFrameDecoder() {
+  cron.schedule('*/10 * * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await decodeOnce();
+      if (r.inserted) console.log(`[frameDecoder] decoded ${r.inserted} frames`);
+    } catch (e) {
+      console.error('[frameDecoder] failed:', e.message);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = { setupFrameDecoder, decodeOnce };
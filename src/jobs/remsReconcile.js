@@ -0,0 +1,59 @@
+const cron = require('node-cron');
+const { DateTime } = require('luxon');
+const { pool } = require('../db/db.pg');
+const { TZ } = require('../energy/timeutil');
+const { reconcileByCid } = require('../energy/remsReconcile');
+
+// 매일 새벽 전날(KST) 수신 프레임 ↔ REMS 전송 대사 결과를 rems_reconcile_daily 에 저장
+// 재전송이 끝난 뒤 보도록 자정 직후가 아니라 02:20 에 돈다. 같은 날을 다시 돌리면 덮어쓴다.
+let running = false;
+
+// day: 'YYYY-MM-DD' (KST)
+async function reconcileDay(day) {
+  const start = DateTime.fromISO(day, { zone: TZ }).startOf('day');
+  if (!start.isValid) throw new Error(`잘못된 날짜: ${day}`);
+  const cids = await reconcileByCid({ from: start.toJSDate(), to: start.plus({ days: 1 }).toJSDate() });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM public.rems_reconcile_daily WHERE day = $1', [day]);
+    for (const c of cids) {
+      await client.query(
+        `INSERT INTO public.rems_reconcile_daily
+           (day, cid, imeis, frames, ok, late, duplicated, failed, missing, unmatched_sends, avg_delay_sec)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [day, c.cid, c.imeis, c.frames, c.ok, c.late, c.duplicated, c.failed, c.missing, c.unmatchedSends, c.avgDelaySec]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+  return cids;
+}
+
+function setupRemsReconcile() {
+  cron.schedule('20 2 * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const day = DateTime.now().setZone(TZ).minus({ days: 1 }).toISODate();
+      const cids = await reconcileDay(day);
+      const broken = cids.filter((c) => c.missing || c.failed);
+      console.log(`[remsReconcile] ${day}: CID ${cids.length}개, 누락/실패 있는 CID ${broken.length}개`);
+      for (const c of broken.slice(0, 20)) {
+        console.warn(`[remsReconcile] ${day} ${c.cid}: 프레임 ${c.frames}, 누락 ${c.missing}, 실패 ${c.failed}`);
+      }
+    } catch (e) {
+      console.error('[remsReconcile] failed:', e.message);
+    } finally {
+      running = false;
+    }
+  }, { timezone: TZ });
+}
+
+module.exports = { setupRemsReconcile, reconcileDay };
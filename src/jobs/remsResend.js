@@ -0,0 +1,219 @@
+const cron = require('node-cron');
+const { pool } = require('../db/db.pg');
+const {
+  SUCCESS_RESULTS,
+  ENDPOINT,
+  findFrame,
+  buildPayload,
+  postPayload,
+  recordSend,
+} = require('../energy/remsSend');
+
+// 국가 REMS 전송 실패 재전송
+// 1) log_remssendlog 의 실패 행을 rems_resend_queue 에 등록 (보냈던 프레임을 찾아 함께 저장)
+// 2) 때가 된 항목을 다시 보내고 결과를 log_remssendlog 와 rems_resend_attempts 에 기록, 실패면 지수 백오프
+// 상태: pending → sending → sent | pending(재시도) | failed(횟수 소진·프레임 없음) | abandoned(관리자)
+const STATE_NAME = 'log_remssendlog_failures';
+const OVERLAP = 200;
+const SCAN_BATCH = 1000;
+const SEND_BATCH = Number(process.env.REMS_RESEND_BATCH || '50');
+const MAX_ATTEMPTS = Number(process.env.REMS_RESEND_MAX_ATTEMPTS || '8');
+// 이보다 오래된 실패는 등록하지 않는다 (처음 켤 때 과거 전체가 쌓이지 않게)
+const MAX_AGE_HOURS = Number(process.env.REMS_RESEND_MAX_AGE_HOURS || '72');
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+// sending 상태로 이만큼 멈춰 있으면 (프로세스 중단 등) 다시 대기열로
+const STUCK_MS = 10 * 60 * 1000;
+const BUDGET_MS = 50 * 1000;
+
+let running = false;
+
+// 1분, 2분, 4분 ... 최대 6시간 (±10% 흔들어 한꺼번에 몰리지 않게)
+function backoffMs(attempts) {
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+  return Math.round(base * (0.9 + Math.random() * 0.2));
+}
+
+async function enqueueFailures() {
+  await pool.query(
+    'INSERT INTO public.frame_decoder_state (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
+    [STATE_NAME]
+  );
+
+  let queued = 0;
+  for (;;) {
+    // 재전송이 남긴 실패 행(rems_resend_attempts)은 다시 등록하지 않는다
+    const { rows } = await pool.query(
+      `SELECT l.id, l."time", l.cid, l."rtuImei", l."multiId", l.error
+         FROM public.log_remssendlog l
+        WHERE l.id > GREATEST((SELECT last_id FROM public.frame_decoder_state WHERE name = $1) - $2, 0)
+          AND l."time" >= NOW() - make_interval(hours => $3)
+          AND NOT (l.result = ANY($4::text[]))
+          AND NOT EXISTS (SELECT 1 FROM public.rems_resend_attempts a WHERE a.send_log_id = l.id)
+        ORDER BY l.id
+        LIMIT $5`,
+      [STATE_NAME, OVERLAP, MAX_AGE_HOURS, SUCCESS_RESULTS, SCAN_BATCH]
+    );
+    if (!rows.length) break;
+
+    for (const r of rows) {
+      const frame = await findFrame(pool, { rtuImei: r.rtuImei, multiId: r.multiId, sendTime: r.time });
+      const { rowCount } = await pool.query(
+        `INSERT INTO public.rems_resend_queue
+           (send_log_id, send_time, cid, "rtuImei", "multiId", frame_log_id, frame_time, status, last_error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT DO NOTHING`,
+        [
+          r.id, r.time, r.cid, r.rtuImei, r.multiId,
+          frame ? frame.id : null, frame ? frame.time : null,
+          frame ? 'pending' : 'failed',
+          frame ? r.error : 'frame_not_found',
+        ]
+      );
+      queued += rowCount;
+    }
+
+    await pool.query(
+      `UPDATE public.frame_decoder_state
+          SET last_id = GREATEST(last_id, $2), updated_at = NOW()
+        WHERE name = $1`,
+      [STATE_NAME, rows[rows.length - 1].id]
+    );
+    if (rows.length < SCAN_BATCH) break;
+  }
+  return queued;
+}
+
+// 보낼 항목을 sending 으로 바꿔 가져온다 (다른 인스턴스·수동 재시도와 겹치지 않게)
+async function claimDue(db, limit) {
+  const { rows } = await db.query(
+    `UPDATE public.rems_resend_queue q
+        SET status = 'sending', updated_at = NOW()
+      WHERE q.id IN (
+        SELECT id FROM public.rems_resend_queue
+         WHERE (status = 'pending' AND next_attempt_at <= NOW())
+            OR (status = 'sending' AND updated_at < NOW() - make_interval(secs => $2))
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED)
+      RETURNING q.*`,
+    [limit, STUCK_MS / 1000]
+  );
+  return rows;
+}
+
+// 관리자 재시도: sent·sending 이 아니면 바로 가져온다. 없으면 null
+async function claimItem(db, id) {
+  const { rows } = await db.query(
+    `UPDATE public.rems_resend_queue
+        SET status = 'sending', updated_at = NOW()
+      WHERE id = $1 AND status IN ('pending', 'failed', 'abandoned')
+      RETURNING *`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// claim 한 항목 1건 전송 (manual: 관리자 재시도, 기록용)
+async function sendItem(item, { manual = false } = {}) {
+  let frame = null;
+  if (item.frame_log_id) {
+    const { rows } = await pool.query(
+      'SELECT id, time, body FROM public.log_rtureceivelog WHERE id = $1 AND "time" = $2',
+      [item.frame_log_id, item.frame_time]
+    );
+    frame = rows[0] || null;
+  }
+
+  // 원본 프레임이 없으면 보낼 것이 없다 (log_remssendlog 에도 남기지 않음)
+  if (!frame) {
+    const { rows } = await pool.query(
+      `UPDATE public.rems_resend_queue
+          SET status = 'failed', last_error = 'frame_not_found', updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [item.id]
+    );
+    return rows[0];
+  }
+
+  const target = { cid: item.cid, rtuImei: item.rtuImei, multiId: item.multiId };
+  const payload = buildPayload(target, frame);
+  const result = await postPayload(payload);
+  const attempts = item.attempts + 1;
+
+  let status = 'sent';
+  if (!result.ok) status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const sent = await recordSend(client, target, payload, {
+      ok: result.ok,
+      error: result.ok ? null : `[resend ${attempts}] ${result.error}`,
+    });
+    await client.query(
+      `INSERT INTO public.rems_resend_attempts (queue_id, send_log_id, "time", ok, error, manual)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [item.id, sent.id, sent.time, result.ok, result.error, manual]
+    );
+    const { rows } = await client.query(
+      `UPDATE public.rems_resend_queue
+          SET status = $2, attempts = $3, last_error = $4, last_attempt_at = NOW(),
+              next_attempt_at = NOW() + make_interval(secs => $5), updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [item.id, status, attempts, result.error, result.ok ? 0 : backoffMs(attempts) / 1000]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    // 기록 실패 시 다음 주기에 다시 보내도록 되돌린다
+    await pool.query('UPDATE public.rems_resend_queue SET status = \'pending\', updated_at = NOW() WHERE id = $1', [item.id]).catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function processDue({ budgetMs = BUDGET_MS } = {}) {
+  const started = Date.now();
+  let sent = 0;
+  let failed = 0;
+  while (Date.now() - started < budgetMs) {
+    const items = await claimDue(pool, SEND_BATCH);
+    if (!items.length) break;
+    for (const item of items) {
+      const r = await sendItem(item);
+      if (r.status === 'sent') sent++;
+      else failed++;
+    }
+    if (items.length < SEND_BATCH) break;
+  }
+  return { sent, failed };
+}
+
+function setupRemsResend() {
+  if (!ENDPOINT) {
+    console.log('[remsResend] REMS_ENDPOINT 미설정 — 재전송 비활성');
+    return;
+  }
+  cron.schedule('* * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      const queued = await enqueueFailures();
+      const r = await processDue();
+      if (queued || r.sent || r.failed) {
+        console.log(`[remsResend] queued ${queued}, sent ${r.sent}, failed ${r.failed}`);
+      }
+    } catch (e) {
+      console.error('[remsResend] failed:', e.message);
+    } finally {
+      running = false;
+    }
+  });
+}
+
+module.exports = { setupRemsResend, enqueueFailures, processDue, backoffMs, claimDue, claimItem, sendItem };
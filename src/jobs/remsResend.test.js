@@ -0,0 +1,112 @@
+// REMS 재전송: 지수 백오프와 대기열 claim
+// claim 검사는 PostgreSQL 이 필요하다 (.env 의 DB_*). 한 트랜잭션 안에서 하고 롤백하므로 대기열은 바뀌지 않는다
+require('dotenv').config({ quiet: true });
+
+const { backoffMs, claimDue, claimItem } = require('./remsResend');
+
+const MIN = 60 * 1000;
+
+describe('backoffMs', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('1분부터 두 배씩, 최대 6시간', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect([0, 1, 2, 3, 4].map(backoffMs)).toEqual([1 * MIN, 1 * MIN, 2 * MIN, 4 * MIN, 8 * MIN]);
+    expect(backoffMs(9)).toBe(256 * MIN);
+    expect(backoffMs(10)).toBe(360 * MIN);
+    expect(backoffMs(30)).toBe(360 * MIN);
+  });
+
+  test('±10% 안에서 흔든다', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(backoffMs(3)).toBe(0.9 * 4 * MIN);
+    Math.random.mockReturnValue(0.999999);
+    expect(backoffMs(3)).toBeCloseTo(1.1 * 4 * MIN, -1);
+  });
+});
+
+const describeDb = process.env.DB_HOST ? describe : describe.skip;
+
+describeDb('claim', () => {
+  let pool;
+  let client;
+  const ids = {};
+
+  beforeAll(async () => {
+    ({ pool } = require('../db/db.pg'));
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // 스키마가 없는 테스트 DB 용 (init.pg.js 와 같은 열). 있으면 그대로 쓰고, 기존 행은 롤백될 삭제로 비운다
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS public.rems_resend_queue (
+        id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        send_log_id BIGINT NOT NULL,
+        send_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        cid CHARACTER VARYING(25) NOT NULL,
+        "rtuImei" CHARACTER VARYING(23) NOT NULL,
+        "multiId" SMALLINT NOT NULL,
+        frame_log_id BIGINT,
+        frame_time TIMESTAMP WITH TIME ZONE,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        last_error TEXT,
+        last_attempt_at TIMESTAMP WITH TIME ZONE,
+        resolved_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        UNIQUE (send_log_id, send_time)
+      )`);
+    await client.query('DELETE FROM public.rems_resend_queue');
+
+    const items = [
+      // [이름, status, next_attempt_at, updated_at]
+      ['due_old', 'pending', '-20 minutes', '-20 minutes'],
+      ['due_new', 'pending', '-1 minute', '-1 minute'],
+      ['later', 'pending', '+10 minutes', '-1 minute'],
+      ['stuck', 'sending', '-30 minutes', '-11 minutes'],
+      ['sending', 'sending', '-30 minutes', '-1 minute'],
+      ['sent', 'sent', '-30 minutes', '-30 minutes'],
+      ['failed', 'failed', '-30 minutes', '-30 minutes'],
+      ['abandoned', 'abandoned', '-30 minutes', '-30 minutes'],
+    ];
+    for (const [i, [name, status, next, updated]] of items.entries()) {
+      const { rows } = await client.query(
+        `INSERT INTO public.rems_resend_queue (send_log_id, send_time, cid, "rtuImei", "multiId", status, next_attempt_at, updated_at)
+         VALUES ($1, NOW(), 'CID', 'IMEI', 0, $2, NOW() + $3::interval, NOW() + $4::interval)
+         RETURNING id`,
+        [i + 1, status, next, updated]
+      );
+      ids[name] = String(rows[0].id);
+    }
+  });
+
+  afterAll(async () => {
+    await client?.query('ROLLBACK').catch(() => {});
+    client?.release();
+    await pool?.end();
+  });
+
+  // UPDATE ... RETURNING 은 순서를 보장하지 않는다
+  const names = (rows) => rows.map((r) => Object.keys(ids).find((k) => ids[k] === String(r.id))).sort();
+
+  test('claimDue: 때가 된 pending 과 멈춘 sending 을 next_attempt_at 이른 것부터 limit 만큼', async () => {
+    const first = await claimDue(client, 2);
+    expect(names(first)).toEqual(['due_old', 'stuck']);
+    expect(first.every((r) => r.status === 'sending')).toBe(true);
+
+    const rest = await claimDue(client, 10);
+    expect(names(rest)).toEqual(['due_new']);
+    expect(await claimDue(client, 10)).toEqual([]);
+  });
+
+  test('claimItem: pending·failed·abandoned 만, sent·sending 은 null', async () => {
+    expect(await claimItem(client, ids.failed)).toMatchObject({ status: 'sending' });
+    expect(await claimItem(client, ids.abandoned)).toMatchObject({ status: 'sending' });
+    expect(await claimItem(client, ids.later)).toMatchObject({ status: 'sending' });
+    expect(await claimItem(client, ids.sent)).toBeNull();
+    expect(await claimItem(client, ids.sending)).toBeNull();
+    // 이미 가져간 항목은 다시 가져오지 않는다
+    expect(await claimItem(client, ids.failed)).toBeNull();
+  });
+});
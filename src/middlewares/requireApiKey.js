@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// 장비/테스트 리그용 API 키 인증 (INGEST_API_KEYS: 쉼표 구분)
+function loadKeys() {
+  return (process.env.INGEST_API_KEYS || '')
+    .split(',')
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function requireApiKey(req, res, next) {
+  const keys = loadKeys();
+  if (!keys.length) return res.status(503).json({ message: 'Ingest disabled (INGEST_API_KEYS not set)' });
+
+  const bearer = req.headers.authorization || '';
+  const key = req.headers['x-api-key'] || (bearer.startsWith('Bearer ') ? bearer.slice(7) : '');
+  if (!key) return res.status(401).json({ message: 'Unauthorized' });
+
+  if (!keys.some((k) => safeEqual(k, String(key)))) {
+    return res.status(401).json({ message: 'Invalid API key' });
+  }
+  // 로그용 식별자: 키 원문 대신 해시 앞부분
+  req.apiKeyId = crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 8);
+  return next();
+}
+
+module.exports = { requireApiKey };
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/db.pg');
 const rateLimit = require('express-rate-limit');
-const { parseFrame } = require('../energy/parser');
+const { describeFaults } = require('../energy/faults');
+const { getAuthorizedImeis } = require('../energy/devices');
 const { mysqlPool } = require('../db/db.mysql');
 const TTL_MS = 5 * 60 * 1000;
 const cache = new Map();
@@ -62,28 +63,6 @@ function normalizeSido(sido) {
   return map[sido] || sido || '미지정';
 }
 
-async function getAuthorizedImeis(req) {
-  if (req.user && req.user.is_admin) return null;
-
-  const { sub: member_id } = req.user;
-  
-  const { rows: member } = await pool.query(
-    'SELECT worker, "phoneNumber" FROM public.members WHERE member_id = $1',
-    [member_id]
-  );
-
-  if (!member.length) return [];
-
-  const { worker, phoneNumber } = member[0];
-
-  const { rows: devices } = await pool.query(
-    'SELECT imei FROM public.imei_meta WHERE worker = $1 AND "phoneNumber" = $2', 
-    [worker, phoneNumber]
-  );
-
-  return devices.map(d => d.imei);
-}
-
 function parseKoreanAddress(addr = '') {
   const t = String(addr || '').replace(/\s*\(.*?\)\s*/g, '').trim();
   if (!t) return { sido: '미지정', sigungu: '' };
@@ -143,42 +122,53 @@ async function computeHealthSnapshot(lookbackDays, offlineMin) {
   );
   const metaMap = new Map(metaRows.map(m => [m.imei, m]));
 
-const { rows: last1hRows } = await pool.query(
+  // 수신 프레임 수는 원본 로그 기준 (하트비트·비계측 프레임 포함)
+  const { rows: count1hRows } = await pool.query(
     `
-    SELECT "rtuImei" AS imei, body, "time"
+    SELECT "rtuImei" AS imei, COUNT(*)::int AS frames
     FROM public."log_rtureceivelog"
     WHERE "time" >= NOW() - INTERVAL '1 hour'
       AND "rtuImei" = ANY($1::text[])
       AND body IS NOT NULL
+    GROUP BY "rtuImei"
+    `,
+    [imeis]
+  );
+
+const { rows: last1hRows } = await pool.query(
+    `
+    SELECT imei, energy, fault_flags, fault_severity, metrics, "time"
+    FROM public.frame_metrics
+    WHERE "time" >= NOW() - INTERVAL '1 hour'
+      AND imei = ANY($1::text[])
     ORDER BY "time" DESC
     `,
     [imeis]
   );
 
   const map1h = new Map();
-
-  for (const r of last1hRows) {
-    let entry = map1h.get(r.imei);
+  const entryOf = (imei) => {
+    let entry = map1h.get(imei);
     if (!entry) {
       entry = { frames1h: 0, flagsHistory: [] };
-      map1h.set(r.imei, entry);
+      map1h.set(imei, entry);
     }
+    return entry;
+  };
 
-    entry.frames1h++;
+  for (const r of count1hRows) entryOf(r.imei).frames1h = r.frames;
 
-    if (entry.flagsHistory.length >= 3) continue;
-
-    try {
-      const p = parseFrame(r.body);
-      const m = p?.metrics || {};
-      let flags = 0;
+  for (const r of last1hRows) {
+    const entry = entryOf(r.imei);
 
-      if (typeof m.faultFlags === 'number') flags = m.faultFlags;
-      else if (typeof m.statusFlags === 'number') flags = m.statusFlags;
-      else if (typeof m.faultCode === 'number') flags = m.faultCode;
+    if (entry.flagsHistory.length >= 3) continue;
 
-      entry.flagsHistory.push(flags);
-    } catch (_) {}
+    entry.flagsHistory.push(r.fault_flags || 0);
+    if (entry.flagsHistory.length === 1) {
+      // 비트별 설명은 저장된 계측값으로 다시 만든다 (프레임 재해석 없음)
+      entry.faultDetails = r.metrics ? describeFaults(r.energy, r.metrics).details : [];
+      entry.faultSeverity = r.fault_severity;
+    }
   }
 
   const hourKST = new Date().getHours();
@@ -237,6 +227,8 @@ const { rows: last1hRows } = await pool.query(
       frames_1h: h.frames1h,
       has_fault_1h: (h.flagsHistory[0] > 0) ? 1 : 0,
       flags_1h: h.flagsHistory,
+      fault_details: h.faultDetails || [],
+      fault_severity: h.faultSeverity || null,
       energy,
       reason,
     };
@@ -351,7 +343,7 @@ router.get('/abnormal/list', requireAuth, async (req, res, next) => {
         ...d,
         fault_flags: d.flags_1h || [],
         severity:
-          d.reason === 'FAULT_BIT' ? 3 :
+          d.reason === 'FAULT_BIT' ? (d.fault_severity === 'critical' ? 4 : 3) :
           d.reason === 'OFFLINE' ? 2 :
           d.reason === 'OPMODE_ABNORMAL' ? 1 : 0,
       }))
@@ -1,14 +1,11 @@
 const express = require('express');
 const axios = require('axios');
-const { LRUCache } = require('lru-cache');
 const { pool } = require('../db/db.pg');
-const { mysqlPool } = require('../db/db.mysql');
+const { siteLocation, fetchSolarDaily } = require('../energy/weather');
 
 const router = express.Router();
 const pad2 = (n) => String(n).padStart(2, '0');
 
-const U64_SQL = (off) => `((get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off})::numeric * 72057594037927936::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+1)::numeric * 281474976710656::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+2)::numeric * 1099511627776::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+3)::numeric * 4294967296::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+4)::numeric * 16777216::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+5)::numeric * 65536::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+6)::numeric * 256::numeric) + (get_byte(decode(regexp_replace(body, '[^0-9A-Fa-f]', '', 'g'), 'hex'), ${off}+7)::numeric))`;
-
 function monthStartEnd(year, month) {
   const y = Number(year);
   const m = Number(month);
@@ -27,139 +24,26 @@ function cloudStatus(v) {
   return '매우 흐림';
 }
 
-const imeiCidCache = new LRUCache({ max: 2000, ttl: 5 * 60 * 1000 });
-const cidAddrCache = new LRUCache({ max: 2000, ttl: 10 * 60 * 1000 });
-const geocache = new LRUCache({ max: 1000, ttl: 60 * 60 * 1000 });
-
-async function getLatestCidByImei(imei) {
-  const ck = `imei:${imei}`;
-  const c = imeiCidCache.get(ck);
-  if (c) return c;
-  const { rows } = await pool.query(`SELECT "cid" FROM public.log_remssendlog WHERE "rtuImei" = $1 ORDER BY "time" DESC LIMIT 1`, [imei]);
-  const cid = rows?.[0]?.cid || null;
-  if (cid) imeiCidCache.set(ck, cid);
-  return cid;
-}
-
-async function getLatestAddressLatLonByCid(cid) {
-  const ck = `cid:${cid}`;
-  const cached = cidAddrCache.get(ck);
-  if (cached) return cached;
-  const [rows] = await mysqlPool.query(`SELECT address FROM alliothub.rems_rems WHERE cid = ? ORDER BY createdDate DESC LIMIT 1`, [cid]);
-  const r = rows?.[0] || {};
-  const out = { address: r.address || null, lat: null, lon: null };
-  cidAddrCache.set(ck, out);
-  return out;
-}
-
-async function geocodeByKakao(address) {
-  if (!address) return null;
-  const ck = `geo:${address}`;
-  const cached = geocache.get(ck);
-  if (cached) return cached;
-  const key = process.env.KAKAO_REST_KEY;
-  if (!key) return null;
-  try {
-    const resp = await axios.get('https://dapi.kakao.com/v2/local/search/address.json', {
-      params: { query: address },
-      headers: { Authorization: `KakaoAK ${key}` },
-      timeout: 8000,
-    });
-    const doc = resp.data?.documents?.[0];
-    const lat = Number(doc?.y);
-    const lon = Number(doc?.x);
-    if (!isNaN(lat) && !isNaN(lon)) {
-      const out = { lat, lon, source: 'kakao:address' };
-      geocache.set(ck, out);
-      return out;
-    }
-  } catch {}
-  return null;
-}
-
-async function fetchOpenMeteoSolarDaily(lat, lon, year, month) {
-  const { startStr, endStr } = monthStartEnd(year, month);
-  const urlArchive = 'https://archive-api.open-meteo.com/v1/era5';
-  const urlForecast = 'https://api.open-meteo.com/v1/forecast';
-  const now = new Date();
-  const reqMonth = new Date(`${year}-${pad2(month)}-01`);
-  const isThisMonth = now.getFullYear() === reqMonth.getFullYear() && now.getMonth() === reqMonth.getMonth();
-
-  const paramsBase = {
-    latitude: lat, longitude: lon, timezone: 'Asia/Seoul',
-    daily: ['cloudcover_mean', 'sunshine_duration', 'shortwave_radiation_sum'].join(',')
-  };
-
-  if (!isThisMonth) {
-    const r = await axios.get(urlArchive, { params: { ...paramsBase, start_date: startStr, end_date: endStr }, timeout: 20000 });
-    if (r.status === 200 && r.data?.daily) return { ok: true, daily: r.data.daily };
-    return { ok: false, http: r.status };
-  }
-
-  const todayISO = now.toISOString().slice(0, 10);
-  const endMonthISO = `${year}-${pad2(month)}-${pad2(new Date(year, month, 0).getDate())}`;
-  const results = { time: [], cloudcover_mean: [], sunshine_duration: [], shortwave_radiation_sum: [] };
-
-  try {
-    const r1 = await axios.get(urlArchive, { params: { ...paramsBase, start_date: startStr, end_date: todayISO }, timeout: 20000 });
-    if (r1.status === 200 && r1.data?.daily) {
-      const d = r1.data.daily;
-      results.time.push(...d.time);
-      results.cloudcover_mean.push(...d.cloudcover_mean);
-      results.sunshine_duration.push(...d.sunshine_duration);
-      results.shortwave_radiation_sum.push(...d.shortwave_radiation_sum);
-    }
-  } catch {}
-
-  try {
-    const r2 = await axios.get(urlForecast, { params: { ...paramsBase, start_date: todayISO, end_date: endMonthISO }, timeout: 20000 });
-    if (r2.status === 200 && r2.data?.daily) {
-      const d = r2.data.daily;
-      const seen = new Set(results.time);
-      d.time.forEach((t, i) => {
-        if (!seen.has(t)) {
-          results.time.push(t);
-          results.cloudcover_mean.push(d.cloudcover_mean[i]);
-          results.sunshine_duration.push(d.sunshine_duration[i]);
-          results.shortwave_radiation_sum.push(d.shortwave_radiation_sum[i]);
-        }
-      });
-    }
-  } catch {}
-  return { ok: true, daily: results };
-}
-
 async function fetchRealtimeTodayKwh(imei, multiHex) {
-  const KCAL_PER_KWH = 860.42065;
   const startKST = `date_trunc('day', now() AT TIME ZONE 'Asia/Seoul') AT TIME ZONE 'Asia/Seoul'`;
 
-  const metaRes = await pool.query(`SELECT energy_hex, type_hex FROM public.imei_meta WHERE imei = $1 LIMIT 1`, [imei]);
-  const meta = metaRes.rows[0] || { energy_hex: '01', type_hex: '01' };
-
-  let valExpr = `${U64_SQL(21)} / 1000.0`; 
-  if (meta.energy_hex === '01' && meta.type_hex === '02') valExpr = `${U64_SQL(33)} / 1000.0`;
-  else if (meta.energy_hex === '02' && meta.type_hex === '01') valExpr = `${U64_SQL(17)} / (${KCAL_PER_KWH} * 100.0)`;
-  else if (meta.energy_hex === '02' && meta.type_hex === '02') valExpr = `${U64_SQL(13)} / (${KCAL_PER_KWH} * 100.0)`;
-  else if (meta.energy_hex === '03') valExpr = `${U64_SQL(15)} / 10.0`;
-
   let multiCond = '';
   const params = [imei];
   if (multiHex && multiHex !== 'all') { 
-    params.push(multiHex); 
-    multiCond = `AND split_part(body, ' ', 4) = $2`; 
+    params.push(parseInt(multiHex, 16)); 
+    multiCond = 'AND multi = $2'; 
   }
 
   const sql = `
     WITH base_data AS (
         SELECT 
-          split_part(body, ' ', 4) as multi, 
+          multi, 
           "time", 
-          (${valExpr}) as val
-        FROM public.log_rtureceivelog
-        WHERE "rtuImei" = $1 
+          cumulative_wh / 1000.0 as val
+        FROM public.frame_metrics
+        WHERE imei = $1 
           AND "time" >= ${startKST} 
-          AND left(body, 2) = '14' 
-          AND split_part(body, ' ', 5) = '00' 
+          AND cumulative_wh IS NOT NULL 
           ${multiCond}
     ),
     daily_stats AS (
@@ -240,17 +124,12 @@ router.get('/monthCsv', async (req, res) => {
     if (!imei) return res.status(400).json({ error: 'IMEI 번호가 필요합니다.' });
     if (!year || !month || month < 1 || month > 12) return res.status(400).json({ error: '유효하지 않은 연도 또는 월입니다.' });
 
-    const cid = await getLatestCidByImei(imei);
+    const { cid, lat, lon } = await siteLocation(imei);
     if (!cid) return res.status(404).json({ error: '해당 IMEI에 매칭되는 시설(CID) 정보가 없습니다.' });
-
-    let { address, lat, lon } = await getLatestAddressLatLonByCid(cid);
-    if ((lat === null || lon === null) && address) {
-      const g = await geocodeByKakao(address);
-      if (g) { lat = g.lat; lon = g.lon; }
-    }
     if (lat === null || lon === null) return res.status(502).json({ error: '시설의 위치 정보를 확인할 수 없습니다.', imei });
 
-    const om = await fetchOpenMeteoSolarDaily(lat, lon, year, month);
+    const { startStr, endStr } = monthStartEnd(year, month);
+    const om = await fetchSolarDaily(lat, lon, startStr, endStr);
     if (!om.ok) return res.status(502).json({ error: '날씨 정보 데이터 조회에 실패했습니다.', http: om.http });
 
     const energyRows = await fetchDailyEnergyKwh(imei, year, month, multiHex);
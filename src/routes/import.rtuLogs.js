@@ -0,0 +1,55 @@
+// src/routes/import.rtuLogs.js
+// POST /api/import/rtu-logs : 과거 RTU 로그(CSV/NDJSON) 일괄 가져오기 (관리자 전용)
+// 큰 파일은 scripts/import-rtu-logs.js 로 서버에서 직접 돌린다.
+const express = require('express');
+const multer = require('multer');
+const { Readable } = require('stream');
+const { requireAdmin } = require('../middlewares/requireAuth');
+const { resolveFormat, importLogs } = require('../energy/importLogs');
+
+const router = express.Router();
+const MAX_MB = Number(process.env.IMPORT_MAX_MB || '50');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MB * 1024 * 1024 },
+});
+
+const isOn = (v) => ['1', 'true'].includes(String(v || '').toLowerCase());
+
+// multipart: file (필수). query: format=csv|ndjson (생략 시 확장자), dryRun, strict, refresh=0
+router.post('/rtu-logs', requireAdmin, (req, res, next) => {
+  upload.single('file')(req, res, async (err) => {
+    try {
+      if (err) {
+        const e = new Error(err.code === 'LIMIT_FILE_SIZE' ? `파일 크기가 너무 큽니다. 최대 ${MAX_MB}MB까지 가능합니다.` : err.message);
+        e.status = 400;
+        throw e;
+      }
+      if (!req.file) {
+        const e = new Error('업로드된 파일이 없습니다.');
+        e.status = 400;
+        throw e;
+      }
+      const format = resolveFormat(req.query.format, req.file.originalname);
+      if (!format) {
+        const e = new Error('format 은 csv 또는 ndjson 이어야 합니다.');
+        e.status = 400;
+        throw e;
+      }
+
+      const report = await importLogs(Readable.from(req.file.buffer), {
+        format,
+        dryRun: isOn(req.query.dryRun),
+        strict: isOn(req.query.strict),
+        refresh: req.query.refresh == null || isOn(req.query.refresh),
+      });
+      console.log(`[import] ${req.user.username || req.user.sub} ${req.file.originalname}: 추가 ${report.inserted}, 중복 ${report.duplicates.inFile + report.duplicates.existing}, 거부 ${report.rejected}`);
+      res.json(report);
+    } catch (e) {
+      next(e);
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// src/routes/ingest.js
+// RTU 프레임 수집 (외부 수집기 없이 소규모 설치·테스트 리그에서 사용)
+// POST /api/ingest/rtu : RTU 헤더 + body(hex) 를 검증 후 log_rtureceivelog 에 저장
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { pool } = require('../db/db.pg');
+const { decodeMessage } = require('../energy/parser');
+const { getFwVersion } = require('../energy/devices');
+const { HeaderSchema, normalizeBody, rejectReason, insertLogRows } = require('../energy/rtuLog');
+const { requireApiKey } = require('../middlewares/requireApiKey');
+
+const MAX_BATCH = Number(process.env.INGEST_MAX_BATCH || '200');
+const MAX_FUTURE_MS = 5 * 60 * 1000;
+
+const FrameSchema = HeaderSchema.extend({
+  time: z.iso.datetime({ offset: true }).optional(),
+  body: z.string().min(2),
+});
+
+async function validateFrame(input, index, strict) {
+  const parsed = FrameSchema.safeParse(input);
+  if (!parsed.success) {
+    return { index, error: parsed.error.issues.map((i) => `${i.path.join('.') || 'frame'}: ${i.message}`).join('; ') };
+  }
+  const f = parsed.data;
+
+  const body = normalizeBody(f.body);
+  if (!body) return { index, error: 'body: 2자리 hex 형식이 아닙니다.' };
+
+  const time = f.time ? new Date(f.time) : new Date();
+  if (time.getTime() - Date.now() > MAX_FUTURE_MS) return { index, error: 'time: 미래 시각입니다.' };
+
+  const fwVersion = await getFwVersion(f.rtuImei);
+  const m = decodeMessage(body, { fwVersion });
+  const reason = rejectReason(m, strict);
+  if (reason) return { index, error: `body: ${reason}` };
+
+  return {
+    index,
+    row: { ...f, body, time, bodyLength: body.split(' ').length },
+    parse: { ok: !!m.ok, kind: m.kind, reason: m.reason || null, layoutVersion: m.layoutVersion || null },
+  };
+}
+
+// 원본 저장과 frame_metrics 해석을 한 트랜잭션으로
+async function insertRows(rows) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const inserted = await insertLogRows(client, rows);
+    await client.query('COMMIT');
+    return inserted;
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// 단건(객체) 또는 배열. 하나라도 검증 실패면 전체 거부
+router.post('/rtu', requireApiKey, async (req, res, next) => {
+  try {
+    const strict = ['1', 'true'].includes(String(req.query.strict || '').toLowerCase());
+    const batch = Array.isArray(req.body) ? req.body : [req.body];
+    if (!batch.length || batch.some((b) => !b || typeof b !== 'object')) {
+      const e = new Error('프레임 객체(또는 배열)가 필요합니다.');
+      e.status = 400;
+      throw e;
+    }
+    if (batch.length > MAX_BATCH) {
+      const e = new Error(`한 번에 최대 ${MAX_BATCH}건까지 보낼 수 있습니다.`);
+      e.status = 413;
+      throw e;
+    }
+
+    const results = [];
+    for (let i = 0; i < batch.length; i++) results.push(await validateFrame(batch[i], i, strict));
+
+    const errors = results.filter((r) => r.error);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: 'validation_failed', errors });
+    }
+
+    const inserted = await insertRows(results.map((r) => r.row));
+    res.status(201).json({
+      ok: true,
+      inserted: inserted.length,
+      items: inserted.map((row, i) => ({ id: row.id, time: row.time, ...results[i].parse })),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../db/db.pg');
+const { decodeMessage } = require('../energy/parser');
+const { KIND, COMMANDS } = require('../energy/commands');
+const { resolveOneImeiOrThrow, getFwVersion } = require('../energy/devices');
+const { parseTimeWindow } = require('../energy/timeutil');
+const { inspectFrame } = require('../energy/inspect');
+
+const jsonSafe = (obj) =>
+  JSON.parse(JSON.stringify(obj, (_, v) => (typeof v === 'bigint' ? v.toString() : v)));
+
+const hex2 = (n) => Number(n).toString(16).padStart(2, '0');
+const WIND_HEARTBEAT = "(left(body,2) = '14' AND split_part(body,' ',2) = '04' AND split_part(body,' ',3) = '00')";
+
+// 바디 첫 바이트로 메시지 종류를 SQL 에서 분류 (commands.js 의 COMMANDS 와 동일 기준)
+const KIND_SQL = `CASE
+  WHEN ${WIND_HEARTBEAT} THEN '${KIND.HEARTBEAT}'
+  WHEN left(body,2) = '14' THEN '${KIND.MEASUREMENT}'
+${Object.entries(COMMANDS).map(([code, def]) => `  WHEN left(body,2) = '${hex2(code)}' THEN '${def.kind}'`).join('\n')}
+  ELSE 'unknown' END`;
+
+const VALID_KINDS = new Set([...Object.values(KIND), 'unknown']);
+// /commands 기간: 기본 최근 7일, 최대 31일
+const COMMANDS_DEFAULT_MS = 7 * 86400000;
+const COMMANDS_MAX_DAYS = 31;
 
 router.get('/', async (req, res, next) => {
   try {
@@ -35,4 +58,181 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+async function imeiFromQuery(req) {
+  const q = req.query.rtuImei || req.query.imei || req.query.name || req.query.q;
+  if (!q) {
+    const e = new Error('rtuImei/imei/name/q 중 하나가 필요합니다.');
+    e.status = 400;
+    throw e;
+  }
+  const { imei } = await resolveOneImeiOrThrow(q);
+  return imei;
+}
+
+// 계측(0x14) 이외 메시지(하트비트, 미등록 명령) 조회
+// kind 미지정 시 계측 프레임은 제외
+router.get('/commands', async (req, res, next) => {
+  try {
+    const imei  = await imeiFromQuery(req);
+    const limit = Math.min(parseInt(req.query.limit || '100', 10), 1000);
+    const kind  = (req.query.kind || '').toLowerCase() || null;
+    if (kind && !VALID_KINDS.has(kind)) {
+      const e = new Error(`kind 는 ${[...VALID_KINDS].join('/')} 중 하나여야 합니다.`);
+      e.status = 400;
+      throw e;
+    }
+
+    const w = parseTimeWindow(req.query, { defaultMs: COMMANDS_DEFAULT_MS, maxDays: COMMANDS_MAX_DAYS });
+
+    const args  = [imei, w.from, w.to];
+    const conds = ['"rtuImei" = $1', '"time" >= $2', '"time" < $3', 'body IS NOT NULL'];
+    if (kind) { args.push(kind); conds.push(`(${KIND_SQL}) = $${args.length}`); }
+    else      { conds.push(`(${KIND_SQL}) <> '${KIND.MEASUREMENT}'`); }
+    args.push(limit);
+
+    const { rows } = await pool.query(`
+      SELECT id, "time", "opMode", "bodyLength", body
+      FROM public.log_rtureceivelog
+      WHERE ${conds.join(' AND ')}
+      ORDER BY "time" DESC
+      LIMIT $${args.length}
+    `, args);
+
+    const items = rows.map(r => {
+      const d = decodeMessage(r.body);
+      const item = {
+        id: r.id,
+        ts: r.time,
+        opMode: r.opMode,
+        kind: d.kind || 'unknown',
+        command: d.command ?? null,
+        commandName: d.commandName || null,
+        ok: !!d.ok,
+        reason: d.reason || null,
+        data: d.data ?? null,
+        raw: r.body,
+      };
+      return item;
+    });
+
+    res.json(jsonSafe({ imei, from: w.from, to: w.to, count: items.length, items }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// 종류별 최근 수신 시각/건수 → 통신 장애와 설비(인버터) 장애 구분
+router.get('/commands/summary', async (req, res, next) => {
+  try {
+    const imei       = await imeiFromQuery(req);
+    const hours      = Math.min(Math.max(parseInt(req.query.hours || '24', 10), 1), 24 * 31);
+    const offlineMin = Math.max(parseInt(req.query.offlineMin || '90', 10), 10);
+
+    const { rows } = await pool.query(`
+      SELECT (${KIND_SQL}) AS kind,
+             COUNT(*)::int AS count,
+             MAX("time")   AS last_at,
+             COUNT(*) FILTER (WHERE left(body,2) = '14' AND split_part(body,' ',5) = '39')::int AS serial_fail
+      FROM public.log_rtureceivelog
+      WHERE "rtuImei" = $1
+        AND "time" >= now() - make_interval(hours => $2::int)
+        AND body IS NOT NULL
+      GROUP BY 1
+    `, [imei, hours]);
+
+    const byKind = {};
+    for (const r of rows) byKind[r.kind] = { count: r.count, last_at: r.last_at };
+
+    const fresh = (t) => t && (Date.now() - new Date(t).getTime()) / 60000 < offlineMin;
+    const lastMeasurement = byKind[KIND.MEASUREMENT]?.last_at || null;
+    const lastAny = rows.reduce((a, r) => (!a || r.last_at > a ? r.last_at : a), null);
+    const serialFail = rows.reduce((a, r) => a + r.serial_fail, 0);
+
+    let diagnosis;
+    if (!fresh(lastAny))              diagnosis = 'link_down';
+    else if (!fresh(lastMeasurement)) diagnosis = 'device_silent';
+    else if (serialFail > 0)          diagnosis = 'inverter_comm_error';
+    else                              diagnosis = 'ok';
+
+    res.json({
+      imei,
+      hours,
+      offlineMin,
+      last_any_at: lastAny,
+      last_measurement_at: lastMeasurement,
+      last_heartbeat_at: byKind[KIND.HEARTBEAT]?.last_at || null,
+      serial_comm_failures: serialFail,
+      diagnosis,
+      kinds: byKind,
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// 바이트 단위 프레임 검사: body 직접 입력 또는 로그 id
+async function findLogRow(id) {
+  if (!/^\d+$/.test(String(id))) {
+    const e = new Error('id 는 숫자여야 합니다.');
+    e.status = 400;
+    throw e;
+  }
+  const { rows } = await pool.query(
+    'SELECT id, time, "rtuImei", "bodyLength", body FROM public.log_rtureceivelog WHERE id = $1 LIMIT 1',
+    [String(id)]
+  );
+  if (!rows.length) {
+    const e = new Error('로그를 찾을 수 없습니다.');
+    e.status = 404;
+    throw e;
+  }
+  return rows[0];
+}
+
+async function inspectResponse({ body, row = null, fwVersion = null, version = null }) {
+  const fw = fwVersion || (row ? await getFwVersion(row.rtuImei) : null);
+  const result = inspectFrame(body, { fwVersion: fw, version });
+  if (!result.ok) {
+    const e = new Error(result.reason === 'invalid_hex'
+      ? `body 에 hex 가 아닌 토큰이 있습니다: ${result.invalid.map((t) => `#${t.index} '${t.token}'`).join(', ')}`
+      : 'body 가 비어 있습니다.');
+    e.status = 400;
+    throw e;
+  }
+  return {
+    log: row ? { id: row.id, time: row.time, rtuImei: row.rtuImei, bodyLength: row.bodyLength } : null,
+    fwVersion: fw,
+    ...result,
+  };
+}
+
+router.post('/inspect', async (req, res, next) => {
+  try {
+    const { body, id, fwVersion, version } = req.body || {};
+    if ((!body || typeof body !== 'string') && !id) {
+      const e = new Error('body(hex 문자열) 또는 id 가 필요합니다.');
+      e.status = 400;
+      throw e;
+    }
+    const row = body ? null : await findLogRow(id);
+    res.json(await inspectResponse({ body: body || row.body, row, fwVersion, version }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.get('/:id/inspect', async (req, res, next) => {
+  try {
+    const row = await findLogRow(req.params.id);
+    res.json(await inspectResponse({
+      body: row.body,
+      row,
+      fwVersion: req.query.fwVersion || null,
+      version: req.query.version || null,
+    }));
+  } catch (e) {
+    next(e);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,151 @@
+// src/routes/rems.reconcile.js
+// GET /api/rems/reconcile : 수신 프레임 ↔ REMS 전송 대사 (CID 별 누락·중복·지연), format=csv 로 REMS 운영기관 제출용 내보내기
+// GET /api/rems/reconcile/frames : 프레임 단위 목록, GET /api/rems/reconcile/history : 일별 저장 결과(remsReconcile 작업)
+const express = require('express');
+const { DateTime } = require('luxon');
+const { pool } = require('../db/db.pg');
+const { getAuthorizedImeis } = require('../energy/devices');
+const { requireAuth } = require('../middlewares/requireAuth');
+const { TZ, parseTimeWindow } = require('../energy/timeutil');
+const {
+  LATE_SEC,
+  STATUSES,
+  reconcileByCid,
+  reconcileFrames,
+  unmappedFrames,
+  summarize,
+} = require('../energy/remsReconcile');
+
+const router = express.Router();
+// 프레임 단위 조인이라 실시간 대사는 짧게, 긴 기간은 history 로
+const MAX_WINDOW_DAYS = 7;
+const MAX_FRAMES = 10000;
+
+const kst = (t) => (t ? DateTime.fromJSDate(new Date(t)).setZone(TZ).toFormat('yyyy-LL-dd HH:mm:ss') : '');
+const csvCell = (v) => {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function sendCsv(res, name, header, rows) {
+  const lines = [header.join(','), ...rows.map((r) => r.map(csvCell).join(','))];
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  res.send('\uFEFF' + lines.join('\n') + '\n');
+}
+
+const fileStamp = ({ from, to }) => `${DateTime.fromJSDate(from).setZone(TZ).toFormat('yyyyLLddHHmm')}-${DateTime.fromJSDate(to).setZone(TZ).toFormat('yyyyLLddHHmm')}`;
+
+// 관리자는 전체, 그 외는 본인 장비. imei 지정 시 그 장비만
+async function scopeImeis(req) {
+  const allowed = await getAuthorizedImeis(req);
+  const imei = req.query.imei ? String(req.query.imei).trim() : null;
+  if (!imei) return allowed;
+  if (allowed && !allowed.includes(imei)) {
+    const e = new Error('조회 권한이 없는 IMEI 입니다.');
+    e.status = 403;
+    throw e;
+  }
+  return [imei];
+}
+
+// query: from, to (기본 최근 24시간, 최대 7일), cid, imei, format=csv
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const w = parseTimeWindow(req.query, { maxDays: MAX_WINDOW_DAYS });
+    const imeis = await scopeImeis(req);
+    const cid = req.query.cid ? String(req.query.cid).trim() : null;
+
+    const [cids, unmapped] = await Promise.all([
+      reconcileByCid({ ...w, imeis, cid }),
+      cid ? [] : unmappedFrames({ ...w, imeis }),
+    ]);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(
+        res,
+        `rems-reconcile-${fileStamp(w)}.csv`,
+        ['CID', 'IMEI', '수신 프레임', '정상 전송', '지연 전송', '중복 전송', '전송 실패', '전송 누락', '프레임 없는 전송', '전달률(%)', '평균 지연(초)', '마지막 누락 시각'],
+        cids.map((c) => [
+          c.cid, c.imeis.join(' '), c.frames, c.ok, c.late, c.duplicated, c.failed, c.missing,
+          c.unmatchedSends, c.deliveryRate, c.avgDelaySec, kst(c.lastMissing),
+        ])
+      );
+    }
+
+    res.json({ window: w, lateSec: LATE_SEC, totals: summarize(cids), cids, unmapped });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// query: from, to, cid, imei, status(쉼표 구분, 기본 ok 제외 전체), limit(최대 10000), format=csv
+router.get('/frames', requireAuth, async (req, res, next) => {
+  try {
+    const w = parseTimeWindow(req.query, { maxDays: MAX_WINDOW_DAYS });
+    const imeis = await scopeImeis(req);
+    const cid = req.query.cid ? String(req.query.cid).trim() : null;
+    const statuses = req.query.status ? String(req.query.status).split(',').map((s) => s.trim()).filter(Boolean) : null;
+    if (statuses && statuses.some((s) => !STATUSES.includes(s))) {
+      const e = new Error(`status 는 ${STATUSES.join(', ')} 중에서 고릅니다.`);
+      e.status = 400;
+      throw e;
+    }
+    const limit = Math.min(parseInt(req.query.limit || '1000', 10) || 1000, MAX_FRAMES);
+
+    const frames = await reconcileFrames({ ...w, imeis, cid, statuses, limit });
+
+    if (req.query.format === 'csv') {
+      return sendCsv(
+        res,
+        `rems-reconcile-frames-${fileStamp(w)}.csv`,
+        ['수신 시각', 'IMEI', 'multiId', 'CID', '상태', '전송 시도', '전송 성공', '재전송 시도', '전달 시각', '로그 ID'],
+        frames.map((f) => [kst(f.time), f.imei, f.multi, f.cid, f.status, f.sends, f.ok_sends, f.resends, kst(f.delivered_at), f.id])
+      );
+    }
+
+    res.json({ window: w, lateSec: LATE_SEC, count: frames.length, limit, frames });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// 일별 저장 결과. query: from, to (YYYY-MM-DD, 기본 최근 30일), cid
+router.get('/history', requireAuth, async (req, res, next) => {
+  try {
+    const today = DateTime.now().setZone(TZ).startOf('day');
+    const to = req.query.to ? DateTime.fromISO(String(req.query.to), { zone: TZ }) : today;
+    const from = req.query.from ? DateTime.fromISO(String(req.query.from), { zone: TZ }) : to.minus({ days: 30 });
+    if (!from.isValid || !to.isValid || from > to) {
+      const e = new Error('from/to 는 YYYY-MM-DD 이고 from 이 to 보다 앞서야 합니다.');
+      e.status = 400;
+      throw e;
+    }
+
+    const params = [from.toISODate(), to.toISODate()];
+    const conds = ['day BETWEEN $1 AND $2'];
+    if (req.query.cid) {
+      params.push(String(req.query.cid).trim());
+      conds.push(`cid = $${params.length}`);
+    }
+    const allowed = await getAuthorizedImeis(req);
+    if (allowed) {
+      params.push(allowed);
+      conds.push(`imeis && $${params.length}::text[]`);
+    }
+
+    const { rows } = await pool.query(
+      `SELECT to_char(day, 'YYYY-MM-DD') AS day, cid, imeis, frames, ok, late, duplicated, failed, missing,
+              unmatched_sends, avg_delay_sec, computed_at
+         FROM public.rems_reconcile_daily
+        WHERE ${conds.join(' AND ')}
+        ORDER BY day DESC, missing + failed DESC, cid`,
+      params
+    );
+    res.json({ from: params[0], to: params[1], items: rows });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+// src/routes/rems.resend.js
+// /api/rems/resend : REMS 재전송 대기열 관리 (관리자 전용)
+// 목록·상세(시도 이력), 즉시 재시도, 포기. 재시도 결과는 log_remssendlog 에도 남는다.
+const express = require('express');
+const { pool } = require('../db/db.pg');
+const { requireAdmin } = require('../middlewares/requireAuth');
+const { claimItem, sendItem } = require('../jobs/remsResend');
+
+const router = express.Router();
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'abandoned'];
+
+function httpError(status, msg) {
+  const e = new Error(msg);
+  e.status = status;
+  return e;
+}
+
+function parseId(v) {
+  const id = Number(v);
+  if (!Number.isSafeInteger(id) || id <= 0) throw httpError(400, 'id 가 올바르지 않습니다.');
+  return id;
+}
+
+async function getItem(id) {
+  const { rows } = await pool.query('SELECT * FROM public.rems_resend_queue WHERE id = $1', [id]);
+  if (!rows.length) throw httpError(404, '재전송 항목이 없습니다.');
+  return rows[0];
+}
+
+// query: status, cid, imei, limit, offset
+router.get('/', requireAdmin, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const params = [];
+    const conds = [];
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) throw httpError(400, `status 는 ${STATUSES.join(', ')} 중 하나입니다.`);
+      params.push(req.query.status);
+      conds.push(`status = $${params.length}`);
+    }
+    if (req.query.cid) {
+      params.push(String(req.query.cid).trim());
+      conds.push(`cid = $${params.length}`);
+    }
+    if (req.query.imei) {
+      params.push(String(req.query.imei).trim());
+      conds.push(`"rtuImei" = $${params.length}`);
+    }
+    const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+    const [{ rows: items }, { rows: counts }] = await Promise.all([
+      pool.query(
+        `SELECT * FROM public.rems_resend_queue ${where}
+          ORDER BY CASE status WHEN 'failed' THEN 0 WHEN 'pending' THEN 1 WHEN 'sending' THEN 2 ELSE 3 END,
+                   send_time DESC
+          LIMIT ${limit} OFFSET ${offset}`,
+        params
+      ),
+      pool.query('SELECT status, COUNT(*)::int AS count FROM public.rems_resend_queue GROUP BY status'),
+    ]);
+
+    const summary = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    for (const c of counts) summary[c.status] = c.count;
+    res.json({ summary, limit, offset, items });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.get('/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const item = await getItem(parseId(req.params.id));
+    const { rows: attempts } = await pool.query(
+      `SELECT send_log_id, "time", ok, error, manual
+         FROM public.rems_resend_attempts
+        WHERE queue_id = $1
+        ORDER BY "time"`,
+      [item.id]
+    );
+    res.json({ ...item, attempts });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// 백오프와 최대 횟수를 무시하고 지금 한 번 보낸다 (failed·abandoned 도 가능)
+router.post('/:id/retry', requireAdmin, async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const claimed = await claimItem(pool, id);
+    if (!claimed) {
+      const item = await getItem(id);
+      throw httpError(409, `${item.status} 상태에서는 재시도할 수 없습니다.`);
+    }
+    if (claimed.resolved_by) {
+      await pool.query('UPDATE public.rems_resend_queue SET resolved_by = NULL WHERE id = $1', [id]);
+    }
+    const item = await sendItem(claimed, { manual: true });
+    console.log(`[remsResend] ${req.user.username || req.user.sub} retry #${id}: ${item.status}`);
+    res.json({ ok: item.status === 'sent', item });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post('/:id/abandon', requireAdmin, async (req, res, next) => {
+  try {
+    const id = parseId(req.params.id);
+    const { rows } = await pool.query(
+      `UPDATE public.rems_resend_queue
+          SET status = 'abandoned', resolved_by = $2, updated_at = NOW()
+        WHERE id = $1 AND status IN ('pending', 'failed')
+        RETURNING *`,
+      [id, req.user.username || String(req.user.sub)]
+    );
+    if (!rows.length) {
+      const item = await getItem(id);
+      throw httpError(409, `${item.status} 상태에서는 포기할 수 없습니다.`);
+    }
+    res.json({ ok: true, item: rows[0] });
+  } catch (e) {
+    next(e);
+  }
+});
+
+module.exports = router;
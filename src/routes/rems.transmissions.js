@@ -0,0 +1,306 @@
+// src/routes/rems.transmissions.js
+// GET /api/rems/transmissions/* : 국가 REMS 전송(log_remssendlog) 모니터링
+// CID·IMEI 별 성공률, 마지막 성공 시각, 오류 사유, 시간대별 공백(성공 0건인 시간)과 전체 현황
+// 상태: ok(staleMin 안에 성공) / failing(전송은 하는데 성공 없음) / silent(staleMin 동안 전송 시도 자체가 없음)
+const express = require('express');
+const { pool } = require('../db/db.pg');
+const { getAuthorizedImeis, getCidMappings } = require('../energy/devices');
+const { requireAuth } = require('../middlewares/requireAuth');
+const { parseTimeWindow } = require('../energy/timeutil');
+const { SUCCESS_RESULTS } = require('../energy/remsSend');
+
+const router = express.Router();
+
+const MAX_WINDOW_DAYS = 31;
+// 조회 구간 밖의 마지막 성공·시도를 찾을 때 되돌아보는 기간
+// 이 기간에 전송이 없어도 REMS 에 등록된 CID·IMEI(rems_rems)는 silent 로 나오고, 마지막 기록은 전체 기간에서 찾는다
+const LOOKBACK_DAYS = 7;
+const STATUS_ORDER = { silent: 0, failing: 1, ok: 2 };
+const KEYS = { cid: 'cid', imei: '"rtuImei"' };
+
+function badRequest(msg) {
+  const e = new Error(msg);
+  e.status = 400;
+  return e;
+}
+
+// from/to 기본값: 최근 24시간. staleMin 기본 120분
+function parseWindow(q) {
+  const { from, to } = parseTimeWindow(q, { maxDays: MAX_WINDOW_DAYS });
+  const staleMin = Math.max(parseInt(q.staleMin || '120', 10) || 120, 10);
+  return { from, to, staleMin };
+}
+
+// 권한 범위 조건 (관리자는 전체). allowed 가 빈 배열이면 결과 없음
+function scopeConds(allowed, params) {
+  if (!allowed) return [];
+  params.push(allowed);
+  return [`"rtuImei" = ANY($${params.length}::text[])`];
+}
+
+const rate = (success, attempts) => (attempts ? Math.round((success / attempts) * 1000) / 10 : null);
+
+function statusOf(r, ref, staleMin) {
+  const staleAt = ref.getTime() - staleMin * 60000;
+  if (!r.last_attempt || new Date(r.last_attempt).getTime() < staleAt) return 'silent';
+  if (!r.last_success || new Date(r.last_success).getTime() < staleAt) return 'failing';
+  return 'ok';
+}
+
+// 등록된 키 → 관련 키 Set (cid → imeis / imei → cids). MySQL 을 못 쓰면 null (전송 기록에 있는 키만)
+async function registeredKeys(kind, allowed, only) {
+  const pairs = await getCidMappings(allowed);
+  if (!pairs) return null;
+  const out = new Map();
+  for (const p of pairs) {
+    const [k, other] = kind === 'cid' ? [p.cid, p.imei] : [p.imei, p.cid];
+    if (only && k !== only) continue;
+    if (!out.has(k)) out.set(k, new Set());
+    out.get(k).add(other);
+  }
+  return out;
+}
+
+// LOOKBACK_DAYS 안에 기록이 없는 키의 마지막 성공·시도
+async function lastSeenBefore(kind, keys, before) {
+  if (!keys.length) return new Map();
+  const key = KEYS[kind];
+  const { rows } = await pool.query(
+    `SELECT ${key} AS key,
+            MAX(time) FILTER (WHERE result = ANY($3::text[])) AS last_success,
+            MAX(time) AS last_attempt
+       FROM public.log_remssendlog
+      WHERE ${key} = ANY($1::text[]) AND time < $2
+      GROUP BY ${key}`,
+    [keys, before, SUCCESS_RESULTS]
+  );
+  return new Map(rows.map((r) => [r.key, r]));
+}
+
+// 키(cid 또는 rtuImei)별 통계. 마지막 성공·시도는 LOOKBACK_DAYS 까지 거슬러 본다
+async function statsByKey(kind, { from, to, staleMin }, allowed, only = null) {
+  const key = KEYS[kind];
+  const other = kind === 'cid' ? '"rtuImei"' : 'cid';
+  const lookback = new Date(Math.min(from.getTime(), to.getTime() - LOOKBACK_DAYS * 86400000));
+  const params = [from, to, lookback, SUCCESS_RESULTS];
+  const conds = ['time >= $3', 'time < $2', ...scopeConds(allowed, params)];
+  if (only) {
+    params.push(only);
+    conds.push(`${key} = $${params.length}`);
+  }
+
+  const [{ rows }, registered] = await Promise.all([
+    pool.query(
+      `SELECT ${key} AS key,
+              array_agg(DISTINCT ${other}) AS related,
+              COUNT(*) FILTER (WHERE time >= $1)::int AS attempts,
+              COUNT(*) FILTER (WHERE time >= $1 AND result = ANY($4::text[]))::int AS success,
+              MAX(time) FILTER (WHERE result = ANY($4::text[])) AS last_success,
+              MAX(time) AS last_attempt
+         FROM public.log_remssendlog
+        WHERE ${conds.join(' AND ')}
+        GROUP BY ${key}`,
+      params
+    ),
+    registeredKeys(kind, allowed, only),
+  ]);
+
+  // 등록됐는데 최근 전송이 없는 키도 silent 로 넣는다
+  const seen = new Set(rows.map((r) => r.key));
+  const quiet = registered ? [...registered.keys()].filter((k) => !seen.has(k)) : [];
+  const older = await lastSeenBefore(kind, quiet, lookback);
+  for (const k of quiet) {
+    const o = older.get(k);
+    rows.push({
+      key: k,
+      related: [...registered.get(k)],
+      attempts: 0,
+      success: 0,
+      last_success: o ? o.last_success : null,
+      last_attempt: o ? o.last_attempt : null,
+    });
+  }
+
+  const ref = new Date(Math.min(to.getTime(), Date.now()));
+  return rows.map((r) => ({
+    [kind]: r.key,
+    [kind === 'cid' ? 'imeis' : 'cids']: r.related,
+    attempts: r.attempts,
+    success: r.success,
+    failed: r.attempts - r.success,
+    successRate: rate(r.success, r.attempts),
+    lastSuccess: r.last_success,
+    lastAttempt: r.last_attempt,
+    status: statusOf(r, ref, staleMin),
+  }));
+}
+
+// 실패 사유: 숫자(시각·코드 값)를 # 로 묶어 같은 유형끼리 센다
+async function errorBreakdown({ from, to }, conds, params, limit = 10) {
+  const p = [...params, from, to, SUCCESS_RESULTS];
+  const n = params.length;
+  const { rows } = await pool.query(
+    `SELECT regexp_replace(left(COALESCE(NULLIF(btrim(error), ''), '(메시지 없음)'), 200), '[0-9]+', '#', 'g') AS reason,
+            COUNT(*)::int AS count,
+            MAX(time) AS last
+       FROM public.log_remssendlog
+      WHERE time >= $${n + 1} AND time < $${n + 2} AND NOT (result = ANY($${n + 3}::text[]))
+            ${conds.map((c) => `AND ${c}`).join(' ')}
+      GROUP BY 1
+      ORDER BY count DESC
+      LIMIT ${limit}`,
+    p
+  );
+  return rows;
+}
+
+// 1시간 단위 시도/성공 (빈 시간 포함)
+async function hourly({ from, to }, conds, params) {
+  const p = [...params, from, to, SUCCESS_RESULTS];
+  const n = params.length;
+  const { rows } = await pool.query(
+    `SELECT h.hour,
+            COALESCE(c.attempts, 0)::int AS attempts,
+            COALESCE(c.success, 0)::int AS success
+       FROM generate_series(time_bucket('1 hour', $${n + 1}::timestamptz),
+                            $${n + 2}::timestamptz - INTERVAL '1 microsecond',
+                            INTERVAL '1 hour') AS h(hour)
+       LEFT JOIN (
+         SELECT time_bucket('1 hour', time) AS hour,
+                COUNT(*) AS attempts,
+                COUNT(*) FILTER (WHERE result = ANY($${n + 3}::text[])) AS success
+           FROM public.log_remssendlog
+          WHERE time >= $${n + 1} AND time < $${n + 2}
+                ${conds.map((c) => `AND ${c}`).join(' ')}
+          GROUP BY 1
+       ) c ON c.hour = h.hour
+      ORDER BY h.hour`,
+    p
+  );
+  return rows;
+}
+
+// 성공이 한 건도 없는 연속 시간 구간. attempts 0 이면 전송 자체가 멈춘 것
+function gapsOf(hours) {
+  const gaps = [];
+  let cur = null;
+  for (const h of hours) {
+    if (h.success > 0) {
+      cur = null;
+      continue;
+    }
+    if (!cur) {
+      cur = { from: h.hour, to: null, hours: 0, attempts: 0 };
+      gaps.push(cur);
+    }
+    cur.hours++;
+    cur.attempts += h.attempts;
+    cur.to = new Date(new Date(h.hour).getTime() + 3600000);
+  }
+  return gaps;
+}
+
+const windowOut = ({ from, to, staleMin }) => ({ from, to, staleMin });
+
+function summarize(items) {
+  const out = { total: items.length, ok: 0, failing: 0, silent: 0 };
+  for (const it of items) out[it.status]++;
+  return out;
+}
+
+const sortProblemsFirst = (a, b) =>
+  STATUS_ORDER[a.status] - STATUS_ORDER[b.status] ||
+  (a.successRate ?? -1) - (b.successRate ?? -1) ||
+  new Date(a.lastSuccess || 0) - new Date(b.lastSuccess || 0);
+
+// 전체 현황
+router.get('/overview', requireAuth, async (req, res, next) => {
+  try {
+    const w = parseWindow(req.query);
+    const allowed = await getAuthorizedImeis(req);
+    const params = [];
+    const conds = scopeConds(allowed, params);
+
+    const [cids, imeis, topErrors, hours] = await Promise.all([
+      statsByKey('cid', w, allowed),
+      statsByKey('imei', w, allowed),
+      errorBreakdown(w, conds, params),
+      hourly(w, conds, params),
+    ]);
+
+    const attempts = hours.reduce((s, h) => s + h.attempts, 0);
+    const success = hours.reduce((s, h) => s + h.success, 0);
+    res.json({
+      window: windowOut(w),
+      totals: { attempts, success, failed: attempts - success, successRate: rate(success, attempts) },
+      cids: summarize(cids),
+      imeis: summarize(imeis),
+      topErrors,
+      hourly: hours,
+      gaps: gapsOf(hours),
+      problems: cids.filter((c) => c.status !== 'ok').sort(sortProblemsFirst).slice(0, 20),
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+function listHandler(kind) {
+  return async (req, res, next) => {
+    try {
+      const w = parseWindow(req.query);
+      const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+      const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+      const status = req.query.status ? String(req.query.status) : null;
+      if (status && !(status in STATUS_ORDER)) throw badRequest('status 는 ok, failing, silent 중 하나입니다.');
+
+      let items = await statsByKey(kind, w, await getAuthorizedImeis(req));
+      const summary = summarize(items);
+      if (status) items = items.filter((it) => it.status === status);
+      items.sort(sortProblemsFirst);
+
+      res.json({ window: windowOut(w), summary, total: items.length, limit, offset, items: items.slice(offset, offset + limit) });
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+function detailHandler(kind) {
+  return async (req, res, next) => {
+    try {
+      const w = parseWindow(req.query);
+      const value = String(req.params[kind]).trim();
+      const allowed = await getAuthorizedImeis(req);
+      if (kind === 'imei' && allowed && !allowed.includes(value)) {
+        const e = new Error('조회 권한이 없는 IMEI 입니다.');
+        e.status = 403;
+        throw e;
+      }
+
+      const [stats] = await statsByKey(kind, w, allowed, value);
+      if (!stats) {
+        const e = new Error(`REMS 에 등록되지 않았고 최근 ${LOOKBACK_DAYS}일간 전송 기록도 없습니다.`);
+        e.status = 404;
+        throw e;
+      }
+
+      const params = [];
+      const conds = scopeConds(allowed, params);
+      params.push(value);
+      conds.push(`${KEYS[kind]} = $${params.length}`);
+
+      const [errors, hours] = await Promise.all([errorBreakdown(w, conds, params), hourly(w, conds, params)]);
+      res.json({ window: windowOut(w), ...stats, errors, hourly: hours, gaps: gapsOf(hours) });
+    } catch (e) {
+      next(e);
+    }
+  };
+}
+
+router.get('/cids', requireAuth, listHandler('cid'));
+router.get('/cids/:cid', requireAuth, detailHandler('cid'));
+router.get('/imeis', requireAuth, listHandler('imei'));
+router.get('/imeis/:imei', requireAuth, detailHandler('imei'));
+
+module.exports = router;